@@ -0,0 +1,115 @@
+/**
+ * FinanceFlow - Receivables Aging Report
+ * Outstanding invoice balances grouped by client and days past due
+ */
+
+class AgingReportManager {
+    constructor() {
+        this.report = null;
+    }
+
+    /**
+     * Initialize aging report manager
+     */
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('agingReportModal');
+
+        document.getElementById('agingReportBtn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('overdueCard')?.addEventListener('click', () => this.openModal());
+        document.getElementById('closeAgingReportModal')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelAgingReport')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('agingAsOfDate')?.addEventListener('change', () => this.loadReport());
+
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeModal();
+            });
+        }
+    }
+
+    async openModal() {
+        document.getElementById('agingAsOfDate').value = new Date().toISOString().split('T')[0];
+        document.getElementById('agingReportModal').classList.add('active');
+        await this.loadReport();
+    }
+
+    closeModal() {
+        document.getElementById('agingReportModal').classList.remove('active');
+    }
+
+    async loadReport() {
+        const container = document.getElementById('agingReportContent');
+        const asOfDate = document.getElementById('agingAsOfDate').value || undefined;
+
+        try {
+            this.report = await dataLayer.getAgingReport(asOfDate);
+            this.render();
+        } catch (error) {
+            console.error('Error loading aging report:', error);
+            container.innerHTML = '';
+            showToast(`Failed to load aging report: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Render the client x bucket table with expandable invoice rows
+     */
+    render() {
+        const container = document.getElementById('agingReportContent');
+        const { buckets, clients, totals } = this.report;
+        const money = (value) => formatMoney(value, this.report.baseCurrency);
+
+        if (clients.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No outstanding invoices.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="services-table aging-table">
+                <thead>
+                    <tr>
+                        <th>Client</th>
+                        ${buckets.map(b => `<th>${b.label}</th>`).join('')}
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${clients.map((c, index) => `
+                        <tr class="aging-client-row" data-index="${index}">
+                            <td><strong>${c.clientName}</strong> <small>(${c.invoices.length})</small></td>
+                            ${buckets.map(b => `<td class="${b.key !== 'current' && c[b.key] > 0 ? 'aging-overdue' : ''}">${c[b.key] > 0 ? money(c[b.key]) : '-'}</td>`).join('')}
+                            <td><strong>${money(c.total)}</strong></td>
+                        </tr>
+                        ${c.invoices.map(inv => `
+                            <tr class="aging-invoice-row hidden" data-client="${index}">
+                                <td>${inv.invoiceNumber} • due ${formatDate(inv.dueDate)}</td>
+                                ${buckets.map(b => `<td>${inv.bucket === b.key ? formatMoney(inv.balanceDue, inv.currency) : ''}</td>`).join('')}
+                                <td>${inv.daysPastDue > 0 ? `${inv.daysPastDue} days late` : 'Not due'}</td>
+                            </tr>
+                        `).join('')}
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td><strong>Total</strong></td>
+                        ${buckets.map(b => `<td><strong>${money(totals[b.key])}</strong></td>`).join('')}
+                        <td><strong>${money(totals.total)}</strong></td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+
+        container.querySelectorAll('.aging-client-row').forEach(row => {
+            row.addEventListener('click', () => {
+                container.querySelectorAll(`.aging-invoice-row[data-client="${row.dataset.index}"]`)
+                    .forEach(r => r.classList.toggle('hidden'));
+            });
+        });
+    }
+}
+
+window.agingReportManager = new AgingReportManager();
@@ -3,7 +3,8 @@
  * Orchestrates all modules and handles UI interactions
  */
 
-// Global currency symbol
+// Global base currency (code) and its symbol
+window.appBaseCurrency = 'INR';
 window.appCurrency = '₹';
 
 class App {
@@ -18,6 +19,7 @@ class App {
             type: '',
             status: '',
             paymentMode: '',
+            category: '',
             search: ''
         };
 
@@ -29,6 +31,7 @@ class App {
         };
 
         this.historyStack = [];
+        this.lastMissingRates = '';
     }
 
     /**
@@ -118,6 +121,16 @@ class App {
             this.bindEvents();
             this.bindNavigation();
 
+            // Initialize entry categories before the first render so entries show them
+            // (entry form and filters for everyone, settings for admins)
+            if (window.categoryManager) {
+                try {
+                    await window.categoryManager.init();
+                } catch (err) {
+                    console.error('Category Manager init failed:', err);
+                }
+            }
+
             // Initial data load
             console.log('Refreshing data...');
             await this.refreshData();
@@ -138,6 +151,64 @@ class App {
                 console.error('Invoice Manager init failed:', err);
             }
 
+            // Initialize recurring invoice manager
+            if (window.recurringInvoiceManager) {
+                console.log('Initializing recurring invoice manager...');
+                try {
+                    await window.recurringInvoiceManager.init();
+                } catch (err) {
+                    console.error('Recurring Invoice Manager init failed:', err);
+                }
+            }
+
+            // Initialize estimate manager
+            if (window.estimateManager) {
+                try {
+                    await window.estimateManager.init();
+                } catch (err) {
+                    console.error('Estimate Manager init failed:', err);
+                }
+            }
+
+            // Initialize service catalogue (line autocomplete for everyone, settings for admins)
+            if (window.catalogManager) {
+                try {
+                    await window.catalogManager.init();
+                } catch (err) {
+                    console.error('Catalog Manager init failed:', err);
+                }
+            }
+
+            // Initialize attachment upload fields and viewer
+            if (window.attachmentManager) {
+                window.attachmentManager.init();
+            }
+
+            // Initialize credit note manager
+            if (window.creditNoteManager) {
+                window.creditNoteManager.init();
+            }
+
+            // Initialize receivables aging report
+            if (window.agingReportManager) {
+                window.agingReportManager.init();
+            }
+
+            // Initialize invoice import preview
+            if (window.invoiceImportManager) {
+                window.invoiceImportManager.init();
+            }
+
+            // Initialize client statements
+            if (window.clientStatementManager) {
+                window.clientStatementManager.init();
+            }
+
+            // Initialize client detail page
+            if (window.clientDetailManager) {
+                window.clientDetailManager.init();
+            }
+
             // Initialize clients manager
             console.log('Initializing client manager...');
             try {
@@ -177,9 +248,104 @@ class App {
             console.log('Setting up role-based visibility...');
             await this.setupRoleBasedUI();
 
+            if (this.isAdmin) {
+                await this.renderExchangeRates();
+
+                // Initialize payment reminders (settings are admin only)
+                if (window.reminderManager) {
+                    try {
+                        await window.reminderManager.init();
+                    } catch (err) {
+                        console.error('Reminder Manager init failed:', err);
+                    }
+                }
+
+                // Initialize invoice design settings
+                if (window.invoiceDesignManager) {
+                    try {
+                        await window.invoiceDesignManager.init();
+                    } catch (err) {
+                        console.error('Invoice Design Manager init failed:', err);
+                    }
+                }
+
+                // Initialize document numbering settings
+                if (window.numberingManager) {
+                    try {
+                        await window.numberingManager.init();
+                    } catch (err) {
+                        console.error('Numbering Manager init failed:', err);
+                    }
+                }
+
+                // Initialize entry-to-client linking
+                if (window.clientLinkManager) {
+                    window.clientLinkManager.init();
+                }
+
+                // Initialize bank statement import and reconciliation
+                if (window.reconciliationManager) {
+                    window.reconciliationManager.init();
+                }
+
+                // Initialize profit and loss statement
+                if (window.profitLossManager) {
+                    window.profitLossManager.init();
+                }
+
+                // Initialize budgets and budget alerts
+                if (window.budgetManager) {
+                    try {
+                        await window.budgetManager.init();
+                    } catch (err) {
+                        console.error('Budget Manager init failed:', err);
+                    }
+                }
+            }
+
             // Subscribe to data changes
             dataLayer.subscribe(DATA_STORES.ENTRIES, () => this.onDataChange());
-            dataLayer.subscribe(DATA_STORES.INVOICES, () => invoiceManager.renderInvoiceHistory());
+            dataLayer.subscribe(DATA_STORES.INVOICES, () => {
+                invoiceManager.renderInvoiceHistory();
+                this.updateOverdueStats();
+            });
+            dataLayer.subscribe(DATA_STORES.INVOICE_PAYMENTS, () => {
+                invoiceManager.renderInvoiceHistory();
+                this.updateOverdueStats();
+            });
+            dataLayer.subscribe(DATA_STORES.RECURRING_INVOICES, () => window.recurringInvoiceManager?.renderTemplates());
+            dataLayer.subscribe(DATA_STORES.ESTIMATES, () => window.estimateManager?.renderEstimates());
+            dataLayer.subscribe(DATA_STORES.CREDIT_NOTES, () => invoiceManager.renderInvoiceHistory());
+            dataLayer.subscribe(DATA_STORES.REMINDER_TEMPLATES, () => window.reminderManager?.render());
+            dataLayer.subscribe(DATA_STORES.REMINDER_SCHEDULES, () => window.reminderManager?.render());
+            dataLayer.subscribe(DATA_STORES.CATALOG_ITEMS, () => {
+                window.catalogManager?.render();
+                chartsManager.renderCatalogRevenueChart();
+            });
+            dataLayer.subscribe(DATA_STORES.ATTACHMENTS, async () => {
+                await this.renderEntriesTable();
+                if (this.isAdmin) await this.renderPendingApprovals();
+                window.pettyCashManager?.filterAndRender();
+                window.investmentsManager?.renderTable();
+            });
+            dataLayer.subscribe(DATA_STORES.ENTRY_CATEGORIES, async () => {
+                await window.categoryManager?.render();
+                await this.renderEntriesTable();
+                await chartsManager.renderCategoryCharts();
+                if (this.isAdmin) await window.budgetManager?.render();
+            });
+            dataLayer.subscribe(DATA_STORES.BUDGETS, async () => {
+                await window.budgetManager?.render();
+                await window.budgetManager?.renderVariance();
+            });
+            dataLayer.subscribe(DATA_STORES.NUMBERING_SCHEMES, () => {
+                window.numberingManager?.render();
+                invoiceManager.generateNewInvoiceNumber();
+            });
+            dataLayer.subscribe(DATA_STORES.EXCHANGE_RATES, async () => {
+                await this.renderExchangeRates();
+                await this.onDataChange();
+            });
 
             console.log('FinanceFlow initialized successfully');
 
@@ -217,12 +383,12 @@ class App {
 
         settings = settings || {};
 
-        // Currency
-        window.appCurrency = settings.currency || '₹';
-        const currencySelect = document.getElementById('settingsCurrency');
-        if (currencySelect) {
-            currencySelect.value = window.appCurrency;
-        }
+        // Base currency (older settings stored the symbol instead of the code)
+        window.appBaseCurrency = normalizeCurrencyCode(settings.currency);
+        window.appCurrency = getCurrencySymbol(window.appBaseCurrency);
+        populateCurrencySelect(document.getElementById('settingsCurrency'), window.appBaseCurrency);
+        populateCurrencySelect(document.getElementById('entryCurrency'), '', true);
+        this.populateExchangeRateCurrencies();
 
         // Default tax (0 by default, user can set their own)
         const defaultTax = settings.defaultTax !== undefined ? settings.defaultTax : 0;
@@ -249,6 +415,18 @@ class App {
         if (agencyAddressEl && settings.agencyAddress) {
             agencyAddressEl.value = settings.agencyAddress;
         }
+
+        const agencyGstinEl = document.getElementById('settingsAgencyGstin');
+        if (agencyGstinEl && settings.agencyGstin) {
+            agencyGstinEl.value = settings.agencyGstin;
+        }
+        populateGstStateSelect(document.getElementById('settingsAgencyState'), settings.agencyState || '');
+
+        // Bank / UPI details printed on invoices
+        Object.entries(AGENCY_PAYMENT_FIELDS).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (el && settings[key]) el.value = settings[key];
+        });
     }
 
     /**
@@ -259,7 +437,8 @@ class App {
             'dashFilterYear',
             'filterYear',
             'analyticsYearSelect',
-            'growthYearSelect'
+            'growthYearSelect',
+            'catalogRevenueYearSelect'
         ];
 
         const startYear = 2024;
@@ -454,12 +633,15 @@ class App {
             analytics: 'Analytics',
             invoices: 'Invoices',
             clients: 'Clients',
+            clientDetail: 'Client Details',
             employees: 'Employees',
             settings: 'Settings',
             employees: 'Employees',
             settings: 'Settings',
             profile: 'My Profile',
             investments: 'Investments',
+            reconciliation: 'Bank Reconciliation',
+            profitLoss: 'Profit and Loss',
             notifications: 'Notifications'
         };
         document.getElementById('pageTitle').textContent = titles[page] || 'Dashboard';
@@ -493,6 +675,16 @@ class App {
         if (page === 'profile' && window.profileManager) {
             window.profileManager.renderProfilePage();
         }
+
+        // Load bank statements if navigating to reconciliation
+        if (page === 'reconciliation' && window.reconciliationManager) {
+            window.reconciliationManager.load();
+        }
+
+        // Build the profit and loss statement if navigating to it
+        if (page === 'profitLoss' && window.profitLossManager) {
+            window.profitLossManager.load();
+        }
     }
 
     /**
@@ -557,9 +749,7 @@ class App {
                     // Check availability
                     let option = Array.from(clientSelect.options).find(opt => opt.value === 'Petty Cash');
                     if (!option) {
-                        option = document.createElement('option');
-                        option.value = 'Petty Cash';
-                        option.text = 'Petty Cash';
+                        option = this.createFreeTextClientOption('Petty Cash');
                         clientSelect.add(option);
                     }
                     clientSelect.value = 'Petty Cash';
@@ -621,6 +811,11 @@ class App {
             this.applyFilters();
         });
 
+        document.getElementById('filterCategory').addEventListener('change', (e) => {
+            this.filters.category = e.target.value;
+            this.applyFilters();
+        });
+
         document.getElementById('clearFilters').addEventListener('click', () => this.clearFilters());
 
         document.getElementById('globalSearch').addEventListener('input', (e) => {
@@ -683,16 +878,115 @@ class App {
         await this.updateStats();
     }
 
+    /**
+     * Currencies that can have a rate (everything except the base currency)
+     */
+    populateExchangeRateCurrencies() {
+        const select = document.getElementById('exchangeRateCurrency');
+        if (!select) return;
+        populateCurrencySelect(select, '', true);
+        select.querySelector(`option[value="${window.appBaseCurrency}"]`)?.remove();
+    }
+
+    /**
+     * Render the exchange rate table in Settings (admin only)
+     */
+    async renderExchangeRates() {
+        const container = document.getElementById('exchangeRateList');
+        if (!container || !this.isAdmin) return;
+
+        let rates = [];
+        try {
+            rates = await dataLayer.getExchangeRates();
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+        }
+
+        if (rates.length === 0) {
+            container.innerHTML = '<p class="text-muted">No exchange rates yet. Amounts in other currencies are counted 1:1 until a rate is added.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Date</th><th>Currency</th><th>Rate</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${rates.map(r => `
+                        <tr>
+                            <td>${formatDate(r.rateDate)}</td>
+                            <td>${r.currency}</td>
+                            <td>1 ${r.currency} = ${window.appCurrency}${r.rate}</td>
+                            <td><button class="btn btn-sm btn-danger delete-exchange-rate" data-id="${r.id}">Delete</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.delete-exchange-rate').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                if (!(await this.showConfirmationModal('Delete Rate', 'Delete this exchange rate?'))) return;
+                try {
+                    await dataLayer.deleteExchangeRate(parseInt(btn.dataset.id));
+                    showToast('Exchange rate deleted', 'success');
+                } catch (error) {
+                    console.error('Error deleting exchange rate:', error);
+                    showToast('Failed to delete rate', 'error');
+                }
+            });
+        });
+    }
+
     /**
      * Bind settings page events
      */
     bindSettingsEvents() {
-        // Currency change
+        // Base currency change
         document.getElementById('settingsCurrency').addEventListener('change', async (e) => {
-            window.appCurrency = e.target.value;
-            await dataLayer.setSetting('currency', e.target.value);
+            const previous = window.appBaseCurrency;
+            const confirmed = await this.showConfirmationModal('Change Base Currency',
+                `Reports will be shown in ${e.target.value}. Existing records keep their amounts in ${previous}; budgets, petty cash, investments and catalogue prices are converted at the latest exchange rate. Continue?`);
+            if (!confirmed) {
+                e.target.value = previous;
+                return;
+            }
+
+            try {
+                await dataLayer.changeBaseCurrency(e.target.value);
+            } catch (error) {
+                console.error('Error changing base currency:', error);
+                e.target.value = previous;
+                showToast(`Failed to change base currency: ${error.message || 'Unknown error'}`, 'error');
+                return;
+            }
+
+            window.appBaseCurrency = e.target.value;
+            window.appCurrency = getCurrencySymbol(e.target.value);
+            this.populateExchangeRateCurrencies();
+            await this.renderExchangeRates();
             await this.refreshData();
-            showToast('Currency updated', 'success');
+            await chartsManager.updateAllCharts();
+            showToast('Base currency updated', 'success');
+        });
+
+        // Exchange rates
+        document.getElementById('exchangeRateDate').value = new Date().toISOString().split('T')[0];
+        document.getElementById('exchangeRateForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                await dataLayer.setExchangeRate({
+                    currency: document.getElementById('exchangeRateCurrency').value,
+                    rateDate: document.getElementById('exchangeRateDate').value,
+                    rate: document.getElementById('exchangeRateValue').value
+                });
+                document.getElementById('exchangeRateValue').value = '';
+                showToast('Exchange rate saved', 'success');
+            } catch (error) {
+                console.error('Error saving exchange rate:', error);
+                showToast(`Failed to save rate: ${error.message || 'Unknown error'}`, 'error');
+            }
         });
 
         // Default tax change
@@ -708,6 +1002,23 @@ class App {
                 // Prevent default if inside form
                 e.preventDefault();
 
+                const agencyGstin = document.getElementById('settingsAgencyGstin').value.trim().toUpperCase();
+                if (agencyGstin && !isValidGstin(agencyGstin)) {
+                    showToast('GSTIN format is invalid (e.g. 33ABCDE1234F1Z5)', 'error');
+                    return;
+                }
+
+                const bankIfsc = document.getElementById('settingsBankIfsc').value.trim().toUpperCase();
+                if (bankIfsc && !isValidIfsc(bankIfsc)) {
+                    showToast('IFSC format is invalid (e.g. HDFC0001234)', 'error');
+                    return;
+                }
+                const upiId = document.getElementById('settingsUpiId').value.trim();
+                if (upiId && !isValidUpiId(upiId)) {
+                    showToast('UPI ID format is invalid (e.g. youragency@okhdfcbank)', 'error');
+                    return;
+                }
+
                 const originalText = saveAgencyBtn.innerHTML;
                 saveAgencyBtn.disabled = true;
                 saveAgencyBtn.innerHTML = '<span class="spinner-small"></span> Saving...';
@@ -717,6 +1028,16 @@ class App {
                     await dataLayer.setSetting('agencyContact', document.getElementById('settingsAgencyContact').value);
                     await dataLayer.setSetting('agencyEmail', document.getElementById('settingsAgencyEmail').value);
                     await dataLayer.setSetting('agencyAddress', document.getElementById('settingsAgencyAddress').value);
+                    await dataLayer.setSetting('agencyGstin', agencyGstin);
+                    await dataLayer.setSetting('agencyState', document.getElementById('settingsAgencyState').value || getStateCodeFromGstin(agencyGstin));
+                    await dataLayer.setSetting('bankName', document.getElementById('settingsBankName').value.trim());
+                    await dataLayer.setSetting('bankAccountName', document.getElementById('settingsBankAccountName').value.trim());
+                    await dataLayer.setSetting('bankAccountNumber', document.getElementById('settingsBankAccountNumber').value.trim());
+                    await dataLayer.setSetting('bankIfsc', bankIfsc);
+                    await dataLayer.setSetting('upiId', upiId);
+
+                    // New invoices print the updated payment details
+                    await invoiceManager.loadAgencyDetails();
 
                     showToast('Agency details saved successfully', 'success');
                 } catch (error) {
@@ -788,7 +1109,7 @@ class App {
                     break;
                 case 'invoices':
                     rawData = await dataLayer.getAllInvoices();
-                    data = { invoices: this.filterDataByDate(rawData, filters) };
+                    data = { invoices: this.filterDataByDate(rawData, filters, 'invoiceDate') };
                     filename = `invoices_${dateStr}`;
                     break;
                 case 'petty_cash':
@@ -842,7 +1163,7 @@ class App {
                 this.exportToCSV(data, exportType, `${filename}.csv`);
                 showToast('CSV data exported successfully', 'success');
             } else if (format === 'pdf') {
-                this.exportToPDF(data, exportType, `${filename}.pdf`);
+                await this.exportToPDF(data, exportType, `${filename}.pdf`);
                 showToast('PDF report exported successfully', 'success');
             }
         });
@@ -933,18 +1254,24 @@ class App {
             document.getElementById('entryId').value = entry.id;
 
             document.getElementById('entryDate').value = entry.date;
-            document.getElementById('entryClient').value = entry.clientName;
+            this.selectEntryClient(entry);
             document.getElementById('entryDescription').value = entry.description || '';
             document.getElementById('entryAmount').value = entry.amount;
             document.getElementById('entryType').value = entry.type;
             document.getElementById('entryStatus').value = entry.status;
             document.getElementById('entryPaymentMode').value = entry.paymentMode;
+            document.getElementById('entryCurrency').value = entry.currency || window.appBaseCurrency;
+            window.categoryManager?.renderEntrySelect(entry.type, entry.categoryId);
+            window.attachmentManager?.resetField('entryAttachmentField', 'entry', entry.id);
             // Toggle status field based on saved entry type
             this.toggleStatusField(entry.type);
         } else {
             title.textContent = 'Add Finance Entry';
             document.getElementById('entryId').value = '';
             document.getElementById('entryDate').value = new Date().toISOString().split('T')[0];
+            document.getElementById('entryCurrency').value = window.appBaseCurrency;
+            window.categoryManager?.renderEntrySelect('income');
+            window.attachmentManager?.resetField('entryAttachmentField', 'entry');
             // Default to income, show status field
             this.toggleStatusField('income');
         }
@@ -952,6 +1279,36 @@ class App {
         modal.classList.add('active');
     }
 
+    /**
+     * Option for a name that isn't a saved client (Petty Cash, or an entry not yet linked)
+     */
+    createFreeTextClientOption(name) {
+        const option = new Option(name, name);
+        option.dataset.freeText = 'true';
+        return option;
+    }
+
+    /**
+     * Select an entry's client in the picker: its linked client, else a client
+     * with the same name (saving then links it), else its name as free text
+     */
+    selectEntryClient(entry) {
+        const select = document.getElementById('entryClient');
+        const options = Array.from(select.options);
+        const name = (entry.clientName || '').trim().toLowerCase();
+
+        const match = (entry.clientId && options.find(o => !o.dataset.freeText && o.value === String(entry.clientId))) ||
+            options.find(o => o.value && !o.dataset.freeText && o.text.trim().toLowerCase() === name);
+
+        if (match) {
+            select.value = match.value;
+        } else if (entry.clientName) {
+            const existing = options.find(o => o.dataset.freeText && o.value === entry.clientName);
+            if (!existing) select.add(this.createFreeTextClientOption(entry.clientName));
+            select.value = entry.clientName;
+        }
+    }
+
     /**
      * Toggle status field visibility based on entry type
      * Hide status for expenses (expenses are always considered paid/received)
@@ -1008,26 +1365,43 @@ class App {
         const roleLabel = role === 'admin' ? 'Admin' : 'Employee';
         const formattedCreatedBy = `${roleLabel} - ${loginName}`;
 
+        const clientOption = document.getElementById('entryClient').selectedOptions[0];
+        const isSavedClient = clientOption && clientOption.value && !clientOption.dataset.freeText;
+
         const entry = {
             date: document.getElementById('entryDate').value,
-            client: document.getElementById('entryClient').value, // Fixed key: client (not clientName)
+            clientId: isSavedClient ? parseInt(clientOption.value) : null,
+            clientName: clientOption?.value ? clientOption.text : '',
+            categoryId: parseInt(document.getElementById('entryCategory').value) || null,
             description: document.getElementById('entryDescription').value,
             amount: parseFloat(document.getElementById('entryAmount').value),
             type: document.getElementById('entryType').value,
             status: document.getElementById('entryStatus')?.value || 'pending', // Handle if hidden
             paymentMode: document.getElementById('entryPaymentMode').value,
+            currency: document.getElementById('entryCurrency').value,
             created_by_name: formattedCreatedBy
         };
 
         try {
+            let saved;
             if (id) {
-                await dataLayer.updateEntry(parseInt(id), entry);
+                saved = await dataLayer.updateEntry(parseInt(id), entry);
                 showToast('Entry updated successfully', 'success');
             } else {
-                await dataLayer.addEntry(entry);
+                saved = await dataLayer.addEntry(entry);
                 showToast('Entry added successfully', 'success');
             }
 
+            if (window.attachmentManager) {
+                const { failed } = await attachmentManager.uploadPending('entryAttachmentField', saved.id);
+                if (failed.length > 0) {
+                    // Keep the form open on the saved entry so the files can be retried
+                    document.getElementById('entryId').value = saved.id;
+                    showToast(`Entry saved, but ${failed.map(name => attachmentManager.escapeHtml(name)).join(', ')} failed to upload`, 'warning');
+                    return;
+                }
+            }
+
             this.closeEntryModal();
         } catch (error) {
             console.error('Error saving entry:', error);
@@ -1069,6 +1443,7 @@ class App {
             type: '',
             status: '',
             paymentMode: '',
+            category: '',
             search: ''
         };
 
@@ -1079,6 +1454,7 @@ class App {
         document.getElementById('filterType').value = '';
         document.getElementById('filterStatus').value = '';
         document.getElementById('filterPaymentMode').value = '';
+        document.getElementById('filterCategory').value = '';
         document.getElementById('globalSearch').value = '';
 
         await this.renderEntriesTable();
@@ -1124,6 +1500,32 @@ class App {
         if (availableEl) {
             availableEl.textContent = formatCurrency(summary.availableBalance, currency);
         }
+
+        // Warn once per set of currencies that have entries but no rate
+        const missingKey = summary.missingRates.join(',');
+        if (missingKey && missingKey !== this.lastMissingRates) {
+            showToast(`No exchange rate for ${missingKey} - those amounts are counted 1:1. Add rates in Settings.`, 'warning');
+        }
+        this.lastMissingRates = missingKey;
+
+        await this.updateOverdueStats();
+    }
+
+    /**
+     * Overdue receivables card (always as of today, independent of dashboard filters)
+     */
+    async updateOverdueStats() {
+        const amountEl = document.getElementById('overdueAmount');
+        const countEl = document.getElementById('overdueCount');
+        if (!amountEl) return;
+
+        try {
+            const aging = await dataLayer.getAgingReport();
+            amountEl.textContent = formatCurrency(aging.overdueAmount, window.appCurrency);
+            if (countEl) countEl.textContent = aging.overdueCount > 0 ? `(${aging.overdueCount})` : '';
+        } catch (error) {
+            console.error('Error loading overdue invoices:', error);
+        }
     }
 
     /**
@@ -1133,7 +1535,6 @@ class App {
         const entries = await dataLayer.getAllEntries();
         const recent = entries.slice(0, 5);
         const tbody = document.getElementById('recentTransactions');
-        const currency = window.appCurrency;
 
         if (recent.length === 0) {
             tbody.innerHTML = `
@@ -1150,9 +1551,13 @@ class App {
             <tr>
                 <td data-label="Date">${formatDate(entry.date)}</td>
                 <td data-label="Client">${entry.clientName}</td>
-                <td data-label="Description">${entry.description || '-'}</td>
+                <td data-label="Description">
+                    ${entry.description || '-'}
+                    ${entry.categoryId && window.categoryManager ? `<div class="entry-category">${categoryManager.getLabel(entry.categoryId)}</div>` : ''}
+                </td>
+                <td data-label="Attachments">${window.attachmentManager ? attachmentManager.renderThumbnails(entry.id, byRecord, urls) || '-' : '-'}</td>
                 <td data-label="Amount" style="font-weight: 600; color: ${entry.type === 'income' ? 'var(--color-success)' : 'var(--color-danger)'}">
-                    ${entry.type === 'income' ? '+' : '-'}${formatCurrency(entry.amount, currency)}
+                    ${entry.type === 'income' ? '+' : '-'}${formatMoney(entry.amount, entry.currency)}
                 </td>
                 <td data-label="Type"><span class="badge badge-${entry.type}">${entry.type}</span></td>
                 <td data-label="Status"><span class="badge badge-${entry.status}">${entry.status}</span></td>
@@ -1166,9 +1571,11 @@ class App {
      */
     async renderEntriesTable() {
         const entries = await dataLayer.getFilteredEntries(this.filters);
+        const { byRecord, urls } = window.attachmentManager
+            ? await attachmentManager.loadForRecords('entry', entries.map(e => e.id))
+            : { byRecord: new Map(), urls: new Map() };
         const tbody = document.getElementById('financeEntriesBody');
         const emptyState = document.getElementById('entriesEmptyState');
-        const currency = window.appCurrency;
 
         if (entries.length === 0) {
             tbody.innerHTML = '';
@@ -1183,10 +1590,13 @@ class App {
                 <td data-label="Client">${entry.clientName}</td>
                 <td data-label="Description">${entry.description || '-'}</td>
                 <td data-label="Amount" style="font-weight: 600; color: ${entry.type === 'income' ? 'var(--color-success)' : 'var(--color-danger)'}">
-                    ${entry.type === 'income' ? '+' : '-'}${formatCurrency(entry.amount, currency)}
+                    ${entry.type === 'income' ? '+' : '-'}${formatMoney(entry.amount, entry.currency)}
                 </td>
                 <td data-label="Type"><span class="badge badge-${entry.type}">${entry.type}</span></td>
-                <td data-label="Status"><span class="badge badge-${entry.status}">${entry.status}</span></td>
+                <td data-label="Status">
+                    <span class="badge badge-${entry.status}">${entry.status}</span>
+                    ${entry.reconciled ? '<span class="badge badge-reconciled" title="Matched to a bank statement line">Reconciled</span>' : ''}
+                </td>
                 <td data-label="Payment Mode">${formatPaymentMode(entry.paymentMode)}</td>
                 <td data-label="Created By">${entry.createdByName || '-'}</td>
                 <td data-label="Approval">
@@ -1212,6 +1622,8 @@ class App {
             </tr>
         `).join('');
 
+        window.attachmentManager?.bindThumbnails(tbody, byRecord, urls);
+
         // Bind edit/delete buttons
         tbody.querySelectorAll('.action-btn.edit').forEach(btn => {
             btn.addEventListener('click', async () => {
@@ -1323,7 +1735,6 @@ class App {
         const container = document.getElementById('pendingEntriesList');
         const countBadge = document.getElementById('pendingCount');
         const section = document.getElementById('pendingApprovalsSection');
-        const currency = window.appCurrency;
 
         if (!container || !section) return;
 
@@ -1341,8 +1752,14 @@ class App {
 
             section.style.display = 'block';
 
+            const { byRecord, urls } = window.attachmentManager
+                ? await attachmentManager.loadForRecords('entry', pendingEntries.map(e => e.id))
+                : { byRecord: new Map(), urls: new Map() };
+
             container.innerHTML = pendingEntries.map(entry => {
                 const isDeletion = entry.deletionRequested;
+                const thumbnails = window.attachmentManager ? attachmentManager.renderThumbnails(entry.id, byRecord, urls) : '';
+                const needsReceipt = !isDeletion && entry.type === 'expense' && !thumbnails;
 
                 return `
                 <div class="pending-entry-card" data-id="${entry.id}" style="${isDeletion ? 'border: 1px solid var(--color-danger); background: rgba(239, 68, 68, 0.05);' : ''}">
@@ -1359,7 +1776,7 @@ class App {
                         <span>
                             <small>Amount</small>
                             <strong style="color: ${entry.type === 'income' ? 'var(--color-success)' : 'var(--color-danger)'}">
-                                ${entry.type === 'income' ? '+' : '-'}${formatCurrency(entry.amount, currency)}
+                                ${entry.type === 'income' ? '+' : '-'}${formatMoney(entry.amount, entry.currency)}
                             </strong>
                         </span>
                         <span>
@@ -1372,13 +1789,15 @@ class App {
                                 ${entry.description || '<span style="color: var(--color-text-muted); font-style: italic;">No description provided</span>'}
                             </div>
                         </div>
+                        ${thumbnails ? `<div style="grid-column: span 2;">${thumbnails}</div>` : ''}
+                        ${needsReceipt ? '<div class="text-danger" style="grid-column: span 2; font-size: 0.8rem;">No receipt attached. Add one under View before approving this expense.</div>' : ''}
                     </div>
                     <div class="pending-entry-actions">
                         <button class="btn-view" data-id="${entry.id}" title="View Details">
                             👁 View
                         </button>
-                        <button class="btn-approve" data-id="${entry.id}" data-type="${isDeletion ? 'delete' : 'approve'}" 
-                                title="${isDeletion ? 'Confirm Delete' : 'Approve'}" 
+                        <button class="btn-approve" data-id="${entry.id}" data-type="${isDeletion ? 'delete' : 'approve'}" ${needsReceipt ? 'disabled' : ''}
+                                title="${isDeletion ? 'Confirm Delete' : (needsReceipt ? 'Receipt required' : 'Approve')}" 
                                 style="${isDeletion ? 'background-color: var(--color-danger); color: white;' : ''}">
                             ${isDeletion ? '🗑 Confirm' : '✓ Approve'}
                         </button>
@@ -1391,6 +1810,8 @@ class App {
             `;
             }).join('');
 
+            window.attachmentManager?.bindThumbnails(container, byRecord, urls);
+
             // Bind approve/confirm buttons
             container.querySelectorAll('.btn-approve').forEach(btn => {
                 btn.addEventListener('click', async () => {
@@ -1413,7 +1834,7 @@ class App {
                         }
                     } catch (error) {
                         console.error('Error action:', error);
-                        showToast('Action failed', 'error');
+                        showToast(`Action failed: ${error.message || 'Unknown error'}`, 'error');
                     }
                 });
             });
@@ -1526,12 +1947,13 @@ class App {
         switch (exportType) {
             case 'entries':
                 dataArray = data.entries || [];
-                headers = ['Date', 'Client', 'Description', 'Amount', 'Type', 'Status', 'Payment Mode', 'Created By'];
+                headers = ['Date', 'Client', 'Description', 'Amount', 'Currency', 'Type', 'Status', 'Payment Mode', 'Created By'];
                 rows = dataArray.map(entry => [
                     entry.date,
                     `"${(entry.clientName || '').replace(/"/g, '""')}"`,
                     `"${(entry.description || '').replace(/"/g, '""')}"`,
                     entry.amount,
+                    entry.currency || window.appBaseCurrency,
                     entry.type,
                     entry.status,
                     entry.paymentMode,
@@ -1541,16 +1963,24 @@ class App {
 
             case 'invoices':
                 dataArray = data.invoices || [];
-                headers = ['Invoice #', 'Client', 'Date', 'Due Date', 'Subtotal', 'Tax', 'Total', 'Status'];
+                headers = ['Invoice #', 'Client', 'Client GSTIN', 'Place of Supply', 'Date', 'Due Date', 'Currency', 'Subtotal', 'Discount', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Total Tax', 'Total', 'Status'];
                 rows = dataArray.map(inv => [
                     inv.invoiceNumber,
                     `"${(inv.clientName || '').replace(/"/g, '""')}"`,
-                    inv.date,
+                    inv.clientGstin || '',
+                    `"${getGstStateName(inv.clientState)}"`,
+                    inv.invoiceDate,
                     inv.dueDate,
+                    inv.currency || window.appBaseCurrency,
                     inv.subtotal,
-                    inv.tax,
-                    inv.total,
-                    inv.status
+                    inv.discountAmount || 0,
+                    (inv.subtotal || 0) - (inv.discountAmount || 0),
+                    inv.cgstAmount.toFixed(2),
+                    inv.sgstAmount.toFixed(2),
+                    inv.igstAmount.toFixed(2),
+                    inv.taxAmount || 0,
+                    inv.grandTotal,
+                    inv.paymentStatus
                 ]);
                 break;
 
@@ -1596,12 +2026,13 @@ class App {
             default:
                 // Export all finance entries for 'all' type
                 dataArray = data.entries || [];
-                headers = ['Date', 'Client', 'Description', 'Amount', 'Type', 'Status', 'Payment Mode', 'Created By'];
+                headers = ['Date', 'Client', 'Description', 'Amount', 'Currency', 'Type', 'Status', 'Payment Mode', 'Created By'];
                 rows = dataArray.map(entry => [
                     entry.date,
                     `"${(entry.clientName || '').replace(/"/g, '""')}"`,
                     `"${(entry.description || '').replace(/"/g, '""')}"`,
                     entry.amount,
+                    entry.currency || window.appBaseCurrency,
                     entry.type,
                     entry.status,
                     entry.paymentMode,
@@ -1628,7 +2059,7 @@ class App {
     /**
      * Export data to PDF report
      */
-    exportToPDF(data, exportType, filename) {
+    async exportToPDF(data, exportType, filename) {
         let tableColumn = [];
         let tableRows = [];
         let dataArray = [];
@@ -1645,7 +2076,7 @@ class App {
                         entry.date,
                         entry.clientName || '',
                         entry.description || '',
-                        `${window.appCurrency}${parseFloat(entry.amount).toFixed(2)}`,
+                        formatMoney(entry.amount, entry.currency),
                         entry.type.toUpperCase(),
                         entry.status.toUpperCase()
                     ];
@@ -1661,10 +2092,10 @@ class App {
                     const rowData = [
                         inv.invoiceNumber || '',
                         inv.clientName || '',
-                        inv.date || '',
+                        inv.invoiceDate || '',
                         inv.dueDate || '',
-                        `${window.appCurrency}${parseFloat(inv.total || 0).toFixed(2)}`,
-                        (inv.status || 'draft').toUpperCase()
+                        formatMoney(inv.grandTotal, inv.currency),
+                        (inv.paymentStatus || 'pending').toUpperCase()
                     ];
                     tableRows.push(rowData);
                 });
@@ -1730,7 +2161,7 @@ class App {
                         entry.date,
                         entry.clientName || '',
                         entry.description || '',
-                        `${window.appCurrency}${parseFloat(entry.amount).toFixed(2)}`,
+                        formatMoney(entry.amount, entry.currency),
                         entry.type.toUpperCase(),
                         entry.status.toUpperCase()
                     ];
@@ -1746,6 +2177,8 @@ class App {
 
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
+        const hasUnicodeFonts = await registerPdfFonts(doc, { content: [reportTitle, tableRows] });
+        const font = hasUnicodeFonts ? 'NotoSans' : 'helvetica';
 
         // Add Title
         doc.setFontSize(18);
@@ -1758,11 +2191,16 @@ class App {
         // Add AutoTable
         doc.autoTable({
             head: [tableColumn],
-            body: tableRows,
+            body: tableRows.map(row => row.map(cell => pdfSafeText(cell, hasUnicodeFonts))),
             startY: 40,
             theme: 'grid',
+            styles: { font },
             headStyles: { fillColor: [99, 102, 241] }, // Primary color
-            alternateRowStyles: { fillColor: [245, 247, 250] }
+            alternateRowStyles: { fillColor: [245, 247, 250] },
+            // Client names etc. in Tamil or Hindi need their own font
+            didParseCell: (cell) => {
+                cell.cell.styles.font = pdfFontFor(doc, cell.cell.text, font);
+            }
         });
 
         doc.save(filename);
@@ -0,0 +1,384 @@
+/**
+ * FinanceFlow - Attachments
+ * Receipts and documents (images, PDFs) on finance entries, petty cash
+ * expenses and investments: the upload field used in their forms, table
+ * thumbnails and an inline viewer
+ */
+
+// Form fields that take attachments; each is set up once and reset per record
+const ATTACHMENT_FIELDS = ['entryAttachmentField', 'investmentAttachmentField', 'pettyCashAttachmentField', 'recordAttachmentField'];
+
+// Thumbnails shown in a table cell before collapsing into "+N"
+const ATTACHMENT_THUMB_LIMIT = 3;
+
+class AttachmentManager {
+    constructor() {
+        this.fields = {};
+        this.viewer = { attachments: [], index: 0, urls: new Map() };
+        this.recordModal = { recordType: null, recordId: null };
+    }
+
+    init() {
+        ATTACHMENT_FIELDS.forEach(fieldId => this.setupField(fieldId));
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const viewerModal = document.getElementById('attachmentViewerModal');
+        document.getElementById('closeAttachmentViewer')?.addEventListener('click', () => this.closeViewer());
+        document.getElementById('attachmentViewerPrev')?.addEventListener('click', () => this.showInViewer(this.viewer.index - 1));
+        document.getElementById('attachmentViewerNext')?.addEventListener('click', () => this.showInViewer(this.viewer.index + 1));
+        viewerModal?.addEventListener('click', (e) => {
+            if (e.target === viewerModal) this.closeViewer();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (!viewerModal?.classList.contains('active')) return;
+            if (e.key === 'ArrowLeft') this.showInViewer(this.viewer.index - 1);
+            if (e.key === 'ArrowRight') this.showInViewer(this.viewer.index + 1);
+            if (e.key === 'Escape') this.closeViewer();
+        });
+
+        const recordModal = document.getElementById('recordAttachmentsModal');
+        document.getElementById('recordAttachmentsForm')?.addEventListener('submit', (e) => this.handleRecordModalSave(e));
+        document.getElementById('closeRecordAttachmentsModal')?.addEventListener('click', () => this.closeRecordModal());
+        document.getElementById('cancelRecordAttachments')?.addEventListener('click', () => this.closeRecordModal());
+        recordModal?.addEventListener('click', (e) => {
+            if (e.target === recordModal) this.closeRecordModal();
+        });
+    }
+
+    // ==================== Upload Field ====================
+
+    setupField(fieldId) {
+        const field = document.getElementById(fieldId);
+        if (!field) return;
+
+        field.querySelector('input[type="file"]').accept = ATTACHMENT_MIME_TYPES.join(',');
+        field.querySelector('input[type="file"]').addEventListener('change', (e) => {
+            this.queueFiles(fieldId, Array.from(e.target.files));
+            e.target.value = '';
+        });
+
+        this.fields[fieldId] = this.createFieldState();
+    }
+
+    createFieldState(recordType = null, recordId = null) {
+        return { recordType, recordId, existing: [], pending: [], urls: new Map(), currentUserId: null };
+    }
+
+    /**
+     * Show a record's attachments in a field and clear anything queued
+     * @param {number|null} recordId - null while the record is being created
+     */
+    async resetField(fieldId, recordType, recordId = null) {
+        if (!this.fields[fieldId]) return;
+
+        const state = this.createFieldState(recordType, recordId);
+        this.fields[fieldId] = state;
+        this.renderField(fieldId);
+
+        try {
+            state.currentUserId = await dataLayer.getCurrentUserId();
+            if (recordId) {
+                state.existing = await dataLayer.getAttachments(recordType, [recordId]);
+                state.urls = await dataLayer.getAttachmentUrls(state.existing);
+            }
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+            showToast(`Failed to load attachments: ${error.message || 'Unknown error'}`, 'error');
+        }
+
+        // Another record may have been opened meanwhile
+        if (this.fields[fieldId] === state) this.renderField(fieldId);
+    }
+
+    queueFiles(fieldId, files) {
+        const state = this.fields[fieldId];
+        const rejected = [];
+
+        files.forEach(file => {
+            if (!ATTACHMENT_MIME_TYPES.includes(file.type)) {
+                rejected.push(`${this.escapeHtml(file.name)} isn't an image or PDF`);
+            } else if (file.size > ATTACHMENT_MAX_BYTES) {
+                rejected.push(`${this.escapeHtml(file.name)} is over ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB`);
+            } else {
+                state.pending.push({ file, progress: 0, error: null, previewUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null });
+            }
+        });
+
+        if (rejected.length > 0) showToast(rejected.join('; '), 'error');
+        this.renderField(fieldId);
+    }
+
+    renderField(fieldId) {
+        const state = this.fields[fieldId];
+        const list = document.getElementById(fieldId)?.querySelector('.attachment-items');
+        if (!state || !list) return;
+
+        const canRemove = (attachment) => app.isAdmin || attachment.userId === state.currentUserId;
+        const preview = (url, isImage) => isImage && url
+            ? `<img src="${url}" alt="" loading="lazy">`
+            : '<span class="attachment-thumb-pdf">PDF</span>';
+
+        list.innerHTML = [
+            ...state.existing.map((attachment, index) => `
+                <div class="attachment-item">
+                    <button type="button" class="attachment-thumb view-attachment" data-index="${index}" title="View ${this.escapeHtml(attachment.fileName)}">
+                        ${preview(state.urls.get(attachment.filePath), attachment.isImage)}
+                    </button>
+                    <div class="attachment-item-info">
+                        <span class="attachment-item-name">${this.escapeHtml(attachment.fileName)}</span>
+                        <small class="text-muted">${this.formatFileSize(attachment.sizeBytes)} • ${this.escapeHtml(attachment.uploadedByName || 'Unknown')}</small>
+                    </div>
+                    ${canRemove(attachment) ? `<button type="button" class="btn btn-sm btn-secondary remove-attachment" data-id="${attachment.id}">Remove</button>` : ''}
+                </div>
+            `),
+            ...state.pending.map((item, index) => `
+                <div class="attachment-item attachment-pending">
+                    <span class="attachment-thumb">${preview(item.previewUrl, Boolean(item.previewUrl))}</span>
+                    <div class="attachment-item-info">
+                        <span class="attachment-item-name">${this.escapeHtml(item.file.name)}</span>
+                        ${item.error
+                            ? `<small class="text-danger">${this.escapeHtml(item.error)}</small>`
+                            : `<div class="attachment-progress"><div class="attachment-progress-bar" data-index="${index}" style="width: ${Math.round(item.progress * 100)}%"></div></div>`}
+                    </div>
+                    <button type="button" class="btn btn-sm btn-secondary unqueue-attachment" data-index="${index}">Remove</button>
+                </div>
+            `)
+        ].join('') || '<p class="text-muted attachment-empty">No files attached.</p>';
+
+        list.querySelectorAll('.view-attachment').forEach(btn => {
+            btn.addEventListener('click', () => this.openViewer(state.existing, parseInt(btn.dataset.index), state.urls));
+        });
+        list.querySelectorAll('.remove-attachment').forEach(btn => {
+            btn.addEventListener('click', () => this.removeExisting(fieldId, parseInt(btn.dataset.id)));
+        });
+        list.querySelectorAll('.unqueue-attachment').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const [item] = state.pending.splice(parseInt(btn.dataset.index), 1);
+                if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+                this.renderField(fieldId);
+            });
+        });
+    }
+
+    /**
+     * Files in the field, saved and queued
+     */
+    countFiles(fieldId) {
+        const state = this.fields[fieldId];
+        return state ? state.existing.length + state.pending.length : 0;
+    }
+
+    /**
+     * Upload the queued files to a record, one at a time with progress.
+     * Files that fail stay queued with their error so they can be retried.
+     * @returns {Promise<{uploaded: number, failed: Array<string>}>}
+     */
+    async uploadPending(fieldId, recordId) {
+        const state = this.fields[fieldId];
+        if (!state || state.pending.length === 0) return { uploaded: 0, failed: [] };
+
+        state.recordId = recordId;
+        state.pending.forEach(item => {
+            item.error = null;
+            item.progress = 0;
+        });
+        this.renderField(fieldId);
+
+        let uploaded = 0;
+        const failed = [];
+        for (const item of [...state.pending]) {
+            const bar = () => document.getElementById(fieldId)
+                ?.querySelector(`.attachment-progress-bar[data-index="${state.pending.indexOf(item)}"]`);
+            try {
+                const attachment = await dataLayer.uploadAttachment(state.recordType, recordId, item.file, (fraction) => {
+                    item.progress = fraction;
+                    const el = bar();
+                    if (el) el.style.width = `${Math.round(fraction * 100)}%`;
+                });
+                state.pending.splice(state.pending.indexOf(item), 1);
+                if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+                state.existing.push(attachment);
+                uploaded++;
+            } catch (error) {
+                console.error('Error uploading attachment:', error);
+                item.error = error.message || 'Upload failed';
+                failed.push(item.file.name);
+            }
+            this.renderField(fieldId);
+        }
+
+        if (uploaded > 0) {
+            state.urls = await dataLayer.getAttachmentUrls(state.existing).catch(() => state.urls);
+            this.renderField(fieldId);
+        }
+        return { uploaded, failed };
+    }
+
+    async removeExisting(fieldId, attachmentId) {
+        const state = this.fields[fieldId];
+        const attachment = state.existing.find(a => a.id === attachmentId);
+        if (!attachment) return;
+
+        const confirmed = await app.showConfirmationModal('Remove Attachment', `Remove "${attachment.fileName}"?`);
+        if (!confirmed) return;
+
+        try {
+            await dataLayer.deleteAttachment(attachment);
+            state.existing = state.existing.filter(a => a.id !== attachmentId);
+            this.renderField(fieldId);
+            showToast('Attachment removed', 'success');
+        } catch (error) {
+            console.error('Error removing attachment:', error);
+            showToast(`Failed to remove attachment: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    // ==================== Record Attachments Modal ====================
+
+    /**
+     * Add or view files for a record that has no edit form (petty cash)
+     */
+    async openRecordModal(recordType, recordId, title) {
+        this.recordModal = { recordType, recordId };
+        document.getElementById('recordAttachmentsTitle').textContent = title || 'Attachments';
+        document.getElementById('recordAttachmentsModal').classList.add('active');
+        await this.resetField('recordAttachmentField', recordType, recordId);
+    }
+
+    closeRecordModal() {
+        document.getElementById('recordAttachmentsModal').classList.remove('active');
+    }
+
+    async handleRecordModalSave(e) {
+        e.preventDefault();
+
+        const { uploaded, failed } = await this.uploadPending('recordAttachmentField', this.recordModal.recordId);
+        if (failed.length > 0) {
+            showToast(`Failed to upload ${failed.map(name => this.escapeHtml(name)).join(', ')}`, 'error');
+            return;
+        }
+
+        if (uploaded > 0) showToast(`Uploaded ${uploaded} file(s)`, 'success');
+        this.closeRecordModal();
+    }
+
+    // ==================== Table Thumbnails ====================
+
+    /**
+     * Attachments and viewing links for the records in a table
+     * @returns {Promise<{byRecord: Map<number, Array>, urls: Map<string, string>}>}
+     */
+    async loadForRecords(recordType, recordIds) {
+        try {
+            const attachments = await dataLayer.getAttachments(recordType, recordIds);
+            const byRecord = new Map();
+            attachments.forEach(a => {
+                if (!byRecord.has(a.recordId)) byRecord.set(a.recordId, []);
+                byRecord.get(a.recordId).push(a);
+            });
+
+            // Only images need a link up front; PDFs get theirs when opened
+            const urls = await dataLayer.getAttachmentUrls(attachments.filter(a => a.isImage));
+            return { byRecord, urls };
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+            return { byRecord: new Map(), urls: new Map() };
+        }
+    }
+
+    renderThumbnails(recordId, byRecord, urls) {
+        const attachments = byRecord.get(recordId) || [];
+        if (attachments.length === 0) return '';
+
+        const shown = attachments.slice(0, ATTACHMENT_THUMB_LIMIT);
+        const more = attachments.length - shown.length;
+
+        return `
+            <div class="attachment-thumbs">
+                ${shown.map((a, index) => `
+                    <button type="button" class="attachment-thumb" data-record-id="${recordId}" data-index="${index}" title="${this.escapeHtml(a.fileName)}">
+                        ${a.isImage && urls.get(a.filePath) ? `<img src="${urls.get(a.filePath)}" alt="" loading="lazy">` : '<span class="attachment-thumb-pdf">PDF</span>'}
+                    </button>
+                `).join('')}
+                ${more > 0 ? `<button type="button" class="attachment-thumb attachment-thumb-more" data-record-id="${recordId}" data-index="${ATTACHMENT_THUMB_LIMIT}">+${more}</button>` : ''}
+            </div>
+        `;
+    }
+
+    bindThumbnails(container, byRecord, urls) {
+        container.querySelectorAll('.attachment-thumb[data-record-id]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openViewer(byRecord.get(parseInt(btn.dataset.recordId)) || [], parseInt(btn.dataset.index), urls);
+            });
+        });
+    }
+
+    // ==================== Viewer ====================
+
+    async openViewer(attachments, index = 0, urls = new Map()) {
+        if (attachments.length === 0) return;
+
+        this.viewer = { attachments, index: 0, urls: new Map(urls) };
+        document.getElementById('attachmentViewerModal').classList.add('active');
+        await this.showInViewer(index);
+    }
+
+    closeViewer() {
+        document.getElementById('attachmentViewerModal').classList.remove('active');
+        // Stop a PDF from staying loaded in the background
+        document.getElementById('attachmentViewerBody').innerHTML = '';
+    }
+
+    async showInViewer(index) {
+        const { attachments } = this.viewer;
+        if (index < 0 || index >= attachments.length) return;
+
+        this.viewer.index = index;
+        const attachment = attachments[index];
+        const body = document.getElementById('attachmentViewerBody');
+
+        document.getElementById('attachmentViewerTitle').textContent = attachment.fileName;
+        document.getElementById('attachmentViewerPosition').textContent = attachments.length > 1 ? `${index + 1} of ${attachments.length}` : '';
+        document.getElementById('attachmentViewerPrev').disabled = index === 0;
+        document.getElementById('attachmentViewerNext').disabled = index === attachments.length - 1;
+
+        let url = this.viewer.urls.get(attachment.filePath);
+        if (!url) {
+            body.innerHTML = '<p class="text-muted">Loading...</p>';
+            try {
+                url = (await dataLayer.getAttachmentUrls([attachment])).get(attachment.filePath);
+                this.viewer.urls.set(attachment.filePath, url);
+            } catch (error) {
+                body.innerHTML = `<p class="text-danger">Couldn't load ${this.escapeHtml(attachment.fileName)}: ${this.escapeHtml(error.message || 'Unknown error')}</p>`;
+                return;
+            }
+            // Moved on while the link loaded
+            if (this.viewer.index !== index) return;
+        }
+
+        document.getElementById('attachmentViewerOpen').href = url;
+        body.innerHTML = attachment.isImage
+            ? `<img src="${url}" alt="${this.escapeHtml(attachment.fileName)}">`
+            : `<iframe src="${url}" title="${this.escapeHtml(attachment.fileName)}"></iframe>`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS. Quotes too: file names also go into attributes.
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+}
+
+window.attachmentManager = new AttachmentManager();
@@ -0,0 +1,934 @@
+/**
+ * FinanceFlow - Bank Reconciliation
+ * Imports bank statements (CSV with per-bank column presets, or OFX/QFX),
+ * matches each line to the finance entry it records and reports what is
+ * left over on either side for a period. Admins only.
+ */
+
+// Fields a statement column can be mapped to
+const BANK_STATEMENT_FIELDS = [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'description', label: 'Description' },
+    { key: 'reference', label: 'Reference' },
+    { key: 'debit', label: 'Withdrawal' },
+    { key: 'credit', label: 'Deposit' },
+    { key: 'amount', label: 'Amount (signed)' },
+    { key: 'direction', label: 'Dr / Cr' },
+    { key: 'balance', label: 'Balance' }
+];
+
+// Column names per bank export. Anything not listed falls back to the
+// generic names, so a slightly different export still maps itself.
+const BANK_STATEMENT_PRESETS = {
+    generic: {
+        label: 'Other bank',
+        dateFormat: 'DMY',
+        columns: {
+            date: ['date', 'transaction date', 'txn date', 'tran date', 'posting date', 'value date'],
+            description: ['description', 'narration', 'particulars', 'details', 'transaction details', 'remarks', 'transaction remarks'],
+            reference: ['reference', 'ref no', 'reference no', 'cheque no', 'chq no', 'chq./ref.no.', 'ref no./cheque no.', 'cheque number'],
+            debit: ['debit', 'withdrawal', 'withdrawals', 'withdrawal amt.', 'withdrawal amount', 'debit amount', 'dr'],
+            credit: ['credit', 'deposit', 'deposits', 'deposit amt.', 'deposit amount', 'credit amount', 'cr'],
+            amount: ['amount', 'transaction amount'],
+            direction: ['dr / cr', 'dr/cr', 'cr/dr', 'type'],
+            balance: ['balance', 'closing balance', 'running balance', 'available balance', 'bal']
+        }
+    },
+    hdfc: {
+        label: 'HDFC Bank',
+        dateFormat: 'DMY',
+        columns: {
+            date: ['date'],
+            description: ['narration'],
+            reference: ['chq./ref.no.'],
+            debit: ['withdrawal amt.'],
+            credit: ['deposit amt.'],
+            balance: ['closing balance']
+        }
+    },
+    icici: {
+        label: 'ICICI Bank',
+        dateFormat: 'DMY',
+        columns: {
+            date: ['transaction date', 'value date'],
+            description: ['transaction remarks'],
+            reference: ['cheque number'],
+            debit: ['withdrawal amount (inr )', 'withdrawal amount'],
+            credit: ['deposit amount (inr )', 'deposit amount'],
+            balance: ['balance (inr )', 'balance']
+        }
+    },
+    sbi: {
+        label: 'State Bank of India',
+        dateFormat: 'DMY',
+        columns: {
+            date: ['txn date'],
+            description: ['description'],
+            reference: ['ref no./cheque no.'],
+            debit: ['debit'],
+            credit: ['credit'],
+            balance: ['balance']
+        }
+    },
+    axis: {
+        label: 'Axis Bank',
+        dateFormat: 'DMY',
+        columns: {
+            date: ['tran date'],
+            description: ['particulars'],
+            reference: ['chqno'],
+            debit: ['dr'],
+            credit: ['cr'],
+            balance: ['bal']
+        }
+    },
+    kotak: {
+        label: 'Kotak Mahindra Bank',
+        dateFormat: 'DMY',
+        columns: {
+            date: ['transaction date', 'date'],
+            description: ['description'],
+            reference: ['chq / ref no.', 'chq/ref no'],
+            amount: ['amount'],
+            direction: ['dr / cr'],
+            balance: ['balance']
+        }
+    },
+    us: {
+        label: 'US bank (month first)',
+        dateFormat: 'MDY',
+        columns: {
+            date: ['posting date', 'transaction date', 'date'],
+            description: ['description'],
+            reference: ['check or slip #', 'check number'],
+            amount: ['amount'],
+            balance: ['balance']
+        }
+    }
+};
+
+// Rows searched for the header line (exports often start with account details)
+const BANK_STATEMENT_HEADER_SEARCH_ROWS = 15;
+// Statement lines shown in the import preview
+const BANK_STATEMENT_PREVIEW_LIMIT = 50;
+// How far from a line's date manual-match suggestions may be
+const BANK_SUGGESTION_WINDOW_DAYS = 31;
+
+const STATEMENT_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeStatementHeader = (header) => normalizeImportHeader(header).replace(/[^a-z0-9]/g, '');
+
+/**
+ * YYYY-MM-DD from a bank's date, or null. Handles YYYY-MM-DD, numeric dates
+ * in the given order (DMY or MDY, 2- or 4-digit years), month names
+ * ("01 Apr 2024", "1-Apr-24", "Apr 1, 2024") and a trailing time.
+ */
+function parseStatementDate(value, dateFormat = 'DMY') {
+    const text = String(value || '').trim().replace(/[T\s]+\d{1,2}:\d{2}(:\d{2})?(\.\d+)?\s*(am|pm|Z|[+-][\d:]+)?$/i, '');
+    let year, month, day;
+    let match;
+
+    if ((match = text.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/))) {
+        [year, month, day] = [match[1], match[2], match[3]];
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+        [day, month] = dateFormat === 'MDY' ? [match[2], match[1]] : [match[1], match[2]];
+        year = match[3];
+    } else if ((match = text.match(/^(\d{1,2})[\s/-]+([a-z]{3,})[\s/,-]+(\d{2}|\d{4})$/i))) {
+        [day, month, year] = [match[1], STATEMENT_MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, match[3]];
+    } else if ((match = text.match(/^([a-z]{3,})[\s-]+(\d{1,2}),?[\s-]+(\d{2}|\d{4})$/i))) {
+        [month, day, year] = [STATEMENT_MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, match[2], match[3]];
+    } else {
+        return null;
+    }
+
+    if (String(year).length === 2) year = 2000 + +year;
+    const date = new Date(Date.UTC(+year, +month - 1, +day));
+    if (!+month || date.getUTCFullYear() !== +year || date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) return null;
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Number from a statement cell: { value, sign } where sign is +1/-1 when the
+ * cell says Cr/Dr (or uses brackets for a withdrawal), otherwise null.
+ * Blank cells give a null value.
+ */
+function parseStatementAmount(value) {
+    let text = String(value ?? '').trim();
+    if (!text) return { value: null, sign: null };
+
+    let sign = null;
+    const marker = text.match(/\b(cr|dr)\.?$/i) || text.match(/^(cr|dr)\b\.?/i);
+    if (marker) {
+        sign = marker[1].toLowerCase() === 'cr' ? 1 : -1;
+        text = text.replace(marker[0], '').trim();
+    }
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+
+    return { value: parseImportNumber(text), sign };
+}
+
+/**
+ * OFX amounts have no thousands separators, and banks in comma-decimal
+ * locales write "-12,50" - a lone comma is the decimal point
+ * @returns {number|null}
+ */
+function parseOfxAmount(text) {
+    const value = String(text || '').trim();
+    return parseImportNumber(/^[^,.]*,[^,.]*$/.test(value) ? value.replace(',', '.') : value);
+}
+
+/**
+ * Transactions from an OFX or QFX file (SGML 1.x or XML 2.x)
+ * @returns {{ accountId: string, currency: string, lines: Array<Object>, errors: Array<string> }}
+ */
+function parseOfx(text) {
+    const tag = (block, name) => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim() : '';
+    };
+    const decode = (value) => value
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+    if (!/<OFX>/i.test(text)) throw new Error('Not an OFX file');
+
+    const errors = [];
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    const lines = blocks.map((block, index) => {
+        const posted = tag(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+        const date = posted ? parseStatementDate(`${posted[1]}-${posted[2]}-${posted[3]}`) : null;
+        const amount = parseOfxAmount(tag(block, 'TRNAMT'));
+        const name = decode(tag(block, 'NAME'));
+        const memo = decode(tag(block, 'MEMO'));
+
+        if (!date) errors.push(`Transaction ${index + 1}: invalid date "${tag(block, 'DTPOSTED')}"`);
+        if (amount === null || Number.isNaN(amount)) errors.push(`Transaction ${index + 1}: invalid amount "${tag(block, 'TRNAMT')}"`);
+
+        return {
+            sourceRow: index + 1,
+            fitId: tag(block, 'FITID') || null,
+            date,
+            description: [name, memo].filter((part, i, parts) => part && parts.indexOf(part) === i).join(' - '),
+            reference: tag(block, 'CHECKNUM') || tag(block, 'REFNUM'),
+            amount,
+            balance: null
+        };
+    });
+
+    return {
+        accountId: tag(text, 'ACCTID'),
+        currency: CURRENCIES.some(c => c.code === tag(text, 'CURDEF').toUpperCase()) ? tag(text, 'CURDEF').toUpperCase() : '',
+        lines: lines.filter(line => line.date && line.amount !== null && !Number.isNaN(line.amount)),
+        errors
+    };
+}
+
+class ReconciliationManager {
+    constructor() {
+        this.report = null;
+        this.entries = [];
+        this.accounts = [];
+        // Import modal state
+        this.fileName = '';
+        this.csv = null;        // { rows } of the CSV file
+        this.ofx = null;        // Parsed OFX file
+        this.headerRow = 0;
+        this.mapping = {};      // field key -> column index
+        this.parsed = { lines: [], skipped: [] };
+    }
+
+    init() {
+        document.getElementById('statementImportPreset').innerHTML = Object.entries(BANK_STATEMENT_PRESETS)
+            .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`).join('');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const importInput = document.getElementById('statementImportInput');
+        document.getElementById('importStatementBtn')?.addEventListener('click', () => importInput.click());
+        importInput?.addEventListener('change', (e) => this.handleFile(e));
+        document.getElementById('autoMatchStatementBtn')?.addEventListener('click', () => this.autoMatch());
+        document.getElementById('downloadReconciliationReport')?.addEventListener('click', () => this.downloadReport());
+
+        ['reconAccount', 'reconFromDate', 'reconToDate'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.load());
+        });
+        document.getElementById('reconStatus')?.addEventListener('change', () => this.renderLines());
+
+        const modal = document.getElementById('statementImportModal');
+        document.getElementById('closeStatementImportModal')?.addEventListener('click', () => this.closeImportModal());
+        document.getElementById('cancelStatementImport')?.addEventListener('click', () => this.closeImportModal());
+        document.getElementById('confirmStatementImport')?.addEventListener('click', () => this.runImport());
+        document.getElementById('statementImportPreset')?.addEventListener('change', (e) => {
+            document.getElementById('statementImportDateFormat').value = BANK_STATEMENT_PRESETS[e.target.value].dateFormat;
+            this.detectColumns();
+        });
+        ['statementImportDateFormat', 'statementImportCurrency'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.preview());
+        });
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeImportModal();
+        });
+
+        // Keep the page current while it's open
+        const refresh = () => {
+            if (app.currentPage === 'reconciliation') this.load();
+        };
+        [DATA_STORES.BANK_STATEMENT_LINES, DATA_STORES.ENTRIES].forEach(store => dataLayer.subscribe(store, refresh));
+    }
+
+    getFilters() {
+        return {
+            account: document.getElementById('reconAccount').value,
+            fromDate: document.getElementById('reconFromDate').value,
+            toDate: document.getElementById('reconToDate').value
+        };
+    }
+
+    async load() {
+        try {
+            const [report, accounts, entries] = await Promise.all([
+                dataLayer.getReconciliationReport(this.getFilters()),
+                dataLayer.getStatementAccounts(),
+                dataLayer.getAllEntries()
+            ]);
+            this.report = report;
+            this.accounts = accounts;
+            this.entries = entries;
+            this.render();
+        } catch (error) {
+            console.error('Error loading reconciliation:', error);
+            showToast(`Failed to load bank statements: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    render() {
+        this.renderAccountSelect();
+        this.renderSummary();
+        this.renderLines();
+        this.renderUnreconciledEntries();
+    }
+
+    renderAccountSelect() {
+        const select = document.getElementById('reconAccount');
+        const current = select.value;
+        select.innerHTML = `
+            <option value="">All Accounts</option>
+            ${this.accounts.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('')}
+        `;
+        select.value = this.accounts.includes(current) ? current : '';
+
+        document.getElementById('statementAccountList').innerHTML =
+            this.accounts.map(name => `<option value="${this.escapeHtml(name)}"></option>`).join('');
+    }
+
+    renderSummary() {
+        const { summary, currency } = this.report;
+        // Lines in several currencies can't be added up into one balance
+        const money = (value) => currency ? formatMoney(value, currency) : '-';
+
+        document.getElementById('reconMatchedValue').textContent = `${summary.matchedCount} / ${summary.lineCount}`;
+        document.getElementById('reconMatchedAmount').textContent = summary.lineCount ? `(${money(summary.matchedAmount)})` : '';
+        document.getElementById('reconUnmatchedValue').textContent = summary.unmatchedCount;
+        document.getElementById('reconUnmatchedAmount').textContent = summary.unmatchedCount ? `(${money(summary.unmatchedAmount)})` : '';
+        document.getElementById('reconClosingBalance').textContent = summary.closingBalance === null ? '-' : money(summary.closingBalance);
+        document.getElementById('reconOpenEntriesValue').textContent = summary.unreconciledEntryCount;
+
+        document.getElementById('reconBalanceNote').textContent = summary.openingBalance === null
+            ? ''
+            : `Opening ${money(summary.openingBalance)} + deposits ${money(summary.deposits)} − withdrawals ${money(summary.withdrawals)} = ${money(summary.openingBalance + summary.net)}`;
+    }
+
+    renderLines() {
+        const body = document.getElementById('reconLinesBody');
+        const status = document.getElementById('reconStatus').value;
+        const lines = this.report.lines.filter(line => !status || line.status === status);
+        const showAccount = !this.getFilters().account && this.accounts.length > 1;
+
+        document.getElementById('reconLinesEmptyState').classList.toggle('hidden', lines.length > 0);
+        document.getElementById('reconLinesEmptyText').textContent = this.report.lines.length === 0
+            ? 'Import a CSV or OFX statement from your bank to start matching'
+            : 'No lines with this status';
+
+        body.innerHTML = lines.map(line => `
+            <tr class="recon-line-${line.status}">
+                <td data-label="Date">${formatDate(line.date)}</td>
+                <td data-label="Description">
+                    ${this.escapeHtml(line.description || '-')}
+                    ${line.reference ? `<div class="entry-category">Ref: ${this.escapeHtml(line.reference)}</div>` : ''}
+                    ${showAccount ? `<div class="entry-category">${this.escapeHtml(line.accountName)}</div>` : ''}
+                </td>
+                <td data-label="Amount" style="font-weight: 600; color: ${line.amount >= 0 ? 'var(--color-success)' : 'var(--color-danger)'}">
+                    ${line.amount >= 0 ? '+' : '-'}${formatMoney(Math.abs(line.amount), line.currency)}
+                </td>
+                <td data-label="Balance">${line.balance === null ? '-' : formatMoney(line.balance, line.currency)}</td>
+                <td data-label="Status"><span class="badge badge-recon-${line.status}">${line.status}</span></td>
+                <td data-label="Entry">${this.renderLineEntry(line)}</td>
+                <td data-label="Actions" class="reminder-row-actions">${this.renderLineActions(line)}</td>
+            </tr>
+        `).join('');
+
+        body.querySelectorAll('.recon-link-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const select = body.querySelector(`.recon-link-select[data-id="${btn.dataset.id}"]`);
+                this.linkLine(parseInt(btn.dataset.id), parseInt(select?.value));
+            });
+        });
+        body.querySelectorAll('.recon-create-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.createEntry(parseInt(btn.dataset.id), btn));
+        });
+        body.querySelectorAll('.recon-unlink-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.unlinkLine(parseInt(btn.dataset.id)));
+        });
+        body.querySelectorAll('.recon-ignore-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setIgnored(parseInt(btn.dataset.id), btn.dataset.ignored === 'true'));
+        });
+    }
+
+    /**
+     * The matched entry, or a picker of likely entries for an open line
+     */
+    renderLineEntry(line) {
+        if (line.status === 'matched') {
+            if (!line.entry) return '<span class="form-help">Entry not visible</span>';
+            return `
+                <div>${this.escapeHtml(line.entry.clientName || '-')}</div>
+                <div class="entry-category">${formatDate(line.entry.date)} • ${line.matchedBy === 'auto' ? 'Auto-matched' : 'Matched by hand'}</div>
+            `;
+        }
+        if (line.status === 'ignored') return '<span class="form-help">No entry needed</span>';
+
+        const suggestions = this.getSuggestions(line);
+        if (suggestions.length === 0) return '<span class="form-help">No matching entry</span>';
+
+        return `
+            <select class="filter-select recon-link-select" data-id="${line.id}">
+                ${suggestions.map(entry => `
+                    <option value="${entry.id}">${formatDate(entry.date)} • ${this.escapeHtml(entry.clientName || '-')} • ${formatMoney(entry.amount, entry.currency || getBaseCurrency())}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    renderLineActions(line) {
+        if (line.status === 'matched') {
+            return `<button class="btn btn-sm btn-secondary recon-unlink-btn" data-id="${line.id}">Unmatch</button>`;
+        }
+        if (line.status === 'ignored') {
+            return `<button class="btn btn-sm btn-secondary recon-ignore-btn" data-id="${line.id}" data-ignored="false">Restore</button>`;
+        }
+
+        return `
+            ${this.getSuggestions(line).length ? `<button class="btn btn-sm btn-primary recon-link-btn" data-id="${line.id}">Match</button>` : ''}
+            <button class="btn btn-sm btn-secondary recon-create-btn" data-id="${line.id}">Create Entry</button>
+            <button class="btn btn-sm btn-secondary recon-ignore-btn" data-id="${line.id}" data-ignored="true">Ignore</button>
+        `;
+    }
+
+    /**
+     * Unreconciled bank entries an open line could be: same direction and
+     * currency, within a month, best fits first. Looser than auto-matching so
+     * a payment short by bank charges can still be matched by hand.
+     */
+    getSuggestions(line) {
+        const type = line.amount >= 0 ? 'income' : 'expense';
+        const daysApart = (entry) => Math.abs(Date.parse(line.date) - Date.parse(entry.date)) / 86400000;
+
+        return this.entries
+            .filter(e => !e.reconciled && e.paymentMode !== 'cash' && e.type === type &&
+                (e.currency || getBaseCurrency()) === line.currency && daysApart(e) <= BANK_SUGGESTION_WINDOW_DAYS)
+            .map(entry => ({
+                entry,
+                score: getStatementMatchScore(line, entry),
+                difference: Math.abs(Math.abs(line.amount) - (parseFloat(entry.amount) || 0))
+            }))
+            .sort((a, b) => b.score - a.score || a.difference - b.difference || daysApart(a.entry) - daysApart(b.entry))
+            .slice(0, 8)
+            .map(s => s.entry);
+    }
+
+    renderUnreconciledEntries() {
+        const container = document.getElementById('reconOpenEntries');
+        const entries = this.report.unreconciledEntries;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">Every bank entry in this period is reconciled.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Date</th><th>Client</th><th>Description</th><th>Mode</th><th>Amount</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td>${formatDate(entry.date)}</td>
+                            <td>${this.escapeHtml(entry.clientName || '-')}</td>
+                            <td>${this.escapeHtml(entry.description || '-')}</td>
+                            <td>${formatPaymentMode(entry.paymentMode)}</td>
+                            <td style="font-weight: 600; color: ${entry.type === 'income' ? 'var(--color-success)' : 'var(--color-danger)'}">
+                                ${entry.type === 'income' ? '+' : '-'}${formatMoney(entry.amount, entry.currency || getBaseCurrency())}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    findLine(id) {
+        return this.report?.lines.find(line => line.id === id);
+    }
+
+    async autoMatch() {
+        const btn = document.getElementById('autoMatchStatementBtn');
+        btn.disabled = true;
+        try {
+            const matched = await dataLayer.autoMatchStatementLines(this.getFilters());
+            showToast(matched > 0 ? `Matched ${matched} line${matched === 1 ? '' : 's'}` : 'No new matches found',
+                matched > 0 ? 'success' : 'info');
+        } catch (error) {
+            console.error('Error matching statement:', error);
+            showToast(`Failed to match statement: ${error.message || 'Unknown error'}`, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async linkLine(lineId, entryId) {
+        if (!entryId) return;
+        try {
+            await dataLayer.linkStatementLine(lineId, entryId);
+            showToast('Line matched', 'success');
+        } catch (error) {
+            console.error('Error matching line:', error);
+            showToast(`Failed to match line: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    async unlinkLine(lineId) {
+        const line = this.findLine(lineId);
+        if (!line) return;
+        try {
+            await dataLayer.unlinkStatementLine(line);
+            showToast('Match removed', 'success');
+        } catch (error) {
+            console.error('Error unmatching line:', error);
+            showToast(`Failed to unmatch line: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    async createEntry(lineId, btn) {
+        const line = this.findLine(lineId);
+        if (!line) return;
+
+        btn.disabled = true;
+        try {
+            const entry = await dataLayer.createEntryFromStatementLine(line);
+            showToast(`${entry.type === 'income' ? 'Income' : 'Expense'} entry created for ${this.escapeHtml(entry.clientName)}`, 'success');
+        } catch (error) {
+            console.error('Error creating entry:', error);
+            showToast(`Failed to create entry: ${error.message || 'Unknown error'}`, 'error');
+            btn.disabled = false;
+        }
+    }
+
+    async setIgnored(lineId, ignored) {
+        try {
+            await dataLayer.setStatementLineIgnored(lineId, ignored);
+        } catch (error) {
+            console.error('Error updating line:', error);
+            showToast(`Failed to update line: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * CSV of the period: summary, every statement line with its match, and
+     * the entries not on the statement
+     */
+    downloadReport() {
+        if (!this.report) return;
+
+        const { account, fromDate, toDate, currency, summary, lines, unreconciledEntries } = this.report;
+        const amount = (value) => value === null ? '' : value.toFixed(2);
+        const row = (cells) => cells.map(toCsvCell).join(',');
+
+        const rows = [
+            row(['Bank Reconciliation Report']),
+            row(['Account', account || 'All accounts']),
+            row(['Period', `${fromDate || 'Start'} to ${toDate || new Date().toISOString().split('T')[0]}`]),
+            row(['Currency', currency || 'Mixed']),
+            '',
+            row(['Opening balance (bank)', amount(summary.openingBalance)]),
+            row(['Deposits', amount(summary.deposits)]),
+            row(['Withdrawals', amount(summary.withdrawals)]),
+            row(['Closing balance (bank)', amount(summary.closingBalance)]),
+            row(['Matched lines', summary.matchedCount, amount(summary.matchedAmount)]),
+            row(['Unmatched lines', summary.unmatchedCount, amount(summary.unmatchedAmount)]),
+            row(['Ignored lines', summary.ignoredCount, amount(summary.ignoredAmount)]),
+            row(['Entries not on statement', summary.unreconciledEntryCount]),
+            '',
+            row(['Date', 'Account', 'Description', 'Reference', 'Amount', 'Balance', 'Status', 'Matched by', 'Entry date', 'Entry client', 'Entry description']),
+            ...lines.map(line => row([
+                line.date,
+                line.accountName,
+                line.description,
+                line.reference,
+                amount(line.amount),
+                amount(line.balance),
+                line.status,
+                line.matchedBy || '',
+                line.entry?.date || '',
+                line.entry?.clientName || '',
+                line.entry?.description || ''
+            ])),
+            '',
+            row(['Entries not on statement']),
+            row(['Date', 'Client', 'Description', 'Type', 'Payment mode', 'Amount', 'Currency']),
+            ...unreconciledEntries.map(entry => row([
+                entry.date,
+                entry.clientName,
+                entry.description,
+                entry.type,
+                formatPaymentMode(entry.paymentMode),
+                (parseFloat(entry.amount) || 0).toFixed(2),
+                entry.currency || getBaseCurrency()
+            ]))
+        ];
+
+        const name = (account || 'all-accounts').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+        const blob = new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' });
+        app.downloadBlob(blob, `reconciliation-${name}-${toDate || new Date().toISOString().split('T')[0]}.csv`);
+    }
+
+    // ==================== Statement Import ====================
+
+    async handleFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            await this.openImport(file);
+        } catch (error) {
+            console.error('Statement import error:', error);
+            showToast(`Import Failed: ${error.message}`, 'error');
+        } finally {
+            e.target.value = ''; // Reset input
+        }
+    }
+
+    /**
+     * Read a CSV or OFX file and show the preview
+     * @param {File} file
+     */
+    async openImport(file) {
+        const text = await file.text();
+        this.fileName = file.name;
+        this.csv = null;
+        this.ofx = null;
+
+        const currencySelect = document.getElementById('statementImportCurrency');
+        populateCurrencySelect(currencySelect, getBaseCurrency());
+
+        const accountInput = document.getElementById('statementImportAccount');
+        accountInput.value = this.getFilters().account || (this.accounts.length === 1 ? this.accounts[0] : '');
+
+        if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) {
+            this.ofx = parseOfx(text);
+            if (this.ofx.lines.length === 0) throw new Error('The OFX file has no transactions');
+            if (this.ofx.currency) currencySelect.value = this.ofx.currency;
+            if (!accountInput.value && this.ofx.accountId) accountInput.value = `Account ${this.ofx.accountId.slice(-4)}`;
+        } else {
+            const rows = parseCsv(text);
+            if (rows.length < 2) throw new Error('The CSV file has no data rows');
+            this.csv = { rows };
+        }
+
+        document.getElementById('statementImportFileName').textContent = this.fileName;
+        document.getElementById('statementImportCsvOptions').style.display = this.csv ? '' : 'none';
+        document.getElementById('statementImportModal').classList.add('active');
+
+        if (this.csv) {
+            this.detectColumns();
+        } else {
+            document.getElementById('statementImportMapping').innerHTML = '';
+            this.preview();
+        }
+        accountInput.focus();
+    }
+
+    closeImportModal() {
+        document.getElementById('statementImportModal').classList.remove('active');
+    }
+
+    /**
+     * Column for each field from a header row, using the preset's names then
+     * the generic ones
+     */
+    guessMapping(headers, presetKey) {
+        const normalized = headers.map(normalizeStatementHeader);
+        const preset = BANK_STATEMENT_PRESETS[presetKey] || BANK_STATEMENT_PRESETS.generic;
+        const mapping = {};
+
+        BANK_STATEMENT_FIELDS.forEach(field => {
+            const names = [...(preset.columns[field.key] || []), ...BANK_STATEMENT_PRESETS.generic.columns[field.key]]
+                .map(normalizeStatementHeader);
+            for (const name of names) {
+                const index = normalized.findIndex((h, i) => h === name && !Object.values(mapping).includes(i));
+                if (index !== -1) {
+                    mapping[field.key] = index;
+                    break;
+                }
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Find the header row (the first that maps a date and an amount) and map
+     * its columns for the chosen preset
+     */
+    detectColumns() {
+        const presetKey = document.getElementById('statementImportPreset').value;
+        const hasAmount = (mapping) => ['amount', 'debit', 'credit'].some(key => mapping[key] !== undefined);
+        const searchRows = this.csv.rows.slice(0, BANK_STATEMENT_HEADER_SEARCH_ROWS);
+
+        this.headerRow = Math.max(0, searchRows.findIndex(row => {
+            const mapping = this.guessMapping(row, presetKey);
+            return mapping.date !== undefined && hasAmount(mapping);
+        }));
+        this.mapping = this.guessMapping(this.csv.rows[this.headerRow], presetKey);
+
+        this.renderMapping();
+        this.preview();
+    }
+
+    renderMapping() {
+        const container = document.getElementById('statementImportMapping');
+        const headers = this.csv.rows[this.headerRow];
+
+        container.innerHTML = `
+            <h4 class="reminder-subheading">Columns</h4>
+            <p class="form-help">Header found on row ${this.headerRow + 1}. Map either a signed amount or withdrawal and deposit columns.</p>
+            <div class="import-mapping-grid">
+                ${BANK_STATEMENT_FIELDS.map(field => `
+                    <div class="form-group">
+                        <label for="statementMap-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                        <select id="statementMap-${field.key}" data-field="${field.key}">
+                            <option value="">-- Not in file --</option>
+                            ${headers.map((h, i) => `<option value="${i}" ${this.mapping[field.key] === i ? 'selected' : ''}>${this.escapeHtml(h.trim() || `Column ${i + 1}`)}</option>`).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                if (select.value === '') {
+                    delete this.mapping[select.dataset.field];
+                } else {
+                    this.mapping[select.dataset.field] = parseInt(select.value);
+                }
+                this.preview();
+            });
+        });
+    }
+
+    /**
+     * Statement lines from the mapped CSV rows. Rows without a date or an
+     * amount (opening balance lines, totals, blank footers) are skipped.
+     */
+    readCsvLines() {
+        const dateFormat = document.getElementById('statementImportDateFormat').value;
+        const cell = (row, key) => this.mapping[key] === undefined ? '' : (row[this.mapping[key]] || '').trim();
+        const lines = [];
+        const skipped = [];
+        const occurrences = new Map();
+
+        this.csv.rows.slice(this.headerRow + 1).forEach((row, index) => {
+            const sourceRow = this.headerRow + index + 2;
+            const date = parseStatementDate(cell(row, 'date'), dateFormat);
+            if (!date) {
+                skipped.push({ sourceRow, reason: `No valid date ("${cell(row, 'date')}")` });
+                return;
+            }
+
+            let amount;
+            if (this.mapping.debit !== undefined || this.mapping.credit !== undefined) {
+                const debit = parseStatementAmount(cell(row, 'debit')).value || 0;
+                const credit = parseStatementAmount(cell(row, 'credit')).value || 0;
+                amount = Math.abs(credit) - Math.abs(debit);
+            } else {
+                const { value, sign } = parseStatementAmount(cell(row, 'amount'));
+                const direction = cell(row, 'direction').toLowerCase();
+                if (/^(dr|debit|d|withdrawal)\b/.test(direction)) {
+                    amount = -Math.abs(value);
+                } else if (/^(cr|credit|c|deposit)\b/.test(direction)) {
+                    amount = Math.abs(value);
+                } else {
+                    amount = sign ? sign * Math.abs(value) : value;
+                }
+            }
+
+            if (amount === null || Number.isNaN(amount) || amount === 0) {
+                skipped.push({ sourceRow, reason: 'No amount' });
+                return;
+            }
+
+            const balanceCell = parseStatementAmount(cell(row, 'balance'));
+            const balance = balanceCell.value === null || Number.isNaN(balanceCell.value)
+                ? null
+                : (balanceCell.sign || 1) * balanceCell.value;
+            const description = cell(row, 'description').replace(/\s+/g, ' ');
+            const reference = cell(row, 'reference');
+
+            // CSV exports have no transaction id: identify a line by what it
+            // says, counting repeats so identical lines on one day stay apart
+            const key = [date, amount.toFixed(2), description, reference, balance ?? ''].join('|');
+            const occurrence = (occurrences.get(key) || 0) + 1;
+            occurrences.set(key, occurrence);
+
+            lines.push({
+                sourceRow,
+                fitId: `csv:${key}#${occurrence}`,
+                date,
+                description,
+                reference,
+                amount: Math.round(amount * 100) / 100,
+                balance
+            });
+        });
+
+        return { lines, skipped };
+    }
+
+    preview() {
+        const currency = document.getElementById('statementImportCurrency').value;
+        const missing = [];
+
+        if (this.ofx) {
+            this.parsed = {
+                lines: this.ofx.lines.map(line => ({ ...line, fitId: line.fitId || `ofx:${line.date}|${line.amount}|${line.description}` })),
+                skipped: this.ofx.errors.map(reason => ({ sourceRow: '', reason }))
+            };
+        } else {
+            if (this.mapping.date === undefined) missing.push('Date');
+            if (!['amount', 'debit', 'credit'].some(key => this.mapping[key] !== undefined)) missing.push('Amount or Withdrawal/Deposit');
+            this.parsed = missing.length ? { lines: [], skipped: [] } : this.readCsvLines();
+        }
+        this.parsed.lines.forEach(line => {
+            line.currency = currency;
+        });
+
+        this.renderPreview(missing);
+    }
+
+    renderPreview(missing) {
+        const container = document.getElementById('statementImportPreview');
+        const importBtn = document.getElementById('confirmStatementImport');
+        const { lines, skipped } = this.parsed;
+
+        importBtn.disabled = lines.length === 0;
+        importBtn.textContent = `Import ${lines.length} Line${lines.length === 1 ? '' : 's'}`;
+
+        if (missing.length > 0) {
+            container.innerHTML = `<p class="recurring-empty">Choose a column for: ${missing.join(', ')}</p>`;
+            return;
+        }
+
+        const deposits = lines.filter(l => l.amount > 0).reduce((sum, l) => sum + l.amount, 0);
+        const withdrawals = lines.filter(l => l.amount < 0).reduce((sum, l) => sum - l.amount, 0);
+        const currency = document.getElementById('statementImportCurrency').value;
+
+        container.innerHTML = `
+            <p class="import-summary">
+                <strong>${lines.length}</strong> line(s)${lines.length ? ` from ${this.escapeHtml(lines[0].date)} to ${this.escapeHtml(lines[lines.length - 1].date)}` : ''} •
+                <span class="import-valid">${formatMoney(deposits, currency)} in</span> •
+                <span class="import-invalid">${formatMoney(withdrawals, currency)} out</span>
+                ${skipped.length ? ` • ${skipped.length} row(s) skipped` : ''}
+            </p>
+            <table class="services-table import-preview-table">
+                <thead>
+                    <tr>
+                        <th>${this.csv ? 'Row' : '#'}</th>
+                        <th>Date</th>
+                        <th>Description</th>
+                        <th>Reference</th>
+                        <th>Amount</th>
+                        <th>Balance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.slice(0, BANK_STATEMENT_PREVIEW_LIMIT).map(line => `
+                        <tr>
+                            <td>${line.sourceRow}</td>
+                            <td>${this.escapeHtml(line.date)}</td>
+                            <td>${this.escapeHtml(line.description || '-')}</td>
+                            <td>${this.escapeHtml(line.reference || '-')}</td>
+                            <td style="font-weight: 600; color: ${line.amount >= 0 ? 'var(--color-success)' : 'var(--color-danger)'}">${line.amount >= 0 ? '+' : '-'}${formatMoney(Math.abs(line.amount), currency)}</td>
+                            <td>${line.balance === null ? '-' : formatMoney(line.balance, currency)}</td>
+                        </tr>
+                    `).join('')}
+                    ${skipped.map(s => `
+                        <tr class="import-row-error">
+                            <td>${s.sourceRow}</td>
+                            <td colspan="5"><div class="import-message">Skipped: ${this.escapeHtml(s.reason)}</div></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${lines.length > BANK_STATEMENT_PREVIEW_LIMIT ? `<p class="form-help">…and ${lines.length - BANK_STATEMENT_PREVIEW_LIMIT} more line(s)</p>` : ''}
+        `;
+    }
+
+    /**
+     * Save the lines, then try to match them straight away
+     */
+    async runImport() {
+        const account = document.getElementById('statementImportAccount').value.trim();
+        if (!account) {
+            showToast('Please enter the bank account name', 'error');
+            document.getElementById('statementImportAccount').focus();
+            return;
+        }
+
+        const importBtn = document.getElementById('confirmStatementImport');
+        importBtn.disabled = true;
+        importBtn.textContent = 'Importing...';
+
+        try {
+            const lines = this.parsed.lines.map(({ sourceRow, ...line }) => line);
+            const { imported, skipped } = await dataLayer.importStatementLines(account, lines, this.fileName);
+            const matched = imported > 0 ? await dataLayer.autoMatchStatementLines({ account }) : 0;
+
+            showToast(`Imported ${imported} line(s)${skipped ? `, ${skipped} already imported` : ''}${imported ? `; ${matched} matched` : ''}`,
+                imported > 0 ? 'success' : 'info');
+            this.closeImportModal();
+
+            // Show the account just imported (adding its option if it's new)
+            if (!this.accounts.includes(account)) {
+                this.accounts.push(account);
+                this.renderAccountSelect();
+            }
+            document.getElementById('reconAccount').value = account;
+            await this.load();
+        } catch (error) {
+            console.error('Statement import error:', error);
+            showToast(`Import Failed: ${error.message || 'Unknown error'}`, 'error');
+            this.renderPreview([]);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
+
+window.reconciliationManager = new ReconciliationManager();
@@ -0,0 +1,296 @@
+/**
+ * FinanceFlow - Budgets
+ * Monthly or annual spend budgets per expense category or client: managed in
+ * Settings, compared with actual spend on the Analytics page, and alerting
+ * the admin at 80% and 100% through notifications. Admins only.
+ */
+
+const BUDGET_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+class BudgetManager {
+    constructor() {
+        this.budgets = [];
+        this.clients = [];
+        this.editingBudgetId = null;
+    }
+
+    async init() {
+        this.renderYearSelects();
+        this.bindEvents();
+        await this.render();
+        await this.checkAlerts();
+    }
+
+    bindEvents() {
+        document.getElementById('budgetForm')?.addEventListener('submit', (e) => this.handleSave(e));
+        document.getElementById('cancelBudgetEdit')?.addEventListener('click', () => this.resetForm());
+        document.getElementById('budgetTargetType')?.addEventListener('change', () => this.toggleTarget());
+        document.getElementById('budgetListYear')?.addEventListener('change', () => this.render());
+
+        ['budgetYearSelect', 'budgetMonthSelect'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderVariance());
+        });
+
+        // Entries change in bursts (imports, approvals); check alerts once they settle
+        dataLayer.subscribe(DATA_STORES.ENTRIES, debounce(() => this.checkAlerts(), 2000));
+    }
+
+    /**
+     * Years to plan and review: last year to next year
+     */
+    renderYearSelects() {
+        const today = new Date();
+        const year = today.getFullYear();
+        const years = [year + 1, year, year - 1];
+
+        ['budgetListYear', 'budgetYear', 'budgetYearSelect'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+            select.value = String(year);
+        });
+
+        const monthSelect = document.getElementById('budgetMonthSelect');
+        if (monthSelect) {
+            monthSelect.innerHTML = BUDGET_MONTHS.map((name, i) => `<option value="${i}">${name}</option>`).join('');
+            monthSelect.value = String(today.getMonth());
+        }
+    }
+
+    /**
+     * Reload the budgets of the year shown in Settings and the pickers
+     */
+    async render() {
+        const year = parseInt(document.getElementById('budgetListYear')?.value) || new Date().getFullYear();
+        try {
+            [this.budgets, this.clients] = await Promise.all([
+                dataLayer.getBudgets(year),
+                dataLayer.getAllClients(true)
+            ]);
+        } catch (error) {
+            console.error('Error loading budgets:', error);
+            return;
+        }
+
+        this.renderTargetSelects();
+        this.renderList();
+    }
+
+    renderTargetSelects() {
+        const categorySelect = document.getElementById('budgetCategory');
+        const clientSelect = document.getElementById('budgetClient');
+        if (!categorySelect || !clientSelect) return;
+
+        const [category, client] = [categorySelect.value, clientSelect.value];
+        categorySelect.innerHTML = `<option value="">Choose a category</option>${window.categoryManager?.renderTreeOptions('expense') || ''}`;
+        clientSelect.innerHTML = `
+            <option value="">Choose a client</option>
+            ${this.clients.map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+        `;
+        categorySelect.value = Array.from(categorySelect.options).some(o => o.value === category) ? category : '';
+        clientSelect.value = Array.from(clientSelect.options).some(o => o.value === client) ? client : '';
+    }
+
+    toggleTarget() {
+        const isClient = document.getElementById('budgetTargetType').value === 'client';
+        document.getElementById('budgetCategoryGroup').style.display = isClient ? 'none' : '';
+        document.getElementById('budgetClientGroup').style.display = isClient ? '' : 'none';
+    }
+
+    getBudgetName(budget) {
+        if (budget.categoryId) return window.categoryManager?.getLabel(budget.categoryId) || 'Removed category';
+        return this.clients.find(c => c.id === budget.clientId)?.name || 'Removed client';
+    }
+
+    renderList() {
+        const container = document.getElementById('budgetList');
+        if (!container) return;
+
+        if (this.budgets.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No budgets for this year yet.</p>';
+            return;
+        }
+
+        const money = (value) => formatMoney(value, getBaseCurrency());
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Budget</th><th>For</th><th>Period</th><th>Amount</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.budgets.map(budget => `
+                        <tr>
+                            <td>${this.getBudgetName(budget)}</td>
+                            <td>${budget.categoryId ? 'Category' : 'Client'}</td>
+                            <td>${budget.period === 'monthly' ? 'Monthly' : 'Annual'}</td>
+                            <td>${money(budget.amount)}${budget.period === 'monthly' ? ' / month' : ''}</td>
+                            <td class="reminder-row-actions">
+                                <button class="btn btn-sm btn-secondary edit-budget" data-id="${budget.id}">Edit</button>
+                                <button class="btn btn-sm btn-danger delete-budget" data-id="${budget.id}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.edit-budget').forEach(btn => {
+            btn.addEventListener('click', () => this.editBudget(parseInt(btn.dataset.id)));
+        });
+        container.querySelectorAll('.delete-budget').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteBudget(parseInt(btn.dataset.id)));
+        });
+    }
+
+    editBudget(id) {
+        const budget = this.budgets.find(b => b.id === id);
+        if (!budget) return;
+
+        this.editingBudgetId = id;
+        document.getElementById('budgetTargetType').value = budget.categoryId ? 'category' : 'client';
+        document.getElementById('budgetCategory').value = budget.categoryId ? String(budget.categoryId) : '';
+        document.getElementById('budgetClient').value = budget.clientId ? String(budget.clientId) : '';
+        document.getElementById('budgetPeriod').value = budget.period;
+        document.getElementById('budgetYear').value = String(budget.year);
+        document.getElementById('budgetAmount').value = budget.amount;
+        this.toggleTarget();
+        document.getElementById('saveBudgetBtn').textContent = 'Save Changes';
+        document.getElementById('cancelBudgetEdit').style.display = '';
+        document.getElementById('budgetAmount').focus();
+    }
+
+    resetForm() {
+        this.editingBudgetId = null;
+        document.getElementById('budgetForm').reset();
+        document.getElementById('budgetYear').value = document.getElementById('budgetListYear').value;
+        document.getElementById('saveBudgetBtn').textContent = 'Add Budget';
+        document.getElementById('cancelBudgetEdit').style.display = 'none';
+        this.toggleTarget();
+    }
+
+    async handleSave(e) {
+        e.preventDefault();
+
+        const isClient = document.getElementById('budgetTargetType').value === 'client';
+        const budget = {
+            categoryId: isClient ? null : parseInt(document.getElementById('budgetCategory').value) || null,
+            clientId: isClient ? parseInt(document.getElementById('budgetClient').value) || null : null,
+            period: document.getElementById('budgetPeriod').value,
+            year: parseInt(document.getElementById('budgetYear').value),
+            amount: parseFloat(document.getElementById('budgetAmount').value)
+        };
+
+        if (!budget.categoryId && !budget.clientId) {
+            showToast(`Please choose a ${isClient ? 'client' : 'category'}`, 'error');
+            return;
+        }
+        if (!(budget.amount > 0)) {
+            showToast('Please enter a budget amount', 'error');
+            return;
+        }
+
+        try {
+            if (this.editingBudgetId) {
+                await dataLayer.updateBudget(this.editingBudgetId, budget);
+                showToast('Budget updated', 'success');
+            } else {
+                await dataLayer.addBudget(budget);
+                showToast('Budget added', 'success');
+            }
+            this.resetForm();
+            await this.checkAlerts();
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            showToast(`Failed to save budget: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    async deleteBudget(id) {
+        const budget = this.budgets.find(b => b.id === id);
+        if (!budget) return;
+
+        const confirmed = await app.showConfirmationModal('Delete Budget',
+            `Remove the ${budget.period} budget for "${this.getBudgetName(budget)}"?`);
+        if (!confirmed) return;
+
+        try {
+            await dataLayer.deleteBudget(id);
+            if (this.editingBudgetId === id) this.resetForm();
+            showToast('Budget removed', 'success');
+        } catch (error) {
+            console.error('Error deleting budget:', error);
+            showToast(`Failed to delete budget: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Budget vs actual table and chart on the Analytics page: monthly budgets
+     * for the chosen month, annual ones for the whole year
+     */
+    async renderVariance() {
+        const container = document.getElementById('budgetVarianceTable');
+        if (!container || !app.isAdmin) return;
+
+        const year = parseInt(document.getElementById('budgetYearSelect').value) || new Date().getFullYear();
+        const month = parseInt(document.getElementById('budgetMonthSelect').value) || 0;
+
+        let variance;
+        try {
+            variance = await dataLayer.getBudgetVariance(year);
+        } catch (error) {
+            console.error('Error loading budget variance:', error);
+            return;
+        }
+
+        const money = (value) => formatMoney(value, variance.baseCurrency);
+        const rows = variance.rows.map(row => ({ ...row, figures: getBudgetPeriodFigures(row, month) }));
+
+        document.getElementById('budgetVarianceNote').textContent = [
+            rows.length === 0 ? `No budgets for ${year}. Add them in Settings.` : `Approved expenses in ${variance.baseCurrency}.`,
+            variance.missingRates.length > 0 ? `Missing exchange rates for ${variance.missingRates.join(', ')}; those amounts are not converted.` : ''
+        ].filter(Boolean).join(' ');
+
+        container.innerHTML = rows.length === 0 ? '' : `
+            <table class="exchange-rate-table budget-table">
+                <thead>
+                    <tr><th>Budget</th><th>Period</th><th>Budgeted</th><th>Actual</th><th>Variance</th><th>Used</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(({ name, kind, budget, figures }) => {
+                        const level = figures.usedPercent >= 100 ? 'over' : (figures.usedPercent >= 80 ? 'near' : 'ok');
+                        return `
+                            <tr>
+                                <td>${name}<div class="entry-category">${kind === 'category' ? 'Category' : 'Client'}</div></td>
+                                <td>${budget.period === 'monthly' ? `${BUDGET_MONTHS[month]} ${year}` : year}</td>
+                                <td>${money(figures.budgeted)}</td>
+                                <td>${money(figures.actual)}</td>
+                                <td class="budget-variance-${level}">${figures.variance < 0 ? '-' : ''}${money(Math.abs(figures.variance))}</td>
+                                <td>
+                                    <div class="budget-progress"><div class="budget-progress-bar budget-${level}" style="width: ${Math.min(figures.usedPercent, 100)}%"></div></div>
+                                    <span class="budget-percent">${Math.round(figures.usedPercent)}%</span>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+
+        chartsManager.renderBudgetChart(rows, variance.baseCurrency);
+    }
+
+    async checkAlerts() {
+        try {
+            const sent = await dataLayer.checkBudgetAlerts();
+            if (sent > 0) {
+                showToast(`${sent} budget alert${sent === 1 ? '' : 's'}: see Notifications`, 'warning');
+                await window.notificationsManager?.loadNotifications();
+            }
+        } catch (error) {
+            console.error('Error checking budget alerts:', error);
+        }
+    }
+}
+
+window.budgetManager = new BudgetManager();
@@ -0,0 +1,202 @@
+/**
+ * FinanceFlow - Service Catalogue
+ * Services and products with default rates (Settings, admins only) and
+ * autocomplete for invoice and estimate lines (everyone)
+ */
+
+class CatalogManager {
+    constructor() {
+        this.items = [];
+        this.editingItemId = null;
+    }
+
+    async init() {
+        const taxSelect = document.getElementById('catalogItemTaxRate');
+        if (taxSelect) {
+            taxSelect.innerHTML = GST_RATES.map(r => `<option value="${r}">${r}%</option>`).join('');
+        }
+
+        this.bindEvents();
+        await this.render();
+    }
+
+    bindEvents() {
+        document.getElementById('catalogItemForm')?.addEventListener('submit', (e) => this.handleSave(e));
+        document.getElementById('cancelCatalogItemEdit')?.addEventListener('click', () => this.resetForm());
+    }
+
+    /**
+     * Reload the catalogue and redraw the settings list and the line autocomplete
+     */
+    async render() {
+        try {
+            this.items = await dataLayer.getCatalogItems();
+        } catch (error) {
+            console.error('Error loading catalogue:', error);
+            return;
+        }
+
+        this.renderDatalist();
+        this.renderList();
+    }
+
+    renderDatalist() {
+        const datalist = document.getElementById('serviceCatalogList');
+        if (!datalist) return;
+
+        const currency = getCurrencySymbol(getBaseCurrency());
+        datalist.innerHTML = this.items.map(item => `
+            <option value="${item.name}">${currency}${item.defaultRate.toFixed(2)}${item.unit ? ` / ${item.unit}` : ''}${item.description ? ` - ${item.description}` : ''}</option>
+        `).join('');
+    }
+
+    renderList() {
+        const container = document.getElementById('catalogItemList');
+        if (!container) return;
+
+        if (this.items.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No services in the catalogue yet.</p>';
+            return;
+        }
+
+        const currency = getCurrencySymbol(getBaseCurrency());
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Service</th><th>Rate</th><th>GST</th><th>SAC/HSN</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.items.map(item => `
+                        <tr>
+                            <td>
+                                <strong>${item.name}</strong>
+                                ${item.description ? `<div class="text-muted" style="font-size: 0.75rem;">${item.description}</div>` : ''}
+                            </td>
+                            <td>${currency}${item.defaultRate.toFixed(2)}${item.unit ? ` / ${item.unit}` : ''}</td>
+                            <td>${item.taxRate}%</td>
+                            <td>${item.hsnSac || '-'}</td>
+                            <td class="reminder-row-actions">
+                                <button class="btn btn-sm btn-secondary edit-catalog-item" data-id="${item.id}">Edit</button>
+                                <button class="btn btn-sm btn-danger delete-catalog-item" data-id="${item.id}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.edit-catalog-item').forEach(btn => {
+            btn.addEventListener('click', () => this.editItem(parseInt(btn.dataset.id)));
+        });
+        container.querySelectorAll('.delete-catalog-item').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteItem(parseInt(btn.dataset.id)));
+        });
+    }
+
+    /**
+     * Catalogue item with this name (case-insensitive), if any
+     */
+    findByName(name) {
+        const key = (name || '').trim().toLowerCase();
+        return key ? this.items.find(item => item.name.toLowerCase() === key) : undefined;
+    }
+
+    /**
+     * Fill a service row from the catalogue when its name matches an item.
+     * The row remembers the item so revenue can be reported per item.
+     * @param {HTMLTableRowElement} row - .service-row in the invoice form
+     */
+    applyToRow(row) {
+        const item = this.findByName(row.querySelector('.service-name').value);
+        if (!item) {
+            delete row.dataset.catalogItemId;
+            return;
+        }
+        if (row.dataset.catalogItemId === String(item.id)) return;
+
+        row.dataset.catalogItemId = item.id;
+        row.querySelector('.service-rate').value = item.defaultRate;
+        row.querySelector('.service-hsn').value = item.hsnSac || '';
+
+        const taxSelect = row.querySelector('.service-tax-rate');
+        if (!Array.from(taxSelect.options).some(o => parseFloat(o.value) === item.taxRate)) {
+            taxSelect.add(new Option(`${item.taxRate}%`, item.taxRate));
+        }
+        taxSelect.value = String(item.taxRate);
+    }
+
+    editItem(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        this.editingItemId = id;
+        document.getElementById('catalogItemName').value = item.name;
+        document.getElementById('catalogItemDescription').value = item.description || '';
+        document.getElementById('catalogItemRate').value = item.defaultRate;
+        document.getElementById('catalogItemUnit').value = item.unit || '';
+        document.getElementById('catalogItemTaxRate').value = String(item.taxRate);
+        document.getElementById('catalogItemHsn').value = item.hsnSac || '';
+        document.getElementById('saveCatalogItemBtn').textContent = 'Save Changes';
+        document.getElementById('cancelCatalogItemEdit').style.display = '';
+        document.getElementById('catalogItemName').focus();
+    }
+
+    resetForm() {
+        this.editingItemId = null;
+        document.getElementById('catalogItemForm').reset();
+        document.getElementById('saveCatalogItemBtn').textContent = 'Add to Catalogue';
+        document.getElementById('cancelCatalogItemEdit').style.display = 'none';
+    }
+
+    async handleSave(e) {
+        e.preventDefault();
+
+        const item = {
+            name: document.getElementById('catalogItemName').value.trim(),
+            description: document.getElementById('catalogItemDescription').value.trim(),
+            defaultRate: document.getElementById('catalogItemRate').value,
+            unit: document.getElementById('catalogItemUnit').value.trim(),
+            taxRate: document.getElementById('catalogItemTaxRate').value,
+            hsnSac: document.getElementById('catalogItemHsn').value.trim()
+        };
+
+        if (!item.name) {
+            showToast('Please enter a service name', 'error');
+            return;
+        }
+
+        try {
+            if (this.editingItemId) {
+                await dataLayer.updateCatalogItem(this.editingItemId, item);
+                showToast(`${item.name} updated`, 'success');
+            } else {
+                await dataLayer.addCatalogItem(item);
+                showToast(`${item.name} added to the catalogue`, 'success');
+            }
+            this.resetForm();
+        } catch (error) {
+            console.error('Error saving catalogue item:', error);
+            showToast(`Failed to save service: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    async deleteItem(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        const confirmed = await app.showConfirmationModal('Delete Service',
+            `Remove "${item.name}" from the catalogue? Invoices that already use it are not changed.`);
+        if (!confirmed) return;
+
+        try {
+            await dataLayer.deleteCatalogItem(id);
+            if (this.editingItemId === id) this.resetForm();
+            showToast('Service removed', 'success');
+        } catch (error) {
+            console.error('Error deleting catalogue item:', error);
+            showToast(`Failed to delete service: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+}
+
+window.catalogManager = new CatalogManager();
@@ -0,0 +1,299 @@
+/**
+ * FinanceFlow - Entry Categories
+ * Income and expense categories with one level of subcategories: managed in
+ * Settings (admins only) and picked on the entry form and filters (everyone)
+ */
+
+// Added by "Add Default Categories"; names that already exist are skipped
+const DEFAULT_ENTRY_CATEGORIES = [
+    { type: 'income', name: 'Services', children: ['Project Fees', 'Retainers', 'Consulting'] },
+    { type: 'income', name: 'Product Sales', children: [] },
+    { type: 'income', name: 'Interest', children: [] },
+    { type: 'income', name: 'Other Income', children: [] },
+    { type: 'expense', name: 'Rent & Utilities', children: ['Rent', 'Electricity', 'Internet & Phone'] },
+    { type: 'expense', name: 'Salaries', children: ['Staff Salaries', 'Contractors', 'Bonuses'] },
+    { type: 'expense', name: 'Software', children: ['Subscriptions', 'Hosting & Domains'] },
+    { type: 'expense', name: 'Travel', children: ['Transport', 'Accommodation', 'Meals'] },
+    { type: 'expense', name: 'Office', children: ['Supplies', 'Equipment'] },
+    { type: 'expense', name: 'Marketing', children: [] },
+    { type: 'expense', name: 'Professional Fees', children: [] },
+    { type: 'expense', name: 'Taxes & Bank Charges', children: [] },
+    { type: 'expense', name: 'Other Expenses', children: [] }
+];
+
+class CategoryManager {
+    constructor() {
+        this.categories = [];
+        this.editingCategoryId = null;
+    }
+
+    async init() {
+        this.bindEvents();
+        await this.render();
+    }
+
+    bindEvents() {
+        document.getElementById('entryCategoryForm')?.addEventListener('submit', (e) => this.handleSave(e));
+        document.getElementById('cancelEntryCategoryEdit')?.addEventListener('click', () => this.resetForm());
+        document.getElementById('defaultEntryCategoriesBtn')?.addEventListener('click', () => this.createDefaults());
+        document.getElementById('entryCategoryType')?.addEventListener('change', () => this.renderParentSelect());
+
+        // The entry form only offers categories of the chosen type
+        document.getElementById('entryType')?.addEventListener('change', (e) => this.renderEntrySelect(e.target.value));
+    }
+
+    /**
+     * Reload categories and redraw the settings list, entry picker and filter
+     */
+    async render() {
+        try {
+            this.categories = await dataLayer.getEntryCategories();
+        } catch (error) {
+            console.error('Error loading categories:', error);
+            return;
+        }
+
+        this.renderList();
+        this.renderParentSelect();
+        this.renderFilterSelect();
+        this.renderEntrySelect(document.getElementById('entryType')?.value || 'income');
+    }
+
+    /**
+     * Top-level categories of a type, each with its subcategories
+     */
+    getTree(type) {
+        return this.categories
+            .filter(c => c.type === type && !c.parentId)
+            .map(parent => ({ ...parent, children: this.categories.filter(c => c.parentId === parent.id) }));
+    }
+
+    /**
+     * "Travel › Meals" for a subcategory, the name for a category
+     */
+    getLabel(categoryId) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (!category) return '';
+
+        const parent = category.parentId ? this.categories.find(c => c.id === category.parentId) : null;
+        return parent ? `${parent.name} › ${category.name}` : category.name;
+    }
+
+    renderTreeOptions(type) {
+        return this.getTree(type).map(parent => `
+            <option value="${parent.id}">${parent.name}</option>
+            ${parent.children.map(child => `<option value="${child.id}">&nbsp;&nbsp;&nbsp;${child.name}</option>`).join('')}
+        `).join('');
+    }
+
+    /**
+     * Category picker on the entry form, keeping the current choice when it
+     * still applies to the type
+     */
+    renderEntrySelect(type, selectedId = null) {
+        const select = document.getElementById('entryCategory');
+        if (!select) return;
+
+        const current = selectedId ?? (parseInt(select.value) || null);
+        select.innerHTML = `<option value="">Uncategorised</option>${this.renderTreeOptions(type)}`;
+
+        const stillValid = this.categories.some(c => c.id === current && c.type === type);
+        select.value = stillValid ? String(current) : '';
+    }
+
+    renderFilterSelect() {
+        const select = document.getElementById('filterCategory');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = `
+            <option value="">All Categories</option>
+            <option value="none">Uncategorised</option>
+            ${['income', 'expense'].map(type => {
+                const options = this.renderTreeOptions(type);
+                return options ? `<optgroup label="${type === 'income' ? 'Income' : 'Expense'}">${options}</optgroup>` : '';
+            }).join('')}
+        `;
+
+        if (Array.from(select.options).some(o => o.value === current)) {
+            select.value = current;
+        } else if (current) {
+            // The filtered category was removed
+            select.value = '';
+            select.dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Parent choices for the settings form: top-level categories of the
+     * selected type. A category that has subcategories stays top-level.
+     */
+    renderParentSelect() {
+        const select = document.getElementById('entryCategoryParent');
+        if (!select) return;
+
+        const type = document.getElementById('entryCategoryType').value;
+        const editing = this.categories.find(c => c.id === this.editingCategoryId);
+        const hasChildren = editing && this.categories.some(c => c.parentId === editing.id);
+        const current = select.value;
+
+        select.innerHTML = `
+            <option value="">None (top level)</option>
+            ${this.categories
+                .filter(c => c.type === type && !c.parentId && c.id !== this.editingCategoryId)
+                .map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+        `;
+        select.value = Array.from(select.options).some(o => o.value === current) ? current : '';
+        select.disabled = Boolean(hasChildren);
+    }
+
+    renderList() {
+        const container = document.getElementById('entryCategoryList');
+        if (!container) return;
+
+        if (this.categories.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No categories yet. Add your own or start with the defaults.</p>';
+            return;
+        }
+
+        const row = (category, isChild) => `
+            <tr>
+                <td class="${isChild ? 'category-child' : ''}">${isChild ? category.name : `<strong>${category.name}</strong>`}</td>
+                <td><span class="badge badge-${category.type}">${category.type}</span></td>
+                <td class="reminder-row-actions">
+                    <button class="btn btn-sm btn-secondary edit-entry-category" data-id="${category.id}">Edit</button>
+                    <button class="btn btn-sm btn-danger delete-entry-category" data-id="${category.id}">Delete</button>
+                </td>
+            </tr>
+        `;
+
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Category</th><th>Type</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${['income', 'expense'].map(type => this.getTree(type).map(parent => `
+                        ${row(parent, false)}
+                        ${parent.children.map(child => row(child, true)).join('')}
+                    `).join('')).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.edit-entry-category').forEach(btn => {
+            btn.addEventListener('click', () => this.editCategory(parseInt(btn.dataset.id)));
+        });
+        container.querySelectorAll('.delete-entry-category').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteCategory(parseInt(btn.dataset.id)));
+        });
+    }
+
+    editCategory(id) {
+        const category = this.categories.find(c => c.id === id);
+        if (!category) return;
+
+        this.editingCategoryId = id;
+        document.getElementById('entryCategoryName').value = category.name;
+        document.getElementById('entryCategoryType').value = category.type;
+        document.getElementById('entryCategoryType').disabled = true;
+        this.renderParentSelect();
+        document.getElementById('entryCategoryParent').value = category.parentId ? String(category.parentId) : '';
+        document.getElementById('saveEntryCategoryBtn').textContent = 'Save Changes';
+        document.getElementById('cancelEntryCategoryEdit').style.display = '';
+        document.getElementById('entryCategoryName').focus();
+    }
+
+    resetForm() {
+        this.editingCategoryId = null;
+        document.getElementById('entryCategoryForm').reset();
+        document.getElementById('entryCategoryType').disabled = false;
+        document.getElementById('saveEntryCategoryBtn').textContent = 'Add Category';
+        document.getElementById('cancelEntryCategoryEdit').style.display = 'none';
+        this.renderParentSelect();
+    }
+
+    async handleSave(e) {
+        e.preventDefault();
+
+        const category = {
+            name: document.getElementById('entryCategoryName').value.trim(),
+            type: document.getElementById('entryCategoryType').value,
+            parentId: parseInt(document.getElementById('entryCategoryParent').value) || null
+        };
+
+        if (!category.name) {
+            showToast('Please enter a category name', 'error');
+            return;
+        }
+
+        try {
+            if (this.editingCategoryId) {
+                await dataLayer.updateEntryCategory(this.editingCategoryId, category);
+                showToast(`${category.name} updated`, 'success');
+            } else {
+                await dataLayer.addEntryCategory(category);
+                showToast(`${category.name} added`, 'success');
+            }
+            this.resetForm();
+        } catch (error) {
+            console.error('Error saving category:', error);
+            showToast(`Failed to save category: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    async deleteCategory(id) {
+        const category = this.categories.find(c => c.id === id);
+        if (!category) return;
+
+        const confirmed = await app.showConfirmationModal('Delete Category',
+            `Remove "${this.getLabel(id)}"? Entries filed under it become uncategorised.`);
+        if (!confirmed) return;
+
+        try {
+            await dataLayer.deleteEntryCategory(id);
+            if (this.editingCategoryId === id) this.resetForm();
+            showToast('Category removed', 'success');
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            showToast(`Failed to delete category: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Save the default categories and subcategories, skipping names the
+     * organization already has at that level
+     */
+    async createDefaults() {
+        // Work on a copy: saving triggers a reload that replaces this.categories
+        const categories = [...this.categories];
+        const find = (type, parentId, name) => categories.find(c =>
+            c.type === type && (c.parentId || null) === parentId && c.name.toLowerCase() === name.toLowerCase());
+
+        let added = 0;
+        try {
+            for (const def of DEFAULT_ENTRY_CATEGORIES) {
+                let parent = find(def.type, null, def.name);
+                if (!parent) {
+                    parent = await dataLayer.addEntryCategory({ type: def.type, name: def.name });
+                    categories.push(parent);
+                    added++;
+                }
+
+                for (const name of def.children) {
+                    if (find(def.type, parent.id, name)) continue;
+                    categories.push(await dataLayer.addEntryCategory({ type: def.type, name, parentId: parent.id }));
+                    added++;
+                }
+            }
+        } catch (error) {
+            showToast(`Failed to add default categories: ${error.message || 'Unknown error'}`, 'error');
+            return;
+        }
+
+        showToast(added > 0 ? `Added ${added} default categor${added === 1 ? 'y' : 'ies'}` : 'Default categories are already set up',
+            added > 0 ? 'success' : 'info');
+    }
+}
+
+window.categoryManager = new CategoryManager();
@@ -81,6 +81,8 @@ class ChartsManager {
         if (growthMonthSelect) {
             growthMonthSelect.addEventListener('change', () => this.renderRevenueGrowthChart());
         }
+
+        document.getElementById('catalogRevenueYearSelect')?.addEventListener('change', () => this.renderCatalogRevenueChart());
     }
 
     /**
@@ -95,7 +97,10 @@ class ChartsManager {
             this.renderMonthlyBarChart(currentYear),
             this.renderStatusPieChart(),
             this.renderPaymentDonutChart(),
-            this.renderRevenueGrowthChart()
+            this.renderCategoryCharts(),
+            this.renderRevenueGrowthChart(),
+            this.renderCatalogRevenueChart(),
+            window.budgetManager?.renderVariance()
         ]);
     }
 
@@ -462,6 +467,190 @@ class ChartsManager {
         });
     }
 
+    /**
+     * Analytics - Income and expense by category, next to the payment modes
+     */
+    async renderCategoryCharts() {
+        await Promise.all([
+            this.renderCategoryDonutChart('expense', 'expenseCategoryChart', 'expenseCategoryNote'),
+            this.renderCategoryDonutChart('income', 'incomeCategoryChart', 'incomeCategoryNote')
+        ]);
+    }
+
+    /**
+     * Budget vs actual spend per budget for the selected period. Actual bars
+     * turn amber from 80% of the budget and red from 100%.
+     * @param {Array<{name: string, figures: Object}>} rows - See BudgetManager.renderVariance
+     */
+    renderBudgetChart(rows, baseCurrency) {
+        const ctx = document.getElementById('budgetChart');
+        if (!ctx || typeof Chart === 'undefined') return;
+
+        const themeColors = this.getThemeColors();
+        const currency = getCurrencySymbol(baseCurrency);
+
+        // Destroy existing chart
+        if (this.charts.budget) {
+            this.charts.budget.destroy();
+        }
+
+        const usedColor = (percent) => percent >= 100 ? this.chartColors.danger : (percent >= 80 ? this.chartColors.warning : this.chartColors.success);
+
+        this.charts.budget = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: rows.map(r => r.name),
+                datasets: [
+                    {
+                        label: 'Budget',
+                        data: rows.map(r => r.figures.budgeted),
+                        backgroundColor: this.chartColors.primaryLight,
+                        borderColor: this.chartColors.primary,
+                        borderWidth: 1,
+                        borderRadius: 4
+                    },
+                    {
+                        label: 'Actual',
+                        data: rows.map(r => r.figures.actual),
+                        backgroundColor: rows.map(r => usedColor(r.figures.usedPercent)),
+                        borderRadius: 4
+                    }
+                ]
+            },
+            options: {
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        align: 'end',
+                        labels: {
+                            usePointStyle: true,
+                            pointStyle: 'circle',
+                            color: themeColors.textColor,
+                            padding: 20
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: themeColors.bgColor,
+                        titleColor: themeColors.textColor,
+                        bodyColor: themeColors.textColor,
+                        borderColor: this.chartColors.primary,
+                        borderWidth: 1,
+                        padding: 12,
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: function (context) {
+                                return `${context.dataset.label}: ${currency}${context.raw.toLocaleString()}`;
+                            },
+                            afterBody: function (items) {
+                                return `Used: ${Math.round(rows[items[0].dataIndex].figures.usedPercent)}%`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: themeColors.textColor }
+                    },
+                    y: {
+                        grid: { color: themeColors.gridColor },
+                        ticks: {
+                            color: themeColors.textColor,
+                            callback: function (value) {
+                                return currency + value.toLocaleString();
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Donut of one entry type per top-level category; the tooltip lists
+     * the subcategories that make up each slice
+     */
+    async renderCategoryDonutChart(type, canvasId, noteId) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx || typeof Chart === 'undefined') return;
+
+        const breakdown = await dataLayer.getCategoryBreakdown(type);
+        const themeColors = this.getThemeColors();
+        const currency = getCurrencySymbol(breakdown.baseCurrency);
+        const chartKey = `${type}Category`;
+
+        // Destroy existing chart
+        if (this.charts[chartKey]) {
+            this.charts[chartKey].destroy();
+        }
+
+        const rows = breakdown.uncategorized.amount > 0 ? [...breakdown.categories, breakdown.uncategorized] : breakdown.categories;
+        const colors = [
+            this.chartColors.primary,
+            this.chartColors.success,
+            this.chartColors.warning,
+            this.chartColors.info,
+            this.chartColors.purple,
+            this.chartColors.pink,
+            this.chartColors.danger
+        ];
+
+        const note = document.getElementById(noteId);
+        if (note) {
+            note.textContent = [
+                rows.length === 0 ? `No approved ${type} entries yet.` : `Approved entries in ${breakdown.baseCurrency}.`,
+                breakdown.missingRates.length > 0 ? `Missing exchange rates for ${breakdown.missingRates.join(', ')}; those amounts are not converted.` : ''
+            ].filter(Boolean).join(' ');
+        }
+
+        this.charts[chartKey] = new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: rows.map(r => r.name),
+                datasets: [{
+                    data: rows.map(r => r.amount),
+                    // Uncategorised is always grey so it doesn't read as a category
+                    backgroundColor: rows.map((r, i) => r === breakdown.uncategorized ? '#94a3b8' : colors[i % colors.length]),
+                    borderWidth: 0,
+                    spacing: 3
+                }]
+            },
+            options: {
+                cutout: '60%',
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            usePointStyle: true,
+                            pointStyle: 'circle',
+                            color: themeColors.textColor,
+                            padding: 10,
+                            font: { size: 11 }
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: themeColors.bgColor,
+                        titleColor: themeColors.textColor,
+                        bodyColor: themeColors.textColor,
+                        borderColor: this.chartColors.primary,
+                        borderWidth: 1,
+                        padding: 12,
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: function (context) {
+                                return `${context.label}: ${currency}${context.raw.toLocaleString()}`;
+                            },
+                            afterLabel: function (context) {
+                                return rows[context.dataIndex].children
+                                    .map(child => `  ${child.name}: ${currency}${child.amount.toLocaleString()}`);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * Analytics - Revenue Growth Line Chart (Multi-View: Yearly, Monthly, Daily)
      */
@@ -600,6 +789,171 @@ class ChartsManager {
         });
     }
 
+    /**
+     * Analytics - Revenue per catalogue item (taxable value, base currency)
+     */
+    async renderCatalogRevenueChart() {
+        const ctx = document.getElementById('catalogRevenueChart');
+        if (!ctx || typeof Chart === 'undefined') return;
+
+        const year = parseInt(document.getElementById('catalogRevenueYearSelect')?.value) || null;
+        const revenue = await dataLayer.getCatalogRevenue(year);
+        const themeColors = this.getThemeColors();
+        const currency = getCurrencySymbol(revenue.baseCurrency);
+
+        // Destroy existing chart
+        if (this.charts.catalogRevenue) {
+            this.charts.catalogRevenue.destroy();
+        }
+
+        const rows = revenue.other.quantity > 0 ? [...revenue.items, revenue.other] : revenue.items;
+
+        const note = document.getElementById('catalogRevenueNote');
+        if (note) {
+            note.textContent = [
+                rows.length === 0 ? 'No invoiced services for this period.' : 'Invoiced value before tax, after discounts and credit notes.',
+                revenue.missingRates.length > 0 ? `Missing exchange rates for ${revenue.missingRates.join(', ')}; those amounts are not converted.` : ''
+            ].filter(Boolean).join(' ');
+        }
+
+        this.charts.catalogRevenue = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: rows.map(r => r.name),
+                datasets: [{
+                    label: 'Revenue',
+                    data: rows.map(r => r.revenue),
+                    backgroundColor: rows.map(r => r.item ? this.chartColors.primary : this.chartColors.purpleLight),
+                    borderRadius: 6,
+                    borderSkipped: false
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        backgroundColor: themeColors.bgColor,
+                        titleColor: themeColors.textColor,
+                        bodyColor: themeColors.textColor,
+                        borderColor: this.chartColors.primary,
+                        borderWidth: 1,
+                        padding: 12,
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: function (context) {
+                                const row = rows[context.dataIndex];
+                                return `${currency}${context.raw.toLocaleString()} • Qty ${row.quantity} • ${row.invoiceCount} invoice(s)`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { color: themeColors.gridColor },
+                        ticks: {
+                            color: themeColors.textColor,
+                            callback: function (value) {
+                                return currency + value.toLocaleString();
+                            }
+                        }
+                    },
+                    y: {
+                        grid: { display: false },
+                        ticks: { color: themeColors.textColor }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Client detail - invoiced vs received per month over the client's lifetime
+     * @param {Object} overview - From dataLayer.getClientOverview
+     */
+    renderClientRevenueChart(overview) {
+        const ctx = document.getElementById('clientRevenueChart');
+        if (!ctx || typeof Chart === 'undefined') return;
+
+        const themeColors = this.getThemeColors();
+        const currency = getCurrencySymbol(overview.baseCurrency);
+        const labels = overview.monthly.map(m => {
+            const [year, month] = m.month.split('-');
+            return `${this.months[parseInt(month) - 1]} ${year}`;
+        });
+
+        // Destroy existing chart
+        if (this.charts.clientRevenue) {
+            this.charts.clientRevenue.destroy();
+        }
+
+        this.charts.clientRevenue = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Invoiced',
+                        data: overview.monthly.map(m => m.invoiced),
+                        backgroundColor: this.chartColors.primary,
+                        borderRadius: 4,
+                        maxBarThickness: 24
+                    },
+                    {
+                        label: 'Received',
+                        data: overview.monthly.map(m => m.received),
+                        backgroundColor: this.chartColors.success,
+                        borderRadius: 4,
+                        maxBarThickness: 24
+                    }
+                ]
+            },
+            options: {
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        align: 'end',
+                        labels: {
+                            usePointStyle: true,
+                            pointStyle: 'circle',
+                            color: themeColors.textColor,
+                            padding: 20
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: themeColors.bgColor,
+                        titleColor: themeColors.textColor,
+                        bodyColor: themeColors.textColor,
+                        borderColor: this.chartColors.primary,
+                        borderWidth: 1,
+                        padding: 12,
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: function (context) {
+                                return `${context.dataset.label}: ${currency}${context.raw.toLocaleString()}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: themeColors.textColor }
+                    },
+                    y: {
+                        grid: { color: themeColors.gridColor },
+                        ticks: {
+                            color: themeColors.textColor,
+                            callback: function (value) {
+                                return currency + value.toLocaleString();
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * Create gradient for bars
      */
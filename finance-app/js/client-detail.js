@@ -0,0 +1,182 @@
+/**
+ * FinanceFlow - Client Detail Page
+ * Lifetime figures, revenue over time and an activity timeline for one client
+ */
+
+class ClientDetailManager {
+    constructor() {
+        this.clientId = null;
+        this.overview = null;
+    }
+
+    /**
+     * Initialize client detail manager
+     */
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.getElementById('clientDetailStatementBtn')?.addEventListener('click', () => {
+            clientStatementManager.openModal(this.clientId);
+        });
+        document.getElementById('clientDetailEditBtn')?.addEventListener('click', () => {
+            clientsManager.openClientModal(this.overview?.client);
+        });
+        document.getElementById('clientDetailMergeBtn')?.addEventListener('click', () => this.openMergeModal());
+
+        const mergeModal = document.getElementById('clientMergeModal');
+        document.getElementById('clientMergeForm')?.addEventListener('submit', (e) => this.handleMerge(e));
+        document.getElementById('closeClientMergeModal')?.addEventListener('click', () => this.closeMergeModal());
+        document.getElementById('cancelClientMerge')?.addEventListener('click', () => this.closeMergeModal());
+        mergeModal?.addEventListener('click', (e) => {
+            if (e.target === mergeModal) this.closeMergeModal();
+        });
+
+        // Keep the page current while it's open
+        const refresh = () => {
+            if (this.clientId && app.currentPage === 'clientDetail') this.load();
+        };
+        [DATA_STORES.CLIENTS, DATA_STORES.INVOICES, DATA_STORES.ENTRIES, DATA_STORES.INVOICE_PAYMENTS, DATA_STORES.CREDIT_NOTES]
+            .forEach(store => dataLayer.subscribe(store, refresh));
+    }
+
+    /**
+     * Show the detail page for a client
+     */
+    async open(clientId) {
+        this.clientId = clientId;
+        this.overview = null;
+        document.getElementById('clientDetailName').textContent = 'Loading...';
+        document.getElementById('clientDetailContact').innerHTML = '';
+        document.getElementById('clientTimeline').innerHTML = '';
+        app.navigateTo('clientDetail');
+        await this.load();
+    }
+
+    async load() {
+        try {
+            this.overview = await dataLayer.getClientOverview(this.clientId);
+            this.render();
+        } catch (error) {
+            console.error('Error loading client details:', error);
+            showToast(`Failed to load client: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    render() {
+        const { client, baseCurrency, stats, paidInvoiceCount, missingRates } = this.overview;
+        const money = (value) => formatMoney(value, baseCurrency);
+
+        document.getElementById('clientDetailName').textContent = client.name;
+        document.getElementById('clientDetailContact').innerHTML = [
+            client.email,
+            client.phone,
+            client.gstin ? `GSTIN: ${client.gstin}` : ''
+        ].filter(Boolean).join(' • ');
+
+        document.getElementById('clientDetailInvoiced').textContent = money(stats.invoiced);
+        document.getElementById('clientDetailInvoiceCount').textContent = `(${stats.invoiceCount})`;
+        document.getElementById('clientDetailReceived').textContent = money(stats.received);
+        document.getElementById('clientDetailOutstanding').textContent = money(stats.outstanding);
+        document.getElementById('clientDetailDaysToPay').textContent = stats.averageDaysToPay === null
+            ? '-'
+            : `${stats.averageDaysToPay} day${stats.averageDaysToPay === 1 ? '' : 's'}`;
+        document.getElementById('clientDetailDaysToPay').title = `Across ${paidInvoiceCount} paid invoice(s)`;
+
+        document.getElementById('clientRevenueNote').textContent = [
+            `Invoiced (after credit notes) and received per month, in ${baseCurrency}.`,
+            missingRates.length > 0 ? `Missing exchange rates for ${missingRates.join(', ')}; those amounts are not converted.` : ''
+        ].filter(Boolean).join(' ');
+
+        chartsManager.renderClientRevenueChart(this.overview);
+        this.renderTimeline();
+    }
+
+    /**
+     * Pick a client to fold into this one; likely duplicates are listed first
+     */
+    async openMergeModal() {
+        if (!this.overview) return;
+
+        const { client } = this.overview;
+        try {
+            const others = (await dataLayer.getAllClients()).filter(c => c.id !== client.id);
+            const duplicates = others
+                .map(c => ({ client: c, reasons: getClientDuplicateReasons(client, c) }))
+                .filter(d => d.reasons.length > 0);
+            const duplicateIds = new Set(duplicates.map(d => d.client.id));
+
+            document.getElementById('mergeSurvivorName').textContent = client.name;
+            document.getElementById('mergeDuplicateSelect').innerHTML = `
+                <option value="">-- Select client --</option>
+                ${duplicates.length > 0 ? `
+                    <optgroup label="Possible duplicates">
+                        ${duplicates.map(d => `<option value="${d.client.id}">${d.client.name} (${d.reasons.join(', ')})</option>`).join('')}
+                    </optgroup>
+                ` : ''}
+                <optgroup label="All clients">
+                    ${others.filter(c => !duplicateIds.has(c.id)).map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+                </optgroup>
+            `;
+            document.getElementById('clientMergeModal').classList.add('active');
+        } catch (error) {
+            console.error('Error loading clients:', error);
+            showToast(`Failed to load clients: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    closeMergeModal() {
+        document.getElementById('clientMergeModal').classList.remove('active');
+    }
+
+    async handleMerge(e) {
+        e.preventDefault();
+
+        const select = document.getElementById('mergeDuplicateSelect');
+        const duplicateId = parseInt(select.value);
+        if (!duplicateId) return;
+
+        const duplicateName = select.selectedOptions[0].text;
+        const confirmed = await app.showConfirmationModal('Merge Clients',
+            `Move everything from "${duplicateName}" to "${this.overview.client.name}" and delete the duplicate? This can't be undone.`);
+        if (!confirmed) return;
+
+        try {
+            const merge = await dataLayer.mergeClients(this.clientId, duplicateId);
+            this.closeMergeModal();
+            showToast(`Merged ${merge.mergedClientName}: ${merge.moved.invoices} invoice(s) and ${merge.moved.entries} entry(ies) moved`, 'success');
+            await this.load();
+        } catch (error) {
+            console.error('Error merging clients:', error);
+            showToast(`Failed to merge clients: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    renderTimeline() {
+        const container = document.getElementById('clientTimeline');
+        const { timeline } = this.overview;
+
+        if (timeline.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No invoices or entries for this client yet.</p>';
+            return;
+        }
+
+        container.innerHTML = timeline.map((item, index) => `
+            <div class="timeline-item ${item.invoiceId ? 'cursor-pointer' : ''}" data-index="${index}">
+                <span class="timeline-dot timeline-${item.type}"></span>
+                <div class="timeline-content">
+                    <div class="timeline-title">${item.title}</div>
+                    <div class="timeline-meta">${formatDate(item.date)}${item.detail ? ` • ${item.detail}` : ''}</div>
+                </div>
+                ${item.amount !== null ? `<span class="timeline-amount">${formatMoney(item.amount, item.currency)}</span>` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.timeline-item.cursor-pointer').forEach(el => {
+            el.addEventListener('click', () => invoiceManager.viewInvoice(timeline[el.dataset.index].invoiceId));
+        });
+    }
+}
+
+window.clientDetailManager = new ClientDetailManager();
@@ -0,0 +1,137 @@
+/**
+ * FinanceFlow - Link Entries to Clients
+ * Admin tool (Settings) for entries saved with only a client name: suggests
+ * the closest saved client for each name and links the ones an admin confirms
+ */
+
+// Suggestions at least this close are preselected; the rest wait for a choice
+const CLIENT_LINK_AUTO_SELECT_SCORE = 0.85;
+
+class ClientLinkManager {
+    constructor() {
+        this.names = [];
+        this.clients = [];
+    }
+
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.getElementById('findUnlinkedEntriesBtn')?.addEventListener('click', () => this.load());
+        document.getElementById('linkEntriesBtn')?.addEventListener('click', () => this.linkSelected());
+    }
+
+    async load() {
+        const container = document.getElementById('unlinkedEntriesList');
+        container.innerHTML = '<p class="recurring-empty">Looking for unlinked entries...</p>';
+
+        try {
+            [this.names, this.clients] = await Promise.all([
+                dataLayer.getUnlinkedEntryNames(),
+                dataLayer.getAllClients(true)
+            ]);
+            this.render();
+        } catch (error) {
+            console.error('Error loading unlinked entries:', error);
+            container.innerHTML = '';
+            showToast(`Failed to load entries: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    render() {
+        const container = document.getElementById('unlinkedEntriesList');
+        const linkBtn = document.getElementById('linkEntriesBtn');
+
+        if (this.names.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">Every entry is linked to a client.</p>';
+            linkBtn.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Name on entries</th><th>Entries</th><th>Link to client</th></tr>
+                </thead>
+                <tbody>
+                    ${this.names.map((row, index) => {
+                        const best = row.suggestions[0];
+                        const suggestedIds = new Set(row.suggestions.map(s => s.client.id));
+                        return `
+                            <tr>
+                                <td><strong>${this.escapeHtml(row.clientName)}</strong></td>
+                                <td>${row.entryCount}</td>
+                                <td>
+                                    <select class="client-link-select" data-index="${index}">
+                                        <option value="">Don't link</option>
+                                        ${row.suggestions.length > 0 ? `
+                                            <optgroup label="Suggested">
+                                                ${row.suggestions.map(s => `
+                                                    <option value="${s.client.id}" ${s === best && s.score >= CLIENT_LINK_AUTO_SELECT_SCORE ? 'selected' : ''}>
+                                                        ${this.escapeHtml(s.client.name)} (${Math.round(s.score * 100)}% match)
+                                                    </option>
+                                                `).join('')}
+                                            </optgroup>
+                                        ` : ''}
+                                        <optgroup label="All clients">
+                                            ${this.clients.filter(c => !suggestedIds.has(c.id)).map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('')}
+                                        </optgroup>
+                                    </select>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+        linkBtn.style.display = '';
+    }
+
+    /**
+     * Link every name that has a client chosen
+     */
+    async linkSelected() {
+        const choices = Array.from(document.querySelectorAll('.client-link-select'))
+            .filter(select => select.value)
+            .map(select => ({ ...this.names[select.dataset.index], clientId: parseInt(select.value) }));
+
+        if (choices.length === 0) {
+            showToast('Choose a client for at least one name', 'info');
+            return;
+        }
+
+        const linkBtn = document.getElementById('linkEntriesBtn');
+        linkBtn.disabled = true;
+
+        let linked = 0;
+        const failed = [];
+        for (const choice of choices) {
+            try {
+                linked += await dataLayer.linkEntriesToClient(choice.variants, choice.clientId);
+            } catch (error) {
+                console.error('Error linking entries:', error);
+                failed.push(choice.clientName);
+            }
+        }
+
+        linkBtn.disabled = false;
+        if (failed.length > 0) {
+            showToast(`Linked ${linked} entries; failed for ${failed.map(name => this.escapeHtml(name)).join(', ')}`, 'warning');
+        } else {
+            showToast(`Linked ${linked} entries to clients`, 'success');
+        }
+        await this.load();
+    }
+
+    /**
+     * Escape HTML to prevent XSS - names on entries are free text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
+
+window.clientLinkManager = new ClientLinkManager();
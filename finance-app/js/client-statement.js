@@ -0,0 +1,291 @@
+/**
+ * FinanceFlow - Client Statement of Account
+ * Everything billed to and received from one client over a period, with a
+ * running balance. Opened from the client card; exports to PDF and CSV.
+ */
+
+const STATEMENT_TYPE_LABELS = {
+    invoice: 'Invoice',
+    payment: 'Payment',
+    credit_note: 'Credit Note',
+    refund: 'Refund'
+};
+
+class ClientStatementManager {
+    constructor() {
+        this.clientId = null;
+        this.statement = null;
+    }
+
+    /**
+     * Initialize client statement manager
+     */
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('clientStatementModal');
+
+        document.getElementById('closeClientStatementModal')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelClientStatement')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('downloadStatementCsv')?.addEventListener('click', () => this.downloadCSV());
+        document.getElementById('downloadStatementPdf')?.addEventListener('click', () => this.downloadPDF());
+
+        ['statementFromDate', 'statementToDate', 'statementCurrency'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.loadStatement());
+        });
+
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeModal();
+            });
+        }
+    }
+
+    /**
+     * Open the statement for a client, defaulting to the current calendar year
+     */
+    async openModal(clientId) {
+        const today = new Date().toISOString().split('T')[0];
+        this.clientId = clientId;
+
+        document.getElementById('statementFromDate').value = `${today.slice(0, 4)}-01-01`;
+        document.getElementById('statementToDate').value = today;
+        document.getElementById('statementCurrency').value = '';
+        document.getElementById('clientStatementModal').classList.add('active');
+        await this.loadStatement();
+    }
+
+    closeModal() {
+        document.getElementById('clientStatementModal').classList.remove('active');
+    }
+
+    async loadStatement() {
+        const container = document.getElementById('clientStatementContent');
+        const fromDate = document.getElementById('statementFromDate').value || undefined;
+        const toDate = document.getElementById('statementToDate').value || undefined;
+        const currency = document.getElementById('statementCurrency').value || undefined;
+
+        if (fromDate && toDate && fromDate > toDate) {
+            showToast('The start date must be before the end date', 'error');
+            return;
+        }
+
+        try {
+            this.statement = await dataLayer.getClientStatement(this.clientId, { fromDate, toDate, currency });
+            this.render();
+        } catch (error) {
+            console.error('Error loading client statement:', error);
+            container.innerHTML = '';
+            showToast(`Failed to load statement: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    render() {
+        const { client, currencies, currency, openingBalance, lines, totals, closingBalance } = this.statement;
+        const container = document.getElementById('clientStatementContent');
+        const money = (value) => formatMoney(value, currency);
+
+        document.getElementById('clientStatementTitle').textContent = `Statement - ${client.name}`;
+
+        // Only offer a currency choice when the client has been billed in more than one
+        const currencySelect = document.getElementById('statementCurrency');
+        currencySelect.innerHTML = currencies.map(c => `<option value="${c}">${c}</option>`).join('');
+        currencySelect.value = currency;
+        document.getElementById('statementCurrencyGroup').style.display = currencies.length > 1 ? '' : 'none';
+
+        container.innerHTML = `
+            <table class="services-table statement-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Type</th>
+                        <th>Reference</th>
+                        <th>Details</th>
+                        <th class="statement-amount">Debit</th>
+                        <th class="statement-amount">Credit</th>
+                        <th class="statement-amount">Balance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="statement-balance-row">
+                        <td colspan="6">Opening balance</td>
+                        <td class="statement-amount">${money(openingBalance)}</td>
+                    </tr>
+                    ${lines.map(line => `
+                        <tr>
+                            <td>${formatDate(line.date)}</td>
+                            <td>${STATEMENT_TYPE_LABELS[line.type]}</td>
+                            <td>${line.reference || '-'}</td>
+                            <td class="statement-details">${line.description}</td>
+                            <td class="statement-amount">${line.debit ? money(line.debit) : ''}</td>
+                            <td class="statement-amount">${line.credit ? money(line.credit) : ''}</td>
+                            <td class="statement-amount">${money(line.balance)}</td>
+                        </tr>
+                    `).join('')}
+                    ${lines.length === 0 ? '<tr><td colspan="7" class="text-muted">No transactions in this period.</td></tr>' : ''}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="4"><strong>Closing balance</strong></td>
+                        <td class="statement-amount"><strong>${money(totals.debit)}</strong></td>
+                        <td class="statement-amount"><strong>${money(totals.credit)}</strong></td>
+                        <td class="statement-amount"><strong>${money(closingBalance)}</strong></td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    getPeriodLabel() {
+        const { fromDate, toDate } = this.statement;
+        if (fromDate && toDate) return `${formatDate(fromDate)} to ${formatDate(toDate)}`;
+        if (fromDate) return `From ${formatDate(fromDate)}`;
+        if (toDate) return `Up to ${formatDate(toDate)}`;
+        return 'All transactions';
+    }
+
+    getFilename(extension) {
+        const { client, toDate } = this.statement;
+        const name = client.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+        return `statement-${name}-${toDate || new Date().toISOString().split('T')[0]}.${extension}`;
+    }
+
+    downloadCSV() {
+        if (!this.statement) return;
+
+        const { openingBalance, lines, closingBalance, currency } = this.statement;
+        const quote = (text) => `"${String(text ?? '').replace(/"/g, '""')}"`;
+        const amount = (value) => value ? value.toFixed(2) : '';
+
+        const rows = [
+            ['Date', 'Type', 'Reference', 'Details', `Debit (${currency})`, `Credit (${currency})`, `Balance (${currency})`].join(','),
+            ['', '', '', quote('Opening balance'), '', '', openingBalance.toFixed(2)].join(','),
+            ...lines.map(line => [
+                line.date,
+                STATEMENT_TYPE_LABELS[line.type],
+                quote(line.reference),
+                quote(line.description),
+                amount(line.debit),
+                amount(line.credit),
+                line.balance.toFixed(2)
+            ].join(',')),
+            ['', '', '', quote('Closing balance'), '', '', closingBalance.toFixed(2)].join(',')
+        ];
+
+        const blob = new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' });
+        app.downloadBlob(blob, this.getFilename('csv'));
+    }
+
+    async downloadPDF() {
+        if (!this.statement) return;
+
+        try {
+            const { client, openingBalance, lines, totals, closingBalance, currency } = this.statement;
+            const settings = invoiceManager.agencySettings || {};
+
+            const { jsPDF } = window.jspdf;
+            const doc = new jsPDF();
+            const hasUnicodeFonts = await registerPdfFonts(doc, { content: [client, lines, settings] });
+            const font = hasUnicodeFonts ? 'NotoSans' : 'helvetica';
+            const safe = (text) => pdfSafeText(text, hasUnicodeFonts);
+            const money = (value) => safe(formatMoney(value, currency));
+            const write = (text, x, y, options) => {
+                const { fontStyle } = doc.getFont();
+                doc.setFont(pdfFontFor(doc, text, font), fontStyle);
+                doc.text(safe(text), x, y, options);
+                doc.setFont(font, fontStyle);
+            };
+
+            const right = doc.internal.pageSize.getWidth() - 14;
+
+            // Agency (left) and title (right)
+            doc.setFont(font, 'bold');
+            doc.setFontSize(14);
+            write(settings.agencyName || 'FinanceFlow', 14, 20);
+            doc.setFont(font, 'normal');
+            doc.setFontSize(9);
+            doc.setTextColor(100);
+            const agencyLines = [
+                ...(settings.agencyAddress || '').split('\n'),
+                settings.agencyContact,
+                settings.agencyGstin ? `GSTIN: ${settings.agencyGstin}` : ''
+            ].filter(Boolean);
+            agencyLines.forEach((line, i) => write(line, 14, 26 + i * 4.5));
+
+            doc.setTextColor(0);
+            doc.setFont(font, 'bold');
+            doc.setFontSize(16);
+            doc.text('Statement of Account', right, 20, { align: 'right' });
+            doc.setFont(font, 'normal');
+            doc.setFontSize(9);
+            doc.text(this.getPeriodLabel(), right, 26, { align: 'right' });
+            doc.text(`Currency: ${currency}`, right, 30.5, { align: 'right' });
+
+            // Client block
+            let y = Math.max(26 + agencyLines.length * 4.5, 36) + 6;
+            doc.setFont(font, 'bold');
+            doc.setFontSize(10);
+            doc.text('Statement for', 14, y);
+            doc.setFont(font, 'normal');
+            const clientLines = [
+                client.name,
+                ...(client.address || '').split('\n'),
+                client.email,
+                client.gstin ? `GSTIN: ${client.gstin}` : ''
+            ].filter(Boolean);
+            clientLines.forEach((line, i) => write(line, 14, y + 5 + i * 4.5));
+
+            // Summary (right)
+            const summary = [
+                ['Opening balance', money(openingBalance)],
+                ['Invoiced', money(totals.debit)],
+                ['Paid / credited', money(totals.credit)],
+                ['Closing balance', money(closingBalance)]
+            ];
+            summary.forEach(([label, value], i) => {
+                doc.setFont(font, i === summary.length - 1 ? 'bold' : 'normal');
+                doc.text(label, right - 50, y + i * 5);
+                doc.text(value, right, y + i * 5, { align: 'right' });
+            });
+
+            doc.autoTable({
+                startY: Math.max(y + 5 + clientLines.length * 4.5, y + summary.length * 5) + 4,
+                head: [['Date', 'Type', 'Reference', 'Details', 'Debit', 'Credit', 'Balance']],
+                body: [
+                    ['', '', '', 'Opening balance', '', '', money(openingBalance)],
+                    ...lines.map(line => [
+                        formatDate(line.date),
+                        STATEMENT_TYPE_LABELS[line.type],
+                        line.reference || '',
+                        safe(line.description),
+                        line.debit ? money(line.debit) : '',
+                        line.credit ? money(line.credit) : '',
+                        money(line.balance)
+                    ])
+                ],
+                foot: [['', '', '', 'Closing balance', money(totals.debit), money(totals.credit), money(closingBalance)]],
+                theme: 'grid',
+                styles: { font, fontSize: 8 },
+                headStyles: { fillColor: [99, 102, 241] },
+                footStyles: { fillColor: [245, 247, 250], textColor: 20, fontStyle: 'bold' },
+                columnStyles: {
+                    4: { halign: 'right' },
+                    5: { halign: 'right' },
+                    6: { halign: 'right' }
+                },
+                didParseCell: (cell) => {
+                    cell.cell.styles.font = pdfFontFor(doc, cell.cell.text, font);
+                }
+            });
+
+            doc.save(this.getFilename('pdf'));
+        } catch (error) {
+            console.error('Error generating statement PDF:', error);
+            showToast(`Failed to generate PDF: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+}
+
+window.clientStatementManager = new ClientStatementManager();
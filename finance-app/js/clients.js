@@ -6,6 +6,7 @@
 class ClientsManager {
     constructor() {
         this.clients = [];
+        this.acknowledgedDuplicates = null; // Form values the duplicate warning was shown for
     }
 
     /**
@@ -72,6 +73,8 @@ class ClientsManager {
             phone: document.getElementById('clientPhone').value.trim(),
             email: document.getElementById('clientEmail').value.trim(),
             address: document.getElementById('clientAddress').value.trim(),
+            gstin: document.getElementById('clientGstin').value.trim().toUpperCase() || null,
+            state: document.getElementById('clientState').value || null,
             approval_status: initialStatus,
             created_by_name: `${roleLabel} - ${userName}`
         };
@@ -81,6 +84,29 @@ class ClientsManager {
             return;
         }
 
+        if (client.gstin && !isValidGstin(client.gstin)) {
+            showToast('GSTIN format is invalid (e.g. 33ABCDE1234F1Z5)', 'error');
+            return;
+        }
+        if (client.gstin && !client.state) {
+            client.state = getStateCodeFromGstin(client.gstin);
+        }
+
+        // Warn once about look-alike clients; saving again with the same details goes ahead
+        const signature = [client.name, client.phone, client.email, client.gstin].join('|').toLowerCase();
+        if (this.acknowledgedDuplicates !== signature) {
+            try {
+                const duplicates = await dataLayer.findDuplicateClients(client, id ? parseInt(id) : null);
+                if (duplicates.length > 0) {
+                    this.acknowledgedDuplicates = signature;
+                    this.showDuplicateWarning(duplicates);
+                    return;
+                }
+            } catch (error) {
+                console.warn('Duplicate check failed:', error);
+            }
+        }
+
         try {
             if (id) {
                 // Update existing
@@ -103,6 +129,27 @@ class ClientsManager {
         }
     }
 
+    showDuplicateWarning(duplicates) {
+        const warning = document.getElementById('clientDuplicateWarning');
+        warning.innerHTML = `
+            <strong>This may be a client you already have:</strong>
+            <ul>
+                ${duplicates.map(d => `
+                    <li>${d.client.name}${d.client.approval_status === 'pending' ? ' (pending approval)' : ''} - ${d.reasons.join(', ')}</li>
+                `).join('')}
+            </ul>
+            <span>Use the existing client, or save again to add this one anyway.</span>
+        `;
+        warning.classList.remove('hidden');
+        document.getElementById('saveClient').textContent = 'Save Anyway';
+    }
+
+    hideDuplicateWarning() {
+        this.acknowledgedDuplicates = null;
+        document.getElementById('clientDuplicateWarning').classList.add('hidden');
+        document.getElementById('saveClient').textContent = 'Save Client';
+    }
+
     /**
      * Delete client (or Decline if pending)
      */
@@ -173,13 +220,13 @@ class ClientsManager {
     async populateClientDropdowns() {
         const clients = await dataLayer.getAllClients(true); // true = approved only
 
-        // Entry form dropdown
+        // Entry form dropdown - values are client ids so entries stay linked through renames
         const entryClientSelect = document.getElementById('entryClient');
         if (entryClientSelect) {
             const currentValue = entryClientSelect.value;
             entryClientSelect.innerHTML = `
                 <option value="">Select Client</option>
-                ${clients.map(c => `<option value="${c.name}">${c.name}</option>`).join('')}
+                ${clients.map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
             `;
             if (currentValue) {
                 entryClientSelect.value = currentValue;
@@ -289,6 +336,18 @@ class ClientsManager {
                 });
             });
 
+            // Open the detail page from anywhere else on the card
+            grid.querySelectorAll('.client-card:not(.pending-card)').forEach(card => {
+                card.addEventListener('click', () => clientDetailManager.open(parseInt(card.dataset.id)));
+            });
+
+            grid.querySelectorAll('.statement-client').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    clientStatementManager.openModal(parseInt(btn.dataset.id));
+                });
+            });
+
             grid.querySelectorAll('.delete-client').forEach(btn => {
                 btn.addEventListener('click', (e) => {
                     e.stopPropagation();
@@ -329,6 +388,18 @@ class ClientsManager {
                 </div>
             `;
 
+            // New clients awaiting approval: point out likely duplicates before they're approved
+            const duplicates = !client.deletion_requested && !client.edit_requested
+                ? this.clients.filter(c => getClientDuplicateReasons(client, c).length > 0)
+                : [];
+            if (duplicates.length > 0) {
+                badgeHtml += `
+                    <div class="duplicate-warning">
+                        Possible duplicate of ${duplicates.map(c => `<strong>${c.name}</strong> (${getClientDuplicateReasons(client, c).join(', ')})`).join('; ')}
+                    </div>
+                `;
+            }
+
             if (client.edit_requested && client.pending_changes) {
                 const changes = client.pending_changes;
                 badgeHtml += `
@@ -336,13 +407,15 @@ class ClientsManager {
                         <strong>New Name:</strong> ${changes.name}<br>
                         <strong>New Phone:</strong> ${changes.phone || 'N/A'}<br>
                         <strong>New Email:</strong> ${changes.email || 'N/A'}<br>
-                        <strong>New Address:</strong> ${changes.address ? 'Updated' : 'N/A'}
+                        <strong>New Address:</strong> ${changes.address ? 'Updated' : 'N/A'}<br>
+                        <strong>New GSTIN:</strong> ${changes.gstin || 'N/A'}
                     </div>
                 `;
             }
         } else {
             actionsHtml = `
                 <div class="client-card-actions">
+                    <button class="btn btn-secondary btn-sm statement-client" data-id="${client.id}">Statement</button>
                     <button class="btn btn-secondary btn-sm edit-client" data-id="${client.id}">Edit</button>
                     <button class="btn btn-danger btn-sm delete-client" data-id="${client.id}">Delete</button>
                 </div>
@@ -377,6 +450,7 @@ class ClientsManager {
                     </div>
                 </div>
                 ${client.address ? `<div class="client-address">${client.address.replace(/\n/g, '<br>')}</div>` : ''}
+                ${client.gstin ? `<div class="client-address">GSTIN: ${client.gstin}</div>` : ''}
                 ${actionsHtml}
             </div>
         `;
@@ -409,6 +483,8 @@ class ClientsManager {
         }
 
         form.reset();
+        this.hideDuplicateWarning();
+        populateGstStateSelect(document.getElementById('clientState'), client?.state || '');
 
         if (client) {
             title.textContent = 'Edit Client';
@@ -417,6 +493,7 @@ class ClientsManager {
             document.getElementById('clientPhone').value = client.phone;
             document.getElementById('clientEmail').value = client.email || '';
             document.getElementById('clientAddress').value = client.address || '';
+            document.getElementById('clientGstin').value = client.gstin || '';
         } else {
             title.textContent = 'Add Client';
             document.getElementById('clientId').value = '';
@@ -454,6 +531,9 @@ class ClientsManager {
             document.getElementById('invoiceClientName').value = '';
             document.getElementById('invoiceClientPhone').value = '';
             document.getElementById('invoiceClientAddress').value = '';
+            document.getElementById('invoiceClientGstin').value = '';
+            document.getElementById('invoiceClientState').value = '';
+            invoiceManager.calculateTotals();
             return;
         }
 
@@ -468,6 +548,11 @@ class ClientsManager {
             if (emailField) {
                 emailField.value = client.email || '';
             }
+
+            // GST place of supply decides CGST+SGST vs IGST
+            document.getElementById('invoiceClientGstin').value = client.gstin || '';
+            document.getElementById('invoiceClientState').value = client.state || getStateCodeFromGstin(client.gstin);
+            invoiceManager.calculateTotals();
         }
     }
 
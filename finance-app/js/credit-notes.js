@@ -0,0 +1,157 @@
+/**
+ * FinanceFlow - Credit Note Manager
+ * Handles issuing credit notes against invoices (partial credit or full cancellation)
+ */
+
+class CreditNoteManager {
+    constructor() {
+        this.invoice = null;
+    }
+
+    /**
+     * Initialize credit note manager
+     */
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('creditNoteModal');
+        const form = document.getElementById('creditNoteForm');
+
+        document.getElementById('closeCreditNoteModal')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelCreditNote')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('creditAllLinesBtn')?.addEventListener('click', () => this.creditAllLines());
+
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeModal();
+            });
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCreditNote();
+            });
+        }
+    }
+
+    /**
+     * Open the credit note modal for an invoice
+     */
+    async openModal(invoiceId) {
+        this.invoice = await dataLayer.getInvoice(invoiceId);
+        if (!this.invoice) return;
+
+        const invoice = this.invoice;
+        const currency = getCurrencySymbol(invoice.currency);
+
+        document.getElementById('creditNoteForm').reset();
+        document.getElementById('creditNoteDate').value = new Date().toISOString().split('T')[0];
+        document.getElementById('creditNoteSummary').innerHTML = `
+            <strong>${invoice.invoiceNumber}</strong> • ${invoice.clientName}<br>
+            Total ${currency}${parseFloat(invoice.grandTotal).toFixed(2)} •
+            Paid ${currency}${invoice.amountPaid.toFixed(2)} •
+            Credited ${currency}${invoice.creditedAmount.toFixed(2)}
+        `;
+
+        document.getElementById('creditNoteLines').innerHTML = invoice.services.map(s => {
+            const remaining = (parseFloat(s.quantity) || 0) - s.creditedQuantity;
+            return `
+                <tr>
+                    <td>${s.name}</td>
+                    <td>${remaining} of ${s.quantity}</td>
+                    <td>${currency}${parseFloat(s.rate).toFixed(2)}</td>
+                    <td>
+                        <input type="number" class="credit-qty" data-service-id="${s.id}" data-rate="${s.rate}" data-tax-rate="${s.taxRate}"
+                            value="0" min="0" max="${remaining}" step="any" ${remaining <= 0 ? 'disabled' : ''}>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        document.querySelectorAll('#creditNoteLines .credit-qty').forEach(input => {
+            input.addEventListener('input', () => this.updateTotal());
+        });
+
+        this.updateTotal();
+        document.getElementById('creditNoteModal').classList.add('active');
+    }
+
+    closeModal() {
+        document.getElementById('creditNoteModal').classList.remove('active');
+        this.invoice = null;
+    }
+
+    /**
+     * Fill every line with its remaining quantity (full cancellation)
+     */
+    creditAllLines() {
+        document.querySelectorAll('#creditNoteLines .credit-qty:not(:disabled)').forEach(input => {
+            input.value = input.max;
+        });
+        this.updateTotal();
+    }
+
+    getSelectedItems() {
+        return Array.from(document.querySelectorAll('#creditNoteLines .credit-qty'))
+            .map(input => ({
+                invoiceServiceId: parseInt(input.dataset.serviceId),
+                quantity: Math.min(parseFloat(input.value) || 0, parseFloat(input.max) || 0),
+                rate: parseFloat(input.dataset.rate) || 0,
+                taxRate: parseFloat(input.dataset.taxRate) || 0
+            }))
+            .filter(item => item.quantity > 0);
+    }
+
+    /**
+     * Show the credit total using the invoice's tax and discount rules
+     */
+    updateTotal() {
+        if (!this.invoice) return;
+        const currency = getCurrencySymbol(this.invoice.currency);
+        const totals = calculateCreditNoteTotals(this.invoice, this.getSelectedItems());
+        document.getElementById('creditNoteTotal').textContent = `${currency}${totals.total.toFixed(2)}`;
+    }
+
+    /**
+     * Issue the credit note
+     */
+    async saveCreditNote() {
+        if (!this.invoice) return;
+
+        const items = this.getSelectedItems();
+        if (items.length === 0) {
+            showToast('Enter a quantity to credit on at least one line', 'error');
+            return;
+        }
+
+        const reason = document.getElementById('creditNoteReason').value.trim();
+        if (!reason) {
+            showToast('Please enter a reason for the credit note', 'error');
+            return;
+        }
+
+        try {
+            const creditNote = await dataLayer.addCreditNote(this.invoice.id, {
+                creditDate: document.getElementById('creditNoteDate').value,
+                reason,
+                items
+            });
+
+            showToast(`Credit note ${creditNote.creditNoteNumber} issued`, 'success');
+            this.closeModal();
+            await invoiceManager.renderInvoiceHistory();
+
+            if (typeof chartsManager !== 'undefined') {
+                chartsManager.updateAllCharts();
+            }
+        } catch (error) {
+            console.error('Error issuing credit note:', error);
+            showToast(`Failed to issue credit note: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+}
+
+window.creditNoteManager = new CreditNoteManager();
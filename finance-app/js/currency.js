@@ -0,0 +1,156 @@
+/**
+ * FinanceFlow - Currency Helpers
+ * Supported currencies, symbols and conversion to the base currency using dated exchange rates
+ */
+
+const CURRENCIES = [
+    { code: 'INR', symbol: '₹', name: 'Indian Rupee', unitWords: ['Rupees', 'Paise'] },
+    { code: 'USD', symbol: '$', name: 'US Dollar', unitWords: ['US Dollars', 'Cents'] },
+    { code: 'EUR', symbol: '€', name: 'Euro', unitWords: ['Euros', 'Cents'] },
+    { code: 'GBP', symbol: '£', name: 'British Pound', unitWords: ['Pounds', 'Pence'] },
+    { code: 'AUD', symbol: 'A$', name: 'Australian Dollar', unitWords: ['Australian Dollars', 'Cents'] },
+    { code: 'SGD', symbol: 'S$', name: 'Singapore Dollar', unitWords: ['Singapore Dollars', 'Cents'] },
+    { code: 'AED', symbol: 'AED ', name: 'UAE Dirham', unitWords: ['Dirhams', 'Fils'] }
+];
+
+const NUMBER_WORDS = [
+    '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+
+const TENS_WORDS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Currency code for a stored setting. Older settings saved the symbol (e.g. '₹')
+ * rather than the code, so accept either.
+ */
+function normalizeCurrencyCode(value) {
+    if (!value) return 'INR';
+    const match = CURRENCIES.find(c => c.code === value || c.symbol === value);
+    return match ? match.code : 'INR';
+}
+
+/**
+ * Base currency for reports (set from settings by App.loadSettings)
+ */
+function getBaseCurrency() {
+    return window.appBaseCurrency || 'INR';
+}
+
+/**
+ * Symbol for a currency code. Records without a currency are in the base currency.
+ */
+function getCurrencySymbol(code) {
+    const currency = CURRENCIES.find(c => c.code === (code || getBaseCurrency()));
+    return currency ? currency.symbol : (window.appCurrency || '₹');
+}
+
+/**
+ * Format an amount in a record's own currency
+ */
+function formatMoney(amount, code) {
+    return formatCurrency(amount, getCurrencySymbol(code));
+}
+
+/**
+ * Fill a <select> with the currency list (compact = codes only, for inline pickers)
+ */
+function populateCurrencySelect(select, selectedCode = '', compact = false) {
+    if (!select) return;
+    const selected = selectedCode || getBaseCurrency();
+    select.innerHTML = CURRENCIES.map(c =>
+        `<option value="${c.code}" ${c.code === selected ? 'selected' : ''}>${compact ? c.code : `${c.symbol.trim()} ${c.code} (${c.name})`}</option>`
+    ).join('');
+}
+
+/**
+ * Build a converter to the base currency from exchange rate rows.
+ * Each amount uses the latest rate dated on or before its own date; if the
+ * currency only has later rates, the earliest one is used. Currencies with no
+ * rate at all are left unconverted and listed in `missing`.
+ * @param {Array} rates - [{ currency, rateDate, rate }] where rate = base units per 1 unit
+ * @param {string} baseCurrency
+ */
+function createCurrencyConverter(rates, baseCurrency) {
+    const byCurrency = {};
+    (rates || []).forEach(r => {
+        if (!byCurrency[r.currency]) byCurrency[r.currency] = [];
+        byCurrency[r.currency].push(r);
+    });
+    Object.values(byCurrency).forEach(list => list.sort((a, b) => a.rateDate.localeCompare(b.rateDate)));
+
+    const missing = new Set();
+
+    const getRate = (currency, date) => {
+        if (!currency || currency === baseCurrency) return 1;
+        const list = byCurrency[currency];
+        if (!list || list.length === 0) {
+            missing.add(currency);
+            return 1;
+        }
+        let match = list[0];
+        for (const r of list) {
+            if (date && r.rateDate > date) break;
+            match = r;
+        }
+        return parseFloat(match.rate) || 1;
+    };
+
+    return {
+        baseCurrency,
+        missing,
+        getRate,
+        convert: (amount, currency, date) => (parseFloat(amount) || 0) * getRate(currency, date)
+    };
+}
+
+/**
+ * Whole number in words with Indian grouping (thousand, lakh, crore),
+ * e.g. 1234567 -> 'Twelve Lakh Thirty-Four Thousand Five Hundred Sixty-Seven'
+ */
+function numberToIndianWords(value) {
+    const below100 = (n) => n < 20
+        ? NUMBER_WORDS[n]
+        : TENS_WORDS[Math.floor(n / 10)] + (n % 10 ? `-${NUMBER_WORDS[n % 10]}` : '');
+
+    if (value === 0) return 'Zero';
+
+    const parts = [];
+    let n = value;
+
+    // Amounts above 99 crore read as e.g. 'One Hundred Twenty Crore'
+    const crore = Math.floor(n / 10000000);
+    if (crore) parts.push(`${numberToIndianWords(crore)} Crore`);
+    n %= 10000000;
+
+    const lakh = Math.floor(n / 100000);
+    if (lakh) parts.push(`${below100(lakh)} Lakh`);
+    n %= 100000;
+
+    const thousand = Math.floor(n / 1000);
+    if (thousand) parts.push(`${below100(thousand)} Thousand`);
+    n %= 1000;
+
+    const hundred = Math.floor(n / 100);
+    if (hundred) parts.push(`${NUMBER_WORDS[hundred]} Hundred`);
+    n %= 100;
+
+    if (n) parts.push(below100(n));
+    return parts.join(' ');
+}
+
+/**
+ * Amount in words as printed on invoices,
+ * e.g. 'Rupees One Lakh Twenty Thousand and Fifty Paise Only'
+ */
+function amountInWords(amount, code) {
+    const currency = CURRENCIES.find(c => c.code === (code || getBaseCurrency())) || CURRENCIES[0];
+    const [unit, subunit] = currency.unitWords;
+    const totalMinor = Math.round(Math.abs(parseFloat(amount) || 0) * 100);
+    const whole = Math.floor(totalMinor / 100);
+    const fraction = totalMinor % 100;
+
+    let words = `${unit} ${numberToIndianWords(whole)}`;
+    if (fraction) words += ` and ${numberToIndianWords(fraction)} ${subunit}`;
+    return `${words} Only`;
+}
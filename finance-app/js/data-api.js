@@ -6,23 +6,29 @@
 // Helper functions to convert between JS camelCase and database snake_case
 const toDbEntry = (entry) => ({
     date: entry.date,
+    client_id: entry.clientId || null,
     client_name: entry.clientName,
+    category_id: entry.categoryId || null,
     description: entry.description,
     amount: entry.amount,
     type: entry.type,
     status: entry.status,
-    payment_mode: entry.paymentMode
+    payment_mode: entry.paymentMode,
+    currency: entry.currency || null
 });
 
 const fromDbEntry = (row) => ({
     id: row.id,
     date: row.date,
+    clientId: row.client_id || null,
     clientName: row.client_name,
+    categoryId: row.category_id || null,
     description: row.description,
     amount: row.amount,
     type: row.type,
     status: row.status,
     paymentMode: row.payment_mode,
+    currency: row.currency || null, // null = base currency
     userId: row.user_id,
     createdAt: row.created_at,
     // Approval workflow fields
@@ -31,7 +37,10 @@ const fromDbEntry = (row) => ({
     approvedBy: row.approved_by,
     approvedAt: row.approved_at,
     deletionRequested: row.deletion_requested,
-    deletionRequestedBy: row.deletion_requested_by
+    deletionRequestedBy: row.deletion_requested_by,
+    // Bank reconciliation
+    reconciled: Boolean(row.reconciled),
+    reconciledAt: row.reconciled_at || null
 });
 
 const toDbInvoice = (invoice) => ({
@@ -53,43 +62,850 @@ const toDbInvoice = (invoice) => ({
     discount_percent: parseFloat(invoice.discountPercent) || 0,
     discount_amount: parseFloat(invoice.discountAmount) || 0,
     grand_total: parseFloat(invoice.grandTotal) || 0,
-    payment_status: invoice.paymentStatus || 'pending'
+    payment_status: invoice.paymentStatus || 'pending',
+    recurring_invoice_id: invoice.recurringInvoiceId || null,
+    estimate_id: invoice.estimateId || null,
+    agency_gstin: invoice.agencyGstin || null,
+    agency_state: invoice.agencyState || null,
+    client_gstin: invoice.clientGstin || null,
+    client_state: invoice.clientState || null,
+    gst_type: invoice.gstType || null,
+    cgst_amount: parseFloat(invoice.cgstAmount) || 0,
+    sgst_amount: parseFloat(invoice.sgstAmount) || 0,
+    igst_amount: parseFloat(invoice.igstAmount) || 0,
+    currency: invoice.currency || null
 });
 
-const fromDbInvoice = (row) => ({
+const toDbInvoiceService = (service, invoiceId) => ({
+    name: service.name,
+    quantity: service.quantity,
+    rate: service.rate,
+    amount: service.amount,
+    hsn_sac: service.hsnSac || null,
+    tax_rate: parseFloat(service.taxRate) || 0,
+    tax_amount: parseFloat(service.taxAmount) || 0,
+    catalog_item_id: service.catalogItemId || null,
+    invoice_id: invoiceId
+});
+
+const fromDbInvoicePayment = (row) => ({
+    id: row.id,
+    invoiceId: row.invoice_id,
+    amount: parseFloat(row.amount) || 0,
+    paymentDate: row.payment_date,
+    paymentMode: row.payment_mode,
+    reference: row.reference,
+    entryId: row.entry_id,
+    createdByName: row.created_by_name,
+    createdAt: row.created_at
+});
+
+const toDbRecurringInvoice = (template) => ({
+    template_name: template.templateName,
+    client_id: template.clientId || null,
+    client_name: template.clientName,
+    client_email: template.clientEmail,
+    client_address: template.clientAddress,
+    client_phone: template.clientPhone,
+    client_gstin: template.clientGstin || null,
+    client_state: template.clientState || null,
+    currency: template.currency || null,
+    services: (template.services || []).map(s => ({
+        name: s.name,
+        hsnSac: s.hsnSac || null,
+        quantity: parseFloat(s.quantity) || 0,
+        rate: parseFloat(s.rate) || 0,
+        taxRate: parseFloat(s.taxRate) || 0,
+        amount: parseFloat(s.amount) || 0,
+        catalogItemId: s.catalogItemId || null
+    })),
+    tax_percent: parseFloat(template.taxPercent) || 0,
+    discount_percent: parseFloat(template.discountPercent) || 0,
+    frequency: template.frequency || 'monthly',
+    start_date: template.startDate,
+    end_date: template.endDate || null,
+    next_run_date: template.nextRunDate || template.startDate,
+    due_days: parseInt(template.dueDays) || 0,
+    is_active: template.isActive !== false
+});
+
+const fromDbRecurringInvoice = (row) => ({
     id: row.id,
-    invoiceNumber: row.invoice_number,
-    invoiceDate: row.invoice_date,
-    dueDate: row.due_date,
+    templateName: row.template_name,
+    clientId: row.client_id,
     clientName: row.client_name,
+    clientEmail: row.client_email,
     clientAddress: row.client_address,
     clientPhone: row.client_phone,
-    agencyName: row.agency_name,
-    agencyContact: row.agency_contact,
-    agencyAddress: row.agency_address,
-    agencyLogo: row.agency_logo,
-    subtotal: row.subtotal,
-    taxPercent: row.tax_percent,
-    taxAmount: row.tax_amount,
-    discountPercent: row.discount_percent,
-    discountAmount: row.discount_amount,
-    grandTotal: row.grand_total,
-    paymentStatus: row.payment_status,
-    clientEmail: row.client_email,
-    clientId: row.client_id,
-    createdBy: row.created_by,
+    clientGstin: row.client_gstin,
+    clientState: row.client_state,
+    currency: row.currency || null,
+    services: row.services || [],
+    taxPercent: parseFloat(row.tax_percent) || 0,
+    discountPercent: parseFloat(row.discount_percent) || 0,
+    frequency: row.frequency,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    nextRunDate: row.next_run_date,
+    dueDays: row.due_days || 0,
+    isActive: row.is_active,
+    lastGeneratedAt: row.last_generated_at,
     createdByName: row.created_by_name,
-    createdByEmail: row.created_by_email,
-    services: row.invoice_services?.map(s => ({
-        id: s.id,
-        name: s.name,
-        quantity: s.quantity,
-        rate: s.rate,
-        amount: s.amount
-    })) || [],
     createdAt: row.created_at
 });
 
+const RECURRING_FREQUENCY_MONTHS = {
+    monthly: 1,
+    quarterly: 3,
+    yearly: 12
+};
+
+/**
+ * Move a YYYY-MM-DD date forward by whole months, keeping the template's
+ * anchor day where the month allows it (31st -> 30th/28th, never drifting).
+ */
+const addMonthsToDate = (dateStr, months, anchorDay) => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const targetMonthIndex = month - 1 + months;
+    const targetYear = year + Math.floor(targetMonthIndex / 12);
+    const targetMonth = ((targetMonthIndex % 12) + 12) % 12;
+    const daysInMonth = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+    const targetDay = Math.min(anchorDay || day, daysInMonth);
+    return `${targetYear}-${String(targetMonth + 1).padStart(2, '0')}-${String(targetDay).padStart(2, '0')}`;
+};
+
+const addDaysToDate = (dateStr, days) => {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const fromDbReminderTemplate = (row) => ({
+    id: row.id,
+    name: row.name,
+    subject: row.subject,
+    body: row.body,
+    createdAt: row.created_at
+});
+
+const fromDbReminderSchedule = (row) => ({
+    id: row.id,
+    offsetDays: row.offset_days,
+    templateId: row.template_id,
+    isActive: row.is_active,
+    createdAt: row.created_at
+});
+
+const fromDbInvoiceReminder = (row) => ({
+    id: row.id,
+    invoiceId: row.invoice_id,
+    scheduleId: row.schedule_id,
+    recipient: row.recipient,
+    subject: row.subject,
+    body: row.body,
+    status: row.status,
+    error: row.error,
+    sentAt: row.sent_at
+});
+
+const fromDbInvoiceRevision = (row) => ({
+    id: row.id,
+    invoiceId: row.invoice_id,
+    revisionNumber: row.revision_number,
+    editedBy: row.user_id,
+    editedByName: row.edited_by_name,
+    snapshot: row.snapshot || {},
+    changes: row.changes || [],
+    createdAt: row.created_at
+});
+
+const fromDbInvoiceEmail = (row) => ({
+    id: row.id,
+    invoiceId: row.invoice_id,
+    recipient: row.recipient,
+    cc: row.cc,
+    bcc: row.bcc,
+    subject: row.subject,
+    message: row.message,
+    status: row.status,
+    error: row.error,
+    sentAt: row.sent_at
+});
+
+const fromDbExchangeRate = (row) => ({
+    id: row.id,
+    currency: row.currency,
+    baseCurrency: row.base_currency,
+    rateDate: row.rate_date,
+    rate: parseFloat(row.rate) || 0,
+    createdAt: row.created_at
+});
+
+const fromDbCreditNote = (row) => ({
+    id: row.id,
+    creditNoteNumber: row.credit_note_number,
+    invoiceId: row.invoice_id,
+    creditDate: row.credit_date,
+    reason: row.reason,
+    subtotal: parseFloat(row.subtotal) || 0,
+    taxAmount: parseFloat(row.tax_amount) || 0,
+    discountAmount: parseFloat(row.discount_amount) || 0,
+    total: parseFloat(row.total) || 0,
+    cgstAmount: parseFloat(row.cgst_amount) || 0,
+    sgstAmount: parseFloat(row.sgst_amount) || 0,
+    igstAmount: parseFloat(row.igst_amount) || 0,
+    entryId: row.entry_id,
+    items: (row.credit_note_items || []).map(i => ({
+        id: i.id,
+        invoiceServiceId: i.invoice_service_id,
+        name: i.name,
+        quantity: parseFloat(i.quantity) || 0,
+        rate: parseFloat(i.rate) || 0,
+        taxRate: parseFloat(i.tax_rate) || 0,
+        amount: parseFloat(i.amount) || 0
+    })),
+    createdByName: row.created_by_name,
+    createdAt: row.created_at
+});
+
+/**
+ * Totals for credited invoice lines, using the invoice's own discount and tax rules.
+ * GST invoices use each line's rate and tax heads; legacy invoices the single tax %.
+ * @param {Object} invoice - Invoice from fromDbInvoice
+ * @param {Array} items - [{ quantity, rate, taxRate }]
+ */
+const calculateCreditNoteTotals = (invoice, items) => {
+    if (invoice.gstType) {
+        const gst = calculateGstBreakdown(items, {
+            discountPercent: invoice.discountPercent,
+            agencyState: invoice.agencyState,
+            clientState: invoice.clientState
+        });
+        return {
+            subtotal: gst.subtotal,
+            discountAmount: gst.discountAmount,
+            taxAmount: gst.taxAmount,
+            cgstAmount: gst.cgstAmount,
+            sgstAmount: gst.sgstAmount,
+            igstAmount: gst.igstAmount,
+            total: gst.grandTotal
+        };
+    }
+
+    const subtotal = items.reduce((sum, i) => sum + (parseFloat(i.quantity) || 0) * (parseFloat(i.rate) || 0), 0);
+    const taxAmount = subtotal * ((parseFloat(invoice.taxPercent) || 0) / 100);
+    const discountAmount = subtotal * ((parseFloat(invoice.discountPercent) || 0) / 100);
+    return {
+        subtotal,
+        discountAmount,
+        taxAmount,
+        cgstAmount: 0,
+        sgstAmount: 0,
+        igstAmount: 0,
+        total: subtotal + taxAmount - discountAmount
+    };
+};
+
+// Accounts-receivable aging buckets, by days past the due date
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', maxDays: 0 },
+    { key: 'days_1_30', label: '1–30 days', maxDays: 30 },
+    { key: 'days_31_60', label: '31–60 days', maxDays: 60 },
+    { key: 'days_61_90', label: '61–90 days', maxDays: 90 },
+    { key: 'days_90_plus', label: '90+ days', maxDays: Infinity }
+];
+
+/**
+ * Whole days from a YYYY-MM-DD due date to asOfDate (negative = not yet due)
+ */
+const getDaysPastDue = (dueDate, asOfDate = new Date().toISOString().split('T')[0]) => {
+    if (!dueDate) return 0;
+    return Math.round((Date.parse(`${asOfDate}T00:00:00Z`) - Date.parse(`${dueDate}T00:00:00Z`)) / 86400000);
+};
+
+const getAgingBucket = (daysPastDue) => AGING_BUCKETS.find(b => daysPastDue <= b.maxDays).key;
+
+/**
+ * Why an invoice can't be edited, or null if it can. Credit note lines point at
+ * the invoice lines, and a paid or cancelled invoice is a closed record.
+ * @param {Object} invoice - Invoice from fromDbInvoice
+ */
+const getInvoiceEditBlocker = (invoice) => {
+    if (invoice.creditNotes.length > 0) return 'Invoices with credit notes can\'t be edited';
+    if (invoice.storedPaymentStatus === 'paid') return 'Paid invoices can\'t be edited';
+    return null;
+};
+
+// Invoice fields compared between revisions, with their labels in the history
+const INVOICE_REVISION_FIELDS = {
+    clientName: 'Client',
+    clientEmail: 'Client email',
+    clientAddress: 'Client address',
+    clientGstin: 'Client GSTIN',
+    clientState: 'Client state',
+    agencyName: 'Agency name',
+    agencyContact: 'Agency contact',
+    agencyAddress: 'Agency address',
+    agencyGstin: 'Agency GSTIN',
+    agencyState: 'Agency state',
+    invoiceDate: 'Invoice date',
+    dueDate: 'Due date',
+    currency: 'Currency',
+    discountPercent: 'Discount %',
+    grandTotal: 'Grand total'
+};
+
+const describeInvoiceLine = (s) => {
+    const taxRate = parseFloat(s.taxRate) || 0;
+    return `${s.name} - ${parseFloat(s.quantity) || 0} × ${(parseFloat(s.rate) || 0).toFixed(2)}${taxRate ? ` @ ${taxRate}%` : ''}`;
+};
+
+/**
+ * What an edit changed, as [{ label, from, to }]. Lines are compared by position.
+ * @param {Object} before - Invoice as saved
+ * @param {Object} after - Edited invoice data
+ */
+const getInvoiceRevisionChanges = (before, after) => {
+    const normalize = (key, value) => {
+        if (key === 'grandTotal' || key === 'discountPercent') return (parseFloat(value) || 0).toFixed(2);
+        if (key === 'currency') return value || getBaseCurrency();
+        return String(value ?? '').trim();
+    };
+
+    const changes = Object.entries(INVOICE_REVISION_FIELDS)
+        .map(([key, label]) => ({ label, from: normalize(key, before[key]), to: normalize(key, after[key]) }))
+        .filter(c => c.from !== c.to);
+
+    const beforeLines = (before.services || []).map(describeInvoiceLine);
+    const afterLines = (after.services || []).map(describeInvoiceLine);
+    for (let i = 0; i < Math.max(beforeLines.length, afterLines.length); i++) {
+        if (beforeLines[i] !== afterLines[i]) {
+            changes.push({ label: `Line ${i + 1}`, from: beforeLines[i] || '', to: afterLines[i] || '' });
+        }
+    }
+
+    return changes;
+};
+
+const fromDbInvoice = (row) => {
+    const payments = (row.invoice_payments || [])
+        .map(fromDbInvoicePayment)
+        .sort((a, b) => (a.paymentDate || '').localeCompare(b.paymentDate || ''));
+    const grandTotal = parseFloat(row.grand_total) || 0;
+
+    // Legacy invoices were marked paid without a ledger - treat them as fully settled
+    const isLegacyPaid = payments.length === 0 && row.payment_status === 'paid';
+    const amountPaid = isLegacyPaid ? grandTotal : payments.reduce((sum, p) => sum + p.amount, 0);
+
+    const creditNotes = (row.credit_notes || [])
+        .map(fromDbCreditNote)
+        .sort((a, b) => (a.creditDate || '').localeCompare(b.creditDate || ''));
+    const creditedAmount = parseFloat(row.credited_amount) || 0;
+
+    // Quantity already credited per invoice line, so a line can't be credited twice
+    const creditedQty = {};
+    creditNotes.forEach(cn => cn.items.forEach(item => {
+        if (item.invoiceServiceId) {
+            creditedQty[item.invoiceServiceId] = (creditedQty[item.invoiceServiceId] || 0) + item.quantity;
+        }
+    }));
+
+    const balanceDue = Math.max(grandTotal - creditedAmount - amountPaid, 0);
+
+    // Overdue is derived on read: stored status stays what the ledger says, so it
+    // flips back automatically when the balance is settled or the due date moves
+    const daysOverdue = balanceDue > 0.005 ? Math.max(getDaysPastDue(row.due_date), 0) : 0;
+
+    return {
+        id: row.id,
+        invoiceNumber: row.invoice_number,
+        invoiceDate: row.invoice_date,
+        dueDate: row.due_date,
+        clientName: row.client_name,
+        clientAddress: row.client_address,
+        clientPhone: row.client_phone,
+        agencyName: row.agency_name,
+        agencyContact: row.agency_contact,
+        agencyAddress: row.agency_address,
+        agencyLogo: row.agency_logo,
+        subtotal: row.subtotal,
+        taxPercent: row.tax_percent,
+        taxAmount: row.tax_amount,
+        discountPercent: row.discount_percent,
+        discountAmount: row.discount_amount,
+        grandTotal: row.grand_total,
+        paymentStatus: daysOverdue > 0 ? 'overdue' : row.payment_status,
+        storedPaymentStatus: row.payment_status,
+        isOverdue: daysOverdue > 0,
+        daysOverdue,
+        clientEmail: row.client_email,
+        clientId: row.client_id,
+        clientGstin: row.client_gstin,
+        clientState: row.client_state,
+        agencyGstin: row.agency_gstin,
+        agencyState: row.agency_state,
+        gstType: row.gst_type,
+        cgstAmount: parseFloat(row.cgst_amount) || 0,
+        sgstAmount: parseFloat(row.sgst_amount) || 0,
+        igstAmount: parseFloat(row.igst_amount) || 0,
+        currency: row.currency || null,
+        recurringInvoiceId: row.recurring_invoice_id,
+        estimateId: row.estimate_id,
+        createdBy: row.created_by,
+        createdByName: row.created_by_name,
+        createdByEmail: row.created_by_email,
+        services: row.invoice_services?.map(s => ({
+            id: s.id,
+            name: s.name,
+            quantity: s.quantity,
+            rate: s.rate,
+            amount: s.amount,
+            hsnSac: s.hsn_sac ?? s.hsnSac,
+            taxRate: parseFloat(s.tax_rate ?? s.taxRate) || 0,
+            taxAmount: parseFloat(s.tax_amount ?? s.taxAmount) || 0,
+            catalogItemId: s.catalog_item_id ?? s.catalogItemId ?? null,
+            creditedQuantity: creditedQty[s.id] || 0
+        })) || [],
+        payments,
+        amountPaid,
+        creditNotes,
+        creditedAmount,
+        balanceDue,
+        createdAt: row.created_at
+    };
+};
+
+// Suggestions below this similarity aren't worth showing
+const CLIENT_MATCH_MIN_SCORE = 0.5;
+
+// Words that don't tell one business from another
+const CLIENT_NAME_NOISE = /\b(pvt|private|ltd|limited|llp|llc|inc|co|company|corp|corporation|the|and|m\/s|ms)\b/g;
+
+const normalizeClientName = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s/]/g, ' ')
+    .replace(CLIENT_NAME_NOISE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const levenshteinDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * How alike two client names are, from 0 to 1. Case, punctuation and
+ * suffixes like "Pvt Ltd" are ignored; the better of character-level
+ * (typos) and word-level (reordering, extra words) similarity wins.
+ */
+const getClientNameSimilarity = (a, b) => {
+    const left = normalizeClientName(a);
+    const right = normalizeClientName(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const characters = 1 - levenshteinDistance(left, right) / Math.max(left.length, right.length);
+
+    const leftWords = new Set(left.split(' '));
+    const rightWords = new Set(right.split(' '));
+    const shared = [...leftWords].filter(w => rightWords.has(w)).length;
+    const words = (2 * shared) / (leftWords.size + rightWords.size);
+
+    return Math.max(characters, words);
+};
+
+// Names at least this alike are flagged as a possible duplicate client
+const CLIENT_DUPLICATE_NAME_SCORE = 0.8;
+
+// Last 10 digits, so +91 / 0 prefixes and spacing don't hide a match
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Why two clients look like the same business, or [] if they don't
+ * @param {Object} a - Client (name, phone, email, gstin)
+ * @param {Object} b - Client
+ * @returns {string[]}
+ */
+const getClientDuplicateReasons = (a, b) => {
+    const reasons = [];
+    const score = getClientNameSimilarity(a.name, b.name);
+    if (score >= CLIENT_DUPLICATE_NAME_SCORE) {
+        reasons.push(score === 1 ? 'Same name' : `Similar name (${Math.round(score * 100)}%)`);
+    }
+
+    const phone = normalizePhone(a.phone);
+    if (phone.length >= 7 && phone === normalizePhone(b.phone)) reasons.push('Same phone');
+
+    const email = (a.email || '').trim().toLowerCase();
+    if (email && email === (b.email || '').trim().toLowerCase()) reasons.push('Same email');
+
+    const gstin = (a.gstin || '').trim().toUpperCase();
+    if (gstin && gstin === (b.gstin || '').trim().toUpperCase()) reasons.push('Same GSTIN');
+
+    return reasons;
+};
+
+const fromDbClientMerge = (row) => ({
+    id: row.id,
+    survivingClientId: row.surviving_client_id,
+    mergedClientId: row.merged_client_id,
+    mergedClientName: row.merged_client_name,
+    mergedClient: row.merged_client || {},
+    moved: row.moved || {},
+    mergedByName: row.merged_by_name,
+    createdAt: row.created_at
+});
+
+const toDbCatalogItem = (item) => ({
+    name: item.name,
+    description: item.description || null,
+    default_rate: parseFloat(item.defaultRate) || 0,
+    unit: item.unit || null,
+    tax_rate: parseFloat(item.taxRate) || 0,
+    hsn_sac: item.hsnSac || null
+});
+
+const fromDbCatalogItem = (row) => ({
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    defaultRate: parseFloat(row.default_rate) || 0,
+    unit: row.unit,
+    taxRate: parseFloat(row.tax_rate) || 0,
+    hsnSac: row.hsn_sac,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const fromDbEntryCategory = (row) => ({
+    id: row.id,
+    parentId: row.parent_id || null,
+    type: row.type,
+    name: row.name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+// Which attachments column points at each kind of record
+const ATTACHMENT_RECORD_COLUMNS = {
+    entry: 'entry_id',
+    petty_cash: 'petty_cash_entry_id',
+    investment: 'investment_id'
+};
+
+// Matches the attachments bucket's limits (migration v71)
+const ATTACHMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+const fromDbAttachment = (row) => ({
+    id: row.id,
+    recordType: Object.keys(ATTACHMENT_RECORD_COLUMNS).find(type => row[ATTACHMENT_RECORD_COLUMNS[type]]),
+    recordId: row.entry_id || row.petty_cash_entry_id || row.investment_id,
+    filePath: row.file_path,
+    fileName: row.file_name,
+    mimeType: row.mime_type,
+    sizeBytes: row.size_bytes,
+    isImage: (row.mime_type || '').startsWith('image/'),
+    userId: row.user_id,
+    uploadedByName: row.uploaded_by_name,
+    createdAt: row.created_at
+});
+
+const fromDbStatementLine = (row) => ({
+    id: row.id,
+    accountName: row.account_name,
+    fitId: row.fit_id,
+    date: row.date,
+    description: row.description || '',
+    reference: row.reference || '',
+    amount: parseFloat(row.amount) || 0, // Deposits positive, withdrawals negative
+    balance: row.balance === null || row.balance === undefined ? null : parseFloat(row.balance),
+    currency: row.currency,
+    entryId: row.entry_id || null,
+    matchedBy: row.matched_by,
+    matchedAt: row.matched_at,
+    ignored: Boolean(row.ignored),
+    status: row.ignored ? 'ignored' : (row.entry_id ? 'matched' : 'unmatched'),
+    sourceFile: row.source_file,
+    createdAt: row.created_at
+});
+
+// How far a statement line's date may be from the entry it matches (banks
+// post a few days after the entry was recorded, or the other way round)
+const BANK_MATCH_DATE_WINDOW_DAYS = 4;
+
+const getStatementTextTokens = (text) => new Set(String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length >= 3 && !/^\d+$/.test(t)));
+
+/**
+ * How well a statement line fits an entry, 0 when it can't be the same
+ * transaction. The amount, direction and currency have to agree and the dates
+ * be within BANK_MATCH_DATE_WINDOW_DAYS; closer dates and the client name or
+ * description showing up in the bank's text score higher.
+ * @returns {number} 0 or 0.5-1
+ */
+const getStatementMatchScore = (line, entry) => {
+    const type = line.amount >= 0 ? 'income' : 'expense';
+    if (entry.type !== type) return 0;
+    if ((entry.currency || getBaseCurrency()) !== line.currency) return 0;
+    if (Math.abs(Math.abs(line.amount) - (parseFloat(entry.amount) || 0)) >= 0.01) return 0;
+
+    const days = Math.abs(Date.parse(line.date) - Date.parse(entry.date)) / 86400000;
+    if (!(days <= BANK_MATCH_DATE_WINDOW_DAYS)) return 0;
+
+    const lineTokens = getStatementTextTokens(`${line.description} ${line.reference}`);
+    const overlap = (text) => {
+        const tokens = [...getStatementTextTokens(text)];
+        return tokens.length ? tokens.filter(t => lineTokens.has(t)).length / tokens.length : 0;
+    };
+    const textScore = Math.max(overlap(normalizeClientName(entry.clientName)), overlap(entry.description));
+
+    return 0.5 + 0.3 * (1 - days / (BANK_MATCH_DATE_WINDOW_DAYS + 1)) + 0.2 * textScore;
+};
+
+/**
+ * Pair statement lines with entries, best scores first, using each line and
+ * entry at most once
+ * @returns {Map<number, {entry: Object, score: number}>} line id -> match
+ */
+const matchStatementLines = (lines, entries) => {
+    const candidates = [];
+    lines.forEach(line => {
+        entries.forEach(entry => {
+            const score = getStatementMatchScore(line, entry);
+            if (score > 0) candidates.push({ line, entry, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const matches = new Map();
+    const usedEntries = new Set();
+    candidates.forEach(({ line, entry, score }) => {
+        if (matches.has(line.id) || usedEntries.has(entry.id)) return;
+        matches.set(line.id, { entry, score });
+        usedEntries.add(entry.id);
+    });
+    return matches;
+};
+
+/**
+ * Income and expense per month of the year in base currency
+ * @param {Array<Object>} entries - Entries of one year (rows or fromDbEntry objects)
+ * @param {Object} converter - From getCurrencyConverter()
+ * @returns {Array<{income: number, expense: number}>} 12 months, January first
+ */
+const aggregateEntriesByMonth = (entries, converter) => {
+    const monthlyData = Array(12).fill(null).map(() => ({ income: 0, expense: 0 }));
+
+    entries.forEach(entry => {
+        const month = new Date(entry.date).getMonth();
+        const amount = converter.convert(entry.amount, entry.currency, entry.date);
+        if (entry.type === 'income') {
+            monthlyData[month].income += amount;
+        } else {
+            monthlyData[month].expense += amount;
+        }
+    });
+
+    return monthlyData;
+};
+
+// Share of a budget spent at which the admin is notified
+const BUDGET_ALERT_THRESHOLDS = [80, 100];
+
+const fromDbBudget = (row) => ({
+    id: row.id,
+    categoryId: row.category_id || null,
+    clientId: row.client_id || null,
+    period: row.period,
+    year: row.year,
+    amount: parseFloat(row.amount) || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+/**
+ * Budget and spend for the period a month falls in: that month for a
+ * monthly budget, the year for an annual one
+ * @param {Object} row - A row of getBudgetVariance()
+ * @param {number} month - 0-11
+ */
+const getBudgetPeriodFigures = (row, month) => {
+    const { budget } = row;
+    const monthly = budget.period === 'monthly';
+    const actual = monthly ? row.monthlyActual[month] : row.yearActual;
+
+    return {
+        periodKey: monthly ? `${budget.year}-${String(month + 1).padStart(2, '0')}` : String(budget.year),
+        budgeted: budget.amount,
+        actual,
+        variance: budget.amount - actual,
+        usedPercent: budget.amount > 0 ? (actual / budget.amount) * 100 : 0
+    };
+};
+
+/**
+ * Periods a profit and loss statement is compared with. A range of whole
+ * months moves by whole months (March is compared with February, not with
+ * the 31 days before it); any other range moves by its length in days.
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {{previous: Object, lastYear: Object}} Each { fromDate, toDate }
+ */
+const getPnlComparisonPeriods = (fromDate, toDate) => {
+    const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+    // Month overflow and day 0 roll over, so (2026, 0, 1) is 1 Dec 2025
+    const isoDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+    const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    if (fromDay === 1 && toDay === daysInMonth(toYear, toMonth)) {
+        const months = (toYear - fromYear) * 12 + toMonth - fromMonth + 1;
+        return {
+            previous: { fromDate: isoDate(fromYear, fromMonth - months, 1), toDate: isoDate(toYear, toMonth - months + 1, 0) },
+            lastYear: { fromDate: isoDate(fromYear - 1, fromMonth, 1), toDate: isoDate(toYear - 1, toMonth + 1, 0) }
+        };
+    }
+
+    const days = Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / 86400000) + 1;
+    // 29 February becomes the 28th
+    const sameDayLastYear = (year, month, day) => isoDate(year - 1, month, Math.min(day, daysInMonth(year - 1, month)));
+    return {
+        previous: { fromDate: isoDate(fromYear, fromMonth, fromDay - days), toDate: isoDate(fromYear, fromMonth, fromDay - 1) },
+        lastYear: { fromDate: sameDayLastYear(fromYear, fromMonth, fromDay), toDate: sameDayLastYear(toYear, toMonth, toDay) }
+    };
+};
+
+const fromDbNumberingScheme = (row) => ({
+    id: row.id,
+    documentType: row.document_type,
+    prefix: row.prefix,
+    pattern: row.pattern,
+    padding: row.padding,
+    resetYearly: row.reset_yearly,
+    perClient: row.per_client,
+    fyStartMonth: row.fy_start_month,
+    updatedAt: row.updated_at
+});
+
+const toDbEstimate = (estimate) => ({
+    estimate_number: estimate.estimateNumber,
+    estimate_date: estimate.estimateDate,
+    valid_until: estimate.validUntil || null,
+    client_id: estimate.clientId || null,
+    client_name: estimate.clientName,
+    client_email: estimate.clientEmail,
+    client_address: estimate.clientAddress,
+    client_phone: estimate.clientPhone,
+    client_gstin: estimate.clientGstin || null,
+    client_state: estimate.clientState || null,
+    agency_name: estimate.agencyName,
+    agency_contact: estimate.agencyContact,
+    agency_address: estimate.agencyAddress,
+    agency_logo: estimate.agencyLogo,
+    agency_gstin: estimate.agencyGstin || null,
+    agency_state: estimate.agencyState || null,
+    currency: estimate.currency || null,
+    subtotal: parseFloat(estimate.subtotal) || 0,
+    tax_percent: parseFloat(estimate.taxPercent) || 0,
+    tax_amount: parseFloat(estimate.taxAmount) || 0,
+    discount_percent: parseFloat(estimate.discountPercent) || 0,
+    discount_amount: parseFloat(estimate.discountAmount) || 0,
+    gst_type: estimate.gstType || null,
+    cgst_amount: parseFloat(estimate.cgstAmount) || 0,
+    sgst_amount: parseFloat(estimate.sgstAmount) || 0,
+    igst_amount: parseFloat(estimate.igstAmount) || 0,
+    grand_total: parseFloat(estimate.grandTotal) || 0,
+    notes: estimate.notes || null
+});
+
+const toDbEstimateItem = (item, estimateId) => ({
+    estimate_id: estimateId,
+    name: item.name,
+    hsn_sac: item.hsnSac || null,
+    quantity: parseFloat(item.quantity) || 0,
+    rate: parseFloat(item.rate) || 0,
+    tax_rate: parseFloat(item.taxRate) || 0,
+    tax_amount: parseFloat(item.taxAmount) || 0,
+    amount: parseFloat(item.amount) || 0,
+    catalog_item_id: item.catalogItemId || null
+});
+
+/**
+ * Estimates have the same field names as invoices (so the invoice preview and
+ * PDF can render them) plus estimateNumber/validUntil/status.
+ * Expired is derived like overdue: a pending estimate past its valid_until date.
+ */
+const fromDbEstimate = (row) => {
+    const isExpired = row.status === 'pending' && getDaysPastDue(row.valid_until) > 0;
+
+    return {
+        id: row.id,
+        estimateNumber: row.estimate_number,
+        estimateDate: row.estimate_date,
+        validUntil: row.valid_until,
+        status: isExpired ? 'expired' : row.status,
+        storedStatus: row.status,
+        isExpired,
+        invoiceId: row.invoice_id,
+        convertedInvoiceNumber: row.invoices?.invoice_number || null,
+        clientId: row.client_id,
+        clientName: row.client_name,
+        clientEmail: row.client_email,
+        clientAddress: row.client_address,
+        clientPhone: row.client_phone,
+        clientGstin: row.client_gstin,
+        clientState: row.client_state,
+        agencyName: row.agency_name,
+        agencyContact: row.agency_contact,
+        agencyAddress: row.agency_address,
+        agencyLogo: row.agency_logo,
+        agencyGstin: row.agency_gstin,
+        agencyState: row.agency_state,
+        currency: row.currency || null,
+        subtotal: parseFloat(row.subtotal) || 0,
+        taxPercent: parseFloat(row.tax_percent) || 0,
+        taxAmount: parseFloat(row.tax_amount) || 0,
+        discountPercent: parseFloat(row.discount_percent) || 0,
+        discountAmount: parseFloat(row.discount_amount) || 0,
+        gstType: row.gst_type,
+        cgstAmount: parseFloat(row.cgst_amount) || 0,
+        sgstAmount: parseFloat(row.sgst_amount) || 0,
+        igstAmount: parseFloat(row.igst_amount) || 0,
+        grandTotal: parseFloat(row.grand_total) || 0,
+        notes: row.notes,
+        services: (row.estimate_items || [])
+            .sort((a, b) => (a.id || 0) - (b.id || 0))
+            .map(i => ({
+                id: i.id,
+                name: i.name,
+                hsnSac: i.hsn_sac ?? i.hsnSac,
+                quantity: parseFloat(i.quantity) || 0,
+                rate: parseFloat(i.rate) || 0,
+                taxRate: parseFloat(i.tax_rate ?? i.taxRate) || 0,
+                taxAmount: parseFloat(i.tax_amount ?? i.taxAmount) || 0,
+                amount: parseFloat(i.amount) || 0,
+                catalogItemId: i.catalog_item_id ?? i.catalogItemId ?? null
+            })),
+        createdByName: row.created_by_name,
+        createdAt: row.created_at
+    };
+};
+
 class DataLayerAPI {
     constructor() {
         this.listeners = new Map();
@@ -314,6 +1130,20 @@ class DataLayerAPI {
         throw new Error(error.message || `${context} failed`);
     }
 
+    /**
+     * Call an edge function. Non-2xx responses carry { error } in the body,
+     * which is more useful than the client's generic status message.
+     */
+    async invokeFunction(name, body, context) {
+        const { data, error } = await supabaseClient.functions.invoke(name, { body });
+
+        if (error) {
+            const details = await error.context?.json?.().catch(() => null);
+            this.handleError(details?.error ? { message: details.error } : error, context);
+        }
+        return data;
+    }
+
     /**
      * Add a change listener
      */
@@ -361,12 +1191,15 @@ class DataLayerAPI {
             user_id: user.id,
             admin_id: await this.getAdminId(), // Key for RLS
             date: entry.date,
+            client_id: entry.clientId || null,
             client_name: entry.client || entry.clientName,
+            category_id: entry.categoryId || null,
             description: entry.description,
             amount: entry.amount,
             type: entry.type,
             status: entry.status || 'pending', // Payment status
             payment_mode: entry.paymentMode,
+            currency: entry.currency || null,
             approval_status: approvalStatus,
             created_by_name: entry.created_by_name || await this.getCurrentUserName()
         };
@@ -410,12 +1243,14 @@ class DataLayerAPI {
 
         if (isAdmin) {
             // Admin can delete immediately
+            const attachments = await this.getAttachments('entry', [id]);
             const { error } = await supabaseClient
                 .from('finance_entries')
                 .delete()
                 .eq('id', parseInt(id));
 
             if (error) this.handleError(error, 'Delete entry');
+            await this.removeAttachmentFiles(attachments);
         } else {
             // Employee requests deletion
             const { error } = await supabaseClient
@@ -524,6 +1359,11 @@ class DataLayerAPI {
      */
     async approveEntry(id) {
         const userId = await this.getCurrentUserId();
+        const entry = await this.getEntry(parseInt(id));
+        if (entry.type === 'expense' && entry.userId !== userId && !(await this.hasAttachments('entry', entry.id))) {
+            throw new Error('Attach a receipt before approving this expense');
+        }
+
         const { data, error } = await supabaseClient
             .from('finance_entries')
             .update({
@@ -595,6 +1435,15 @@ class DataLayerAPI {
         if (filters.paymentMode) {
             query = query.eq('payment_mode', filters.paymentMode);
         }
+        if (filters.category === 'none') {
+            query = query.is('category_id', null);
+        } else if (filters.category) {
+            // A category includes the entries filed under its subcategories
+            const categoryId = parseInt(filters.category);
+            const categories = await this.getEntryCategories();
+            const ids = [categoryId, ...categories.filter(c => c.parentId === categoryId).map(c => c.id)];
+            query = query.in('category_id', ids);
+        }
         if (filters.search) {
             query = query.or(`client_name.ilike.%${filters.search}%,description.ilike.%${filters.search}%`);
         }
@@ -628,6 +1477,7 @@ class DataLayerAPI {
         // Ensure we only summarize approved entries
         const summaryFilters = { ...filters, statusOnly: 'approved' };
         const entries = await this.getFilteredEntries(summaryFilters);
+        const converter = await this.getCurrencyConverter();
 
         let totalIncome = 0;
         let totalExpense = 0;
@@ -642,7 +1492,7 @@ class DataLayerAPI {
         let availableIncome = 0;
 
         entries.forEach(entry => {
-            const amount = parseFloat(entry.amount) || 0;
+            const amount = converter.convert(entry.amount, entry.currency, entry.date);
             if (entry.type === 'income') {
                 totalIncome += amount;
                 if (entry.status === 'pending') {
@@ -665,11 +1515,17 @@ class DataLayerAPI {
             pendingAmount,
             receivedAmount,
             netBalance: totalIncome - totalExpense,
-            availableBalance: availableIncome - totalExpense
+            availableBalance: availableIncome - totalExpense,
+            baseCurrency: converter.baseCurrency,
+            missingRates: [...converter.missing]
         };
     }
 
-    async getMonthlyData(year) {
+    /**
+     * Approved entry rows dated in a year (admins: the organization's,
+     * employees: their own)
+     */
+    async getYearEntryRows(year) {
         const userId = await this.getCurrentUserId();
         const isUserAdmin = await this.isAdmin();
 
@@ -689,21 +1545,16 @@ class DataLayerAPI {
         const { data, error } = await query;
 
         if (error) this.handleError(error, 'Get monthly data');
+        return data || [];
+    }
 
-        // Aggregate by month
-        const monthlyData = Array(12).fill(null).map(() => ({ income: 0, expense: 0 }));
-
-        (data || []).forEach(entry => {
-            const month = new Date(entry.date).getMonth();
-            const amount = parseFloat(entry.amount) || 0;
-            if (entry.type === 'income') {
-                monthlyData[month].income += amount;
-            } else {
-                monthlyData[month].expense += amount;
-            }
-        });
+    async getMonthlyData(year) {
+        const [rows, converter] = await Promise.all([
+            this.getYearEntryRows(year),
+            this.getCurrencyConverter()
+        ]);
 
-        return monthlyData;
+        return aggregateEntriesByMonth(rows, converter);
     }
 
     async getDailyData(year, month) {
@@ -731,12 +1582,14 @@ class DataLayerAPI {
         const { data, error } = await query;
         if (error) this.handleError(error, 'Get daily data');
 
-        // Aggregate by day
+        const converter = await this.getCurrencyConverter();
+
+        // Aggregate by day (in base currency)
         const dailyData = Array(lastDay).fill(null).map(() => ({ income: 0, expense: 0 }));
 
         (data || []).forEach(entry => {
             const day = new Date(entry.date).getDate() - 1;
-            const amount = parseFloat(entry.amount) || 0;
+            const amount = converter.convert(entry.amount, entry.currency, entry.date);
             if (entry.type === 'income') {
                 dailyData[day].income += amount;
             } else {
@@ -749,12 +1602,13 @@ class DataLayerAPI {
 
     async getPaymentModeDistribution() {
         const entries = await this.getAllEntries();
+        const converter = await this.getCurrencyConverter();
         const distribution = {};
 
         entries.forEach(entry => {
             // Fix: Use correct property name from mapped object (paymentMode not payment_mode)
             const mode = entry.paymentMode || 'unknown';
-            const amount = parseFloat(entry.amount) || 0;
+            const amount = converter.convert(entry.amount, entry.currency, entry.date);
             distribution[mode] = (distribution[mode] || 0) + amount;
         });
 
@@ -763,11 +1617,12 @@ class DataLayerAPI {
 
     async getStatusDistribution() {
         const entries = await this.getAllEntries();
+        const converter = await this.getCurrencyConverter();
         let pending = 0;
         let received = 0;
 
         entries.forEach(entry => {
-            const amount = parseFloat(entry.amount) || 0;
+            const amount = converter.convert(entry.amount, entry.currency, entry.date);
             if (entry.status === 'pending') {
                 pending += amount;
             } else {
@@ -780,11 +1635,12 @@ class DataLayerAPI {
 
     async getYearlyRevenue() {
         const entries = await this.getAllEntries();
+        const converter = await this.getCurrencyConverter();
         const yearlyData = {};
 
         entries.forEach(entry => {
             const year = new Date(entry.date).getFullYear();
-            const amount = parseFloat(entry.amount) || 0;
+            const amount = converter.convert(entry.amount, entry.currency, entry.date);
             if (!yearlyData[year]) {
                 yearlyData[year] = { income: 0, expense: 0 };
             }
@@ -800,12 +1656,22 @@ class DataLayerAPI {
 
     // ==================== Invoices ====================
 
-    async addInvoice(invoice) {
+    /**
+     * Save an invoice with its services.
+     * The number is allocated by the database at this point (the form only shows a
+     * preview), unless assignNumber is false - imports keep their original numbers.
+     */
+    async addInvoice(invoice, { assignNumber = true } = {}) {
         const userId = await this.getCurrentUserId();
         const adminId = await this.getAdminId(); // Fix: Define adminId
         const { services, ...invoiceData } = invoice;
         const dbInvoice = toDbInvoice(invoiceData);
 
+        // Allocated by the insert itself, so a failed save doesn't use up a number
+        if (assignNumber) {
+            dbInvoice.invoice_number = null;
+        }
+
         // Insert invoice
         // Add creator details
         const userName = await this.getCurrentUserName();
@@ -839,13 +1705,7 @@ class DataLayerAPI {
 
         // Insert services if present
         if (services && services.length > 0) {
-            const servicesWithInvoiceId = services.map(s => ({
-                name: s.name,
-                quantity: s.quantity,
-                rate: s.rate,
-                amount: s.amount,
-                invoice_id: invoiceResult.id
-            }));
+            const servicesWithInvoiceId = services.map(s => toDbInvoiceService(s, invoiceResult.id));
 
             const { error: servicesError } = await supabaseClient
                 .from('invoice_services')
@@ -860,42 +1720,78 @@ class DataLayerAPI {
         return fromDbInvoice({ ...invoiceResult, invoice_services: services || [] });
     }
 
-    async updateInvoice(id, invoice) {
+    /**
+     * Save an edit to an unpaid invoice. The invoice as it was is kept as a
+     * revision (who, when, what changed); the number, status and links stay.
+     * @param {number} id
+     * @param {Object} invoice - Edited invoice data with its services
+     * @param {Object} options - editedByName for the revision history
+     */
+    async updateInvoice(id, invoice, { editedByName } = {}) {
+        const previous = await this.getInvoice(id);
+        const blocker = getInvoiceEditBlocker(previous);
+        if (blocker) throw new Error(blocker);
+
         const { services, ...invoiceData } = invoice;
-        const dbInvoice = toDbInvoice(invoiceData);
+        const grandTotal = parseFloat(invoiceData.grandTotal) || 0;
+        if (previous.amountPaid - grandTotal > 0.005) {
+            throw new Error(`The new total is less than the ${previous.amountPaid.toFixed(2)} already received`);
+        }
 
-        const { data, error } = await supabaseClient
-            .from('invoices')
-            .update(dbInvoice)
-            .eq('id', id)
-            .select()
-            .single();
+        const changes = getInvoiceRevisionChanges(previous, { ...invoiceData, services: services || previous.services });
+        if (changes.length === 0) return previous;
 
-        if (error) this.handleError(error, 'Update invoice');
+        const dbInvoice = toDbInvoice({
+            ...invoiceData,
+            invoiceNumber: previous.invoiceNumber,
+            paymentStatus: previous.storedPaymentStatus,
+            recurringInvoiceId: previous.recurringInvoiceId,
+            estimateId: previous.estimateId
+        });
 
-        // Update services if provided
-        if (services) {
-            // Delete existing services
-            await supabaseClient.from('invoice_services').delete().eq('invoice_id', id);
-
-            // Insert new services
-            if (services.length > 0) {
-                const servicesWithInvoiceId = services.map(s => ({
-                    name: s.name,
-                    quantity: s.quantity,
-                    rate: s.rate,
-                    amount: s.amount,
-                    invoice_id: id
-                }));
-                await supabaseClient.from('invoice_services').insert(servicesWithInvoiceId);
-            }
-        }
+        // Payments and credit notes have their own history; the logo is the same image every time
+        const { payments, creditNotes, agencyLogo, ...snapshot } = previous;
+
+        // Saved in one transaction: the revision, the invoice and its lines,
+        // the legacy receivable and the status (a lower total can settle it)
+        const { error } = await supabaseClient.rpc('update_invoice_with_revision', {
+            p_invoice_id: parseInt(id),
+            p_invoice: dbInvoice,
+            p_services: services ? services.map(s => toDbInvoiceService(s, id)) : null,
+            p_snapshot: snapshot,
+            p_changes: changes,
+            p_edited_by_name: editedByName || await this.getCurrentUserName()
+        });
+
+        if (error) this.handleError(error, 'Update invoice');
 
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        this.notifyListeners(DATA_STORES.INVOICE_REVISIONS);
         this.notifyListeners(DATA_STORES.INVOICES);
-        return fromDbInvoice({ ...data, invoice_services: services || [] });
+        return this.getInvoice(id);
+    }
+
+    async getInvoiceRevisions(invoiceId) {
+        const { data, error } = await supabaseClient
+            .from('invoice_revisions')
+            .select('*')
+            .eq('invoice_id', invoiceId)
+            .order('revision_number', { ascending: false });
+
+        if (error) this.handleError(error, 'Get invoice revisions');
+        return (data || []).map(fromDbInvoiceRevision);
     }
 
     async deleteInvoice(id) {
+        // Invoices with money or credit notes against them must be voided with a credit note
+        const invoice = await this.getInvoice(id);
+        if (invoice.payments.length > 0 || invoice.creditNotes.length > 0) {
+            throw new Error('This invoice has payments or credit notes. Issue a credit note to cancel it instead.');
+        }
+
+        // Don't leave the legacy "Invoice XXX" receivable orphaned
+        await this.reduceLegacyInvoiceEntry(invoice.invoiceNumber, invoice.grandTotal);
+
         // Delete services first (cascade might be configured in DB)
         await supabaseClient.from('invoice_services').delete().eq('invoice_id', id);
 
@@ -909,27 +1805,35 @@ class DataLayerAPI {
         return true;
     }
 
+    /**
+     * Save invoices one by one, keeping their own numbers (numbering skips
+     * them later). A failure doesn't stop the rest; it is returned alongside
+     * the invoice that caused it.
+     * @returns {Promise<{imported: Object[], failed: {invoice: Object, error: string}[]}>}
+     */
     async importInvoices(invoices) {
         const userId = await this.getCurrentUserId();
-        const results = [];
+        const imported = [];
+        const failed = [];
 
         for (const invoice of invoices) {
             try {
-                const result = await this.addInvoice({ ...invoice, user_id: userId });
-                results.push(result);
+                const result = await this.addInvoice({ ...invoice, user_id: userId }, { assignNumber: false });
+                imported.push(result);
             } catch (err) {
                 console.warn('Error importing invoice:', err);
+                failed.push({ invoice, error: err.message || 'Unknown error' });
             }
         }
 
         this.notifyListeners(DATA_STORES.INVOICES);
-        return results;
+        return { imported, failed };
     }
 
     async getInvoice(id) {
         const { data, error } = await supabaseClient
             .from('invoices')
-            .select('*, invoice_services(*)')
+            .select('*, invoice_services(*), invoice_payments(*), credit_notes(*, credit_note_items(*))')
             .eq('id', id)
             .single();
 
@@ -941,7 +1845,7 @@ class DataLayerAPI {
         const adminId = await this.getAdminId();
         const { data, error } = await supabaseClient
             .from('invoices')
-            .select('*, invoice_services(*)')
+            .select('*, invoice_services(*), invoice_payments(*), credit_notes(*, credit_note_items(*))')
             .eq('admin_id', adminId)
             .order('created_at', { ascending: false });
 
@@ -949,233 +1853,2497 @@ class DataLayerAPI {
         return (data || []).map(fromDbInvoice);
     }
 
-    async getNextInvoiceNumber() {
+    /**
+     * Next invoice number for the form. Only a preview: the number is allocated
+     * when the invoice is saved, so it can move on if someone else saves first.
+     */
+    async getNextInvoiceNumber({ date, clientId } = {}) {
         try {
-            const adminId = await this.getAdminId();
-            // Call the database function to get the next strictly sequential number
-            const { data, error } = await supabaseClient.rpc('get_next_invoice_number', {
-                org_admin_id: adminId
-            });
-
-            if (error) {
-                console.error('Error fetching next invoice number:', error);
-                return 'INV-0001';
-            }
-
-            // Format as INV-0001 (padding to 4 digits)
-            const num = data || 1;
-            return `INV-${String(num).padStart(4, '0')}`;
+            return await this.previewDocumentNumber('invoice', { date, clientId });
         } catch (e) {
             console.error('Failed to get next invoice number:', e);
             return 'INV-0001';
         }
     }
 
-    // ==================== Clients ====================
+    // ==================== Document Numbering ====================
 
-    async addClient(client) {
-        const userId = await this.getCurrentUserId();
+    async getNumberingSchemes() {
         const adminId = await this.getAdminId();
         const { data, error } = await supabaseClient
-            .from('clients')
-            .insert({
-                ...client,
-                user_id: userId,
-                admin_id: adminId
-            })
+            .from('numbering_schemes')
+            .select('*')
+            .eq('admin_id', adminId);
+
+        if (error) this.handleError(error, 'Get numbering schemes');
+        return (data || []).map(fromDbNumberingScheme);
+    }
+
+    /**
+     * Create or replace the numbering scheme for a document type (admin only)
+     */
+    async saveNumberingScheme(scheme) {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('numbering_schemes')
+            .upsert({
+                admin_id: adminId,
+                document_type: scheme.documentType,
+                prefix: scheme.prefix || '',
+                pattern: scheme.pattern,
+                padding: parseInt(scheme.padding) || 4,
+                reset_yearly: !!scheme.resetYearly,
+                per_client: !!scheme.perClient,
+                fy_start_month: parseInt(scheme.fyStartMonth) || 4,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'admin_id,document_type' })
             .select()
             .single();
 
-        if (error) this.handleError(error, 'Add client');
-        this.notifyListeners(DATA_STORES.CLIENTS);
+        if (error) {
+            // CHECK constraint: the pattern is missing a token the options need
+            if (error.code === '23514') throw new Error('The pattern needs {SEQ}, plus {FY} for a yearly reset and {CLIENT} for per-client series');
+            this.handleError(error, 'Save numbering scheme');
+        }
+
+        this.notifyListeners(DATA_STORES.NUMBERING_SCHEMES);
+        return fromDbNumberingScheme(data);
+    }
+
+    /**
+     * Next number of a series without using it up
+     * @param {string} documentType - 'invoice', 'estimate' or 'credit_note'
+     */
+    async previewDocumentNumber(documentType, { date, clientId } = {}) {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient.rpc('preview_document_number', {
+            org_admin_id: adminId,
+            doc_type: documentType,
+            doc_date: date || new Date().toISOString().split('T')[0],
+            doc_client_id: clientId ? parseInt(clientId) : null
+        });
+
+        if (error) this.handleError(error, 'Preview document number');
         return data;
     }
 
-    async updateClient(id, client) {
-        const isAdmin = await this.isAdmin();
+    // ==================== Service Catalogue ====================
+
+    async getCatalogItems() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('catalog_items')
+            .select('*')
+            .eq('admin_id', adminId)
+            .order('name', { ascending: true });
+
+        if (error) this.handleError(error, 'Get catalogue items');
+        return (data || []).map(fromDbCatalogItem);
+    }
+
+    /**
+     * Save a catalogue item (admin only). Names are unique per organization.
+     */
+    async addCatalogItem(item) {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('catalog_items')
+            .insert({ ...toDbCatalogItem(item), admin_id: adminId })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') throw new Error(`"${item.name}" is already in the catalogue`);
+            this.handleError(error, 'Add catalogue item');
+        }
+
+        this.notifyListeners(DATA_STORES.CATALOG_ITEMS);
+        return fromDbCatalogItem(data);
+    }
+
+    async updateCatalogItem(id, item) {
+        const { data, error } = await supabaseClient
+            .from('catalog_items')
+            .update({ ...toDbCatalogItem(item), updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') throw new Error(`"${item.name}" is already in the catalogue`);
+            this.handleError(error, 'Update catalogue item');
+        }
+
+        this.notifyListeners(DATA_STORES.CATALOG_ITEMS);
+        return fromDbCatalogItem(data);
+    }
+
+    /**
+     * Remove an item. Lines already invoiced keep their own name, rate and tax.
+     */
+    async deleteCatalogItem(id) {
+        const { error } = await supabaseClient
+            .from('catalog_items')
+            .delete()
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Delete catalogue item');
+        this.notifyListeners(DATA_STORES.CATALOG_ITEMS);
+        return true;
+    }
+
+    /**
+     * Revenue per catalogue item in base currency: the taxable value of each
+     * invoice line (after discount, less credited quantities), excluding tax.
+     * Lines saved without a catalogue link are matched by name.
+     * @param {number|null} year - Invoice year, or null for all time
+     */
+    async getCatalogRevenue(year = null) {
+        const [invoices, items, converter] = await Promise.all([
+            this.getAllInvoices(),
+            this.getCatalogItems(),
+            this.getCurrencyConverter()
+        ]);
+
+        const byId = new Map(items.map(i => [i.id, i]));
+        const byName = new Map(items.map(i => [i.name.trim().toLowerCase(), i]));
+        const rows = new Map(items.map(i => [i.id, { item: i, name: i.name, quantity: 0, revenue: 0, invoiceCount: 0 }]));
+        const other = { item: null, name: 'Not in catalogue', quantity: 0, revenue: 0, invoiceCount: 0 };
+
+        invoices
+            .filter(inv => inv.storedPaymentStatus !== 'cancelled')
+            .filter(inv => !year || new Date(inv.invoiceDate).getFullYear() === year)
+            .forEach(inv => {
+                const discountFactor = 1 - ((parseFloat(inv.discountPercent) || 0) / 100);
+                const counted = new Set();
+
+                inv.services.forEach(s => {
+                    const item = byId.get(s.catalogItemId) || byName.get((s.name || '').trim().toLowerCase());
+                    const row = item ? rows.get(item.id) : other;
+                    const quantity = (parseFloat(s.quantity) || 0) - (s.creditedQuantity || 0);
+                    if (quantity <= 0) return;
+
+                    row.quantity += quantity;
+                    row.revenue += converter.convert(quantity * (parseFloat(s.rate) || 0) * discountFactor, inv.currency, inv.invoiceDate);
+                    if (!counted.has(row)) {
+                        row.invoiceCount++;
+                        counted.add(row);
+                    }
+                });
+            });
+
+        return {
+            baseCurrency: converter.baseCurrency,
+            items: [...rows.values()].filter(r => r.quantity > 0).sort((a, b) => b.revenue - a.revenue),
+            other,
+            missingRates: [...converter.missing]
+        };
+    }
+
+    // ==================== Entry Categories ====================
+
+    async getEntryCategories() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('entry_categories')
+            .select('*')
+            .eq('admin_id', adminId)
+            .order('name', { ascending: true });
+
+        if (error) this.handleError(error, 'Get entry categories');
+        return (data || []).map(fromDbEntryCategory);
+    }
+
+    /**
+     * Save a category or subcategory (admin only). Names are unique per level.
+     * @param {Object} category - { name, type, parentId }
+     */
+    async addEntryCategory(category) {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('entry_categories')
+            .insert({
+                admin_id: adminId,
+                parent_id: category.parentId || null,
+                type: category.type,
+                name: category.name
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') throw new Error(`"${category.name}" already exists there`);
+            this.handleError(error, 'Add entry category');
+        }
+
+        this.notifyListeners(DATA_STORES.ENTRY_CATEGORIES);
+        return fromDbEntryCategory(data);
+    }
+
+    /**
+     * Rename a category or move it under another parent. The type is fixed
+     * once entries use it, so it isn't changed here.
+     */
+    async updateEntryCategory(id, category) {
+        const { data, error } = await supabaseClient
+            .from('entry_categories')
+            .update({
+                parent_id: category.parentId || null,
+                name: category.name,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') throw new Error(`"${category.name}" already exists there`);
+            this.handleError(error, 'Update entry category');
+        }
+
+        this.notifyListeners(DATA_STORES.ENTRY_CATEGORIES);
+        return fromDbEntryCategory(data);
+    }
+
+    /**
+     * Remove a category. Its entries become uncategorised; a category that
+     * still has subcategories can't be removed.
+     */
+    async deleteEntryCategory(id) {
+        const { error } = await supabaseClient
+            .from('entry_categories')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            if (error.code === '23503') throw new Error('Remove or move its subcategories first');
+            this.handleError(error, 'Delete entry category');
+        }
+
+        this.notifyListeners(DATA_STORES.ENTRY_CATEGORIES);
+        return true;
+    }
+
+    /**
+     * Approved income or expense per top-level category in base currency.
+     * Subcategories are rolled up into their parent and listed under it.
+     * @param {string} type - 'income' or 'expense'
+     */
+    async getCategoryBreakdown(type) {
+        const [entries, categories, converter] = await Promise.all([
+            this.getAllEntries(),
+            this.getEntryCategories(),
+            this.getCurrencyConverter()
+        ]);
+
+        const byId = new Map(categories.map(c => [c.id, c]));
+        const rows = new Map();
+        const uncategorized = { name: 'Uncategorised', amount: 0, children: [] };
+
+        entries.filter(e => e.type === type).forEach(entry => {
+            const amount = converter.convert(parseFloat(entry.amount) || 0, entry.currency, entry.date);
+            const category = byId.get(entry.categoryId);
+            if (!category) {
+                uncategorized.amount += amount;
+                return;
+            }
+
+            const parent = category.parentId ? byId.get(category.parentId) || category : category;
+            if (!rows.has(parent.id)) rows.set(parent.id, { category: parent, name: parent.name, amount: 0, children: new Map() });
+            const row = rows.get(parent.id);
+            row.amount += amount;
+
+            if (category !== parent) {
+                row.children.set(category.name, (row.children.get(category.name) || 0) + amount);
+            }
+        });
+
+        return {
+            baseCurrency: converter.baseCurrency,
+            categories: [...rows.values()]
+                .map(row => ({
+                    ...row,
+                    children: [...row.children.entries()]
+                        .map(([name, amount]) => ({ name, amount }))
+                        .sort((a, b) => b.amount - a.amount)
+                }))
+                .sort((a, b) => b.amount - a.amount),
+            uncategorized,
+            missingRates: [...converter.missing]
+        };
+    }
+
+    // ==================== Estimates ====================
+
+    /**
+     * Save an estimate and its lines. The number is assigned here.
+     */
+    async addEstimate(estimate) {
         const userId = await this.getCurrentUserId();
+        const adminId = await this.getAdminId();
+        const { services, ...estimateData } = estimate;
+        const { data, error } = await supabaseClient
+            .from('estimates')
+            .insert({
+                // Number allocated by the insert itself
+                ...toDbEstimate({ ...estimateData, estimateNumber: null }),
+                user_id: userId,
+                admin_id: adminId,
+                status: 'pending',
+                created_by_name: estimate.created_by_name || await this.getCurrentUserName()
+            })
+            .select()
+            .single();
 
-        if (isAdmin) {
-            // Admin can update directly
-            const { data, error } = await supabaseClient
-                .from('clients')
-                .update({
-                    ...client,
-                    edit_requested: false,
-                    pending_changes: null,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id)
-                .select()
-                .single();
+        if (error) this.handleError(error, 'Add estimate');
 
-            if (error) this.handleError(error, 'Update client');
-            this.notifyListeners(DATA_STORES.CLIENTS);
-            return data;
-        } else {
-            // Employee requests update
-            const { data, error } = await supabaseClient
-                .from('clients')
-                .update({
-                    edit_requested: true,
-                    edit_requested_by: userId,
-                    pending_changes: client,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id)
-                .select()
-                .single();
+        const items = (services || []).map(s => toDbEstimateItem(s, data.id));
+        if (items.length > 0) {
+            const { error: itemsError } = await supabaseClient
+                .from('estimate_items')
+                .insert(items);
+
+            if (itemsError) this.handleError(itemsError, 'Add estimate items');
+        }
+
+        this.notifyListeners(DATA_STORES.ESTIMATES);
+        return fromDbEstimate({ ...data, estimate_items: items });
+    }
+
+    async getEstimate(id) {
+        const { data, error } = await supabaseClient
+            .from('estimates')
+            .select('*, estimate_items(*), invoices!estimates_invoice_id_fkey(invoice_number)')
+            .eq('id', id)
+            .single();
+
+        if (error) this.handleError(error, 'Get estimate');
+        return fromDbEstimate(data);
+    }
+
+    async getAllEstimates() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('estimates')
+            .select('*, estimate_items(*), invoices!estimates_invoice_id_fkey(invoice_number)')
+            .eq('admin_id', adminId)
+            .order('created_at', { ascending: false });
+
+        if (error) this.handleError(error, 'Get all estimates');
+        return (data || []).map(fromDbEstimate);
+    }
+
+    /**
+     * Mark an estimate pending, accepted or rejected
+     */
+    async setEstimateStatus(id, status) {
+        if (!['pending', 'accepted', 'rejected'].includes(status)) {
+            throw new Error(`Invalid estimate status: ${status}`);
+        }
+
+        const { error } = await supabaseClient
+            .from('estimates')
+            .update({ status })
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Update estimate status');
+        this.notifyListeners(DATA_STORES.ESTIMATES);
+        return true;
+    }
+
+    async deleteEstimate(id) {
+        const estimate = await this.getEstimate(id);
+        if (estimate.invoiceId) {
+            throw new Error('This estimate has been converted to an invoice and cannot be deleted');
+        }
+
+        const { error } = await supabaseClient
+            .from('estimates')
+            .delete()
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Delete estimate');
+        this.notifyListeners(DATA_STORES.ESTIMATES);
+        return true;
+    }
+
+    /**
+     * Create an invoice from an estimate's lines and link the two records.
+     * The estimate is marked accepted; converting twice is refused.
+     * @param {number} id - Estimate id
+     * @param {Object} options - { invoiceDate, dueDate, created_by_name }
+     */
+    async convertEstimateToInvoice(id, options = {}) {
+        const estimate = await this.getEstimate(id);
+        if (estimate.invoiceId) {
+            throw new Error(`Estimate ${estimate.estimateNumber} was already converted to ${estimate.convertedInvoiceNumber || 'an invoice'}`);
+        }
+        if (estimate.storedStatus === 'rejected') {
+            throw new Error('A rejected estimate cannot be converted');
+        }
+
+        // addInvoice only picks the invoice columns, the estimate-only fields are ignored
+        const invoiceDate = options.invoiceDate || new Date().toISOString().split('T')[0];
+        let invoice;
+        try {
+            invoice = await this.addInvoice({
+                ...estimate,
+                invoiceDate,
+                dueDate: options.dueDate || invoiceDate,
+                paymentStatus: 'pending',
+                estimateId: estimate.id,
+                created_by_name: options.created_by_name || estimate.createdByName
+            });
+        } catch (error) {
+            // The unique index on invoices.estimate_id stops a conversion running at the same time
+            if ((error.message || '').includes('idx_invoices_estimate_id_unique')) {
+                throw new Error(`Estimate ${estimate.estimateNumber} was already converted to an invoice`);
+            }
+            throw error;
+        }
+
+        const { error } = await supabaseClient
+            .from('estimates')
+            .update({ invoice_id: invoice.id, status: 'accepted' })
+            .eq('id', id)
+            .is('invoice_id', null);
+
+        if (error) this.handleError(error, 'Link estimate to invoice');
+
+        this.notifyListeners(DATA_STORES.ESTIMATES);
+        return invoice;
+    }
+
+    // ==================== Receivables Aging ====================
+
+    /**
+     * Outstanding balances grouped by client and aging bucket, in base currency.
+     * @param {string} asOfDate - YYYY-MM-DD, defaults to today
+     */
+    async getAgingReport(asOfDate = new Date().toISOString().split('T')[0]) {
+        const invoices = await this.getAllInvoices();
+        const converter = await this.getCurrencyConverter();
+
+        const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+        const totals = { ...emptyBuckets(), total: 0 };
+        const clients = {};
+        let overdueCount = 0;
+
+        invoices
+            .filter(inv => inv.balanceDue > 0.005)
+            .forEach(inv => {
+                const daysPastDue = getDaysPastDue(inv.dueDate, asOfDate);
+                const bucket = getAgingBucket(daysPastDue);
+                const balance = converter.convert(inv.balanceDue, inv.currency, inv.invoiceDate);
+                const clientKey = inv.clientId ? `id:${inv.clientId}` : `name:${(inv.clientName || '').trim().toLowerCase()}`;
+
+                if (!clients[clientKey]) {
+                    clients[clientKey] = {
+                        clientId: inv.clientId,
+                        clientName: inv.clientName,
+                        ...emptyBuckets(),
+                        total: 0,
+                        invoices: []
+                    };
+                }
+
+                const client = clients[clientKey];
+                client[bucket] += balance;
+                client.total += balance;
+                client.invoices.push({
+                    id: inv.id,
+                    invoiceNumber: inv.invoiceNumber,
+                    invoiceDate: inv.invoiceDate,
+                    dueDate: inv.dueDate,
+                    currency: inv.currency,
+                    balanceDue: inv.balanceDue,
+                    baseBalance: balance,
+                    daysPastDue,
+                    bucket
+                });
+
+                totals[bucket] += balance;
+                totals.total += balance;
+                if (daysPastDue > 0) overdueCount++;
+            });
+
+        const clientRows = Object.values(clients).sort((a, b) => b.total - a.total);
+        clientRows.forEach(c => c.invoices.sort((a, b) => b.daysPastDue - a.daysPastDue));
+
+        return {
+            asOfDate,
+            baseCurrency: converter.baseCurrency,
+            buckets: AGING_BUCKETS,
+            clients: clientRows,
+            totals,
+            overdueAmount: totals.total - totals.current,
+            overdueCount,
+            missingRates: [...converter.missing]
+        };
+    }
+
+    // ==================== Invoice Payments ====================
+
+    /**
+     * Record a (partial) payment against an invoice.
+     * The database posts the matching 'received' income entry, shrinks a legacy
+     * "Invoice XXX" entry and re-derives the invoice status in one transaction.
+     */
+    async addInvoicePayment(invoiceId, payment) {
+        const amount = parseFloat(payment.amount) || 0;
+        if (amount <= 0) throw new Error('Payment amount must be greater than zero');
+
+        const { data, error } = await supabaseClient.rpc('record_invoice_payment', {
+            p_invoice_id: parseInt(invoiceId),
+            p_amount: amount,
+            p_payment_date: payment.paymentDate || new Date().toISOString().split('T')[0],
+            p_payment_mode: payment.paymentMode || 'bank_transfer',
+            p_reference: payment.reference || null,
+            p_created_by_name: payment.created_by_name || await this.getCurrentUserName()
+        });
+
+        if (error) this.handleError(error, 'Add invoice payment');
+
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        this.notifyListeners(DATA_STORES.INVOICES);
+        this.notifyListeners(DATA_STORES.INVOICE_PAYMENTS);
+        return fromDbInvoicePayment(data);
+    }
+
+    /**
+     * Remove a recorded payment and its linked income entry (admin only).
+     * The database deletes both and re-derives the invoice status in one
+     * transaction.
+     */
+    async deleteInvoicePayment(paymentId) {
+        const { data: payment, error: fetchError } = await supabaseClient
+            .from('invoice_payments')
+            .select('*')
+            .eq('id', paymentId)
+            .single();
+
+        if (fetchError) this.handleError(fetchError, 'Get invoice payment');
+
+        // Attachment rows go with the entry; their files are removed afterwards
+        const attachments = payment.entry_id ? await this.getAttachments('entry', [payment.entry_id]) : [];
+
+        const { error } = await supabaseClient.rpc('delete_invoice_payment', {
+            p_payment_id: parseInt(paymentId)
+        });
+
+        if (error) this.handleError(error, 'Delete invoice payment');
+        await this.removeAttachmentFiles(attachments);
+
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        this.notifyListeners(DATA_STORES.INVOICES);
+        this.notifyListeners(DATA_STORES.INVOICE_PAYMENTS);
+        return true;
+    }
+
+    /**
+     * Find the single "Invoice XXX" entry created for invoices saved before the payments ledger
+     */
+    async findLegacyInvoiceEntry(invoiceNumber) {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('finance_entries')
+            .select('*')
+            .eq('admin_id', adminId)
+            .eq('type', 'income')
+            .eq('description', `Invoice ${invoiceNumber}`)
+            .limit(1);
+
+        if (error) {
+            console.warn('Legacy invoice entry lookup failed:', error);
+            return null;
+        }
+        return data && data.length > 0 ? fromDbEntry(data[0]) : null;
+    }
+
+    /**
+     * Reduce (or remove) the pending legacy "Invoice XXX" entry by an amount.
+     * @returns {Promise<number>} The part of the amount the entry absorbed
+     */
+    async reduceLegacyInvoiceEntry(invoiceNumber, amount) {
+        const legacyEntry = await this.findLegacyInvoiceEntry(invoiceNumber);
+        if (!legacyEntry || legacyEntry.status !== 'pending') return 0;
+
+        const entryAmount = parseFloat(legacyEntry.amount) || 0;
+        const remaining = entryAmount - amount;
+        if (remaining > 0.005) {
+            await this.updateEntry(legacyEntry.id, { ...legacyEntry, amount: remaining });
+            return amount;
+        }
+
+        await this.deleteEntry(legacyEntry.id);
+        return entryAmount;
+    }
+
+    // ==================== Credit Notes ====================
+
+    /**
+     * Issue a credit note against an invoice (admin only).
+     * The unpaid part of the credit just reduces what the client owes; any part
+     * covering money already received is posted as a reversing expense entry.
+     * @param {number} invoiceId
+     * @param {Object} creditNote - { creditDate, reason, items: [{ invoiceServiceId, quantity }] }
+     */
+    async addCreditNote(invoiceId, creditNote) {
+        if (!(await this.isAdmin())) {
+            throw new Error('Only admins can issue credit notes');
+        }
+
+        const invoice = await this.getInvoice(invoiceId);
+        if (!invoice) throw new Error('Invoice not found');
+
+        const items = (creditNote.items || [])
+            .map(item => {
+                const service = invoice.services.find(s => s.id === item.invoiceServiceId);
+                if (!service) return null;
+                const available = (parseFloat(service.quantity) || 0) - service.creditedQuantity;
+                const quantity = Math.min(parseFloat(item.quantity) || 0, available);
+                const rate = parseFloat(service.rate) || 0;
+                return quantity > 0 ? {
+                    invoiceServiceId: service.id,
+                    name: service.name,
+                    quantity,
+                    rate,
+                    taxRate: service.taxRate,
+                    amount: quantity * rate
+                } : null;
+            })
+            .filter(Boolean);
+
+        if (items.length === 0) throw new Error('Select at least one line to credit');
+
+        // Apply the invoice's own tax and discount rules to the credited lines
+        const totals = calculateCreditNoteTotals(invoice, items);
+        const { subtotal, taxAmount, discountAmount } = totals;
+        const grandTotal = parseFloat(invoice.grandTotal) || 0;
+        const total = Math.min(totals.total, grandTotal - invoice.creditedAmount);
+
+        if (total <= 0) throw new Error('Nothing left to credit on this invoice');
+
+        // The database locks the invoice, re-checks the open lines, takes the
+        // number and posts any refund entry in one transaction
+        const { data, error } = await supabaseClient.rpc('issue_credit_note', {
+            p_invoice_id: parseInt(invoiceId),
+            p_items: items.map(i => ({ invoice_service_id: i.invoiceServiceId, quantity: i.quantity })),
+            p_subtotal: subtotal,
+            p_tax_amount: taxAmount,
+            p_discount_amount: discountAmount,
+            p_total: total,
+            p_cgst_amount: totals.cgstAmount,
+            p_sgst_amount: totals.sgstAmount,
+            p_igst_amount: totals.igstAmount,
+            p_credit_date: creditNote.creditDate || new Date().toISOString().split('T')[0],
+            p_reason: creditNote.reason || null,
+            p_payment_mode: creditNote.paymentMode || 'bank_transfer',
+            p_created_by_name: creditNote.created_by_name || await this.getCurrentUserName()
+        });
+
+        if (error) this.handleError(error, 'Add credit note');
+
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        this.notifyListeners(DATA_STORES.CREDIT_NOTES);
+        this.notifyListeners(DATA_STORES.INVOICES);
+        return fromDbCreditNote({ ...data, credit_note_items: items.map(i => ({ ...i, invoice_service_id: i.invoiceServiceId, tax_rate: i.taxRate })) });
+    }
+
+    /**
+     * Credit every remaining line of an invoice, cancelling it
+     */
+    async cancelInvoice(invoiceId, creditNote = {}) {
+        const invoice = await this.getInvoice(invoiceId);
+        return this.addCreditNote(invoiceId, {
+            ...creditNote,
+            items: invoice.services.map(s => ({
+                invoiceServiceId: s.id,
+                quantity: (parseFloat(s.quantity) || 0) - s.creditedQuantity
+            }))
+        });
+    }
+
+    async getCreditNotes() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('credit_notes')
+            .select('*, credit_note_items(*)')
+            .eq('admin_id', adminId)
+            .order('credit_date', { ascending: false });
+
+        if (error) this.handleError(error, 'Get credit notes');
+        return (data || []).map(fromDbCreditNote);
+    }
+
+    // ==================== Payment Reminders ====================
+
+    async getReminderTemplates() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('reminder_templates')
+            .select('*')
+            .eq('admin_id', adminId)
+            .order('created_at', { ascending: true });
+
+        if (error) this.handleError(error, 'Get reminder templates');
+        return (data || []).map(fromDbReminderTemplate);
+    }
+
+    /**
+     * Create or update a reminder template (admin only)
+     */
+    async saveReminderTemplate(template) {
+        const row = {
+            name: template.name,
+            subject: template.subject,
+            body: template.body
+        };
+
+        let query;
+        if (template.id) {
+            query = supabaseClient.from('reminder_templates').update(row).eq('id', template.id);
+        } else {
+            const userId = await this.getCurrentUserId();
+            const adminId = await this.getAdminId();
+            query = supabaseClient.from('reminder_templates').insert({ ...row, user_id: userId, admin_id: adminId });
+        }
+
+        const { data, error } = await query.select().single();
+        if (error) this.handleError(error, 'Save reminder template');
+
+        this.notifyListeners(DATA_STORES.REMINDER_TEMPLATES);
+        return fromDbReminderTemplate(data);
+    }
+
+    async deleteReminderTemplate(id) {
+        const { error } = await supabaseClient
+            .from('reminder_templates')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            // FK violation: a schedule still uses this template
+            if (error.code === '23503') throw new Error('This template is used by a reminder schedule');
+            this.handleError(error, 'Delete reminder template');
+        }
+
+        this.notifyListeners(DATA_STORES.REMINDER_TEMPLATES);
+        return true;
+    }
+
+    async getReminderSchedules() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('reminder_schedules')
+            .select('*')
+            .eq('admin_id', adminId)
+            .order('offset_days', { ascending: true });
+
+        if (error) this.handleError(error, 'Get reminder schedules');
+        return (data || []).map(fromDbReminderSchedule);
+    }
+
+    /**
+     * Add a schedule. offsetDays is relative to the due date (-3 = 3 days before).
+     */
+    async addReminderSchedule({ offsetDays, templateId }) {
+        const userId = await this.getCurrentUserId();
+        const adminId = await this.getAdminId();
+
+        const { data, error } = await supabaseClient
+            .from('reminder_schedules')
+            .insert({
+                user_id: userId,
+                admin_id: adminId,
+                offset_days: parseInt(offsetDays) || 0,
+                template_id: templateId
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') throw new Error('A reminder for that day already exists');
+            this.handleError(error, 'Add reminder schedule');
+        }
+
+        this.notifyListeners(DATA_STORES.REMINDER_SCHEDULES);
+        return fromDbReminderSchedule(data);
+    }
+
+    async setReminderScheduleActive(id, isActive) {
+        const { error } = await supabaseClient
+            .from('reminder_schedules')
+            .update({ is_active: isActive })
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Update reminder schedule');
+        this.notifyListeners(DATA_STORES.REMINDER_SCHEDULES);
+        return true;
+    }
+
+    async deleteReminderSchedule(id) {
+        const { error } = await supabaseClient
+            .from('reminder_schedules')
+            .delete()
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Delete reminder schedule');
+        this.notifyListeners(DATA_STORES.REMINDER_SCHEDULES);
+        return true;
+    }
+
+    /**
+     * Reminder log for one invoice, newest first
+     */
+    async getInvoiceReminders(invoiceId) {
+        const { data, error } = await supabaseClient
+            .from('invoice_reminders')
+            .select('*')
+            .eq('invoice_id', invoiceId)
+            .order('sent_at', { ascending: false });
+
+        if (error) this.handleError(error, 'Get invoice reminders');
+        return (data || []).map(fromDbInvoiceReminder);
+    }
+
+    /**
+     * Run the send-reminders edge function for this organization now.
+     * With dryRun the function only reports what it would send.
+     */
+    async runReminders({ dryRun = false } = {}) {
+        const data = await this.invokeFunction('send-reminders', { dryRun }, 'Run reminders');
+        if (data?.error) throw new Error(data.error);
+
+        if (!dryRun) this.notifyListeners(DATA_STORES.INVOICE_REMINDERS);
+        return data;
+    }
+
+    // ==================== Invoice Emails ====================
+
+    /**
+     * Email a saved invoice with its PDF attached (send-invoice edge function).
+     * The attempt is logged either way; a provider failure is thrown after the
+     * log has been refreshed.
+     */
+    async sendInvoiceEmail({ invoiceId, to, cc, bcc, subject, message, pdfBase64, filename }) {
+        const data = await this.invokeFunction('send-invoice', {
+            invoiceId, to, cc, bcc, subject, message, pdfBase64, filename
+        }, 'Send invoice email');
+
+        this.notifyListeners(DATA_STORES.INVOICE_EMAILS);
+        if (data.status === 'failed') throw new Error(data.error || 'Email could not be sent');
+        return data;
+    }
+
+    /**
+     * Email send history for one invoice, newest first
+     */
+    async getInvoiceEmails(invoiceId) {
+        const { data, error } = await supabaseClient
+            .from('invoice_emails')
+            .select('*')
+            .eq('invoice_id', invoiceId)
+            .order('sent_at', { ascending: false });
+
+        if (error) this.handleError(error, 'Get invoice emails');
+        return (data || []).map(fromDbInvoiceEmail);
+    }
+
+    // ==================== Recurring Invoices ====================
+
+    async addRecurringInvoice(template) {
+        const userId = await this.getCurrentUserId();
+        const adminId = await this.getAdminId();
+        const userName = await this.getCurrentUserName();
+
+        const { data, error } = await supabaseClient
+            .from('recurring_invoices')
+            .insert({
+                ...toDbRecurringInvoice(template),
+                user_id: userId,
+                admin_id: adminId,
+                created_by_name: template.created_by_name || userName
+            })
+            .select()
+            .single();
+
+        if (error) this.handleError(error, 'Add recurring invoice');
+        this.notifyListeners(DATA_STORES.RECURRING_INVOICES);
+        return fromDbRecurringInvoice(data);
+    }
+
+    async updateRecurringInvoice(id, updates) {
+        const { data, error } = await supabaseClient
+            .from('recurring_invoices')
+            .update(updates)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) this.handleError(error, 'Update recurring invoice');
+        this.notifyListeners(DATA_STORES.RECURRING_INVOICES);
+        return fromDbRecurringInvoice(data);
+    }
+
+    async setRecurringInvoiceActive(id, isActive) {
+        return this.updateRecurringInvoice(id, { is_active: isActive });
+    }
+
+    async deleteRecurringInvoice(id) {
+        const { error } = await supabaseClient
+            .from('recurring_invoices')
+            .delete()
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Delete recurring invoice');
+        this.notifyListeners(DATA_STORES.RECURRING_INVOICES);
+        return true;
+    }
+
+    async getAllRecurringInvoices() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('recurring_invoices')
+            .select('*')
+            .eq('admin_id', adminId)
+            .order('next_run_date', { ascending: true });
+
+        if (error) this.handleError(error, 'Get recurring invoices');
+        return (data || []).map(fromDbRecurringInvoice);
+    }
+
+    /**
+     * Create an invoice for every run date that has arrived on active templates.
+     * Missed periods are caught up one invoice per period; each period is
+     * claimed in the database first, so concurrent runs never duplicate one.
+     * A failing template doesn't stop the rest; it is returned alongside the
+     * invoices that were created.
+     * @param {string} asOfDate - YYYY-MM-DD, defaults to today
+     * @returns {Promise<{created: Object[], failed: {template: Object, error: string}[]}>}
+     */
+    async generateDueRecurringInvoices(asOfDate = new Date().toISOString().split('T')[0]) {
+        const templates = (await this.getAllRecurringInvoices())
+            .filter(t => t.isActive && t.nextRunDate <= asOfDate);
+
+        const settings = await this.getAllSettings();
+        const created = [];
+        const failed = [];
+
+        for (const template of templates) {
+            const months = RECURRING_FREQUENCY_MONTHS[template.frequency] || 1;
+            const anchorDay = Number(template.startDate.split('-')[2]);
+            let runDate = template.nextRunDate;
+
+            try {
+                while (runDate <= asOfDate && (!template.endDate || runDate <= template.endDate)) {
+                    const nextRunDate = addMonthsToDate(runDate, months, anchorDay);
+
+                    // Claim the run before creating its invoice: another tab or user
+                    // generating at the same time finds the date moved and skips it
+                    const claimed = await this.claimRecurringRun(template, runDate, nextRunDate);
+                    if (!claimed) break;
+
+                    try {
+                        created.push(await this.addInvoice(this.buildInvoiceFromTemplate(template, settings, runDate)));
+                    } catch (error) {
+                        // Hand the run back so the next attempt creates it
+                        await this.releaseRecurringRun(template, runDate, nextRunDate);
+                        throw error;
+                    }
+                    runDate = nextRunDate;
+                }
+
+                // Due but already past its end date: nothing left to generate
+                if (template.endDate && template.nextRunDate > template.endDate) {
+                    await this.updateRecurringInvoice(template.id, { is_active: false });
+                }
+            } catch (error) {
+                console.warn('Error generating recurring invoice:', error);
+                failed.push({ template, error: error.message || 'Unknown error' });
+            }
+        }
+
+        return { created, failed };
+    }
+
+    /**
+     * Move a template's next run date on, only if it is still at runDate
+     * @returns {Promise<boolean>} False when someone else already took the run
+     */
+    async claimRecurringRun(template, runDate, nextRunDate) {
+        const { data, error } = await supabaseClient
+            .from('recurring_invoices')
+            .update({
+                next_run_date: nextRunDate,
+                last_generated_at: new Date().toISOString(),
+                is_active: !template.endDate || nextRunDate <= template.endDate
+            })
+            .eq('id', template.id)
+            .eq('next_run_date', runDate)
+            .select('id');
+
+        if (error) this.handleError(error, 'Claim recurring invoice run');
+        this.notifyListeners(DATA_STORES.RECURRING_INVOICES);
+        return (data || []).length > 0;
+    }
+
+    async releaseRecurringRun(template, runDate, nextRunDate) {
+        const { error } = await supabaseClient
+            .from('recurring_invoices')
+            .update({ next_run_date: runDate, is_active: template.isActive })
+            .eq('id', template.id)
+            .eq('next_run_date', nextRunDate);
+
+        if (error) console.warn('Failed to release recurring invoice run:', error);
+        this.notifyListeners(DATA_STORES.RECURRING_INVOICES);
+    }
+
+    /**
+     * Build an invoice payload (without number) from a template for a run date
+     */
+    buildInvoiceFromTemplate(template, settings, runDate) {
+        // Templates saved before per-line GST only have the invoice-level rate
+        const gst = calculateGstBreakdown(
+            template.services.map(s => ({ ...s, taxRate: s.taxRate ?? template.taxPercent })),
+            {
+                discountPercent: template.discountPercent,
+                agencyState: settings.agencyState,
+                clientState: template.clientState
+            }
+        );
+
+        return {
+            agencyLogo: settings.agencyLogo,
+            agencyName: settings.agencyName,
+            agencyContact: settings.agencyContact,
+            agencyAddress: settings.agencyAddress,
+            agencyGstin: settings.agencyGstin,
+            agencyState: settings.agencyState,
+            clientId: template.clientId,
+            clientName: template.clientName,
+            clientEmail: template.clientEmail,
+            clientAddress: template.clientAddress,
+            clientPhone: template.clientPhone,
+            clientGstin: template.clientGstin,
+            currency: template.currency,
+            clientState: template.clientState,
+            invoiceDate: runDate,
+            dueDate: addDaysToDate(runDate, template.dueDays),
+            services: gst.lines.map(l => ({
+                name: l.name,
+                hsnSac: l.hsnSac,
+                quantity: l.quantity,
+                rate: l.rate,
+                amount: l.amount,
+                taxRate: l.taxRate,
+                taxAmount: l.taxAmount,
+                catalogItemId: l.catalogItemId
+            })),
+            subtotal: gst.subtotal,
+            taxPercent: gst.taxPercent,
+            taxAmount: gst.taxAmount,
+            discountPercent: template.discountPercent,
+            discountAmount: gst.discountAmount,
+            gstType: gst.gstType,
+            cgstAmount: gst.cgstAmount,
+            sgstAmount: gst.sgstAmount,
+            igstAmount: gst.igstAmount,
+            grandTotal: gst.grandTotal,
+            paymentStatus: 'pending',
+            recurringInvoiceId: template.id,
+            created_by_name: `Recurring - ${template.templateName}`
+        };
+    }
+
+    // ==================== Clients ====================
+
+    async addClient(client) {
+        const userId = await this.getCurrentUserId();
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('clients')
+            .insert({
+                ...client,
+                user_id: userId,
+                admin_id: adminId
+            })
+            .select()
+            .single();
+
+        if (error) this.handleError(error, 'Add client');
+        this.notifyListeners(DATA_STORES.CLIENTS);
+        return data;
+    }
+
+    async updateClient(id, client) {
+        const isAdmin = await this.isAdmin();
+        const userId = await this.getCurrentUserId();
+
+        if (isAdmin) {
+            // Admin can update directly
+            const { data, error } = await supabaseClient
+                .from('clients')
+                .update({
+                    ...client,
+                    edit_requested: false,
+                    pending_changes: null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) this.handleError(error, 'Update client');
+            await this.syncClientEntryNames(data);
+            this.notifyListeners(DATA_STORES.CLIENTS);
+            return data;
+        } else {
+            // Employee requests update
+            const { data, error } = await supabaseClient
+                .from('clients')
+                .update({
+                    edit_requested: true,
+                    edit_requested_by: userId,
+                    pending_changes: client,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) this.handleError(error, 'Request client update');
+            this.notifyListeners(DATA_STORES.CLIENTS);
+            return data;
+        }
+    }
+
+    async deleteClient(id) {
+        const isAdmin = await this.isAdmin();
+        const userId = await this.getCurrentUserId();
+
+        if (isAdmin) {
+            // Admin can delete immediately
+            const { error } = await supabaseClient
+                .from('clients')
+                .delete()
+                .eq('id', id);
+
+            // Budgets keep their client (V82) - they have to go first
+            if (error?.code === '23503' && (error.message || '').includes('budgets')) {
+                throw new Error('This client has budgets. Remove them in Settings first.');
+            }
+            if (error) this.handleError(error, 'Delete client');
+        } else {
+            // Employee requests deletion
+            const { error } = await supabaseClient
+                .from('clients')
+                .update({
+                    deletion_requested: true,
+                    deletion_requested_by: userId
+                })
+                .eq('id', id);
+
+            if (error) this.handleError(error, 'Request client deletion');
+        }
+
+        this.notifyListeners(DATA_STORES.CLIENTS);
+        return true;
+    }
+
+    /**
+     * Approve a client edit request (Admin only)
+     */
+    async approveClientEdit(id) {
+        const { data: client } = await supabaseClient
+            .from('clients')
+            .select('pending_changes')
+            .eq('id', id)
+            .single();
+
+        if (!client || !client.pending_changes) {
+            throw new Error('No pending changes found for this client');
+        }
+
+        const { data, error } = await supabaseClient
+            .from('clients')
+            .update({
+                ...client.pending_changes,
+                edit_requested: false,
+                edit_requested_by: null,
+                pending_changes: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) this.handleError(error, 'Approve client edit');
+        await this.syncClientEntryNames(data);
+        this.notifyListeners(DATA_STORES.CLIENTS);
+        return data;
+    }
+
+    /**
+     * Carry a client's current name onto the entries linked to it, so a rename
+     * doesn't split the client's history across two names
+     * @param {Object} client - Client row after the update
+     */
+    async syncClientEntryNames(client) {
+        const { error } = await supabaseClient
+            .from('finance_entries')
+            .update({ client_name: client.name })
+            .eq('client_id', client.id)
+            .neq('client_name', client.name);
+
+        if (error) {
+            console.warn('Could not rename the client on linked entries:', error);
+            return;
+        }
+        this.notifyListeners(DATA_STORES.ENTRIES);
+    }
+
+    /**
+     * Entry client names that aren't linked to a client yet, each with the
+     * closest clients by name (best first) for an admin to confirm
+     * @returns {Promise<Array<{clientName: string, variants: string[], entryCount: number, suggestions: Array<{client: Object, score: number}>}>>}
+     */
+    async getUnlinkedEntryNames() {
+        const adminId = await this.getAdminId();
+        const [{ data, error }, clients] = await Promise.all([
+            supabaseClient
+                .from('finance_entries')
+                .select('client_name')
+                .eq('admin_id', adminId)
+                .is('client_id', null),
+            this.getAllClients(true)
+        ]);
+
+        if (error) this.handleError(error, 'Get unlinked entries');
+
+        // Grouped by trimmed name; variants keeps the names as stored for linking
+        const groups = new Map();
+        (data || []).forEach(row => {
+            const name = (row.client_name || '').trim();
+            if (!name) return;
+            const group = groups.get(name) || { entryCount: 0, variants: new Set() };
+            group.entryCount++;
+            group.variants.add(row.client_name);
+            groups.set(name, group);
+        });
+
+        return [...groups.entries()]
+            .map(([clientName, { entryCount, variants }]) => ({
+                clientName,
+                variants: [...variants],
+                entryCount,
+                suggestions: clients
+                    .map(client => ({ client, score: getClientNameSimilarity(clientName, client.name) }))
+                    .filter(m => m.score >= CLIENT_MATCH_MIN_SCORE)
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, 3)
+            }))
+            .sort((a, b) => (b.suggestions[0]?.score || 0) - (a.suggestions[0]?.score || 0) || b.entryCount - a.entryCount);
+    }
+
+    /**
+     * Link every unlinked entry with one of these client names (the stored
+     * variants from getUnlinkedEntryNames) to a client (admin only). The
+     * entries take the client's name.
+     * @param {string[]} clientNames
+     * @returns {Promise<number>} Entries linked
+     */
+    async linkEntriesToClient(clientNames, clientId) {
+        if (!(await this.isAdmin())) {
+            throw new Error('Only admins can link entries to clients');
+        }
+
+        const adminId = await this.getAdminId();
+        const client = await this.getClient(clientId);
+        const { data, error } = await supabaseClient
+            .from('finance_entries')
+            .update({ client_id: client.id, client_name: client.name })
+            .eq('admin_id', adminId)
+            .in('client_name', clientNames)
+            .is('client_id', null)
+            .select('id');
+
+        if (error) this.handleError(error, 'Link entries to client');
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        return (data || []).length;
+    }
+
+    /**
+     * Decline a client edit request (Admin only)
+     */
+    async declineClientEdit(id) {
+        const { error } = await supabaseClient
+            .from('clients')
+            .update({
+                edit_requested: false,
+                edit_requested_by: null,
+                pending_changes: null
+            })
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Decline client edit');
+        this.notifyListeners(DATA_STORES.CLIENTS);
+        return true;
+    }
+
+    /**
+     * Decline a client deletion request (Admin only)
+     */
+    async declineClientDeletion(id) {
+        const { error } = await supabaseClient
+            .from('clients')
+            .update({
+                deletion_requested: false,
+                deletion_requested_by: null
+            })
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Decline client deletion');
+        this.notifyListeners(DATA_STORES.CLIENTS);
+        return true;
+    }
+
+    async getClient(id) {
+        const { data, error } = await supabaseClient
+            .from('clients')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) this.handleError(error, 'Get client');
+        return data;
+    }
+
+    async getAllClients(approvedOnly = false) {
+        const adminId = await this.getAdminId();
+        let query = supabaseClient
+            .from('clients')
+            .select('*')
+            .eq('admin_id', adminId)
+            .order('name', { ascending: true });
+
+        if (approvedOnly) {
+            query = query.eq('approval_status', 'approved');
+        }
+
+        const { data, error } = await query;
+        if (error) this.handleError(error, 'Get all clients');
+        return data || [];
+    }
+
+    async getPendingClients() {
+        const adminId = await this.getAdminId();
+
+        // Only admins check this, but safety check
+        if (!await this.isAdmin()) return [];
+
+        const { data, error } = await supabaseClient
+            .from('clients')
+            .select('*')
+            .eq('admin_id', adminId)
+            .or('approval_status.eq.pending,deletion_requested.eq.true,edit_requested.eq.true')
+            .order('created_at', { ascending: false });
+
+        if (error) this.handleError(error, 'Get pending clients');
+        return data || [];
+    }
+
+    /**
+     * Existing clients (approved or pending) that look like this one
+     * @param {Object} client - Client being saved
+     * @param {number|null} excludeId - The client's own id when editing
+     * @returns {Promise<Array<{client: Object, reasons: string[]}>>}
+     */
+    async findDuplicateClients(client, excludeId = null) {
+        const clients = await this.getAllClients();
+        return clients
+            .filter(c => c.id !== excludeId)
+            .map(c => ({ client: c, reasons: getClientDuplicateReasons(client, c) }))
+            .filter(m => m.reasons.length > 0);
+    }
+
+    /**
+     * Merge a duplicate client into the one that stays (admin only). The
+     * duplicate's invoices, entries, recurring invoices, estimates and budgets move
+     * across (including ones linked only by name), blank details on the
+     * survivor are filled from the duplicate, the duplicate is deleted and an
+     * audit row records what happened. Issued invoices keep the name they
+     * were issued with.
+     * @returns {Promise<Object>} The merge record
+     */
+    async mergeClients(survivingId, duplicateId) {
+        if (!(await this.isAdmin())) {
+            throw new Error('Only admins can merge clients');
+        }
+        if (survivingId === duplicateId) {
+            throw new Error('Choose two different clients to merge');
+        }
+
+        // Moves the records, fills the gaps, writes the audit row and removes
+        // the duplicate in one transaction; the database checks the admin again
+        const { data, error } = await supabaseClient.rpc('merge_clients', {
+            p_surviving_id: parseInt(survivingId),
+            p_duplicate_id: parseInt(duplicateId),
+            p_merged_by_name: await this.getCurrentUserName()
+        });
+
+        if (error) this.handleError(error, 'Merge clients');
+
+        this.notifyListeners(DATA_STORES.CLIENTS);
+        this.notifyListeners(DATA_STORES.INVOICES);
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        return fromDbClientMerge(data);
+    }
+
+    async getClientMerges(clientId) {
+        const { data, error } = await supabaseClient
+            .from('client_merges')
+            .select('*')
+            .eq('surviving_client_id', clientId)
+            .order('created_at', { ascending: false });
+
+        if (error) this.handleError(error, 'Get client merges');
+        return (data || []).map(fromDbClientMerge);
+    }
+
+    async getClientByName(name) {
+        const clients = await this.getAllClients();
+        return clients.find(c => c.name.toLowerCase() === name.toLowerCase());
+    }
+
+    /**
+     * A client with the invoices and finance entries that belong to it. Both
+     * match on client_id, or on the name when saved without one.
+     */
+    async getClientActivity(clientId) {
+        const [client, invoices, entries] = await Promise.all([
+            this.getClient(clientId),
+            this.getAllInvoices(),
+            this.getAllEntries()
+        ]);
+
+        const clientName = (client.name || '').trim().toLowerCase();
+        return {
+            client,
+            invoices: invoices.filter(inv => inv.clientId
+                ? inv.clientId === client.id
+                : (inv.clientName || '').trim().toLowerCase() === clientName),
+            entries: entries.filter(e => e.clientId
+                ? e.clientId === client.id
+                : (e.clientName || '').trim().toLowerCase() === clientName)
+        };
+    }
+
+    /**
+     * Statement of account for a client over a date range, in one currency.
+     * Invoices are charged on their date; ledger payments and credit notes are
+     * credited on theirs. Refunds (the expense entry a credit note posts when the
+     * money was already received) are charged back. Invoices paid before the
+     * payments ledger use their received "Invoice XXX" entry for the payment date.
+     * @param {number} clientId
+     * @param {Object} options - fromDate, toDate (YYYY-MM-DD) and currency; the
+     *   client's most used currency when omitted
+     */
+    async getClientStatement(clientId, { fromDate, toDate, currency } = {}) {
+        const { client, invoices: clientInvoices, entries: clientEntries } = await this.getClientActivity(clientId);
+        const entriesById = new Map(clientEntries.map(e => [e.id, e]));
+
+        const baseCurrency = getBaseCurrency();
+        const currencyCounts = {};
+        clientInvoices.forEach(inv => {
+            const code = inv.currency || baseCurrency;
+            currencyCounts[code] = (currencyCounts[code] || 0) + 1;
+        });
+        const currencies = Object.keys(currencyCounts).sort((a, b) => currencyCounts[b] - currencyCounts[a]);
+        const statementCurrency = currency || currencies[0] || baseCurrency;
+
+        // Same-day order: the charge before what settles it
+        const typeOrder = { invoice: 0, credit_note: 1, payment: 2, refund: 3 };
+        const movements = [];
+
+        clientInvoices
+            .filter(inv => (inv.currency || baseCurrency) === statementCurrency)
+            // Cancelled before credit notes existed: nothing was ever owed
+            .filter(inv => !(inv.storedPaymentStatus === 'cancelled' && inv.creditNotes.length === 0))
+            .forEach(inv => {
+                movements.push({
+                    date: inv.invoiceDate,
+                    type: 'invoice',
+                    reference: inv.invoiceNumber,
+                    description: `Invoice${inv.dueDate ? ` - due ${inv.dueDate}` : ''}`,
+                    debit: parseFloat(inv.grandTotal) || 0,
+                    credit: 0
+                });
+
+                inv.payments.forEach(p => movements.push({
+                    date: p.paymentDate,
+                    type: 'payment',
+                    reference: inv.invoiceNumber,
+                    description: `Payment${p.paymentMode ? ` (${p.paymentMode.replace(/_/g, ' ')})` : ''}${p.reference ? ` - ${p.reference}` : ''}`,
+                    debit: 0,
+                    credit: p.amount
+                }));
+
+                if (inv.payments.length === 0 && inv.amountPaid > 0) {
+                    const legacyEntry = clientEntries.find(e => e.type === 'income' && e.status === 'received' &&
+                        e.description === `Invoice ${inv.invoiceNumber}`);
+                    movements.push({
+                        date: legacyEntry?.date || inv.invoiceDate,
+                        type: 'payment',
+                        reference: inv.invoiceNumber,
+                        description: 'Payment',
+                        debit: 0,
+                        credit: inv.amountPaid
+                    });
+                }
+
+                inv.creditNotes.forEach(cn => {
+                    movements.push({
+                        date: cn.creditDate,
+                        type: 'credit_note',
+                        reference: cn.creditNoteNumber,
+                        description: `Credit note against ${inv.invoiceNumber}${cn.reason ? ` - ${cn.reason}` : ''}`,
+                        debit: 0,
+                        credit: cn.total
+                    });
+
+                    const refund = cn.entryId ? entriesById.get(cn.entryId) : null;
+                    if (refund) {
+                        movements.push({
+                            date: refund.date,
+                            type: 'refund',
+                            reference: cn.creditNoteNumber,
+                            description: 'Refund paid',
+                            debit: parseFloat(refund.amount) || 0,
+                            credit: 0
+                        });
+                    }
+                });
+            });
+
+        movements.sort((a, b) => (a.date || '').localeCompare(b.date || '') || typeOrder[a.type] - typeOrder[b.type]);
+
+        let openingBalance = 0;
+        let balance = 0;
+        const lines = [];
+        const totals = { debit: 0, credit: 0 };
+
+        movements.forEach(m => {
+            if (toDate && m.date > toDate) return;
+            if (fromDate && m.date < fromDate) {
+                openingBalance += m.debit - m.credit;
+                balance = openingBalance;
+                return;
+            }
+
+            balance += m.debit - m.credit;
+            totals.debit += m.debit;
+            totals.credit += m.credit;
+            lines.push({ ...m, balance });
+        });
+
+        return {
+            client,
+            fromDate: fromDate || null,
+            toDate: toDate || null,
+            currency: statementCurrency,
+            currencies,
+            openingBalance,
+            lines,
+            totals,
+            closingBalance: openingBalance + totals.debit - totals.credit
+        };
+    }
+
+    /**
+     * Lifetime figures, monthly revenue and an activity timeline for one client,
+     * with amounts in base currency.
+     * - invoiced: invoice totals less credit notes
+     * - received: received income entries less refunds paid back
+     * - averageDaysToPay: invoice date to final payment, over settled invoices
+     */
+    async getClientOverview(clientId) {
+        const [{ client, invoices, entries }, converter] = await Promise.all([
+            this.getClientActivity(clientId),
+            this.getCurrencyConverter()
+        ]);
+
+        let merges = [];
+        try {
+            merges = await this.getClientMerges(clientId);
+        } catch (e) {
+            console.warn('Could not load client merges:', e);
+        }
+
+        let revisions = [];
+        if (invoices.length > 0) {
+            const { data, error } = await supabaseClient
+                .from('invoice_revisions')
+                .select('*')
+                .in('invoice_id', invoices.map(inv => inv.id));
+
+            // Edit history is a nice-to-have here; the rest of the page still works without it
+            if (error) console.warn('Could not load invoice revisions:', error);
+            revisions = (data || []).map(fromDbInvoiceRevision);
+        }
+
+        const refundEntryIds = new Set(invoices.flatMap(inv => inv.creditNotes.map(cn => cn.entryId)).filter(Boolean));
+        const months = {};
+        const month = (date) => {
+            const key = (date || '').slice(0, 7);
+            if (!months[key]) months[key] = { month: key, invoiced: 0, received: 0 };
+            return months[key];
+        };
+
+        const stats = { invoiced: 0, received: 0, outstanding: 0, invoiceCount: 0, averageDaysToPay: null };
+        const daysToPay = [];
+        const timeline = [];
+
+        invoices.forEach(inv => {
+            const currency = inv.currency;
+            const invoiced = converter.convert((parseFloat(inv.grandTotal) || 0) - inv.creditedAmount, currency, inv.invoiceDate);
+
+            stats.invoiced += invoiced;
+            stats.outstanding += converter.convert(inv.balanceDue, currency, inv.invoiceDate);
+            if (inv.storedPaymentStatus !== 'cancelled') stats.invoiceCount++;
+            month(inv.invoiceDate).invoiced += invoiced;
+
+            if (inv.storedPaymentStatus === 'paid') {
+                const lastPayment = inv.payments[inv.payments.length - 1];
+                const legacyEntry = !lastPayment && entries.find(e => e.type === 'income' && e.status === 'received' &&
+                    e.description === `Invoice ${inv.invoiceNumber}`);
+                const paidOn = lastPayment?.paymentDate || legacyEntry?.date;
+                if (paidOn) {
+                    daysToPay.push(Math.max(Math.round((new Date(paidOn) - new Date(inv.invoiceDate)) / 86400000), 0));
+                }
+            }
+
+            timeline.push({
+                date: inv.invoiceDate,
+                timestamp: inv.createdAt,
+                type: 'invoice',
+                title: `Invoice ${inv.invoiceNumber} issued`,
+                detail: inv.createdByName ? `By ${inv.createdByName}` : '',
+                amount: parseFloat(inv.grandTotal) || 0,
+                currency,
+                invoiceId: inv.id
+            });
+
+            inv.creditNotes.forEach(cn => timeline.push({
+                date: cn.creditDate,
+                timestamp: cn.createdAt,
+                type: 'credit_note',
+                title: `Credit note ${cn.creditNoteNumber} against ${inv.invoiceNumber}`,
+                detail: cn.reason || '',
+                amount: cn.total,
+                currency,
+                invoiceId: inv.id
+            }));
+        });
+
+        revisions.forEach(rev => {
+            const inv = invoices.find(i => i.id === rev.invoiceId);
+            timeline.push({
+                date: (rev.createdAt || '').slice(0, 10),
+                timestamp: rev.createdAt,
+                type: 'edit',
+                title: `Invoice ${inv.invoiceNumber} edited (revision ${rev.revisionNumber})`,
+                detail: [rev.editedByName ? `By ${rev.editedByName}` : '', rev.changes.map(c => c.label).join(', ')].filter(Boolean).join(' - '),
+                amount: null,
+                currency: inv.currency,
+                invoiceId: inv.id
+            });
+        });
+
+        merges.forEach(m => {
+            const moved = [
+                m.moved.invoices ? `${m.moved.invoices} invoice(s)` : '',
+                m.moved.entries ? `${m.moved.entries} entry(ies)` : '',
+                m.moved.recurringInvoices ? `${m.moved.recurringInvoices} recurring invoice(s)` : '',
+                m.moved.estimates ? `${m.moved.estimates} estimate(s)` : '',
+                m.moved.budgets ? `${m.moved.budgets} budget(s)` : ''
+            ].filter(Boolean).join(', ');
+            timeline.push({
+                date: (m.createdAt || '').slice(0, 10),
+                timestamp: m.createdAt,
+                type: 'merge',
+                title: `Merged duplicate "${m.mergedClientName}" into this client`,
+                detail: [m.mergedByName ? `By ${m.mergedByName}` : '', moved ? `Moved ${moved}` : ''].filter(Boolean).join(' - '),
+                amount: null,
+                currency: null
+            });
+        });
+
+        entries.forEach(e => {
+            const amount = converter.convert(e.amount, e.currency, e.date);
+            if (e.type === 'income' && e.status === 'received') {
+                stats.received += amount;
+                month(e.date).received += amount;
+            } else if (refundEntryIds.has(e.id)) {
+                stats.received -= amount;
+                month(e.date).received -= amount;
+            }
+
+            timeline.push({
+                date: e.date,
+                timestamp: e.createdAt,
+                type: e.type === 'income' ? 'income' : 'expense',
+                title: e.description || (e.type === 'income' ? 'Income' : 'Expense'),
+                detail: `${e.status === 'received' ? 'Received' : 'Pending'}${e.createdByName ? ` - by ${e.createdByName}` : ''}`,
+                amount: parseFloat(e.amount) || 0,
+                currency: e.currency
+            });
+        });
+
+        if (daysToPay.length > 0) {
+            stats.averageDaysToPay = Math.round(daysToPay.reduce((a, b) => a + b, 0) / daysToPay.length);
+        }
+
+        // Newest first; same-day items by when they were recorded
+        timeline.sort((a, b) => (b.date || '').localeCompare(a.date || '') ||
+            (b.timestamp || '').localeCompare(a.timestamp || ''));
+
+        return {
+            client,
+            baseCurrency: converter.baseCurrency,
+            stats,
+            paidInvoiceCount: daysToPay.length,
+            monthly: Object.values(months).filter(m => m.month).sort((a, b) => a.month.localeCompare(b.month)),
+            timeline,
+            missingRates: [...converter.missing]
+        };
+    }
+
+    // ==================== Attachments ====================
+
+    /**
+     * Attachments of one kind of record, oldest first
+     * @param {string} recordType - 'entry', 'petty_cash' or 'investment'
+     * @param {Array<number>} recordIds
+     */
+    async getAttachments(recordType, recordIds) {
+        const ids = [...new Set(recordIds.map(id => parseInt(id)).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        const { data, error } = await supabaseClient
+            .from('attachments')
+            .select('*')
+            .in(ATTACHMENT_RECORD_COLUMNS[recordType], ids)
+            .order('created_at', { ascending: true });
+
+        if (error) this.handleError(error, 'Get attachments');
+        return (data || []).map(fromDbAttachment);
+    }
+
+    async hasAttachments(recordType, recordId) {
+        const { count, error } = await supabaseClient
+            .from('attachments')
+            .select('id', { count: 'exact', head: true })
+            .eq(ATTACHMENT_RECORD_COLUMNS[recordType], parseInt(recordId));
+
+        if (error) this.handleError(error, 'Check attachments');
+        return count > 0;
+    }
+
+    /**
+     * Upload a file and attach it to a record. Goes through XMLHttpRequest
+     * rather than the storage client so the upload can report progress.
+     * @param {Function} onProgress - Called with the fraction sent (0-1)
+     */
+    async uploadAttachment(recordType, recordId, file, onProgress = () => { }) {
+        if (!ATTACHMENT_MIME_TYPES.includes(file.type)) {
+            throw new Error(`${file.name} isn't an image or PDF`);
+        }
+        if (file.size > ATTACHMENT_MAX_BYTES) {
+            throw new Error(`${file.name} is larger than ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB`);
+        }
+
+        const [adminId, userId, userName, { data: { session } }] = await Promise.all([
+            this.getAdminId(),
+            this.getCurrentUserId(),
+            this.getCurrentUserName(),
+            supabaseClient.auth.getSession()
+        ]);
+        if (!session) throw new Error('User not logged in');
+
+        const safeName = file.name.replace(/[^a-z0-9._-]+/gi, '-');
+        const filePath = `${adminId}/${recordType}/${recordId}/${Date.now()}-${safeName}`;
+
+        await new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${SUPABASE_URL}/storage/v1/object/attachments/${filePath}`);
+            xhr.setRequestHeader('Authorization', `Bearer ${session.access_token}`);
+            xhr.setRequestHeader('apikey', SUPABASE_ANON_KEY);
+            xhr.setRequestHeader('Content-Type', file.type);
+            xhr.setRequestHeader('x-upsert', 'false');
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) onProgress(e.loaded / e.total);
+            };
+            xhr.onload = () => {
+                if (xhr.status >= 200 && xhr.status < 300) return resolve();
+                let message = `Upload failed (${xhr.status})`;
+                try {
+                    message = JSON.parse(xhr.responseText).message || message;
+                } catch (e) { /* not JSON */ }
+                reject(new Error(message));
+            };
+            xhr.onerror = () => reject(new Error('Upload failed: network error'));
+            xhr.send(file);
+        });
+
+        const { data, error } = await supabaseClient
+            .from('attachments')
+            .insert({
+                admin_id: adminId,
+                user_id: userId,
+                [ATTACHMENT_RECORD_COLUMNS[recordType]]: parseInt(recordId),
+                file_path: filePath,
+                file_name: file.name,
+                mime_type: file.type,
+                size_bytes: file.size,
+                uploaded_by_name: userName
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // Don't leave an orphaned file behind
+            await supabaseClient.storage.from('attachments').remove([filePath]);
+            this.handleError(error, 'Save attachment');
+        }
+
+        this.notifyListeners(DATA_STORES.ATTACHMENTS);
+        return fromDbAttachment(data);
+    }
+
+    async deleteAttachment(attachment) {
+        const { error } = await supabaseClient
+            .from('attachments')
+            .delete()
+            .eq('id', attachment.id);
+
+        if (error) this.handleError(error, 'Delete attachment');
+
+        const { error: storageError } = await supabaseClient.storage.from('attachments').remove([attachment.filePath]);
+        if (storageError) console.warn('Attachment file was not removed:', storageError);
+
+        this.notifyListeners(DATA_STORES.ATTACHMENTS);
+        return true;
+    }
+
+    /**
+     * Remove the stored files of attachments whose record was deleted (the
+     * rows go with the record)
+     */
+    async removeAttachmentFiles(attachments) {
+        if (attachments.length === 0) return;
+
+        const { error } = await supabaseClient.storage.from('attachments').remove(attachments.map(a => a.filePath));
+        if (error) console.warn('Attachment files were not removed:', error);
+        this.notifyListeners(DATA_STORES.ATTACHMENTS);
+    }
+
+    /**
+     * Signed URLs for viewing attachments (the bucket is private)
+     * @returns {Promise<Map<string, string>>} file path -> URL
+     */
+    async getAttachmentUrls(attachments, expiresIn = 3600) {
+        if (attachments.length === 0) return new Map();
+
+        const { data, error } = await supabaseClient.storage
+            .from('attachments')
+            .createSignedUrls(attachments.map(a => a.filePath), expiresIn);
+
+        if (error) this.handleError(error, 'Get attachment links');
+        return new Map((data || []).filter(d => d.signedUrl).map(d => [d.path, d.signedUrl]));
+    }
+
+    // ==================== Bank Reconciliation ====================
+
+    /**
+     * Imported statement lines, oldest first
+     * @param {Object} filters - account, fromDate, toDate (YYYY-MM-DD); all when omitted
+     */
+    async getStatementLines({ account, fromDate, toDate } = {}) {
+        const adminId = await this.getAdminId();
+        let query = supabaseClient
+            .from('bank_statement_lines')
+            .select('*')
+            .eq('admin_id', adminId);
+
+        if (account) query = query.eq('account_name', account);
+        if (fromDate) query = query.gte('date', fromDate);
+        if (toDate) query = query.lte('date', toDate);
+
+        const { data, error } = await query
+            .order('date', { ascending: true })
+            .order('id', { ascending: true });
+
+        if (error) this.handleError(error, 'Get statement lines');
+        return (data || []).map(fromDbStatementLine);
+    }
+
+    /**
+     * Names of the bank accounts statements were imported for
+     */
+    async getStatementAccounts() {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('bank_statement_lines')
+            .select('account_name')
+            .eq('admin_id', adminId);
+
+        if (error) this.handleError(error, 'Get bank accounts');
+        return [...new Set((data || []).map(row => row.account_name))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Save parsed statement lines for an account (admin only). Lines already
+     * imported (same transaction id) are skipped.
+     * @param {Array<Object>} lines - { fitId, date, description, reference, amount, balance, currency }
+     * @returns {Promise<{imported: number, skipped: number}>}
+     */
+    async importStatementLines(accountName, lines, sourceFile = null) {
+        if (!(await this.isAdmin())) {
+            throw new Error('Only admins can import bank statements');
+        }
+        if (lines.length === 0) return { imported: 0, skipped: 0 };
+
+        const [adminId, userId] = await Promise.all([this.getAdminId(), this.getCurrentUserId()]);
+        const { data, error } = await supabaseClient
+            .from('bank_statement_lines')
+            .upsert(lines.map(line => ({
+                admin_id: adminId,
+                user_id: userId,
+                account_name: accountName,
+                fit_id: line.fitId,
+                date: line.date,
+                description: line.description || '',
+                reference: line.reference || null,
+                amount: line.amount,
+                balance: line.balance ?? null,
+                currency: line.currency || getBaseCurrency(),
+                source_file: sourceFile
+            })), { onConflict: 'admin_id,account_name,fit_id', ignoreDuplicates: true })
+            .select('id');
+
+        if (error) this.handleError(error, 'Import statement');
+
+        this.notifyListeners(DATA_STORES.BANK_STATEMENT_LINES);
+        const imported = (data || []).length;
+        return { imported, skipped: lines.length - imported };
+    }
+
+    /**
+     * Match every open line in the filter to an unreconciled entry where one
+     * fits (see getStatementMatchScore). Cash entries never reach the bank and
+     * are left out.
+     * @returns {Promise<number>} Lines matched
+     */
+    async autoMatchStatementLines(filters = {}) {
+        const [lines, entries] = await Promise.all([
+            this.getStatementLines(filters),
+            this.getAllEntries()
+        ]);
+
+        const openLines = lines.filter(line => line.status === 'unmatched');
+        const candidates = entries.filter(e => !e.reconciled && e.paymentMode !== 'cash');
+        const matches = matchStatementLines(openLines, candidates);
+
+        for (const [lineId, { entry }] of matches) {
+            await this.linkStatementLine(lineId, entry.id, 'auto', false);
+        }
+
+        if (matches.size > 0) {
+            this.notifyListeners(DATA_STORES.BANK_STATEMENT_LINES);
+            this.notifyListeners(DATA_STORES.ENTRIES);
+        }
+        return matches.size;
+    }
+
+    /**
+     * Match a statement line to an entry and mark the entry reconciled
+     * @param {string} matchedBy - 'auto' or 'manual'
+     */
+    async linkStatementLine(lineId, entryId, matchedBy = 'manual', notify = true) {
+        const { error } = await supabaseClient
+            .from('bank_statement_lines')
+            .update({
+                entry_id: parseInt(entryId),
+                matched_by: matchedBy,
+                matched_at: new Date().toISOString(),
+                ignored: false
+            })
+            .eq('id', lineId);
+
+        if (error) {
+            if (error.code === '23505') throw new Error('That entry is already matched to another statement line');
+            this.handleError(error, 'Match statement line');
+        }
+
+        await this.setEntryReconciled(entryId, true);
+
+        if (notify) {
+            this.notifyListeners(DATA_STORES.BANK_STATEMENT_LINES);
+            this.notifyListeners(DATA_STORES.ENTRIES);
+        }
+        return true;
+    }
+
+    /**
+     * Undo a match; the entry is no longer reconciled
+     */
+    async unlinkStatementLine(line) {
+        const { error } = await supabaseClient
+            .from('bank_statement_lines')
+            .update({ entry_id: null, matched_by: null, matched_at: null })
+            .eq('id', line.id);
+
+        if (error) this.handleError(error, 'Unmatch statement line');
+        if (line.entryId) await this.setEntryReconciled(line.entryId, false);
+
+        this.notifyListeners(DATA_STORES.BANK_STATEMENT_LINES);
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        return true;
+    }
+
+    async setEntryReconciled(entryId, reconciled) {
+        const { error } = await supabaseClient
+            .from('finance_entries')
+            .update({
+                reconciled,
+                reconciled_at: reconciled ? new Date().toISOString() : null,
+                reconciled_by: reconciled ? await this.getCurrentUserId() : null
+            })
+            .eq('id', parseInt(entryId));
 
-            if (error) this.handleError(error, 'Request client update');
-            this.notifyListeners(DATA_STORES.CLIENTS);
-            return data;
-        }
+        if (error) this.handleError(error, 'Update reconciled flag');
     }
 
-    async deleteClient(id) {
-        const isAdmin = await this.isAdmin();
-        const userId = await this.getCurrentUserId();
+    /**
+     * Mark a line that has no entry and needs none (bank charges, transfers
+     * between own accounts), or bring it back
+     */
+    async setStatementLineIgnored(lineId, ignored) {
+        const { error } = await supabaseClient
+            .from('bank_statement_lines')
+            .update({ ignored })
+            .eq('id', lineId);
 
-        if (isAdmin) {
-            // Admin can delete immediately
-            const { error } = await supabaseClient
-                .from('clients')
-                .delete()
-                .eq('id', id);
+        if (error) this.handleError(error, 'Update statement line');
+        this.notifyListeners(DATA_STORES.BANK_STATEMENT_LINES);
+        return true;
+    }
 
-            if (error) this.handleError(error, 'Delete client');
-        } else {
-            // Employee requests deletion
-            const { error } = await supabaseClient
-                .from('clients')
-                .update({
-                    deletion_requested: true,
-                    deletion_requested_by: userId
-                })
-                .eq('id', id);
+    /**
+     * Record an unmatched line as a received bank transfer and match it. The
+     * client is the one whose name appears in the bank's text, if any.
+     * @returns {Promise<Object>} The new entry
+     */
+    async createEntryFromStatementLine(line) {
+        const clients = await this.getAllClients(true);
+        const lineTokens = getStatementTextTokens(`${line.description} ${line.reference}`);
+        const client = clients
+            .map(c => ({ client: c, tokens: [...getStatementTextTokens(normalizeClientName(c.name))] }))
+            .filter(c => c.tokens.length > 0 && c.tokens.every(t => lineTokens.has(t)))
+            .sort((a, b) => b.tokens.length - a.tokens.length)[0]?.client;
+
+        const entry = await this.addEntry({
+            date: line.date,
+            clientId: client?.id || null,
+            clientName: client?.name || line.description.slice(0, 80) || line.accountName,
+            description: line.description || line.reference || 'Bank statement line',
+            amount: Math.abs(line.amount),
+            type: line.amount >= 0 ? 'income' : 'expense',
+            status: 'received',
+            paymentMode: 'bank_transfer',
+            currency: line.currency === getBaseCurrency() ? null : line.currency
+        });
 
-            if (error) this.handleError(error, 'Request client deletion');
-        }
+        await this.linkStatementLine(line.id, entry.id, 'manual');
+        return entry;
+    }
 
-        this.notifyListeners(DATA_STORES.CLIENTS);
-        return true;
+    /**
+     * Statement lines of an account over a period next to the books: what was
+     * matched, what the bank shows that the books don't, and bank entries in
+     * the books that aren't on the statement yet
+     * @param {Object} filters - account, fromDate, toDate (YYYY-MM-DD)
+     */
+    async getReconciliationReport(filters = {}) {
+        const [lines, entries] = await Promise.all([
+            this.getStatementLines(filters),
+            this.getAllEntries()
+        ]);
+
+        const entriesById = new Map(entries.map(e => [e.id, e]));
+        const currencies = new Set(lines.map(line => line.currency));
+        if (currencies.size === 0) currencies.add(getBaseCurrency());
+
+        const sum = (items, pick) => items.reduce((total, item) => total + pick(item), 0);
+        const deposits = sum(lines, line => Math.max(line.amount, 0));
+        const withdrawals = sum(lines, line => Math.max(-line.amount, 0));
+
+        // Running balances, when the bank gave them, let the period be checked
+        const withBalance = lines.filter(line => line.balance !== null);
+        const openingBalance = withBalance.length ? withBalance[0].balance - withBalance[0].amount : null;
+        const closingBalance = withBalance.length ? withBalance[withBalance.length - 1].balance : null;
+
+        const byStatus = (status) => lines.filter(line => line.status === status);
+        const unreconciledEntries = entries.filter(e =>
+            !e.reconciled &&
+            e.paymentMode !== 'cash' &&
+            currencies.has(e.currency || getBaseCurrency()) &&
+            (!filters.fromDate || e.date >= filters.fromDate) &&
+            (!filters.toDate || e.date <= filters.toDate));
+
+        return {
+            ...filters,
+            currency: currencies.size === 1 ? [...currencies][0] : null,
+            lines: lines.map(line => ({ ...line, entry: entriesById.get(line.entryId) || null })),
+            unreconciledEntries,
+            summary: {
+                lineCount: lines.length,
+                deposits,
+                withdrawals,
+                net: deposits - withdrawals,
+                openingBalance,
+                closingBalance,
+                matchedCount: byStatus('matched').length,
+                matchedAmount: sum(byStatus('matched'), line => line.amount),
+                unmatchedCount: byStatus('unmatched').length,
+                unmatchedAmount: sum(byStatus('unmatched'), line => line.amount),
+                ignoredCount: byStatus('ignored').length,
+                ignoredAmount: sum(byStatus('ignored'), line => line.amount),
+                unreconciledEntryCount: unreconciledEntries.length
+            }
+        };
+    }
+
+    // ==================== Budgets ====================
+
+    async getBudgets(year) {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('budgets')
+            .select('*')
+            .eq('admin_id', adminId)
+            .eq('year', year)
+            .order('created_at', { ascending: true });
+
+        if (error) this.handleError(error, 'Get budgets');
+        return (data || []).map(fromDbBudget);
     }
 
     /**
-     * Approve a client edit request (Admin only)
+     * Save a budget for an expense category or a client (admin only)
+     * @param {Object} budget - { categoryId | clientId, period, year, amount }
      */
-    async approveClientEdit(id) {
-        const { data: client } = await supabaseClient
-            .from('clients')
-            .select('pending_changes')
-            .eq('id', id)
+    async addBudget(budget) {
+        const adminId = await this.getAdminId();
+        const { data, error } = await supabaseClient
+            .from('budgets')
+            .insert({
+                admin_id: adminId,
+                category_id: budget.categoryId || null,
+                client_id: budget.clientId || null,
+                period: budget.period,
+                year: budget.year,
+                amount: budget.amount
+            })
+            .select()
             .single();
 
-        if (!client || !client.pending_changes) {
-            throw new Error('No pending changes found for this client');
+        if (error) {
+            if (error.code === '23505') throw new Error(`There is already a ${budget.period} budget for that in ${budget.year}`);
+            this.handleError(error, 'Add budget');
         }
 
+        this.notifyListeners(DATA_STORES.BUDGETS);
+        return fromDbBudget(data);
+    }
+
+    async updateBudget(id, budget) {
         const { data, error } = await supabaseClient
-            .from('clients')
+            .from('budgets')
             .update({
-                ...client.pending_changes,
-                edit_requested: false,
-                edit_requested_by: null,
-                pending_changes: null,
+                category_id: budget.categoryId || null,
+                client_id: budget.clientId || null,
+                period: budget.period,
+                year: budget.year,
+                amount: budget.amount,
                 updated_at: new Date().toISOString()
             })
             .eq('id', id)
             .select()
             .single();
 
-        if (error) this.handleError(error, 'Approve client edit');
-        this.notifyListeners(DATA_STORES.CLIENTS);
-        return data;
+        if (error) {
+            if (error.code === '23505') throw new Error(`There is already a ${budget.period} budget for that in ${budget.year}`);
+            this.handleError(error, 'Update budget');
+        }
+
+        this.notifyListeners(DATA_STORES.BUDGETS);
+        return fromDbBudget(data);
     }
 
-    /**
-     * Decline a client edit request (Admin only)
-     */
-    async declineClientEdit(id) {
+    async deleteBudget(id) {
         const { error } = await supabaseClient
-            .from('clients')
-            .update({
-                edit_requested: false,
-                edit_requested_by: null,
-                pending_changes: null
-            })
+            .from('budgets')
+            .delete()
             .eq('id', id);
 
-        if (error) this.handleError(error, 'Decline client edit');
-        this.notifyListeners(DATA_STORES.CLIENTS);
+        if (error) this.handleError(error, 'Delete budget');
+        this.notifyListeners(DATA_STORES.BUDGETS);
         return true;
     }
 
     /**
-     * Decline a client deletion request (Admin only)
+     * Each budget of a year with the approved expenses filed under it per
+     * month, aggregated like getMonthlyData. A category budget includes its
+     * subcategories; a client budget counts expenses linked to the client.
      */
-    async declineClientDeletion(id) {
-        const { error } = await supabaseClient
-            .from('clients')
-            .update({
-                deletion_requested: false,
-                deletion_requested_by: null
-            })
-            .eq('id', id);
+    async getBudgetVariance(year) {
+        const [budgets, rows, categories, clients, converter] = await Promise.all([
+            this.getBudgets(year),
+            this.getYearEntryRows(year),
+            this.getEntryCategories(),
+            this.getAllClients(),
+            this.getCurrencyConverter()
+        ]);
+
+        const expenses = rows.filter(row => row.type === 'expense');
+        const categoriesById = new Map(categories.map(c => [c.id, c]));
+        const clientsById = new Map(clients.map(c => [c.id, c]));
+
+        const varianceRows = budgets.map(budget => {
+            let name;
+            let matches;
+            if (budget.categoryId) {
+                const category = categoriesById.get(budget.categoryId);
+                const parent = category?.parentId ? categoriesById.get(category.parentId) : null;
+                const ids = new Set([budget.categoryId, ...categories.filter(c => c.parentId === budget.categoryId).map(c => c.id)]);
+                name = parent ? `${parent.name} › ${category.name}` : (category?.name || 'Removed category');
+                matches = (row) => ids.has(row.category_id);
+            } else {
+                name = clientsById.get(budget.clientId)?.name || 'Removed client';
+                matches = (row) => row.client_id === budget.clientId;
+            }
 
-        if (error) this.handleError(error, 'Decline client deletion');
-        this.notifyListeners(DATA_STORES.CLIENTS);
-        return true;
+            const monthlyActual = aggregateEntriesByMonth(expenses.filter(matches), converter).map(m => m.expense);
+            return {
+                budget,
+                name,
+                kind: budget.categoryId ? 'category' : 'client',
+                monthlyActual,
+                yearActual: monthlyActual.reduce((sum, value) => sum + value, 0)
+            };
+        });
+
+        return {
+            year,
+            baseCurrency: converter.baseCurrency,
+            // Read after converting, which is when missing rates are found
+            missingRates: [...converter.missing],
+            rows: varianceRows
+        };
     }
 
-    async getClient(id) {
-        const { data, error } = await supabaseClient
-            .from('clients')
-            .select('*')
-            .eq('id', id)
-            .single();
+    /**
+     * Notify the admin of budgets that reached 80% or 100% in the current
+     * month (monthly budgets) or year (annual ones). Each threshold is sent
+     * once per budget and period; when both are reached at once only the
+     * higher one is sent.
+     * @returns {Promise<number>} Notifications sent
+     */
+    async checkBudgetAlerts() {
+        if (!(await this.isAdmin())) return 0;
 
-        if (error) this.handleError(error, 'Get client');
-        return data;
-    }
+        const today = new Date();
+        const variance = await this.getBudgetVariance(today.getFullYear());
+        const [adminId, userId] = await Promise.all([this.getAdminId(), this.getCurrentUserId()]);
 
-    async getAllClients(approvedOnly = false) {
-        const adminId = await this.getAdminId();
-        let query = supabaseClient
-            .from('clients')
-            .select('*')
-            .eq('admin_id', adminId)
-            .order('name', { ascending: true });
+        let sent = 0;
+        for (const row of variance.rows) {
+            const figures = getBudgetPeriodFigures(row, today.getMonth());
+            const reached = BUDGET_ALERT_THRESHOLDS.filter(threshold => figures.usedPercent >= threshold);
+            if (reached.length === 0) continue;
 
-        if (approvedOnly) {
-            query = query.eq('approval_status', 'approved');
+            // The unique constraint decides which alerts are new, so two open tabs can't both send them
+            const { data, error } = await supabaseClient
+                .from('budget_alerts')
+                .upsert(reached.map(threshold => ({
+                    admin_id: adminId,
+                    budget_id: row.budget.id,
+                    period_key: figures.periodKey,
+                    threshold
+                })), { onConflict: 'budget_id,period_key,threshold', ignoreDuplicates: true })
+                .select('id, threshold');
+
+            if (error) this.handleError(error, 'Record budget alert');
+            if (!data || data.length === 0) continue;
+
+            const threshold = Math.max(...data.map(alert => alert.threshold));
+            const money = (value) => formatMoney(value, variance.baseCurrency);
+            const period = row.budget.period === 'monthly'
+                ? today.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+                : String(row.budget.year);
+
+            try {
+                await this.createNotification({
+                    adminId,
+                    userId,
+                    type: threshold >= 100 ? 'budget_exceeded' : 'budget_warning',
+                    title: threshold >= 100 ? `Budget reached: ${row.name}` : `Budget ${threshold}% used: ${row.name}`,
+                    message: `${money(figures.actual)} of the ${money(figures.budgeted)} ${row.budget.period} budget spent for ${period} (${Math.round(figures.usedPercent)}%).`,
+                    metadata: { budget_id: row.budget.id, period_key: figures.periodKey, threshold }
+                });
+            } catch (notifyError) {
+                // Not sent, so don't mark it sent - the next check tries again
+                const { error: undoError } = await supabaseClient
+                    .from('budget_alerts')
+                    .delete()
+                    .in('id', data.map(alert => alert.id));
+                if (undoError) console.warn('Failed to release budget alert:', undoError);
+                throw notifyError;
+            }
+            sent++;
         }
 
-        const { data, error } = await query;
-        if (error) this.handleError(error, 'Get all clients');
-        return data || [];
+        return sent;
     }
 
-    async getPendingClients() {
-        const adminId = await this.getAdminId();
+    // ==================== Profit and Loss ====================
 
-        // Only admins check this, but safety check
-        if (!await this.isAdmin()) return [];
+    /**
+     * Profit and loss statement for a period, with the previous period and
+     * the same period last year alongside, in base currency. Income and
+     * expenses are grouped by top-level category with a line per subcategory.
+     *
+     * Cash basis counts approved entries marked received. Accrual basis counts
+     * invoices when issued (net of tax, less credit notes) instead of the
+     * payments and refunds recorded against them, and pending entries too.
+     * @param {Object} options - { fromDate, toDate, basis: 'accrual' | 'cash' }
+     */
+    async getProfitAndLoss({ fromDate, toDate, basis = 'accrual' }) {
+        const { previous, lastYear } = getPnlComparisonPeriods(fromDate, toDate);
+        const periods = [
+            { key: 'current', fromDate, toDate },
+            { key: 'previous', ...previous },
+            { key: 'lastYear', ...lastYear }
+        ];
+
+        const [entries, invoices, categories, converter] = await Promise.all([
+            this.getFilteredEntries({
+                startDate: [previous.fromDate, lastYear.fromDate].sort()[0],
+                endDate: toDate,
+                statusOnly: 'approved'
+            }),
+            basis === 'accrual' ? this.getAllInvoices() : Promise.resolve([]),
+            this.getEntryCategories(),
+            this.getCurrencyConverter()
+        ]);
+
+        const categoriesById = new Map(categories.map(c => [c.id, c]));
+        const sections = { income: new Map(), expense: new Map() };
+
+        // Periods over six months overlap their comparisons, so a date can count in more than one column
+        const inPeriods = (date) => periods.map(p => date >= p.fromDate && date <= p.toDate);
+
+        // line null is the group's own amount (a category without a subcategory)
+        const post = (type, group, line, date, value) => {
+            const hits = inPeriods(date);
+            if (!hits.includes(true)) return;
+
+            if (!sections[type].has(group.key)) {
+                sections[type].set(group.key, { ...group, amounts: periods.map(() => 0), lines: new Map() });
+            }
+            const target = sections[type].get(group.key);
+            if (!target.lines.has(line)) target.lines.set(line, periods.map(() => 0));
 
-        const { data, error } = await supabaseClient
-            .from('clients')
-            .select('*')
-            .eq('admin_id', adminId)
-            .or('approval_status.eq.pending,deletion_requested.eq.true,edit_requested.eq.true')
-            .order('created_at', { ascending: false });
+            hits.forEach((hit, i) => {
+                if (!hit) return;
+                target.amounts[i] += value;
+                target.lines.get(line)[i] += value;
+            });
+        };
 
-        if (error) this.handleError(error, 'Get pending clients');
-        return data || [];
-    }
+        // Accrual: the invoice is the income, so the entries mirroring its payments and refunds are left out
+        const invoiceEntryIds = new Set();
+        const legacyInvoiceDescriptions = new Set();
+        const sales = { key: 'invoices', name: 'Sales invoices', ownLabel: 'Invoices issued', order: 0 };
 
-    async getClientByName(name) {
-        const clients = await this.getAllClients();
-        return clients.find(c => c.name.toLowerCase() === name.toLowerCase());
+        invoices.forEach(inv => {
+            inv.payments.forEach(p => p.entryId && invoiceEntryIds.add(p.entryId));
+            inv.creditNotes.forEach(cn => cn.entryId && invoiceEntryIds.add(cn.entryId));
+            legacyInvoiceDescriptions.add(`Invoice ${inv.invoiceNumber}`);
+
+            // Cancelled before credit notes existed: nothing was ever billed
+            if (inv.storedPaymentStatus === 'cancelled' && inv.creditNotes.length === 0) return;
+
+            const net = (parseFloat(inv.grandTotal) || 0) - (parseFloat(inv.taxAmount) || 0);
+            post('income', sales, null, inv.invoiceDate, converter.convert(net, inv.currency, inv.invoiceDate));
+            inv.creditNotes.forEach(cn => {
+                post('income', sales, 'Credit notes', cn.creditDate, -converter.convert(cn.total - cn.taxAmount, inv.currency, cn.creditDate));
+            });
+        });
+
+        entries.forEach(entry => {
+            if (basis === 'cash') {
+                if (entry.status !== 'received') return;
+            } else if (invoiceEntryIds.has(entry.id) ||
+                (entry.type === 'income' && legacyInvoiceDescriptions.has(entry.description))) {
+                return;
+            }
+
+            const category = categoriesById.get(entry.categoryId);
+            const parent = category?.parentId ? categoriesById.get(category.parentId) : category;
+            const group = parent
+                ? { key: parent.id, name: parent.name, ownLabel: 'General', order: 1 }
+                : { key: 'none', name: 'Uncategorised', ownLabel: 'Uncategorised', order: 2 };
+
+            post(entry.type, group, category && category !== parent ? category.name : null,
+                entry.date, converter.convert(entry.amount, entry.currency, entry.date));
+        });
+
+        const toSection = (groups) => {
+            const rows = [...groups.values()]
+                .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name))
+                .map(group => ({
+                    name: group.name,
+                    amounts: group.amounts,
+                    // Only break a group down when it has subcategories (or credit notes)
+                    lines: group.lines.size > 1 || !group.lines.has(null)
+                        ? [...group.lines.entries()]
+                            .map(([line, amounts]) => ({ name: line ?? group.ownLabel, amounts, isOwn: line === null }))
+                            .sort((a, b) => b.isOwn - a.isOwn || a.name.localeCompare(b.name))
+                            .map(({ name, amounts }) => ({ name, amounts }))
+                        : []
+                }));
+
+            return {
+                groups: rows,
+                totals: periods.map((_, i) => rows.reduce((sum, row) => sum + row.amounts[i], 0))
+            };
+        };
+
+        const income = toSection(sections.income);
+        const expense = toSection(sections.expense);
+
+        return {
+            basis,
+            periods,
+            baseCurrency: converter.baseCurrency,
+            income,
+            expense,
+            netProfit: periods.map((_, i) => income.totals[i] - expense.totals[i]),
+            missingRates: [...converter.missing]
+        };
     }
 
     // ==================== Investments ====================
@@ -1253,12 +4421,14 @@ class DataLayerAPI {
     }
 
     async deleteInvestment(id) {
+        const attachments = await this.getAttachments('investment', [id]);
         const { error } = await supabaseClient
             .from('investments')
             .delete()
             .eq('id', id);
 
         if (error) this.handleError(error, 'Delete investment');
+        await this.removeAttachmentFiles(attachments);
         if (DATA_STORES.INVESTMENTS) this.notifyListeners(DATA_STORES.INVESTMENTS);
         return true;
     }
@@ -1506,6 +4676,132 @@ class DataLayerAPI {
         return settings;
     }
 
+    // ==================== Exchange Rates ====================
+
+    async getBaseCurrency() {
+        return normalizeCurrencyCode(await this.getSetting('currency'));
+    }
+
+    /**
+     * Switch the base currency (admin only). Records without a currency meant
+     * the old base, so they get it written on first, and saved rates are
+     * carried over to the new base where they can be derived. Amounts that
+     * are always in the base currency (budgets, petty cash, investments,
+     * catalogue prices) are converted at the latest rate; without one the
+     * change is refused.
+     */
+    async changeBaseCurrency(currency) {
+        if (!(await this.isAdmin())) {
+            throw new Error('Only admins can change the base currency');
+        }
+
+        const previous = await this.getBaseCurrency();
+        if (currency === previous) return false;
+
+        const { error } = await supabaseClient.rpc('change_base_currency', {
+            p_from_currency: previous,
+            p_to_currency: currency
+        });
+
+        if (error) this.handleError(error, 'Change base currency');
+
+        // Every record now names its currency, so a failure here leaves nothing re-labelled
+        await this.setSetting('currency', currency);
+
+        this.notifyListeners(DATA_STORES.ENTRIES);
+        this.notifyListeners(DATA_STORES.INVOICES);
+        this.notifyListeners(DATA_STORES.EXCHANGE_RATES);
+        this.notifyListeners(DATA_STORES.BUDGETS);
+        this.notifyListeners(DATA_STORES.PETTY_CASH);
+        this.notifyListeners(DATA_STORES.INVESTMENTS);
+        this.notifyListeners(DATA_STORES.CATALOG_ITEMS);
+        return true;
+    }
+
+    /**
+     * Dated rates for the current base currency, newest first
+     */
+    async getExchangeRates() {
+        const adminId = await this.getAdminId();
+        const baseCurrency = await this.getBaseCurrency();
+
+        const { data, error } = await supabaseClient
+            .from('exchange_rates')
+            .select('*')
+            .eq('admin_id', adminId)
+            .eq('base_currency', baseCurrency)
+            .order('rate_date', { ascending: false });
+
+        if (error) this.handleError(error, 'Get exchange rates');
+        return (data || []).map(fromDbExchangeRate);
+    }
+
+    /**
+     * Save a rate for a date (admin only). A second rate for the same date replaces the first.
+     */
+    async setExchangeRate({ currency, rateDate, rate }) {
+        if (!(await this.isAdmin())) {
+            throw new Error('Only admins can maintain exchange rates');
+        }
+
+        const baseCurrency = await this.getBaseCurrency();
+        if (currency === baseCurrency) {
+            throw new Error(`${currency} is the base currency`);
+        }
+
+        const parsedRate = parseFloat(rate);
+        if (!(parsedRate > 0)) {
+            throw new Error('Rate must be greater than zero');
+        }
+
+        const userId = await this.getCurrentUserId();
+        const adminId = await this.getAdminId();
+
+        const { data, error } = await supabaseClient
+            .from('exchange_rates')
+            .upsert({
+                user_id: userId,
+                admin_id: adminId,
+                currency,
+                base_currency: baseCurrency,
+                rate_date: rateDate,
+                rate: parsedRate
+            }, {
+                onConflict: 'admin_id, currency, base_currency, rate_date'
+            })
+            .select()
+            .single();
+
+        if (error) this.handleError(error, 'Set exchange rate');
+        this.notifyListeners(DATA_STORES.EXCHANGE_RATES);
+        return fromDbExchangeRate(data);
+    }
+
+    async deleteExchangeRate(id) {
+        const { error } = await supabaseClient
+            .from('exchange_rates')
+            .delete()
+            .eq('id', id);
+
+        if (error) this.handleError(error, 'Delete exchange rate');
+        this.notifyListeners(DATA_STORES.EXCHANGE_RATES);
+        return true;
+    }
+
+    /**
+     * Converter from record currency to base currency (see createCurrencyConverter)
+     */
+    async getCurrencyConverter() {
+        const baseCurrency = await this.getBaseCurrency();
+        let rates = [];
+        try {
+            rates = await this.getExchangeRates();
+        } catch (e) {
+            console.warn('Could not load exchange rates, amounts left unconverted', e);
+        }
+        return createCurrencyConverter(rates, baseCurrency);
+    }
+
     // ==================== Export/Import ====================
 
     async exportData() {
@@ -1612,6 +4908,26 @@ class DataLayerAPI {
         return true;
     }
 
+    /**
+     * Add a notification for an admin (app alerts such as budget thresholds)
+     */
+    async createNotification({ adminId, userId, title, message, type = 'info', metadata = {} }) {
+        const { error } = await supabaseClient
+            .from('notifications')
+            .insert({
+                admin_id: adminId || await this.getAdminId(),
+                user_id: userId || await this.getCurrentUserId(),
+                title,
+                message,
+                type,
+                metadata
+            });
+
+        if (error) this.handleError(error, 'Create notification');
+        this.notifyListeners(DATA_STORES.NOTIFICATIONS);
+        return true;
+    }
+
     async deleteNotification(id) {
         const { error } = await supabaseClient
             .from('notifications')
@@ -1628,6 +4944,22 @@ class DataLayerAPI {
 const DATA_STORES = {
     ENTRIES: 'finance_entries',
     INVOICES: 'invoices',
+    INVOICE_PAYMENTS: 'invoice_payments',
+    RECURRING_INVOICES: 'recurring_invoices',
+    CREDIT_NOTES: 'credit_notes',
+    EXCHANGE_RATES: 'exchange_rates',
+    REMINDER_TEMPLATES: 'reminder_templates',
+    REMINDER_SCHEDULES: 'reminder_schedules',
+    INVOICE_REMINDERS: 'invoice_reminders',
+    INVOICE_EMAILS: 'invoice_emails',
+    INVOICE_REVISIONS: 'invoice_revisions',
+    ESTIMATES: 'estimates',
+    NUMBERING_SCHEMES: 'numbering_schemes',
+    CATALOG_ITEMS: 'catalog_items',
+    ENTRY_CATEGORIES: 'entry_categories',
+    ATTACHMENTS: 'attachments',
+    BANK_STATEMENT_LINES: 'bank_statement_lines',
+    BUDGETS: 'budgets',
     CLIENTS: 'clients',
     EMPLOYEES: 'employees',
     SETTINGS: 'settings',
@@ -0,0 +1,269 @@
+/**
+ * FinanceFlow - Estimate Manager
+ * Quotations built with the invoice form, tracked until accepted, rejected
+ * or expired, and converted into invoices
+ */
+
+class EstimateManager {
+    constructor() {
+        this.estimates = [];
+    }
+
+    /**
+     * Initialize estimate manager
+     */
+    async init() {
+        this.bindEvents();
+        await this.renderEstimates();
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('estimateModal');
+        const form = document.getElementById('estimateForm');
+
+        document.getElementById('saveEstimateBtn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('estimateFilter')?.addEventListener('change', () => this.renderEstimates());
+        document.getElementById('closeEstimateModal')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelEstimate')?.addEventListener('click', () => this.closeModal());
+
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeModal();
+            });
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveEstimate();
+            });
+        }
+    }
+
+    /**
+     * Open the estimate modal for the quote currently in the invoice form
+     */
+    openModal() {
+        const data = invoiceManager.getInvoiceData();
+
+        if (!data.clientName) {
+            showToast('Please enter client name', 'error');
+            return;
+        }
+
+        if (data.services.length === 0 || !data.services[0].name) {
+            showToast('Please add at least one service', 'error');
+            return;
+        }
+
+        document.getElementById('estimateForm').reset();
+
+        const estimateDate = data.invoiceDate || new Date().toISOString().split('T')[0];
+        const validUntil = new Date(`${estimateDate}T00:00:00Z`);
+        validUntil.setUTCDate(validUntil.getUTCDate() + 30);
+
+        document.getElementById('estimateDate').value = estimateDate;
+        document.getElementById('estimateValidUntil').value = validUntil.toISOString().split('T')[0];
+
+        const currency = getCurrencySymbol(data.currency);
+        document.getElementById('estimateSummary').innerHTML = `
+            <strong>${data.clientName}</strong> • ${data.services.length} service(s) •
+            ${currency}${data.grandTotal.toFixed(2)}
+        `;
+
+        document.getElementById('estimateModal').classList.add('active');
+    }
+
+    closeModal() {
+        document.getElementById('estimateModal').classList.remove('active');
+    }
+
+    /**
+     * Save the invoice form as an estimate and clear the form
+     */
+    async saveEstimate() {
+        const data = invoiceManager.getInvoiceData();
+        const estimateDate = document.getElementById('estimateDate').value;
+        const validUntil = document.getElementById('estimateValidUntil').value;
+
+        if (validUntil && validUntil < estimateDate) {
+            showToast('Valid until must be after the estimate date', 'error');
+            return;
+        }
+
+        try {
+            const estimate = await dataLayer.addEstimate({
+                ...data,
+                estimateDate,
+                validUntil,
+                notes: document.getElementById('estimateNotes').value.trim()
+            });
+
+            showToast(`Estimate ${estimate.estimateNumber} saved`, 'success');
+            this.closeModal();
+            await invoiceManager.resetForm();
+            await this.renderEstimates();
+        } catch (error) {
+            console.error('Error saving estimate:', error);
+            showToast(`Failed to save estimate: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Show an estimate in the invoice preview modal
+     */
+    async viewEstimate(id) {
+        const estimate = await dataLayer.getEstimate(id);
+        if (!estimate) return;
+
+        invoiceManager.currentInvoice = estimate;
+
+        document.getElementById('invoicePreviewContent').innerHTML = invoiceManager.renderInvoiceHTML(estimate);
+        document.getElementById('emailFromPreviewBtn').style.display = 'none';
+        document.getElementById('invoicePreviewModal').classList.add('active');
+    }
+
+    async downloadEstimate(id) {
+        const estimate = await dataLayer.getEstimate(id);
+        if (!estimate) return;
+
+        (await invoiceManager.buildPDF(estimate)).save(`${estimate.estimateNumber}.pdf`);
+        showToast('Estimate PDF downloaded successfully', 'success');
+    }
+
+    async setStatus(id, status) {
+        try {
+            await dataLayer.setEstimateStatus(id, status);
+            showToast(`Estimate marked ${formatStatus(status).toLowerCase()}`, 'success');
+            await this.renderEstimates();
+        } catch (error) {
+            console.error('Error updating estimate:', error);
+            showToast(`Failed to update estimate: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Create an invoice from the estimate's lines
+     */
+    async convertToInvoice(id) {
+        const estimate = this.estimates.find(e => e.id === id);
+        if (!estimate) return;
+
+        const message = estimate.isExpired
+            ? `${estimate.estimateNumber} expired on ${formatDate(estimate.validUntil)}. Create an invoice from it anyway?`
+            : `Create an invoice for ${estimate.clientName} from ${estimate.estimateNumber}?`;
+        if (!(await app.showConfirmationModal('Convert to Invoice', message))) return;
+
+        const today = new Date();
+        const dueDate = new Date(today);
+        dueDate.setDate(dueDate.getDate() + 3); // Same default terms as a new invoice
+
+        try {
+            const invoice = await dataLayer.convertEstimateToInvoice(id, {
+                invoiceDate: today.toISOString().split('T')[0],
+                dueDate: dueDate.toISOString().split('T')[0]
+            });
+
+            showToast(`Invoice ${invoice.invoiceNumber} created from ${estimate.estimateNumber}`, 'success');
+            await invoiceManager.generateNewInvoiceNumber();
+            await invoiceManager.renderInvoiceHistory();
+            await this.renderEstimates();
+        } catch (error) {
+            console.error('Error converting estimate:', error);
+            showToast(`Failed to convert estimate: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    async deleteEstimate(id) {
+        if (!(await app.showConfirmationModal('Delete Estimate', 'Delete this estimate? This cannot be undone.'))) return;
+
+        try {
+            await dataLayer.deleteEstimate(id);
+            showToast('Estimate deleted', 'success');
+            await this.renderEstimates();
+        } catch (error) {
+            console.error('Error deleting estimate:', error);
+            showToast(error.message || 'Failed to delete estimate', 'error');
+        }
+    }
+
+    /**
+     * Render the estimates list (filtered by status)
+     */
+    async renderEstimates() {
+        const container = document.getElementById('estimateList');
+        const emptyState = document.getElementById('estimatesEmptyState');
+        if (!container) return;
+
+        try {
+            this.estimates = await dataLayer.getAllEstimates();
+        } catch (error) {
+            console.error('Error loading estimates:', error);
+            this.estimates = [];
+        }
+
+        const isAdmin = await dataLayer.isAdmin();
+        const filter = document.getElementById('estimateFilter')?.value || '';
+        const estimates = filter ? this.estimates.filter(e => e.status === filter) : this.estimates;
+
+        if (estimates.length === 0) {
+            container.innerHTML = '';
+            if (emptyState) emptyState.style.display = 'block';
+            return;
+        }
+
+        if (emptyState) emptyState.style.display = 'none';
+        container.innerHTML = estimates.map(e => {
+            const canConvert = !e.invoiceId && e.storedStatus !== 'rejected';
+
+            return `
+                <div class="invoice-history-item estimate-item ${e.status}" data-id="${e.id}">
+                    <div class="invoice-history-item-header">
+                        <strong>${e.estimateNumber}</strong>
+                        <span class="badge badge-${e.status}">${formatStatus(e.status)}</span>
+                    </div>
+                    <div class="invoice-history-item-body">
+                        <div style="font-weight: 500;">${e.clientName}</div>
+                        <div>${formatMoney(e.grandTotal, e.currency)}</div>
+                        <div style="font-size: 0.8rem; color: var(--color-text-muted);">
+                            ${formatDate(e.estimateDate)}${e.validUntil ? ` • Valid until ${formatDate(e.validUntil)}` : ''}
+                        </div>
+                        ${e.invoiceId ? `<div class="estimate-invoice-tag">Invoiced as ${e.convertedInvoiceNumber || 'invoice'}</div>` : ''}
+                    </div>
+                    <div class="invoice-history-actions">
+                        <button class="btn btn-sm btn-secondary view-estimate" data-id="${e.id}">View</button>
+                        <button class="btn btn-sm btn-secondary download-estimate" data-id="${e.id}">PDF</button>
+                        ${e.status === 'pending' ? `
+                            <button class="btn btn-sm btn-secondary estimate-status" data-id="${e.id}" data-status="accepted">Accept</button>
+                            <button class="btn btn-sm btn-secondary estimate-status" data-id="${e.id}" data-status="rejected">Reject</button>
+                        ` : ''}
+                        ${canConvert ? `<button class="btn btn-sm btn-primary convert-estimate" data-id="${e.id}">Convert to Invoice</button>` : ''}
+                        ${isAdmin && !e.invoiceId ? `<button class="btn btn-sm btn-danger delete-estimate" data-id="${e.id}">Delete</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.view-estimate').forEach(btn => {
+            btn.addEventListener('click', () => this.viewEstimate(parseInt(btn.dataset.id)));
+        });
+
+        container.querySelectorAll('.download-estimate').forEach(btn => {
+            btn.addEventListener('click', () => this.downloadEstimate(parseInt(btn.dataset.id)));
+        });
+
+        container.querySelectorAll('.estimate-status').forEach(btn => {
+            btn.addEventListener('click', () => this.setStatus(parseInt(btn.dataset.id), btn.dataset.status));
+        });
+
+        container.querySelectorAll('.convert-estimate').forEach(btn => {
+            btn.addEventListener('click', () => this.convertToInvoice(parseInt(btn.dataset.id)));
+        });
+
+        container.querySelectorAll('.delete-estimate').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteEstimate(parseInt(btn.dataset.id)));
+        });
+    }
+}
+
+window.estimateManager = new EstimateManager();
@@ -0,0 +1,133 @@
+/**
+ * FinanceFlow - GST Helpers
+ * Indian GST state codes, GSTIN validation and CGST/SGST/IGST calculation
+ */
+
+// State/UT codes as used in the first two digits of a GSTIN
+const GST_STATES = [
+    { code: '01', name: 'Jammu and Kashmir' },
+    { code: '02', name: 'Himachal Pradesh' },
+    { code: '03', name: 'Punjab' },
+    { code: '04', name: 'Chandigarh' },
+    { code: '05', name: 'Uttarakhand' },
+    { code: '06', name: 'Haryana' },
+    { code: '07', name: 'Delhi' },
+    { code: '08', name: 'Rajasthan' },
+    { code: '09', name: 'Uttar Pradesh' },
+    { code: '10', name: 'Bihar' },
+    { code: '11', name: 'Sikkim' },
+    { code: '12', name: 'Arunachal Pradesh' },
+    { code: '13', name: 'Nagaland' },
+    { code: '14', name: 'Manipur' },
+    { code: '15', name: 'Mizoram' },
+    { code: '16', name: 'Tripura' },
+    { code: '17', name: 'Meghalaya' },
+    { code: '18', name: 'Assam' },
+    { code: '19', name: 'West Bengal' },
+    { code: '20', name: 'Jharkhand' },
+    { code: '21', name: 'Odisha' },
+    { code: '22', name: 'Chhattisgarh' },
+    { code: '23', name: 'Madhya Pradesh' },
+    { code: '24', name: 'Gujarat' },
+    { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+    { code: '27', name: 'Maharashtra' },
+    { code: '29', name: 'Karnataka' },
+    { code: '30', name: 'Goa' },
+    { code: '31', name: 'Lakshadweep' },
+    { code: '32', name: 'Kerala' },
+    { code: '33', name: 'Tamil Nadu' },
+    { code: '34', name: 'Puducherry' },
+    { code: '35', name: 'Andaman and Nicobar Islands' },
+    { code: '36', name: 'Telangana' },
+    { code: '37', name: 'Andhra Pradesh' },
+    { code: '38', name: 'Ladakh' },
+    { code: '97', name: 'Other Territory' }
+];
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+/**
+ * Check GSTIN format (15 chars: state code, PAN, entity, 'Z', checksum)
+ */
+function isValidGstin(gstin) {
+    if (!gstin) return false;
+    return /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin.trim().toUpperCase());
+}
+
+/**
+ * State code from a GSTIN, or '' if it isn't a known state
+ */
+function getStateCodeFromGstin(gstin) {
+    if (!isValidGstin(gstin)) return '';
+    const code = gstin.trim().substring(0, 2);
+    return GST_STATES.some(s => s.code === code) ? code : '';
+}
+
+function getGstStateName(code) {
+    const state = GST_STATES.find(s => s.code === code);
+    return state ? `${state.name} (${state.code})` : '';
+}
+
+/**
+ * Fill a <select> with the state list
+ */
+function populateGstStateSelect(select, selectedCode = '') {
+    if (!select) return;
+    select.innerHTML = '<option value="">-- Select State --</option>' +
+        GST_STATES.map(s => `<option value="${s.code}" ${s.code === selectedCode ? 'selected' : ''}>${s.name} (${s.code})</option>`).join('');
+}
+
+/**
+ * Calculate a GST breakdown for invoice lines.
+ * Tax is charged on the taxable value after the invoice discount. Supplies within
+ * the agency's state split into CGST + SGST, anything else is IGST. If the client
+ * state is unknown the supply is treated as intra-state.
+ * @param {Array} services - [{ quantity, rate, taxRate, hsnSac }]
+ * @param {Object} options - { discountPercent, agencyState, clientState }
+ */
+function calculateGstBreakdown(services, { discountPercent = 0, agencyState = '', clientState = '' } = {}) {
+    const discountFactor = 1 - ((parseFloat(discountPercent) || 0) / 100);
+    const gstType = agencyState && clientState && agencyState !== clientState ? 'inter' : 'intra';
+
+    const lines = services.map(s => {
+        const amount = (parseFloat(s.quantity) || 0) * (parseFloat(s.rate) || 0);
+        const taxRate = parseFloat(s.taxRate) || 0;
+        const taxableAmount = amount * discountFactor;
+        const taxAmount = taxableAmount * taxRate / 100;
+        return { ...s, amount, taxRate, taxableAmount, taxAmount };
+    });
+
+    const subtotal = lines.reduce((sum, l) => sum + l.amount, 0);
+    const taxableTotal = lines.reduce((sum, l) => sum + l.taxableAmount, 0);
+    const taxAmount = lines.reduce((sum, l) => sum + l.taxAmount, 0);
+    const discountAmount = subtotal - taxableTotal;
+
+    // Per-rate summary, as printed under the totals on a tax invoice
+    const rateSummary = [];
+    lines.forEach(l => {
+        let row = rateSummary.find(r => r.rate === l.taxRate);
+        if (!row) {
+            row = { rate: l.taxRate, taxableAmount: 0, taxAmount: 0 };
+            rateSummary.push(row);
+        }
+        row.taxableAmount += l.taxableAmount;
+        row.taxAmount += l.taxAmount;
+    });
+    rateSummary.sort((a, b) => a.rate - b.rate);
+
+    return {
+        lines,
+        subtotal,
+        discountAmount,
+        taxableTotal,
+        gstType,
+        cgstAmount: gstType === 'intra' ? taxAmount / 2 : 0,
+        sgstAmount: gstType === 'intra' ? taxAmount / 2 : 0,
+        igstAmount: gstType === 'inter' ? taxAmount : 0,
+        taxAmount,
+        // Effective rate, kept for reports that only understand a single tax %
+        taxPercent: subtotal > 0 ? Math.round((taxAmount / subtotal) * 10000) / 100 : 0,
+        grandTotal: taxableTotal + taxAmount,
+        rateSummary
+    };
+}
@@ -194,13 +194,20 @@ class InvestmentsManager {
 
         if (emptyState) emptyState.classList.add('hidden');
 
+        const { byRecord, urls } = window.attachmentManager
+            ? await attachmentManager.loadForRecords('investment', displayedInvestments.map(inv => inv.id))
+            : { byRecord: new Map(), urls: new Map() };
+
         tbody.innerHTML = displayedInvestments.map(inv => `
             <tr>
                 <td>${inv.item_name}</td>
                 <td><span class="badge badge-primary">${inv.type}</span></td>
                 <td style="font-weight: 600;">${currency}${parseFloat(inv.amount).toFixed(2)}</td>
                 <td>${formatDate(inv.date_bought)}</td>
-                <td>${inv.purpose || '-'}</td>
+                <td>
+                    ${inv.purpose || '-'}
+                    ${window.attachmentManager ? attachmentManager.renderThumbnails(inv.id, byRecord, urls) : ''}
+                </td>
                 <td>
                     <span class="badge ${inv.status === 'approved' ? 'badge-success' : (inv.status === 'declined' ? 'badge-danger' : 'badge-warning')}">
                         ${inv.status}
@@ -229,6 +236,8 @@ class InvestmentsManager {
                 </td>
             </tr>
         `).join('');
+
+        window.attachmentManager?.bindThumbnails(tbody, byRecord, urls);
     }
 
     renderChart() {
@@ -323,6 +332,7 @@ class InvestmentsManager {
             document.getElementById('investmentDate').value = new Date().toISOString().split('T')[0];
         }
 
+        window.attachmentManager?.resetField('investmentAttachmentField', 'investment', investment?.id || null);
         modal.classList.add('active');
     }
 
@@ -354,13 +364,25 @@ class InvestmentsManager {
         };
 
         try {
+            let saved;
             if (id) {
-                await dataLayer.updateInvestment(id, item);
+                saved = await dataLayer.updateInvestment(id, item);
                 showToast('Investment updated successfully', 'success');
             } else {
-                await dataLayer.addInvestment(item);
+                saved = await dataLayer.addInvestment(item);
                 showToast('Investment added successfully', 'success');
             }
+
+            if (window.attachmentManager) {
+                const { failed } = await attachmentManager.uploadPending('investmentAttachmentField', saved?.id || id);
+                if (failed.length > 0) {
+                    // Stay on the saved investment so the files can be retried
+                    document.getElementById('investmentId').value = saved?.id || id;
+                    showToast(`Investment saved, but ${failed.map(name => attachmentManager.escapeHtml(name)).join(', ')} failed to upload`, 'warning');
+                    this.loadInvestments();
+                    return;
+                }
+            }
             this.closeModal();
             this.loadInvestments();
         } catch (error) {
@@ -0,0 +1,564 @@
+/**
+ * FinanceFlow - Invoice Import
+ * Imports invoices from CSV (one row per line item, mapped to our fields)
+ * or JSON (the app's own invoice format). Every invoice is validated in a
+ * dry-run preview first; only valid ones are saved, and the rest can be
+ * downloaded as an error report.
+ */
+
+// Fields a CSV column can be mapped to. Aliases are matched against the header row.
+const INVOICE_IMPORT_COLUMNS = [
+    { key: 'invoiceNumber', label: 'Invoice number', required: true, aliases: ['invoice #', 'invoice no', 'invoice number', 'number'] },
+    { key: 'clientName', label: 'Client', required: true, aliases: ['client', 'client name', 'customer'] },
+    { key: 'clientEmail', label: 'Client email', aliases: ['email', 'client email'] },
+    { key: 'clientGstin', label: 'Client GSTIN', aliases: ['gstin', 'client gstin'] },
+    { key: 'invoiceDate', label: 'Invoice date', required: true, aliases: ['date', 'invoice date'] },
+    { key: 'dueDate', label: 'Due date', aliases: ['due', 'due date'] },
+    { key: 'currency', label: 'Currency', aliases: ['currency'] },
+    { key: 'serviceName', label: 'Service', required: true, aliases: ['service', 'service name', 'item', 'description'] },
+    { key: 'hsnSac', label: 'HSN/SAC', aliases: ['hsn', 'sac', 'hsn/sac', 'hsn sac'] },
+    { key: 'quantity', label: 'Quantity', aliases: ['qty', 'quantity'] },
+    { key: 'rate', label: 'Rate', required: true, aliases: ['rate', 'price', 'unit price'] },
+    { key: 'taxRate', label: 'GST %', aliases: ['gst', 'gst %', 'gst rate', 'tax', 'tax rate'] },
+    { key: 'discountPercent', label: 'Discount %', aliases: ['discount', 'discount %'] },
+    { key: 'paymentStatus', label: 'Status', aliases: ['status', 'payment status'] }
+];
+
+// Imported invoices have no payments ledger, so 'paid' means settled outside the app
+const INVOICE_IMPORT_STATUSES = ['pending', 'paid'];
+
+const normalizeImportHeader = (header) => String(header || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into rows of cells.
+ * Blank lines are dropped.
+ */
+function parseCsv(text) {
+    const input = String(text || '').replace(/^﻿/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function toCsvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * YYYY-MM-DD from 'YYYY-MM-DD' (or an ISO timestamp) or day-first 'DD/MM/YYYY' (also - or .), or null
+ */
+function normalizeImportDate(value) {
+    const text = String(value || '').trim();
+    // JSON exports may carry a full timestamp
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(T[\d:.]+(Z|[+-][\d:]+)?)?$/);
+    let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+    if (!match) {
+        match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (!match) return null;
+        [day, month, year] = [match[1], match[2], match[3]];
+    }
+
+    const date = new Date(Date.UTC(+year, +month - 1, +day));
+    if (date.getUTCFullYear() !== +year || date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) return null;
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Number from a cell, ignoring thousands separators and currency symbols.
+ * Blank cells give null, anything else unreadable NaN.
+ */
+function parseImportNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    if (typeof value === 'number') return value;
+    return Number(String(value).replace(/[,\s₹$€£]/g, ''));
+}
+
+class InvoiceImportManager {
+    constructor() {
+        this.fileName = '';
+        this.csv = null;        // { headers, rows } for CSV files
+        this.jsonInvoices = null;
+        this.mapping = {};      // field key -> column index
+        this.candidates = [];
+        this.failures = [];     // Rows rejected by the database during import
+        this.existingNumbers = new Set();
+        this.clients = [];
+    }
+
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('invoiceImportModal');
+
+        document.getElementById('closeInvoiceImportModal')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelInvoiceImport')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('confirmInvoiceImport')?.addEventListener('click', () => this.runImport());
+        document.getElementById('downloadInvoiceImportErrors')?.addEventListener('click', () => this.downloadErrorReport());
+
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeModal();
+            });
+        }
+    }
+
+    /**
+     * Read a CSV or JSON file and show the mapping and dry-run preview
+     * @param {File} file
+     */
+    async open(file) {
+        const text = await file.text();
+        this.fileName = file.name;
+        this.csv = null;
+        this.jsonInvoices = null;
+        this.failures = [];
+
+        if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (err) {
+                throw new Error('Invalid JSON file format');
+            }
+            // A single invoice, an array, or a full backup ({ invoices: [...] })
+            this.jsonInvoices = Array.isArray(data) ? data : (Array.isArray(data.invoices) ? data.invoices : [data]);
+        } else {
+            const [headers, ...rows] = parseCsv(text);
+            if (!headers || rows.length === 0) throw new Error('The CSV file has no data rows');
+            this.csv = { headers: headers.map(h => h.trim()), rows };
+            this.mapping = this.guessMapping(this.csv.headers);
+        }
+
+        const [invoices, clients] = await Promise.all([dataLayer.getAllInvoices(), dataLayer.getAllClients()]);
+        this.existingNumbers = new Set(invoices.map(inv => (inv.invoiceNumber || '').trim().toLowerCase()));
+        this.clients = clients;
+
+        document.getElementById('invoiceImportFileName').textContent = this.fileName;
+        document.getElementById('invoiceImportModal').classList.add('active');
+        this.renderMapping();
+        this.preview();
+    }
+
+    closeModal() {
+        document.getElementById('invoiceImportModal').classList.remove('active');
+    }
+
+    /**
+     * Column for each field, by header name
+     */
+    guessMapping(headers) {
+        const normalized = headers.map(normalizeImportHeader);
+        const mapping = {};
+        INVOICE_IMPORT_COLUMNS.forEach(field => {
+            const names = [field.key.toLowerCase(), normalizeImportHeader(field.label), ...field.aliases];
+            const index = normalized.findIndex(h => names.includes(h));
+            if (index !== -1) mapping[field.key] = index;
+        });
+        return mapping;
+    }
+
+    renderMapping() {
+        const container = document.getElementById('invoiceImportMapping');
+        if (!this.csv) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h4 class="reminder-subheading">Columns</h4>
+            <p class="form-help">Each row is one line item; rows with the same invoice number become one invoice.</p>
+            <div class="import-mapping-grid">
+                ${INVOICE_IMPORT_COLUMNS.map(field => `
+                    <div class="form-group">
+                        <label for="importMap-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                        <select id="importMap-${field.key}" data-field="${field.key}">
+                            <option value="">-- Not in file --</option>
+                            ${this.csv.headers.map((h, i) => `<option value="${i}" ${this.mapping[field.key] === i ? 'selected' : ''}>${this.escapeHtml(h) || `Column ${i + 1}`}</option>`).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                if (select.value === '') {
+                    delete this.mapping[select.dataset.field];
+                } else {
+                    this.mapping[select.dataset.field] = parseInt(select.value);
+                }
+                this.preview();
+            });
+        });
+    }
+
+    /**
+     * Raw invoices from the file: { sourceRows, fields, lines, errors }
+     */
+    readRecords() {
+        if (this.jsonInvoices) {
+            return this.jsonInvoices.map((inv, index) => ({
+                sourceRows: [index + 1],
+                fields: inv && typeof inv === 'object' ? inv : {},
+                lines: Array.isArray(inv?.services) ? inv.services : [],
+                errors: inv && typeof inv === 'object' ? [] : ['Not an invoice object']
+            }));
+        }
+
+        const missing = INVOICE_IMPORT_COLUMNS.filter(f => f.required && this.mapping[f.key] === undefined);
+        if (missing.length > 0) return [];
+
+        const cell = (row, key) => this.mapping[key] === undefined ? '' : (row[this.mapping[key]] || '').trim();
+        const records = new Map();
+
+        this.csv.rows.forEach((row, index) => {
+            const fields = {};
+            INVOICE_IMPORT_COLUMNS.forEach(f => {
+                fields[f.key] = cell(row, f.key);
+            });
+
+            // Line 1 is the header
+            const sourceRow = index + 2;
+            const key = fields.invoiceNumber.toLowerCase() || `row:${sourceRow}`;
+            if (!records.has(key)) {
+                records.set(key, { sourceRows: [], fields, lines: [], errors: [] });
+            }
+
+            const record = records.get(key);
+            if (record.sourceRows.length > 0) {
+                ['clientName', 'invoiceDate', 'currency'].forEach(k => {
+                    if (fields[k] && fields[k] !== record.fields[k]) {
+                        record.errors.push(`Row ${sourceRow} has a different ${INVOICE_IMPORT_COLUMNS.find(f => f.key === k).label.toLowerCase()}`);
+                    }
+                });
+            }
+            record.sourceRows.push(sourceRow);
+            record.lines.push({
+                name: fields.serviceName,
+                hsnSac: fields.hsnSac,
+                quantity: fields.quantity,
+                rate: fields.rate,
+                taxRate: fields.taxRate
+            });
+        });
+
+        return [...records.values()];
+    }
+
+    /**
+     * Validate one record and build the invoice it would create
+     */
+    validate(record, seenNumbers) {
+        const { fields } = record;
+        const errors = [...record.errors];
+        const warnings = [];
+        const settings = invoiceManager.agencySettings || {};
+
+        const invoiceNumber = String(fields.invoiceNumber || '').trim();
+        const clientName = String(fields.clientName || '').trim();
+        const invoiceDate = normalizeImportDate(fields.invoiceDate);
+        const dueDate = fields.dueDate ? normalizeImportDate(fields.dueDate) : invoiceDate;
+        const currency = String(fields.currency || '').trim().toUpperCase() || getBaseCurrency();
+        const discountPercent = parseImportNumber(fields.discountPercent) ?? 0;
+        const paymentStatus = String(fields.paymentStatus || '').trim().toLowerCase() || 'pending';
+
+        if (!invoiceNumber) {
+            errors.push('Missing invoice number');
+        } else if (this.existingNumbers.has(invoiceNumber.toLowerCase())) {
+            errors.push('Duplicate: invoice number already exists');
+        } else if (seenNumbers.has(invoiceNumber.toLowerCase())) {
+            errors.push('Duplicate: invoice number repeated in this file');
+        }
+        seenNumbers.add(invoiceNumber.toLowerCase());
+
+        if (!clientName) errors.push('Missing client');
+        if (!invoiceDate) errors.push(`Invalid invoice date "${fields.invoiceDate || ''}" (use YYYY-MM-DD or DD/MM/YYYY)`);
+        if (fields.dueDate && !dueDate) errors.push(`Invalid due date "${fields.dueDate}"`);
+        if (!CURRENCIES.some(c => c.code === currency)) errors.push(`Unknown currency "${currency}"`);
+        if (Number.isNaN(discountPercent) || discountPercent < 0 || discountPercent > 100) errors.push('Discount must be between 0 and 100');
+        if (!INVOICE_IMPORT_STATUSES.includes(paymentStatus)) errors.push(`Status must be ${INVOICE_IMPORT_STATUSES.join(' or ')}`);
+
+        const lines = record.lines.map((line, i) => {
+            const label = record.sourceRows.length > 1 ? `Row ${record.sourceRows[i]}` : `Line ${i + 1}`;
+            const quantity = parseImportNumber(line.quantity) ?? 1;
+            const rate = parseImportNumber(line.rate);
+            const taxRate = parseImportNumber(line.taxRate ?? fields.taxPercent) ?? 0;
+
+            if (!String(line.name || '').trim()) errors.push(`${label}: missing service`);
+            if (Number.isNaN(quantity) || quantity <= 0) errors.push(`${label}: invalid quantity "${line.quantity}"`);
+            if (rate === null || Number.isNaN(rate) || rate < 0) errors.push(`${label}: invalid rate "${line.rate ?? ''}"`);
+            if (Number.isNaN(taxRate) || taxRate < 0) errors.push(`${label}: invalid GST rate "${line.taxRate}"`);
+
+            const catalogItem = window.catalogManager?.findByName(line.name);
+            return {
+                name: String(line.name || '').trim(),
+                hsnSac: String(line.hsnSac || '').trim() || catalogItem?.hsnSac || '',
+                quantity,
+                rate,
+                taxRate,
+                catalogItemId: catalogItem?.id || null
+            };
+        });
+        if (lines.length === 0) errors.push('No line items');
+
+        const client = this.clients.find(c => (c.name || '').trim().toLowerCase() === clientName.toLowerCase());
+        if (clientName && !client) warnings.push('Unknown client: imported without a saved client');
+
+        const clientGstin = String(fields.clientGstin || client?.gstin || '').trim().toUpperCase();
+        const clientState = fields.clientState || getStateCodeFromGstin(clientGstin) || '';
+
+        let invoice = null;
+        if (errors.length === 0) {
+            const gst = calculateGstBreakdown(lines, { discountPercent, agencyState: settings.agencyState, clientState });
+            invoice = {
+                agencyLogo: settings.agencyLogo,
+                agencyName: settings.agencyName,
+                agencyContact: settings.agencyContact,
+                agencyAddress: settings.agencyAddress,
+                agencyGstin: settings.agencyGstin,
+                agencyState: settings.agencyState,
+                clientId: client?.id || null,
+                clientName,
+                clientEmail: String(fields.clientEmail || client?.email || '').trim(),
+                clientAddress: fields.clientAddress || client?.address || '',
+                clientPhone: fields.clientPhone || client?.phone || '',
+                clientGstin,
+                clientState,
+                invoiceNumber,
+                invoiceDate,
+                dueDate,
+                currency,
+                paymentStatus,
+                services: gst.lines.map(l => ({
+                    name: l.name,
+                    hsnSac: l.hsnSac,
+                    quantity: l.quantity,
+                    rate: l.rate,
+                    amount: l.amount,
+                    taxRate: l.taxRate,
+                    taxAmount: l.taxAmount,
+                    catalogItemId: l.catalogItemId
+                })),
+                subtotal: gst.subtotal,
+                taxPercent: gst.taxPercent,
+                taxAmount: gst.taxAmount,
+                discountPercent,
+                discountAmount: gst.discountAmount,
+                gstType: gst.gstType,
+                cgstAmount: gst.cgstAmount,
+                sgstAmount: gst.sgstAmount,
+                igstAmount: gst.igstAmount,
+                grandTotal: gst.grandTotal
+            };
+
+            // JSON exports carry their own total; flag it when the lines don't add up to it
+            const fileTotal = parseImportNumber(fields.grandTotal);
+            if (fileTotal !== null && !Number.isNaN(fileTotal) && Math.abs(fileTotal - gst.grandTotal) > 0.01) {
+                warnings.push(`Total in file (${fileTotal.toFixed(2)}) differs from its lines; using ${gst.grandTotal.toFixed(2)}`);
+            }
+        }
+
+        return {
+            sourceRows: record.sourceRows,
+            invoiceNumber,
+            clientName,
+            invoiceDate: invoiceDate || fields.invoiceDate || '',
+            lineCount: lines.length,
+            currency,
+            invoice,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Dry run: validate everything and show what would be imported
+     */
+    preview() {
+        const seenNumbers = new Set();
+        this.candidates = this.readRecords().map(record => this.validate(record, seenNumbers));
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const container = document.getElementById('invoiceImportPreview');
+        const importBtn = document.getElementById('confirmInvoiceImport');
+        const missing = this.csv ? INVOICE_IMPORT_COLUMNS.filter(f => f.required && this.mapping[f.key] === undefined) : [];
+
+        const valid = this.candidates.filter(c => c.errors.length === 0);
+        importBtn.disabled = valid.length === 0;
+        importBtn.textContent = `Import ${valid.length} Invoice${valid.length === 1 ? '' : 's'}`;
+        importBtn.style.display = '';
+        document.getElementById('downloadInvoiceImportErrors').style.display =
+            this.candidates.some(c => c.errors.length > 0) ? '' : 'none';
+
+        if (missing.length > 0) {
+            container.innerHTML = `<p class="recurring-empty">Choose a column for: ${missing.map(f => f.label).join(', ')}</p>`;
+            return;
+        }
+
+        const withWarnings = valid.filter(c => c.warnings.length > 0).length;
+        container.innerHTML = `
+            <p class="import-summary">
+                <strong>${this.candidates.length}</strong> invoice(s) found •
+                <span class="import-valid">${valid.length} ready</span>
+                ${withWarnings > 0 ? ` (${withWarnings} with warnings)` : ''} •
+                <span class="import-invalid">${this.candidates.length - valid.length} with errors</span>
+            </p>
+            <table class="services-table import-preview-table">
+                <thead>
+                    <tr>
+                        <th>${this.csv ? 'Rows' : 'Item'}</th>
+                        <th>Invoice #</th>
+                        <th>Client</th>
+                        <th>Date</th>
+                        <th>Lines</th>
+                        <th>Total</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.candidates.map(c => `
+                        <tr class="${c.errors.length > 0 ? 'import-row-error' : ''}">
+                            <td>${c.sourceRows.join(', ')}</td>
+                            <td>${this.escapeHtml(c.invoiceNumber) || '-'}</td>
+                            <td>${this.escapeHtml(c.clientName) || '-'}</td>
+                            <td>${this.escapeHtml(c.invoiceDate) || '-'}</td>
+                            <td>${c.lineCount}</td>
+                            <td>${c.invoice ? formatMoney(c.invoice.grandTotal, c.currency) : '-'}</td>
+                            <td>
+                                <span class="badge badge-import-${c.errors.length > 0 ? 'error' : (c.warnings.length > 0 ? 'warning' : 'valid')}">
+                                    ${c.errors.length > 0 ? 'Error' : (c.warnings.length > 0 ? 'Warning' : 'Valid')}
+                                </span>
+                                ${[...c.errors, ...c.warnings].map(m => `<div class="import-message">${this.escapeHtml(m)}</div>`).join('')}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Save the valid invoices. Rows with errors are skipped and stay in the report.
+     */
+    async runImport() {
+        const valid = this.candidates.filter(c => c.errors.length === 0);
+        if (valid.length === 0) return;
+
+        const importBtn = document.getElementById('confirmInvoiceImport');
+        importBtn.disabled = true;
+        importBtn.textContent = 'Importing...';
+
+        try {
+            const { imported, failed } = await dataLayer.importInvoices(valid.map(c => c.invoice));
+
+            // Database rejections join the validation errors in the report
+            this.failures = failed.map(f => {
+                const candidate = valid.find(c => c.invoice === f.invoice);
+                return { ...candidate, errors: [`Import failed: ${f.error}`] };
+            });
+            this.candidates = this.candidates.filter(c => c.errors.length > 0);
+
+            const problems = this.candidates.length + this.failures.length;
+            showToast(`Imported ${imported.length} invoice(s)${problems > 0 ? `, ${problems} not imported` : ''}`,
+                problems > 0 ? 'warning' : 'success');
+
+            await invoiceManager.renderInvoiceHistory();
+            await invoiceManager.generateNewInvoiceNumber();
+
+            if (problems === 0) {
+                this.closeModal();
+                return;
+            }
+
+            document.getElementById('invoiceImportPreview').innerHTML = `
+                <p class="import-summary">
+                    <span class="import-valid">${imported.length} imported</span> •
+                    <span class="import-invalid">${problems} not imported</span>.
+                    Download the error report, fix the rows and import them again.
+                </p>
+            `;
+            document.getElementById('invoiceImportMapping').innerHTML = '';
+            importBtn.style.display = 'none';
+            document.getElementById('downloadInvoiceImportErrors').style.display = '';
+        } catch (error) {
+            console.error('Import error:', error);
+            showToast(`Import Failed: ${error.message}`, 'error');
+            this.renderPreview();
+        }
+    }
+
+    /**
+     * CSV of every invoice that wasn't imported and why
+     */
+    downloadErrorReport() {
+        const rows = [...this.candidates.filter(c => c.errors.length > 0), ...this.failures];
+        if (rows.length === 0) {
+            showToast('No errors to report', 'info');
+            return;
+        }
+
+        const lines = [
+            [this.csv ? 'Rows' : 'Item', 'Invoice #', 'Client', 'Date', 'Errors'].join(','),
+            ...rows.map(c => [
+                c.sourceRows.join(' '),
+                c.invoiceNumber,
+                c.clientName,
+                c.invoiceDate,
+                c.errors.join('; ')
+            ].map(toCsvCell).join(','))
+        ];
+
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+        app.downloadBlob(blob, `${this.fileName.replace(/\.[^.]+$/, '')}-import-errors.csv`);
+    }
+
+    /**
+     * Escape HTML to prevent XSS - everything shown in the preview comes from the file
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
+
+window.invoiceImportManager = new InvoiceImportManager();
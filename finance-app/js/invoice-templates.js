@@ -0,0 +1,400 @@
+/**
+ * FinanceFlow - Invoice Templates
+ * Layout definitions and the organization's invoice design (Settings).
+ * InvoiceManager.getDocumentModel decides what a document prints once;
+ * the HTML preview and the PDF only draw that model with these definitions.
+ */
+
+const INVOICE_TEMPLATES = {
+    classic: {
+        name: 'Classic',
+        headerBand: false,   // brand-coloured band behind the header
+        titleColor: 'brand',
+        tableHead: 'light',  // 'light' grey fill, 'brand' fill, 'rule' underline only
+        grandTotal: 'text',  // 'text' in the brand colour, 'box' white on the brand colour
+        dividers: true
+    },
+    minimal: {
+        name: 'Minimal',
+        headerBand: false,
+        titleColor: 'dark',
+        tableHead: 'rule',
+        grandTotal: 'text',
+        dividers: false
+    },
+    bold: {
+        name: 'Bold',
+        headerBand: true,
+        titleColor: 'white',
+        tableHead: 'brand',
+        grandTotal: 'box',
+        dividers: true
+    }
+};
+
+// Keys are jsPDF's built-in font names, used when the Unicode fonts (pdf: ...) can't be loaded
+const INVOICE_FONTS = {
+    helvetica: { name: 'Sans-serif', css: 'Helvetica, Arial, sans-serif', pdf: 'NotoSans' },
+    times: { name: 'Serif', css: "'Times New Roman', Times, serif", pdf: 'NotoSerif' },
+    courier: { name: 'Monospace', css: "'Courier New', Courier, monospace", pdf: 'NotoSansMono' }
+};
+
+const INVOICE_LOGO_POSITIONS = {
+    left: 'Left, above agency details',
+    center: 'Centered at the top',
+    right: 'Right, above the title',
+    none: 'Hidden'
+};
+
+const INVOICE_COLORS = {
+    dark: [15, 23, 42],      // Slate 900
+    gray: [100, 116, 139],   // Slate 500
+    light: [241, 245, 249],  // Slate 100
+    divider: [226, 232, 240], // Slate 200
+    white: [255, 255, 255]
+};
+
+const DEFAULT_INVOICE_DESIGN = {
+    template: 'classic',
+    brandColor: '#6366f1',
+    font: 'helvetica',
+    logoPosition: 'left',
+    footerText: '',
+    signatureImage: null,
+    signatureLabel: 'Authorised Signatory',
+    // Free-text bank details from before the Agency Details payment fields;
+    // only the lines that couldn't be moved into those fields
+    bankDetails: ''
+};
+
+// Logos and signatures are stored in settings as data URLs
+const MAX_DESIGN_IMAGE_BYTES = 500 * 1024;
+
+// Settings key -> Agency Details field for the payment block
+const AGENCY_PAYMENT_FIELDS = {
+    bankName: 'settingsBankName',
+    bankAccountName: 'settingsBankAccountName',
+    bankAccountNumber: 'settingsBankAccountNumber',
+    bankIfsc: 'settingsBankIfsc',
+    upiId: 'settingsUpiId'
+};
+
+/**
+ * Design from the 'invoiceDesign' setting (a JSON string), with defaults
+ * for anything missing or no longer valid
+ */
+function normalizeInvoiceDesign(value) {
+    let design = value || {};
+    if (typeof design === 'string') {
+        try {
+            design = JSON.parse(design);
+        } catch (e) {
+            design = {};
+        }
+    }
+
+    const merged = { ...DEFAULT_INVOICE_DESIGN, ...design };
+    if (!INVOICE_TEMPLATES[merged.template]) merged.template = DEFAULT_INVOICE_DESIGN.template;
+    if (!INVOICE_FONTS[merged.font]) merged.font = DEFAULT_INVOICE_DESIGN.font;
+    if (!INVOICE_LOGO_POSITIONS[merged.logoPosition]) merged.logoPosition = DEFAULT_INVOICE_DESIGN.logoPosition;
+    if (!/^#[0-9a-f]{6}$/i.test(merged.brandColor)) merged.brandColor = DEFAULT_INVOICE_DESIGN.brandColor;
+    return merged;
+}
+
+/**
+ * '#6366f1' -> [99, 102, 241]
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToCss(rgb) {
+    return `rgb(${rgb.join(', ')})`;
+}
+
+function isValidIfsc(ifsc) {
+    return /^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc);
+}
+
+function isValidUpiId(upiId) {
+    return /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/.test(upiId);
+}
+
+/**
+ * Bank lines for the payment block from the agency settings, followed by
+ * any legacy free-text lines still kept on the design
+ */
+function getBankDetailLines(settings, design = {}) {
+    return [
+        settings.bankName && `Bank: ${settings.bankName}`,
+        settings.bankAccountName && `Account Name: ${settings.bankAccountName}`,
+        settings.bankAccountNumber && `Account No: ${settings.bankAccountNumber}`,
+        settings.bankIfsc && `IFSC: ${settings.bankIfsc}`,
+        settings.upiId && `UPI: ${settings.upiId}`,
+        ...(design.bankDetails || '').split('\n').map(line => line.trim())
+    ].filter(Boolean);
+}
+
+// "Label: value" lines of the old free-text bank details -> agency setting key.
+// Account name comes before account number so "Account Name" isn't read as a number.
+const LEGACY_BANK_LINE_PATTERNS = [
+    [/^bank(?:\s*name)?\s*[:-]\s*(.+)$/i, 'bankName'],
+    [/^(?:a\/?c|account)\s*(?:holder\s*)?name\s*[:-]\s*(.+)$/i, 'bankAccountName'],
+    [/^beneficiary(?:\s*name)?\s*[:-]\s*(.+)$/i, 'bankAccountName'],
+    [/^(?:a\/?c|account)\s*(?:no\.?|number|#)?\s*[:-]\s*([0-9 ]+)$/i, 'bankAccountNumber'],
+    [/^ifsc(?:\s*code)?\s*[:-]\s*(\S+)$/i, 'bankIfsc'],
+    [/^upi(?:\s*id)?\s*[:-]\s*(\S+)$/i, 'upiId']
+];
+
+/**
+ * Split the old free-text bank details into agency payment fields
+ * @returns {{ fields: Object, unmatched: Array<string> }}
+ */
+function parseLegacyBankDetails(text) {
+    const fields = {};
+    const unmatched = [];
+
+    (text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const pattern = LEGACY_BANK_LINE_PATTERNS.find(([regex]) => regex.test(line));
+        let value = pattern ? line.match(pattern[0])[1].trim() : '';
+        if (pattern?.[1] === 'bankIfsc') value = value.toUpperCase();
+        if (pattern?.[1] === 'bankAccountNumber') value = value.replace(/\s/g, '');
+
+        const valid = value && !fields[pattern[1]]
+            && (pattern[1] !== 'bankIfsc' || isValidIfsc(value))
+            && (pattern[1] !== 'upiId' || isValidUpiId(value));
+        if (valid) {
+            fields[pattern[1]] = value;
+        } else {
+            unmatched.push(line);
+        }
+    });
+
+    return { fields, unmatched };
+}
+
+/**
+ * UPI deep link any UPI app can pay from (NPCI upi://pay format)
+ * @param {Object} payment - upiId, payeeName, amount, note
+ */
+function buildUpiUri({ upiId, payeeName, amount, note }) {
+    const params = [
+        ['pa', upiId],
+        ['pn', payeeName],
+        ['am', (parseFloat(amount) || 0).toFixed(2)],
+        ['cu', 'INR'],
+        ['tn', note]
+    ].filter(([, value]) => value);
+
+    return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+/**
+ * Document dates print the same in the preview and the PDF, whatever the viewer's locale
+ */
+function formatDocumentDate(dateStr) {
+    if (!dateStr) return '-';
+    const date = new Date(dateStr);
+    return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Invoice Design settings card (admins only)
+ */
+class InvoiceDesignManager {
+    constructor() {
+        this.design = { ...DEFAULT_INVOICE_DESIGN };
+        this.logo = null;
+    }
+
+    async init() {
+        document.getElementById('invoiceDesignTemplate').innerHTML = Object.entries(INVOICE_TEMPLATES)
+            .map(([key, t]) => `<option value="${key}">${t.name}</option>`).join('');
+        document.getElementById('invoiceDesignFont').innerHTML = Object.entries(INVOICE_FONTS)
+            .map(([key, f]) => `<option value="${key}">${f.name}</option>`).join('');
+        document.getElementById('invoiceDesignLogoPosition').innerHTML = Object.entries(INVOICE_LOGO_POSITIONS)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+
+        this.bindEvents();
+        await this.load();
+    }
+
+    bindEvents() {
+        document.getElementById('invoiceDesignLogo')?.addEventListener('change', (e) => {
+            this.readImage(e.target, (dataUrl) => {
+                this.logo = dataUrl;
+                this.renderImages();
+            });
+        });
+        document.getElementById('invoiceDesignSignature')?.addEventListener('change', (e) => {
+            this.readImage(e.target, (dataUrl) => {
+                this.design.signatureImage = dataUrl;
+                this.renderImages();
+            });
+        });
+        document.getElementById('removeInvoiceDesignLogo')?.addEventListener('click', () => {
+            this.logo = null;
+            this.renderImages();
+        });
+        document.getElementById('removeInvoiceDesignSignature')?.addEventListener('click', () => {
+            this.design.signatureImage = null;
+            this.renderImages();
+        });
+        document.getElementById('previewInvoiceDesignBtn')?.addEventListener('click', () => this.preview());
+        document.getElementById('invoiceDesignForm')?.addEventListener('submit', (e) => this.handleSave(e));
+    }
+
+    async load() {
+        let settings = {};
+        try {
+            settings = await dataLayer.getAllSettings();
+        } catch (error) {
+            console.error('Error loading invoice design:', error);
+            return;
+        }
+
+        this.design = normalizeInvoiceDesign(settings.invoiceDesign);
+        this.logo = settings.agencyLogo || null;
+        if (this.design.bankDetails && app.isAdmin && !settings.legacyBankDetailsMoved) {
+            await this.migrateLegacyBankDetails(settings);
+        }
+
+        document.getElementById('invoiceDesignTemplate').value = this.design.template;
+        document.getElementById('invoiceDesignColor').value = this.design.brandColor;
+        document.getElementById('invoiceDesignFont').value = this.design.font;
+        document.getElementById('invoiceDesignLogoPosition').value = this.design.logoPosition;
+        document.getElementById('invoiceDesignFooter').value = this.design.footerText;
+        document.getElementById('invoiceDesignSignatureLabel').value = this.design.signatureLabel;
+        this.renderImages();
+    }
+
+    /**
+     * Move the design's old free-text bank details into the Agency Details
+     * payment fields, once (admin only). Lines that don't fit a field stay
+     * on the design and keep printing under the bank details.
+     */
+    async migrateLegacyBankDetails(settings) {
+        const { fields, unmatched } = parseLegacyBankDetails(this.design.bankDetails);
+
+        try {
+            // A field already filled in Agency Details is newer than the old text
+            for (const key of Object.keys(fields).filter(key => !settings[key])) {
+                await dataLayer.setSetting(key, fields[key]);
+                const input = document.getElementById(AGENCY_PAYMENT_FIELDS[key]);
+                if (input) input.value = fields[key];
+            }
+
+            this.design = { ...this.design, bankDetails: unmatched.join('\n') };
+            await dataLayer.setSetting('invoiceDesign', JSON.stringify(this.design));
+            await dataLayer.setSetting('legacyBankDetailsMoved', 'true');
+            await invoiceManager.loadAgencyDetails();
+        } catch (error) {
+            console.error('Error moving bank details to Agency Details:', error);
+        }
+    }
+
+    /**
+     * Read an uploaded image as a data URL
+     */
+    readImage(input, onLoad) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        if (file.size > MAX_DESIGN_IMAGE_BYTES) {
+            showToast('Image is too large (max 500 KB)', 'error');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => onLoad(e.target.result);
+        reader.readAsDataURL(file);
+    }
+
+    renderImages() {
+        const show = (id, src) => {
+            const container = document.getElementById(id);
+            container.innerHTML = src ? `<img src="${src}" alt="">` : '<span class="text-muted">None</span>';
+        };
+        show('invoiceDesignLogoPreview', this.logo);
+        show('invoiceDesignSignaturePreview', this.design.signatureImage);
+        document.getElementById('removeInvoiceDesignLogo').style.display = this.logo ? '' : 'none';
+        document.getElementById('removeInvoiceDesignSignature').style.display = this.design.signatureImage ? '' : 'none';
+    }
+
+    getFormDesign() {
+        return normalizeInvoiceDesign({
+            template: document.getElementById('invoiceDesignTemplate').value,
+            brandColor: document.getElementById('invoiceDesignColor').value,
+            font: document.getElementById('invoiceDesignFont').value,
+            logoPosition: document.getElementById('invoiceDesignLogoPosition').value,
+            footerText: document.getElementById('invoiceDesignFooter').value.trim(),
+            signatureImage: this.design.signatureImage,
+            signatureLabel: document.getElementById('invoiceDesignSignatureLabel').value.trim(),
+            bankDetails: this.design.bankDetails
+        });
+    }
+
+    /**
+     * Show a sample invoice with the unsaved design. Download from the
+     * preview produces the matching PDF.
+     */
+    preview() {
+        const settings = invoiceManager.agencySettings || {};
+        const today = new Date().toISOString().split('T')[0];
+        const services = [
+            { name: 'Website design', quantity: 1, rate: 25000, amount: 25000 },
+            { name: 'Hosting (monthly)', quantity: 12, rate: 500, amount: 6000 }
+        ];
+
+        const sample = {
+            design: this.getFormDesign(),
+            agencyLogo: this.logo,
+            agencyName: settings.agencyName,
+            agencyContact: settings.agencyContact,
+            agencyAddress: settings.agencyAddress,
+            agencyGstin: settings.agencyGstin,
+            clientName: 'Sample Client Pvt Ltd',
+            clientAddress: '12 Sample Street\nChennai',
+            invoiceNumber: 'SAMPLE-0001',
+            invoiceDate: today,
+            dueDate: today,
+            currency: getBaseCurrency(),
+            services,
+            subtotal: 31000,
+            taxPercent: 10,
+            taxAmount: 3100,
+            discountPercent: 0,
+            discountAmount: 0,
+            grandTotal: 34100
+        };
+
+        invoiceManager.currentInvoice = sample;
+        document.getElementById('invoicePreviewContent').innerHTML = invoiceManager.renderInvoiceHTML(sample);
+        document.getElementById('emailFromPreviewBtn').style.display = 'none';
+        document.getElementById('invoicePreviewModal').classList.add('active');
+    }
+
+    async handleSave(e) {
+        e.preventDefault();
+
+        const design = this.getFormDesign();
+
+        try {
+            await dataLayer.setSetting('invoiceDesign', JSON.stringify(design));
+            await dataLayer.setSetting('agencyLogo', this.logo || '');
+            this.design = design;
+
+            // New invoices pick up the saved logo (or lose a removed one)
+            invoiceManager.agencyLogo = this.logo;
+            await invoiceManager.loadAgencyDetails();
+            showToast('Invoice design saved', 'success');
+        } catch (error) {
+            console.error('Error saving invoice design:', error);
+            showToast(`Failed to save invoice design: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+}
+
+window.invoiceDesignManager = new InvoiceDesignManager();
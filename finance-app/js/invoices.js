@@ -7,15 +7,21 @@ class InvoiceManager {
     constructor() {
         this.currentInvoice = null;
         this.agencyLogo = null;
+        this.design = null;
+        this.editingInvoiceId = null;
     }
 
     /**
      * Initialize invoice manager
      */
     async init() {
+        populateGstStateSelect(document.getElementById('invoiceAgencyState'));
+        populateGstStateSelect(document.getElementById('invoiceClientState'));
+        populateCurrencySelect(document.getElementById('invoiceCurrency'));
         await this.loadAgencyDetails();
-        await this.generateNewInvoiceNumber();
+        if (!document.querySelector('#servicesBody .service-row')) this.addServiceRow();
         this.setDefaultDates();
+        await this.generateNewInvoiceNumber();
         this.bindEvents();
         await this.renderInvoiceHistory();
 
@@ -36,6 +42,9 @@ class InvoiceManager {
                     input.style.backgroundColor = 'var(--color-bg-secondary)';
                     input.style.cursor = 'not-allowed';
                 });
+                agencySection.querySelectorAll('select').forEach(select => {
+                    select.disabled = true;
+                });
 
                 const logoPreview = agencySection.querySelector('.logo-preview');
                 if (logoPreview) {
@@ -99,10 +108,14 @@ class InvoiceManager {
         const nameField = document.getElementById('invoiceAgencyName');
         const contactField = document.getElementById('invoiceAgencyContact');
         const addressField = document.getElementById('invoiceAgencyAddress');
+        const gstinField = document.getElementById('invoiceAgencyGstin');
+        const stateField = document.getElementById('invoiceAgencyState');
 
         if (nameField) nameField.value = settings.agencyName || '';
         if (contactField) contactField.value = settings.agencyContact || '';
         if (addressField) addressField.value = settings.agencyAddress || '';
+        if (gstinField) gstinField.value = settings.agencyGstin || '';
+        if (stateField) stateField.value = settings.agencyState || getStateCodeFromGstin(settings.agencyGstin);
 
         // If employee, these fields might be hidden, so we ensure the instance 
         // has these values stored to inject into the invoice payload if needed.
@@ -112,17 +125,26 @@ class InvoiceManager {
             if (logoPreview) logoPreview.innerHTML = `<img src="${this.agencyLogo}" alt="Agency Logo">`;
         }
 
-        // Set default tax (0 by default, user can set their own)
-        const defaultTax = settings.defaultTax !== undefined ? settings.defaultTax : 0;
-        const taxField = document.getElementById('invoiceTaxPercent');
-        if (taxField) taxField.value = defaultTax;
+        // Default GST rate for new service rows (0 by default, user can set their own)
+        this.defaultTaxRate = parseFloat(settings.defaultTax) || 0;
+
+        // Template, colours and blocks used by the preview and the PDF
+        this.design = normalizeInvoiceDesign(settings.invoiceDesign);
     }
 
     /**
-     * Generate new invoice number
+     * Show the next invoice number. The series can depend on the invoice date
+     * (financial year) and client, so this is refreshed when either changes.
+     * The final number is allocated when the invoice is saved.
      */
     async generateNewInvoiceNumber() {
-        const invoiceNumber = await dataLayer.getNextInvoiceNumber();
+        // An edited invoice keeps its number
+        if (this.editingInvoiceId) return;
+
+        const invoiceNumber = await dataLayer.getNextInvoiceNumber({
+            date: document.getElementById('invoiceDate').value,
+            clientId: document.getElementById('invoiceClientSelect')?.value
+        });
         document.getElementById('invoiceNumber').value = invoiceNumber;
     }
 
@@ -183,27 +205,18 @@ class InvoiceManager {
         data.created_by_name = formattedCreatedBy;
 
         try {
-            console.log('Sending invoice to dataLayer:', data);
-            const savedInvoice = await dataLayer.addInvoice(data);
-            console.log('Invoice saved:', savedInvoice);
-
-            // Create finance entry if needed
-            if (data.grandTotal > 0) {
-                console.log('Creating finance entry for invoice...');
-                await dataLayer.addEntry({
-                    date: data.invoiceDate,
-                    clientName: data.clientName,
-                    description: `Invoice ${data.invoiceNumber}`,
-                    amount: data.grandTotal,
-                    type: 'income',
-                    status: data.paymentStatus === 'paid' ? 'received' : 'pending',
-                    paymentMode: 'bank_transfer',
-                    created_by_name: formattedCreatedBy
-                });
-                console.log('Finance entry created.');
-            }
+            if (this.editingInvoiceId) {
+                const updatedInvoice = await dataLayer.updateInvoice(this.editingInvoiceId, data, { editedByName: formattedCreatedBy });
+                showToast(`Invoice ${updatedInvoice.invoiceNumber} updated`, 'success');
+            } else {
+                console.log('Sending invoice to dataLayer:', data);
+                const savedInvoice = await dataLayer.addInvoice(data);
+                console.log('Invoice saved:', savedInvoice);
 
-            showToast('Invoice saved successfully', 'success');
+                // Income entries are now posted per payment (see recordPayment)
+
+                showToast(`Invoice ${savedInvoice.invoiceNumber} saved successfully`, 'success');
+            }
             await this.renderInvoiceHistory();
             this.resetForm();
 
@@ -249,20 +262,56 @@ class InvoiceManager {
 
         // Service calculations (delegated)
         document.getElementById('servicesBody').addEventListener('input', (e) => {
+            // Picking a catalogue item fills its rate, SAC and GST rate
+            if (e.target.classList.contains('service-name') && window.catalogManager) {
+                const row = e.target.closest('tr');
+                catalogManager.applyToRow(row);
+                this.calculateRowAmount(row);
+                this.calculateTotals();
+            }
+
             if (e.target.classList.contains('service-qty') || e.target.classList.contains('service-rate')) {
                 this.calculateRowAmount(e.target.closest('tr'));
                 this.calculateTotals();
             }
         });
 
-        // Tax and discount changes
-        document.getElementById('invoiceTaxPercent').addEventListener('input', () => this.calculateTotals());
+        // GST rate changes (delegated)
+        document.getElementById('servicesBody').addEventListener('change', (e) => {
+            if (e.target.classList.contains('service-tax-rate')) {
+                this.calculateTotals();
+            }
+        });
+
+        // Discount, currency and place-of-supply changes
         document.getElementById('invoiceDiscountPercent').addEventListener('input', () => this.calculateTotals());
+        document.getElementById('invoiceCurrency').addEventListener('change', () => this.calculateTotals());
+        document.getElementById('invoiceAgencyState').addEventListener('change', () => this.calculateTotals());
+        document.getElementById('invoiceClientState').addEventListener('change', () => this.calculateTotals());
+
+        // The first two digits of a GSTIN are the state code
+        [['invoiceAgencyGstin', 'invoiceAgencyState'], ['invoiceClientGstin', 'invoiceClientState']].forEach(([gstinId, stateId]) => {
+            document.getElementById(gstinId).addEventListener('input', (e) => {
+                e.target.value = e.target.value.toUpperCase();
+                const stateCode = getStateCodeFromGstin(e.target.value);
+                if (stateCode) {
+                    document.getElementById(stateId).value = stateCode;
+                    this.calculateTotals();
+                }
+            });
+        });
+
+        // Number series can depend on the date (financial year) and client
+        document.getElementById('invoiceDate').addEventListener('change', () => this.generateNewInvoiceNumber());
+        document.getElementById('invoiceClientSelect')?.addEventListener('change', () => this.generateNewInvoiceNumber());
 
         // Preview invoice
         document.getElementById('previewInvoiceBtn').addEventListener('click', () => this.previewInvoice());
 
         // Import invoices
+        // History status filter
+        document.getElementById('invoiceHistoryFilter')?.addEventListener('change', () => this.renderInvoiceHistory());
+
         const importBtn = document.getElementById('importInvoicesBtn');
         const importInput = document.getElementById('importInvoicesInput');
 
@@ -275,6 +324,15 @@ class InvoiceManager {
         document.getElementById('downloadInvoiceBtn').addEventListener('click', () => this.downloadPDF());
         document.getElementById('downloadFromPreviewBtn').addEventListener('click', () => this.downloadPDF());
 
+        // Email invoice
+        document.getElementById('emailFromPreviewBtn')?.addEventListener('click', () => this.openEmailModal());
+        document.getElementById('invoiceEmailForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendEmail();
+        });
+        document.getElementById('closeInvoiceEmailModal')?.addEventListener('click', () => this.closeEmailModal());
+        document.getElementById('cancelInvoiceEmail')?.addEventListener('click', () => this.closeEmailModal());
+
         // Save invoice
         document.getElementById('invoiceForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -287,6 +345,17 @@ class InvoiceManager {
         // Close preview modal
         document.getElementById('closePreviewModal').addEventListener('click', () => this.closePreviewModal());
         document.getElementById('closePreviewBtn').addEventListener('click', () => this.closePreviewModal());
+
+        // Record payment modal
+        const paymentForm = document.getElementById('invoicePaymentForm');
+        if (paymentForm) {
+            paymentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.recordPayment();
+            });
+            document.getElementById('closeInvoicePaymentModal').addEventListener('click', () => this.closePaymentModal());
+            document.getElementById('cancelInvoicePayment').addEventListener('click', () => this.closePaymentModal());
+        }
     }
 
     /**
@@ -312,10 +381,21 @@ class InvoiceManager {
         const tbody = document.getElementById('servicesBody');
         const row = document.createElement('tr');
         row.className = 'service-row';
+
+        // Include the default rate even if it isn't one of the standard slabs
+        const defaultRate = this.defaultTaxRate || 0;
+        const rates = GST_RATES.includes(defaultRate) ? GST_RATES : [...GST_RATES, defaultRate].sort((a, b) => a - b);
+
         row.innerHTML = `
-            <td><input type="text" class="service-name" placeholder="Service name" required></td>
+            <td><input type="text" class="service-name" placeholder="Service name" list="serviceCatalogList" required></td>
+            <td><input type="text" class="service-hsn" placeholder="SAC" maxlength="8"></td>
             <td><input type="number" class="service-qty" value="1" min="1" required></td>
             <td><input type="number" class="service-rate" value="0" min="0" step="0.01" required></td>
+            <td>
+                <select class="service-tax-rate">
+                    ${rates.map(r => `<option value="${r}" ${r === defaultRate ? 'selected' : ''}>${r}%</option>`).join('')}
+                </select>
+            </td>
             <td><span class="service-amount">0.00</span></td>
             <td><button type="button" class="btn-icon remove-service" aria-label="Remove service">×</button></td>
         `;
@@ -346,53 +426,63 @@ class InvoiceManager {
     }
 
     /**
-     * Calculate invoice totals
+     * Calculate the GST breakdown for the lines currently in the form
      */
-    calculateTotals() {
-        const currency = window.appCurrency || '₹';
-        const rows = document.querySelectorAll('.service-row');
-        let subtotal = 0;
+    getGstBreakdown() {
+        const services = Array.from(document.querySelectorAll('#servicesBody .service-row')).map(row => ({
+            name: row.querySelector('.service-name').value,
+            hsnSac: row.querySelector('.service-hsn').value.trim(),
+            quantity: parseFloat(row.querySelector('.service-qty').value) || 0,
+            rate: parseFloat(row.querySelector('.service-rate').value) || 0,
+            taxRate: parseFloat(row.querySelector('.service-tax-rate').value) || 0,
+            catalogItemId: parseInt(row.dataset.catalogItemId) || null
+        }));
 
-        rows.forEach(row => {
-            const amount = parseFloat(row.querySelector('.service-amount').textContent) || 0;
-            subtotal += amount;
+        const settings = this.agencySettings || {};
+        return calculateGstBreakdown(services, {
+            discountPercent: document.getElementById('invoiceDiscountPercent').value,
+            agencyState: document.getElementById('invoiceAgencyState').value || settings.agencyState,
+            clientState: document.getElementById('invoiceClientState').value
         });
+    }
 
-        const taxPercent = parseFloat(document.getElementById('invoiceTaxPercent').value) || 0;
-        const discountPercent = parseFloat(document.getElementById('invoiceDiscountPercent').value) || 0;
-
-        const taxAmount = (subtotal * taxPercent) / 100;
-        const discountAmount = (subtotal * discountPercent) / 100;
-        const grandTotal = subtotal + taxAmount - discountAmount;
-
-        document.getElementById('invoiceSubtotal').textContent = `${currency}${subtotal.toFixed(2)}`;
-        document.getElementById('invoiceTaxAmount').textContent = `${currency}${taxAmount.toFixed(2)}`;
-        document.getElementById('invoiceDiscountAmount').textContent = `${currency}${discountAmount.toFixed(2)}`;
-        document.getElementById('invoiceGrandTotal').textContent = `${currency}${grandTotal.toFixed(2)}`;
+    /**
+     * Calculate invoice totals
+     */
+    calculateTotals() {
+        const currency = getCurrencySymbol(document.getElementById('invoiceCurrency').value);
+        const gst = this.getGstBreakdown();
+        const isInterState = gst.gstType === 'inter';
+
+        document.getElementById('invoiceSubtotal').textContent = `${currency}${gst.subtotal.toFixed(2)}`;
+        document.getElementById('invoiceDiscountAmount').textContent = `${currency}${gst.discountAmount.toFixed(2)}`;
+        document.getElementById('invoiceTaxableAmount').textContent = `${currency}${gst.taxableTotal.toFixed(2)}`;
+        document.getElementById('invoiceCgstAmount').textContent = `${currency}${gst.cgstAmount.toFixed(2)}`;
+        document.getElementById('invoiceSgstAmount').textContent = `${currency}${gst.sgstAmount.toFixed(2)}`;
+        document.getElementById('invoiceIgstAmount').textContent = `${currency}${gst.igstAmount.toFixed(2)}`;
+        document.getElementById('invoiceCgstRow').style.display = isInterState ? 'none' : '';
+        document.getElementById('invoiceSgstRow').style.display = isInterState ? 'none' : '';
+        document.getElementById('invoiceIgstRow').style.display = isInterState ? '' : 'none';
+        document.getElementById('invoiceGrandTotal').textContent = `${currency}${gst.grandTotal.toFixed(2)}`;
     }
 
     /**
      * Get invoice data from form
      */
     getInvoiceData() {
-        const services = [];
-        const rows = document.querySelectorAll('.service-row');
-
-        rows.forEach(row => {
-            services.push({
-                name: row.querySelector('.service-name').value,
-                quantity: parseFloat(row.querySelector('.service-qty').value) || 0,
-                rate: parseFloat(row.querySelector('.service-rate').value) || 0,
-                amount: parseFloat(row.querySelector('.service-amount').textContent) || 0
-            });
-        });
+        const gst = this.getGstBreakdown();
+        const services = gst.lines.map(l => ({
+            name: l.name,
+            hsnSac: l.hsnSac,
+            quantity: l.quantity,
+            rate: l.rate,
+            amount: l.amount,
+            taxRate: l.taxRate,
+            taxAmount: l.taxAmount,
+            catalogItemId: l.catalogItemId
+        }));
 
-        const subtotal = services.reduce((sum, s) => sum + s.amount, 0);
-        const taxPercent = parseFloat(document.getElementById('invoiceTaxPercent').value) || 0;
         const discountPercent = parseFloat(document.getElementById('invoiceDiscountPercent').value) || 0;
-        const taxAmount = (subtotal * taxPercent) / 100;
-        const discountAmount = (subtotal * discountPercent) / 100;
-        const grandTotal = subtotal + taxAmount - discountAmount;
 
         // Use form values, fallback to loaded settings (for employees where fields are hidden)
         const settings = this.agencySettings || {};
@@ -403,16 +493,21 @@ class InvoiceManager {
             agencyName: document.getElementById('invoiceAgencyName').value || settings.agencyName,
             agencyContact: document.getElementById('invoiceAgencyContact').value || settings.agencyContact,
             agencyAddress: document.getElementById('invoiceAgencyAddress').value || settings.agencyAddress,
+            agencyGstin: document.getElementById('invoiceAgencyGstin').value.trim() || settings.agencyGstin,
+            agencyState: document.getElementById('invoiceAgencyState').value || settings.agencyState,
 
             // Client details
             clientName: document.getElementById('invoiceClientName').value,
             clientEmail: document.getElementById('invoiceClientEmail').value,
             clientAddress: document.getElementById('invoiceClientAddress').value,
+            clientGstin: document.getElementById('invoiceClientGstin').value.trim(),
+            clientState: document.getElementById('invoiceClientState').value,
 
             // Invoice details
             invoiceNumber: document.getElementById('invoiceNumber').value,
             invoiceDate: document.getElementById('invoiceDate').value,
             dueDate: document.getElementById('invoiceDueDate').value,
+            currency: document.getElementById('invoiceCurrency').value || getBaseCurrency(),
             paymentStatus: document.getElementById('invoicePaymentStatus')?.value || 'pending',
             clientId: document.getElementById('invoiceClientSelect')?.value || null,
 
@@ -420,12 +515,16 @@ class InvoiceManager {
             services,
 
             // Totals
-            subtotal,
-            taxPercent,
-            taxAmount,
+            subtotal: gst.subtotal,
+            taxPercent: gst.taxPercent,
+            taxAmount: gst.taxAmount,
             discountPercent,
-            discountAmount,
-            grandTotal,
+            discountAmount: gst.discountAmount,
+            gstType: gst.gstType,
+            cgstAmount: gst.cgstAmount,
+            sgstAmount: gst.sgstAmount,
+            igstAmount: gst.igstAmount,
+            grandTotal: gst.grandTotal,
 
             // Status
             paymentStatus: document.getElementById('invoicePaymentStatus').value,
@@ -438,53 +537,204 @@ class InvoiceManager {
      */
     previewInvoice() {
         const data = this.getInvoiceData();
-        const currency = window.appCurrency || '₹';
 
-        const previewHTML = `
-            <div class="invoice-preview">
+        document.getElementById('invoicePreviewContent').innerHTML = this.renderInvoiceHTML(data);
+        // Only saved invoices can be emailed (sends are logged against the invoice)
+        document.getElementById('emailFromPreviewBtn').style.display = 'none';
+        document.getElementById('invoicePreviewModal').classList.add('active');
+        this.currentInvoice = data;
+    }
+
+    /**
+     * Title, number and dates printed on the document. Estimates share the
+     * invoice layout but carry their own number and a validity date.
+     * @param {Object} data - Invoice or estimate data
+     */
+    getDocumentLabels(data) {
+        if (data.estimateNumber) {
+            return {
+                title: 'ESTIMATE',
+                number: data.estimateNumber,
+                date: data.estimateDate,
+                dueLabel: 'Valid until',
+                dueDate: data.validUntil,
+                footer: 'This estimate is not a demand for payment. Prices are valid until the date shown above.'
+            };
+        }
+
+        return {
+            title: data.gstType && data.agencyGstin ? 'TAX INVOICE' : 'INVOICE',
+            number: data.invoiceNumber,
+            date: data.invoiceDate,
+            dueLabel: 'Due',
+            dueDate: data.dueDate,
+            footer: 'Payment is due within 30 days. Please include the invoice number with your payment.'
+        };
+    }
+
+    /**
+     * UPI QR code for the amount still due. Only for INR invoices - UPI
+     * can't collect other currencies, and an estimate isn't a bill.
+     */
+    getUpiPayment(data, settings) {
+        const amountDue = data.balanceDue ?? data.grandTotal;
+        if (!settings.upiId || data.estimateNumber || !(amountDue > 0)) return null;
+        if ((data.currency || getBaseCurrency()) !== 'INR') return null;
+
+        const uri = buildUpiUri({
+            upiId: settings.upiId,
+            payeeName: settings.bankAccountName || data.agencyName,
+            amount: amountDue,
+            note: `Invoice ${data.invoiceNumber}`
+        });
+        return { uri, modules: createQrMatrix(uri), label: 'Scan to pay with any UPI app' };
+    }
+
+    /**
+     * Everything a document prints, in drawing order. renderInvoiceHTML and
+     * buildPDF both draw this model, so the preview and the PDF always match.
+     * GST invoices show HSN/SAC, per-line rates and the CGST/SGST or IGST split;
+     * invoices saved before GST support keep their single tax line.
+     * @param {Object} data - Invoice or estimate data (data.design overrides the saved design)
+     * @param {string} currency - Prefix for amounts
+     */
+    getDocumentModel(data, currency) {
+        const design = normalizeInvoiceDesign(data.design || this.design);
+        const settings = this.agencySettings || {};
+        const isGst = !!data.gstType;
+        const labels = this.getDocumentLabels(data);
+        const money = (value) => `${currency}${(parseFloat(value) || 0).toFixed(2)}`;
+        const toLines = (text) => (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+        const totals = [{ label: 'Subtotal', value: money(data.subtotal) }];
+        if (!isGst && data.taxPercent > 0) {
+            totals.push({ label: `Tax (${data.taxPercent}%)`, value: money(data.taxAmount) });
+        }
+        if (data.discountPercent > 0) {
+            totals.push({ label: `Discount (${data.discountPercent}%)`, value: `-${money(data.discountAmount)}` });
+        }
+        if (isGst) {
+            totals.push({ label: 'Taxable Value', value: money(data.subtotal - data.discountAmount) });
+            if (data.gstType === 'inter') {
+                totals.push({ label: 'IGST', value: money(data.igstAmount) });
+            } else {
+                totals.push({ label: 'CGST', value: money(data.cgstAmount) });
+                totals.push({ label: 'SGST', value: money(data.sgstAmount) });
+            }
+        }
+
+        // width: PDF column width in mm (the description takes the remaining space)
+        const columns = isGst ? [
+            { label: 'Service Description', align: 'left' },
+            { label: 'HSN/SAC', align: 'center', width: 22 },
+            { label: 'Qty', align: 'center', width: 14 },
+            { label: 'Rate', align: 'right', width: 30 },
+            { label: 'GST', align: 'center', width: 16 },
+            { label: 'Amount', align: 'right', width: 32 }
+        ] : [
+            { label: 'Service Description', align: 'left' },
+            { label: 'Qty', align: 'center', width: 20 },
+            { label: 'Rate', align: 'right', width: 35 },
+            { label: 'Amount', align: 'right', width: 35 }
+        ];
+
+        const rows = data.services.map(s => isGst ? [
+            s.name, s.hsnSac || '-', String(s.quantity), money(s.rate), `${s.taxRate || 0}%`, money(s.amount)
+        ] : [
+            s.name, String(s.quantity), money(s.rate), money(s.amount)
+        ]);
+
+        return {
+            templateKey: design.template,
+            template: INVOICE_TEMPLATES[design.template],
+            font: design.font,
+            colors: { ...INVOICE_COLORS, brand: hexToRgb(design.brandColor) },
+            logo: design.logoPosition !== 'none' ? data.agencyLogo || null : null,
+            logoPosition: design.logoPosition,
+            agency: {
+                name: data.agencyName || 'Your Agency',
+                lines: [
+                    data.agencyContact,
+                    ...toLines(data.agencyAddress),
+                    data.agencyGstin && `GSTIN: ${data.agencyGstin}`
+                ].filter(Boolean)
+            },
+            title: labels.title,
+            number: labels.number,
+            meta: [
+                `Date: ${formatDocumentDate(labels.date)}`,
+                `${labels.dueLabel}: ${formatDocumentDate(labels.dueDate)}`
+            ],
+            billTo: {
+                name: data.clientName || '-',
+                lines: [
+                    ...toLines(data.clientAddress),
+                    data.clientGstin && `GSTIN: ${data.clientGstin}`,
+                    isGst && data.clientState && `Place of Supply: ${getGstStateName(data.clientState)}`
+                ].filter(Boolean)
+            },
+            columns,
+            rows,
+            totals,
+            grandTotal: { label: 'Grand Total', value: money(data.grandTotal) },
+            amountInWords: amountInWords(data.grandTotal, data.currency),
+            notes: data.notes || '',
+            bankDetails: getBankDetailLines(settings, design),
+            upi: this.getUpiPayment(data, settings),
+            signature: design.signatureImage ? { image: design.signatureImage, label: design.signatureLabel } : null,
+            thankYou: 'Thank you for your business!',
+            // Estimates keep their disclaimer; the custom footer is for invoices
+            footer: data.estimateNumber ? labels.footer : (design.footerText || labels.footer)
+        };
+    }
+
+    /**
+     * Build the invoice document HTML (shared by preview and saved invoice view)
+     * @param {Object} data - Invoice data
+     * @param {string} extraHTML - Sections appended after the document (payments, credit notes)
+     */
+    renderInvoiceHTML(data, extraHTML = '') {
+        const model = this.getDocumentModel(data, getCurrencySymbol(data.currency));
+        const style = `--invoice-brand: ${rgbToCss(model.colors.brand)}; font-family: ${INVOICE_FONTS[model.font].css};`;
+        const logoHTML = model.logo ? `<div class="invoice-logo-preview"><img src="${model.logo}" alt="Logo"></div>` : '';
+        const linesHTML = (lines) => lines.map(line => `<p>${line}</p>`).join('');
+        const align = (i) => `style="text-align: ${model.columns[i].align};"`;
+
+        return `
+            <div class="invoice-preview invoice-template-${model.templateKey}" style="${style}">
+                ${model.logoPosition === 'center' ? `<div class="invoice-logo-center">${logoHTML}</div>` : ''}
                 <div class="invoice-header-preview">
                     <div class="invoice-agency-preview">
-                        ${data.agencyLogo ? `<div class="invoice-logo-preview"><img src="${data.agencyLogo}" alt="Logo"></div>` : ''}
+                        ${model.logoPosition === 'left' ? logoHTML : ''}
                         <div class="invoice-agency-info-preview">
-                            <h2>${data.agencyName || 'Your Agency'}</h2>
-                            <p>${data.agencyContact || ''}</p>
-                            <p>${(data.agencyAddress || '').replace(/\n/g, '<br>')}</p>
+                            <h2>${model.agency.name}</h2>
+                            ${linesHTML(model.agency.lines)}
                         </div>
                     </div>
                     <div class="invoice-details-preview">
-                        <h1>INVOICE</h1>
-                        <p><strong>${data.invoiceNumber}</strong></p>
-                        <p>Date: ${formatDate(data.invoiceDate)}</p>
-                        <p>Due: ${formatDate(data.dueDate)}</p>
+                        ${model.logoPosition === 'right' ? logoHTML : ''}
+                        <h1>${model.title}</h1>
+                        <p><strong>${model.number}</strong></p>
+                        ${linesHTML(model.meta)}
                     </div>
                 </div>
                 
                 <div class="invoice-parties-preview">
                     <div class="invoice-party-preview">
-                    <h4>Bill To</h4>
-                    <p><strong>${data.clientName || '-'}</strong></p>
-                    <p>${(data.clientAddress || '').replace(/\n/g, '<br>')}</p>
+                        <h4>Bill To</h4>
+                        <p><strong>${model.billTo.name}</strong></p>
+                        ${linesHTML(model.billTo.lines)}
+                    </div>
                 </div>
-            </div>
                 
                 <div class="invoice-items-preview">
                     <table class="invoice-items-table-preview">
                         <thead>
-                            <tr>
-                                <th>Service</th>
-                                <th>Qty</th>
-                                <th>Rate</th>
-                                <th>Amount</th>
-                            </tr>
+                            <tr>${model.columns.map((c, i) => `<th ${align(i)}>${c.label}</th>`).join('')}</tr>
                         </thead>
                         <tbody>
-                            ${data.services.map(s => `
-                                <tr>
-                                    <td>${s.name}</td>
-                                    <td>${s.quantity}</td>
-                                    <td>${currency}${s.rate.toFixed(2)}</td>
-                                    <td>${currency}${s.amount.toFixed(2)}</td>
-                                </tr>
+                            ${model.rows.map(row => `
+                                <tr>${row.map((cell, i) => `<td ${align(i)}>${cell}</td>`).join('')}</tr>
                             `).join('')}
                         </tbody>
                     </table>
@@ -492,34 +742,55 @@ class InvoiceManager {
                 
                 <div class="invoice-totals-preview">
                     <table class="invoice-totals-table-preview">
-                        <tr>
-                            <td>Subtotal</td>
-                            <td>${currency}${data.subtotal.toFixed(2)}</td>
-                        </tr>
-                        ${data.taxPercent > 0 ? `
+                        ${model.totals.map(t => `
                             <tr>
-                                <td>Tax (${data.taxPercent}%)</td>
-                                <td>${currency}${data.taxAmount.toFixed(2)}</td>
+                                <td>${t.label}</td>
+                                <td>${t.value}</td>
                             </tr>
-                        ` : ''}
-                        ${data.discountPercent > 0 ? `
-                            <tr>
-                                <td>Discount (${data.discountPercent}%)</td>
-                                <td>-${currency}${data.discountAmount.toFixed(2)}</td>
-                            </tr>
-                        ` : ''}
+                        `).join('')}
                         <tr class="grand-total">
-                            <td>Grand Total</td>
-                            <td>${currency}${data.grandTotal.toFixed(2)}</td>
+                            <td>${model.grandTotal.label}</td>
+                            <td>${model.grandTotal.value}</td>
                         </tr>
                     </table>
                 </div>
+                <p class="invoice-amount-words-preview"><strong>Amount in words:</strong> ${model.amountInWords}</p>
+
+                ${model.notes ? `
+                    <div class="invoice-notes-preview">
+                        <h4>Notes</h4>
+                        <p>${model.notes}</p>
+                    </div>
+                ` : ''}
+
+                ${model.bankDetails.length > 0 || model.upi || model.signature ? `
+                    <div class="invoice-extras-preview">
+                        <div class="invoice-bank-preview">
+                            ${model.bankDetails.length > 0 ? `<h4>Bank Details</h4>${linesHTML(model.bankDetails)}` : ''}
+                        </div>
+                        ${model.upi ? `
+                            <div class="invoice-upi-preview">
+                                ${qrMatrixToSvg(model.upi.modules)}
+                                <p>${model.upi.label}</p>
+                            </div>
+                        ` : ''}
+                        ${model.signature ? `
+                            <div class="invoice-signature-preview">
+                                <img src="${model.signature.image}" alt="Signature">
+                                <p>${model.signature.label}</p>
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+
+                <div class="invoice-footer-preview">
+                    <p><strong>${model.thankYou}</strong></p>
+                    <p>${model.footer}</p>
+                </div>
+
+                ${extraHTML}
             </div>
         `;
-
-        document.getElementById('invoicePreviewContent').innerHTML = previewHTML;
-        document.getElementById('invoicePreviewModal').classList.add('active');
-        this.currentInvoice = data;
     }
 
     /**
@@ -530,133 +801,179 @@ class InvoiceManager {
     }
 
     /**
-     * Download invoice as PDF - Professional Design
+     * Download invoice as PDF
      */
     async downloadPDF() {
         const data = this.currentInvoice || this.getInvoiceData();
-        const appCurrency = window.appCurrency || '₹';
-        // Fix for standard fonts not supporting ₹ symbol in PDF
-        const currency = appCurrency === '₹' ? 'Rs. ' : appCurrency;
+        const doc = await this.buildPDF(data);
+
+        // Save PDF
+        doc.save(`${this.getDocumentLabels(data).number}.pdf`);
+        showToast(`${data.estimateNumber ? 'Estimate' : 'Invoice'} PDF downloaded successfully`, 'success');
+    }
 
+    /**
+     * Build the invoice PDF from the document model and the chosen template.
+     * Shared by the download and the email attachment so both are identical.
+     * @param {Object} data - Invoice data
+     * @returns {Promise<jsPDF>} The generated document
+     */
+    async buildPDF(data) {
         // Use jsPDF
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
+        const design = normalizeInvoiceDesign(data.design || this.design);
+        const hasUnicodeFonts = await registerPdfFonts(doc, {
+            family: INVOICE_FONTS[design.font].pdf,
+            content: { ...data, agencyLogo: null, design: { ...design, signatureImage: null }, settings: this.agencySettings }
+        });
+
+        const model = this.getDocumentModel(data, pdfSafeText(getCurrencySymbol(data.currency), hasUnicodeFonts));
+        const { template, colors } = model;
+        const font = hasUnicodeFonts ? INVOICE_FONTS[model.font].pdf : model.font;
+
+        // Tamil / Devanagari text is drawn with its own font in the current style
+        const write = (text, x, y, options) => {
+            const { fontStyle } = doc.getFont();
+            doc.setFont(pdfFontFor(doc, text, font), fontStyle);
+            doc.text(text, x, y, options);
+            doc.setFont(font, fontStyle);
+        };
+
         const pageWidth = doc.internal.pageSize.getWidth();
         const pageHeight = doc.internal.pageSize.getHeight();
+        const left = 20;
+        const right = pageWidth - 20;
 
-        // Colors
-        const primaryColor = [99, 102, 241]; // Indigo (Process Blue)
-        const darkColor = [15, 23, 42];      // Slate 900
-        const grayColor = [100, 116, 139];   // Slate 500
-        const lightGray = [241, 245, 249];   // Slate 100
-        const dividerColor = [226, 232, 240]; // Slate 200
-
-        // Helper to format date
-        const formatDate = (dateStr) => {
-            if (!dateStr) return '';
-            const date = new Date(dateStr);
-            return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+        const titleColor = template.titleColor === 'brand' ? colors.brand : colors[template.titleColor];
+        // Text drawn on the header band is white
+        const headerColor = template.headerBand ? colors.white : colors.dark;
+        const headerMuted = template.headerBand ? colors.divider : colors.gray;
+
+        // Image size in mm within a box, keeping its aspect ratio
+        const fitImage = (src, maxWidth, maxHeight) => {
+            try {
+                const props = doc.getImageProperties(src);
+                const scale = Math.min(maxWidth / props.width, maxHeight / props.height);
+                return { src, format: props.fileType, width: props.width * scale, height: props.height * scale };
+            } catch (e) {
+                console.warn('Image could not be added to the PDF:', e);
+                return null;
+            }
         };
+        const drawImage = (image, x, y) => doc.addImage(image.src, image.format, x, y, image.width, image.height);
+
+        const logo = model.logo ? fitImage(model.logo, 40, 18) : null;
+        const logoAt = (position) => logo && model.logoPosition === position;
 
         // ================= HEADER SECTION =================
-        let yPos = 20;
+        // Sizes are worked out first so the band can be drawn behind the text
+        const headerTop = logoAt('center') ? 20 + logo.height + 6 : 20;
+        const leftTop = headerTop + (logoAt('left') ? logo.height + 5 : 0);
+        const rightTop = headerTop + (logoAt('right') ? logo.height + 5 : 0);
+        const headerBottom = Math.max(
+            leftTop + 7 + model.agency.lines.length * 5,
+            rightTop + 14 + model.meta.length * 5
+        );
+
+        if (template.headerBand) {
+            doc.setFillColor(...colors.brand);
+            doc.rect(0, 0, pageWidth, headerBottom + 4, 'F');
+        }
+
+        if (logoAt('center')) drawImage(logo, (pageWidth - logo.width) / 2, 15);
+        if (logoAt('left')) drawImage(logo, left, headerTop - 5);
+        if (logoAt('right')) drawImage(logo, right - logo.width, headerTop - 5);
 
         // 1. Top Left: Agency Name & Details
-        doc.setTextColor(...darkColor);
+        let yPos = leftTop;
+        doc.setTextColor(...headerColor);
         doc.setFontSize(18);
-        doc.setFont('helvetica', 'bold');
-        doc.text(data.agencyName || 'Your Agency', 20, yPos);
+        doc.setFont(font, 'bold');
+        write(model.agency.name, left, yPos);
 
         yPos += 7;
         doc.setFontSize(10);
-        doc.setFont('helvetica', 'normal');
-        doc.setTextColor(...grayColor);
-
-        if (data.agencyContact) {
-            doc.text(data.agencyContact, 20, yPos);
+        doc.setFont(font, 'normal');
+        doc.setTextColor(...headerMuted);
+        model.agency.lines.forEach(line => {
+            write(line, left, yPos);
             yPos += 5;
-        }
-        if (data.agencyAddress) {
-            const addressLines = data.agencyAddress.split('\n');
-            addressLines.forEach(line => {
-                doc.text(line.trim(), 20, yPos);
-                yPos += 5;
-            });
-        }
+        });
 
-        // 2. Top Right: INVOICE Label & Details
-        let rightY = 20;
-        doc.setTextColor(...primaryColor);
+        // 2. Top Right: Title & Details
+        let rightY = rightTop;
+        doc.setTextColor(...titleColor);
         doc.setFontSize(16);
-        doc.setFont('helvetica', 'bold');
-        doc.text('INVOICE', pageWidth - 20, rightY, { align: 'right' });
+        doc.setFont(font, 'bold');
+        write(model.title, right, rightY, { align: 'right' });
 
         rightY += 8;
-        doc.setTextColor(...darkColor);
+        doc.setTextColor(...headerColor);
         doc.setFontSize(11);
-        doc.text(data.invoiceNumber, pageWidth - 20, rightY, { align: 'right' });
+        write(model.number, right, rightY, { align: 'right' });
 
         rightY += 6;
         doc.setFontSize(9);
-        doc.setTextColor(...grayColor);
-        doc.setFont('helvetica', 'normal');
-        doc.text(`Date: ${formatDate(data.invoiceDate)}`, pageWidth - 20, rightY, { align: 'right' });
-
-        rightY += 5;
-        doc.text(`Due: ${formatDate(data.dueDate)}`, pageWidth - 20, rightY, { align: 'right' });
+        doc.setTextColor(...headerMuted);
+        doc.setFont(font, 'normal');
+        model.meta.forEach(line => {
+            write(line, right, rightY, { align: 'right' });
+            rightY += 5;
+        });
 
         // ================= DIVIDER =================
-        yPos = Math.max(yPos, rightY) + 15;
-        doc.setDrawColor(...dividerColor);
-        doc.setLineWidth(0.5);
-        doc.line(20, yPos, pageWidth - 20, yPos);
-        yPos += 15;
-
-        // ================= CLIENT & STATUS SECTION =================
+        if (template.dividers && !template.headerBand) {
+            doc.setDrawColor(...colors.divider);
+            doc.setLineWidth(0.5);
+            doc.line(left, headerBottom + 8, right, headerBottom + 8);
+        }
+        yPos = headerBottom + 20;
 
-        // Left: Bill To
+        // ================= CLIENT SECTION =================
         doc.setFontSize(8);
-        doc.setTextColor(...grayColor);
-        doc.setFont('helvetica', 'bold');
-        doc.text('BILL TO', 20, yPos);
+        doc.setTextColor(...colors.gray);
+        doc.setFont(font, 'bold');
+        write('BILL TO', left, yPos);
 
         let billToY = yPos + 6;
         doc.setFontSize(11);
-        doc.setTextColor(...darkColor);
-        doc.text(data.clientName || '-', 20, billToY);
+        doc.setTextColor(...colors.dark);
+        write(model.billTo.name, left, billToY);
 
         billToY += 6;
         doc.setFontSize(10);
-        doc.setTextColor(...grayColor);
-        doc.setFont('helvetica', 'normal');
-
-        if (data.clientAddress) {
-            const clientLines = data.clientAddress.split('\n');
-            clientLines.forEach(line => {
-                doc.text(line.trim(), 20, billToY);
-                billToY += 5;
-            });
-        }
-
+        doc.setTextColor(...colors.gray);
+        doc.setFont(font, 'normal');
+        model.billTo.lines.forEach(line => {
+            write(line, left, billToY);
+            billToY += 5;
+        });
 
         // ================= TABLE SECTION =================
         yPos = Math.max(billToY, yPos + 15) + 10;
 
-        const tableData = data.services.map((s) => [
-            s.name,
-            s.quantity.toString(),
-            `${currency}${s.rate.toFixed(2)}`,
-            `${currency}${s.amount.toFixed(2)}`
-        ]);
+        const headStyles = {
+            light: { fillColor: [...colors.light], textColor: [...colors.gray] },
+            brand: { fillColor: [...colors.brand], textColor: [...colors.white] },
+            rule: { textColor: [...colors.dark], lineColor: [...colors.dark], lineWidth: { bottom: 0.3 } }
+        }[template.tableHead];
+
+        const lastColumn = model.columns.length - 1;
+        const columnStyles = {};
+        model.columns.forEach((c, i) => {
+            columnStyles[i] = { cellWidth: c.width || 'auto', halign: c.align };
+            if (i === lastColumn) columnStyles[i].fontStyle = 'bold';
+        });
 
         doc.autoTable({
             startY: yPos,
-            head: [['Service Description', 'Qty', 'Rate', 'Amount']],
-            body: tableData,
+            head: [model.columns.map(c => c.label)],
+            body: model.rows,
             theme: 'plain',
+            styles: { font },
             headStyles: {
-                fillColor: [...lightGray],
-                textColor: [...grayColor],
+                ...headStyles,
                 fontStyle: 'bold',
                 fontSize: 9,
                 cellPadding: 8
@@ -664,80 +981,164 @@ class InvoiceManager {
             bodyStyles: {
                 fontSize: 10,
                 cellPadding: 8,
-                textColor: [...darkColor],
-                lineColor: [...dividerColor],
+                textColor: [...colors.dark],
+                lineColor: [...colors.divider],
                 lineWidth: { bottom: 0.1 }
             },
-            columnStyles: {
-                0: { cellWidth: 'auto' }, // Description gets remaining space
-                1: { cellWidth: 20, halign: 'center' },
-                2: { cellWidth: 35, halign: 'right' },
-                3: { cellWidth: 35, halign: 'right', fontStyle: 'bold' }
-            },
-            margin: { left: 20, right: 20 }
+            columnStyles,
+            margin: { left, right: 20 },
+            didParseCell: (cell) => {
+                cell.cell.styles.font = pdfFontFor(doc, cell.cell.text, font);
+            }
         });
 
         // ================= TOTALS SECTION =================
         let totalsY = doc.lastAutoTable.finalY + 10;
-        const totalsRight = pageWidth - 20;
 
-        const printTotalRow = (label, value, isBold = false, isPrimary = false) => {
+        const printTotalRow = (label, value, isBold = false, color = null) => {
             doc.setFontSize(isBold ? 11 : 10);
-            doc.setFont('helvetica', isBold ? 'bold' : 'normal');
-            doc.setTextColor(...(isPrimary ? primaryColor : (isBold ? darkColor : grayColor)));
+            doc.setFont(font, isBold ? 'bold' : 'normal');
+            doc.setTextColor(...(color || (isBold ? colors.dark : colors.gray)));
 
-            doc.text(label, totalsRight - 50, totalsY, { align: 'right' });
-            doc.text(value, totalsRight, totalsY, { align: 'right' });
+            write(label, right - 50, totalsY, { align: 'right' });
+            write(value, right, totalsY, { align: 'right' });
             totalsY += 8;
         };
 
-        printTotalRow('Subtotal', `${currency}${data.subtotal.toFixed(2)}`);
+        model.totals.forEach(t => printTotalRow(t.label, t.value));
 
-        if (data.taxPercent > 0) {
-            printTotalRow(`Tax (${data.taxPercent}%)`, `${currency}${data.taxAmount.toFixed(2)}`);
+        // Grand Total
+        totalsY += 5;
+        if (template.grandTotal === 'box') {
+            doc.setFillColor(...colors.brand);
+            doc.rect(right - 90, totalsY - 6.5, 93, 10, 'F');
+        } else if (template.dividers) {
+            doc.setDrawColor(...colors.divider);
+            doc.setLineWidth(0.5);
+            doc.line(right - 90, totalsY - 8, right, totalsY - 8);
         }
-        if (data.discountPercent > 0) {
-            printTotalRow(`Discount (${data.discountPercent}%)`, `-${currency}${data.discountAmount.toFixed(2)}`);
+        printTotalRow(model.grandTotal.label, model.grandTotal.value, true,
+            template.grandTotal === 'box' ? colors.white : colors.brand);
+
+        doc.setFontSize(9);
+        doc.setFont(font, 'normal');
+        doc.setTextColor(...colors.gray);
+        const wordLines = doc.splitTextToSize(`Amount in words: ${model.amountInWords}`, 120);
+        write(wordLines, right, totalsY, { align: 'right' });
+        totalsY += wordLines.length * 4;
+
+        // ================= NOTES, PAYMENT DETAILS & SIGNATURE =================
+        let blockY = totalsY + 6;
+        const ensureSpace = (height) => {
+            if (blockY + height > pageHeight - 40) {
+                doc.addPage();
+                blockY = 20;
+            }
+        };
+        const printHeading = (text, x, y) => {
+            doc.setFontSize(9);
+            doc.setFont(font, 'bold');
+            doc.setTextColor(...colors.dark);
+            write(text, x, y);
+            doc.setFont(font, 'normal');
+            doc.setTextColor(...colors.gray);
+        };
+
+        if (model.notes) {
+            const noteLines = doc.splitTextToSize(model.notes, pageWidth - 40);
+            ensureSpace(10 + noteLines.length * 4);
+            printHeading('Notes', left, blockY);
+            write(noteLines, left, blockY + 5);
+            blockY += 10 + noteLines.length * 4;
         }
 
-        // Grand Total
-        totalsY += 5;
-        doc.setDrawColor(...dividerColor);
-        doc.setLineWidth(0.5);
-        doc.line(totalsRight - 90, totalsY - 8, totalsRight, totalsY - 8);
+        const signature = model.signature ? fitImage(model.signature.image, 45, 16) : null;
+        if (model.bankDetails.length > 0 || model.upi || signature) {
+            ensureSpace(Math.max(8 + model.bankDetails.length * 4.5, signature ? 30 : 0, model.upi ? 40 : 0));
+
+            if (model.bankDetails.length > 0) {
+                printHeading('Bank Details', left, blockY + 4);
+                model.bankDetails.forEach((line, i) => write(line, left, blockY + 9 + i * 4.5));
+            }
 
-        printTotalRow('Grand Total', `${currency}${data.grandTotal.toFixed(2)}`, true, true);
+            if (model.upi) {
+                // Centered between bank details and signature, or on the right without one
+                const qrSize = 30;
+                const moduleSize = qrSize / model.upi.modules.length;
+                const qrX = signature ? (pageWidth - qrSize) / 2 : right - qrSize;
+                doc.setFillColor(0, 0, 0);
+                model.upi.modules.forEach((row, y) => row.forEach((dark, x) => {
+                    if (dark) doc.rect(qrX + x * moduleSize, blockY + y * moduleSize, moduleSize, moduleSize, 'F');
+                }));
+                doc.setFontSize(7);
+                doc.setTextColor(...colors.gray);
+                write(model.upi.label, qrX + qrSize / 2, blockY + qrSize + 5, { align: 'center' });
+            }
+
+            if (signature) {
+                drawImage(signature, right - 25 - signature.width / 2, blockY + 18 - signature.height);
+                doc.setDrawColor(...colors.divider);
+                doc.setLineWidth(0.3);
+                doc.line(right - 50, blockY + 20, right, blockY + 20);
+                doc.setFontSize(8);
+                doc.setTextColor(...colors.gray);
+                write(model.signature.label, right - 25, blockY + 25, { align: 'center' });
+            }
+        }
 
         // ================= FOOTER =================
         const footerY = pageHeight - 30;
         doc.setFontSize(9);
-        doc.setTextColor(...darkColor);
-        doc.setFont('helvetica', 'bold');
-        doc.text('Thank you for your business!', 20, footerY);
+        doc.setTextColor(...colors.dark);
+        doc.setFont(font, 'bold');
+        write(model.thankYou, left, footerY);
 
         doc.setFontSize(8);
-        doc.setTextColor(...grayColor);
-        doc.setFont('helvetica', 'normal');
-        doc.text('Payment is due within 30 days. Please include the invoice number with your payment.', 20, footerY + 5);
+        doc.setTextColor(...colors.gray);
+        doc.setFont(font, 'normal');
+        write(doc.splitTextToSize(model.footer, pageWidth - 40), left, footerY + 5);
 
-        // Save PDF
-        doc.save(`${data.invoiceNumber}.pdf`);
-        showToast('Invoice PDF downloaded successfully', 'success');
+        return doc;
+    }
+
+    /**
+     * Open the email modal for the saved invoice being viewed
+     */
+    openEmailModal() {
+        const invoice = this.currentInvoice;
+        if (!invoice?.id) {
+            showToast('Save the invoice before emailing it', 'error');
+            return;
+        }
+
+        document.getElementById('invoiceEmailTo').value = invoice.clientEmail || '';
+        document.getElementById('invoiceEmailCc').value = '';
+        document.getElementById('invoiceEmailBcc').value = '';
+        document.getElementById('invoiceEmailSubject').value =
+            `Invoice #${invoice.invoiceNumber} from ${invoice.agencyName || ''}`.trim();
+        document.getElementById('invoiceEmailMessage').value = '';
+        document.getElementById('invoiceEmailModal').classList.add('active');
+        document.getElementById('invoiceEmailTo').focus();
+    }
+
+    closeEmailModal() {
+        document.getElementById('invoiceEmailModal').classList.remove('active');
     }
 
     /**
-     * Send invoice via email (Supabase Edge Function)
+     * Send invoice via email (Supabase Edge Function) with the PDF attached
      */
     async sendEmail() {
-        const data = this.getInvoiceData();
+        const invoice = this.currentInvoice;
+        const to = document.getElementById('invoiceEmailTo').value.trim();
 
-        if (!data.clientEmail) {
+        if (!to) {
             showToast('Please enter a client email address', 'error');
-            document.getElementById('invoiceClientEmail').focus();
+            document.getElementById('invoiceEmailTo').focus();
             return;
         }
 
-        const btn = document.getElementById('emailInvoiceBtn');
+        const btn = document.getElementById('sendInvoiceEmailBtn');
         const originalText = btn ? btn.innerHTML : '';
         if (btn) {
             btn.disabled = true;
@@ -745,32 +1146,33 @@ class InvoiceManager {
         }
 
         try {
-            // TEMPORARILY DISABLED AS REQUESTED
-            // const { data: result, error } = await supabaseClient.functions.invoke('send-invoice', {
-            //     body: {
-            //         invoiceData: data,
-            //         clientEmail: data.clientEmail
-            //     }
-            // });
-
-            // Simulate success for now
-            const result = { success: true };
-            const error = null;
-
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate delay
-
-
-            if (error) throw error;
+            const pdfDataUri = (await this.buildPDF(invoice)).output('datauristring');
+
+            await dataLayer.sendInvoiceEmail({
+                invoiceId: invoice.id,
+                to,
+                cc: document.getElementById('invoiceEmailCc').value,
+                bcc: document.getElementById('invoiceEmailBcc').value,
+                subject: document.getElementById('invoiceEmailSubject').value.trim(),
+                message: document.getElementById('invoiceEmailMessage').value.trim(),
+                pdfBase64: pdfDataUri.split(',')[1],
+                filename: `${invoice.invoiceNumber}.pdf`
+            });
 
-            showToast(`Invoice sent to ${data.clientEmail}`, 'success');
+            showToast(`Invoice sent to ${to}`, 'success');
+            this.closeEmailModal();
         } catch (error) {
             console.error('Error sending email:', error);
-            showToast('Failed to send email. Check API key or console.', 'error');
+            showToast(`Failed to send email: ${error.message || 'Unknown error'}`, 'error');
         } finally {
             if (btn) {
                 btn.disabled = false;
                 btn.innerHTML = originalText;
             }
+            // Show the new entry in the send history
+            if (document.getElementById('invoicePreviewModal').classList.contains('active')) {
+                await this.viewInvoice(invoice.id);
+            }
         }
     }
 
@@ -778,6 +1180,7 @@ class InvoiceManager {
      * Reset the invoice form
      */
     async resetForm() {
+        this.setEditMode(null);
         document.getElementById('invoiceForm').reset();
         this.agencyLogo = null;
         document.getElementById('logoPreview').innerHTML = `
@@ -789,29 +1192,109 @@ class InvoiceManager {
             <span>Upload Logo</span>
         `;
 
+        await this.loadAgencyDetails();
+
         // Reset services to single row
-        const tbody = document.getElementById('servicesBody');
-        tbody.innerHTML = `
-            <tr class="service-row">
-                <td><input type="text" class="service-name" placeholder="Service name" required></td>
-                <td><input type="number" class="service-qty" value="1" min="1" required></td>
-                <td><input type="number" class="service-rate" value="0" min="0" step="0.01" required></td>
-                <td><span class="service-amount">0.00</span></td>
-                <td><button type="button" class="btn-icon remove-service" aria-label="Remove service">×</button></td>
-            </tr>
-        `;
+        document.getElementById('servicesBody').innerHTML = '';
+        this.addServiceRow();
+        document.getElementById('invoiceCurrency').value = getBaseCurrency();
 
-        await this.loadAgencyDetails();
-        await this.generateNewInvoiceNumber();
         this.setDefaultDates();
+        await this.generateNewInvoiceNumber();
         this.calculateTotals();
     }
 
+    /**
+     * Switch the form between creating and editing an invoice
+     * @param {Object|null} invoice - Invoice being edited, or null for a new one
+     */
+    setEditMode(invoice) {
+        this.editingInvoiceId = invoice ? invoice.id : null;
+        document.getElementById('invoiceFormTitle').textContent = invoice ? `Edit Invoice ${invoice.invoiceNumber}` : 'Create Invoice';
+        document.getElementById('resetInvoiceBtn').textContent = invoice ? 'Cancel Edit' : 'Reset';
+        document.getElementById('saveInvoiceBtn').textContent = invoice ? 'Save Changes' : 'Save Invoice';
+        ['saveRecurringBtn', 'saveEstimateBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.style.display = invoice ? 'none' : '';
+        });
+    }
+
+    /**
+     * Load a saved invoice into the form for editing
+     */
+    async editInvoice(id) {
+        const invoice = await dataLayer.getInvoice(id);
+        if (!invoice) return;
+
+        const blocker = getInvoiceEditBlocker(invoice);
+        if (blocker) {
+            showToast(blocker, 'error');
+            return;
+        }
+
+        document.getElementById('invoiceForm').reset();
+        this.setEditMode(invoice);
+
+        const fields = {
+            invoiceAgencyName: invoice.agencyName,
+            invoiceAgencyContact: invoice.agencyContact,
+            invoiceAgencyAddress: invoice.agencyAddress,
+            invoiceAgencyGstin: invoice.agencyGstin,
+            invoiceAgencyState: invoice.agencyState,
+            invoiceClientSelect: invoice.clientId,
+            invoiceClientName: invoice.clientName,
+            invoiceClientEmail: invoice.clientEmail,
+            invoiceClientPhone: invoice.clientPhone,
+            invoiceClientAddress: invoice.clientAddress,
+            invoiceClientGstin: invoice.clientGstin,
+            invoiceClientState: invoice.clientState,
+            invoiceNumber: invoice.invoiceNumber,
+            invoiceDate: invoice.invoiceDate,
+            invoiceDueDate: invoice.dueDate,
+            invoiceCurrency: invoice.currency || getBaseCurrency(),
+            invoiceDiscountPercent: invoice.discountPercent || 0
+        };
+        Object.entries(fields).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (field) field.value = value ?? '';
+        });
+
+        this.agencyLogo = invoice.agencyLogo || this.agencyLogo;
+        if (this.agencyLogo) {
+            document.getElementById('logoPreview').innerHTML = `<img src="${this.agencyLogo}" alt="Agency Logo">`;
+        }
+
+        const tbody = document.getElementById('servicesBody');
+        tbody.innerHTML = '';
+        invoice.services.forEach(service => {
+            this.addServiceRow();
+            const row = tbody.lastElementChild;
+            row.querySelector('.service-name').value = service.name;
+            row.querySelector('.service-hsn').value = service.hsnSac || '';
+            row.querySelector('.service-qty').value = service.quantity;
+            row.querySelector('.service-rate').value = service.rate;
+            if (service.catalogItemId) row.dataset.catalogItemId = service.catalogItemId;
+
+            // Keep a rate that is no longer one of the standard slabs
+            const taxSelect = row.querySelector('.service-tax-rate');
+            if (!Array.from(taxSelect.options).some(o => parseFloat(o.value) === service.taxRate)) {
+                taxSelect.add(new Option(`${service.taxRate}%`, service.taxRate));
+            }
+            taxSelect.value = String(service.taxRate);
+            this.calculateRowAmount(row);
+        });
+        if (invoice.services.length === 0) this.addServiceRow();
+
+        this.calculateTotals();
+        document.querySelector('.invoice-form-section')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
     /**
      * Render invoice history
      */
     async renderInvoiceHistory() {
         const isAdmin = await dataLayer.isAdmin();
+        const userId = await dataLayer.getCurrentUserId();
         const container = document.getElementById('invoiceHistoryList');
         const emptyState = document.getElementById('invoicesEmptyState');
         const historySection = container ? container.closest('.invoice-history-section') : null;
@@ -819,7 +1302,6 @@ class InvoiceManager {
         if (historySection) historySection.style.display = 'block';
 
         const invoices = await dataLayer.getAllInvoices();
-        const currency = window.appCurrency || '₹';
 
         if (invoices.length === 0) {
             container.innerHTML = '';
@@ -828,23 +1310,49 @@ class InvoiceManager {
         }
 
         emptyState.style.display = 'none';
-        container.innerHTML = invoices.map(inv => `
-            <div class="invoice-history-item" data-id="${inv.id}">
+
+        const filter = document.getElementById('invoiceHistoryFilter')?.value || '';
+        const filtered = invoices.filter(inv => {
+            if (filter === 'overdue') return inv.isOverdue;
+            if (filter === 'outstanding') return inv.balanceDue > 0.005;
+            if (filter) return inv.storedPaymentStatus === filter;
+            return true;
+        });
+
+        if (filtered.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No invoices match this filter</p>';
+            return;
+        }
+
+        container.innerHTML = filtered.map(inv => {
+            const currency = getCurrencySymbol(inv.currency);
+            return `
+            <div class="invoice-history-item ${inv.isOverdue ? 'overdue' : ''}" data-id="${inv.id}">
                 <div class="invoice-history-item-header">
                     <strong>${inv.invoiceNumber}</strong>
-                    <span class="badge badge-${inv.paymentStatus}">${inv.paymentStatus}</span>
+                    <span class="badge badge-${inv.paymentStatus}">${formatStatus(inv.paymentStatus)}</span>
                 </div>
                 <div class="invoice-history-item-body">
                     <div style="font-weight: 500;">${inv.clientName}</div>
+                    ${inv.recurringInvoiceId ? `<div class="recurring-tag">↻ ${window.recurringInvoiceManager?.getTemplateName(inv.recurringInvoiceId) || 'Recurring'}</div>` : ''}
                     <div style="font-size: 0.8rem; color: var(--color-text-muted); margin-bottom: 4px;">Created by: ${inv.createdByName || 'Unknown'}</div>
                     <div>${formatDate(inv.invoiceDate)} • ${currency}${inv.grandTotal.toFixed(2)}</div>
+                    ${inv.isOverdue ? `<div class="overdue-tag">Due ${formatDate(inv.dueDate)} • ${inv.daysOverdue} day(s) overdue</div>` : ''}
+                    <div class="invoice-outstanding ${inv.balanceDue > 0 ? 'has-balance' : ''}">
+                        Paid ${currency}${inv.amountPaid.toFixed(2)} • Outstanding ${currency}${inv.balanceDue.toFixed(2)}
+                        ${inv.creditedAmount > 0 ? ` • Credited ${currency}${inv.creditedAmount.toFixed(2)}` : ''}
+                    </div>
                 </div>
                 <div class="invoice-history-actions">
                     <button class="btn btn-sm btn-secondary view-invoice" data-id="${inv.id}">View</button>
-                    ${isAdmin ? `<button class="btn btn-sm btn-danger delete-invoice" data-id="${inv.id}">Delete</button>` : ''}
+                    ${(isAdmin || inv.createdBy === userId) && !getInvoiceEditBlocker(inv) ? `<button class="btn btn-sm btn-secondary edit-invoice" data-id="${inv.id}">Edit</button>` : ''}
+                    ${inv.balanceDue > 0 ? `<button class="btn btn-sm btn-success record-payment" data-id="${inv.id}">Record Payment</button>` : ''}
+                    ${isAdmin && inv.paymentStatus !== 'cancelled' ? `<button class="btn btn-sm btn-secondary credit-invoice" data-id="${inv.id}">Credit Note</button>` : ''}
+                    ${isAdmin && inv.payments.length === 0 && inv.creditNotes.length === 0 ? `<button class="btn btn-sm btn-danger delete-invoice" data-id="${inv.id}">Delete</button>` : ''}
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         // Bind view/delete events
         container.querySelectorAll('.view-invoice').forEach(btn => {
@@ -854,6 +1362,27 @@ class InvoiceManager {
             });
         });
 
+        container.querySelectorAll('.edit-invoice').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.editInvoice(parseInt(btn.dataset.id));
+            });
+        });
+
+        container.querySelectorAll('.record-payment').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openPaymentModal(parseInt(btn.dataset.id));
+            });
+        });
+
+        container.querySelectorAll('.credit-invoice').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                window.creditNoteManager?.openModal(parseInt(btn.dataset.id));
+            });
+        });
+
         container.querySelectorAll('.delete-invoice').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -863,93 +1392,341 @@ class InvoiceManager {
     }
 
     /**
-     * View a saved invoice
+     * Open the record payment modal for an invoice
      */
-    async viewInvoice(id) {
-        const invoice = await dataLayer.getInvoice(id);
+    async openPaymentModal(invoiceId) {
+        const invoice = await dataLayer.getInvoice(invoiceId);
         if (!invoice) return;
 
-        this.currentInvoice = invoice;
+        const currency = getCurrencySymbol(invoice.currency);
+        const form = document.getElementById('invoicePaymentForm');
+        form.reset();
 
-        const currency = window.appCurrency || '₹';
-        const previewHTML = `
-            <div class="invoice-preview">
-                <div class="invoice-header-preview">
-                    <div class="invoice-agency-preview">
-                        ${invoice.agencyLogo ? `<div class="invoice-logo-preview"><img src="${invoice.agencyLogo}" alt="Logo"></div>` : ''}
-                        <div class="invoice-agency-info-preview">
-                            <h2>${invoice.agencyName || 'Your Agency'}</h2>
-                            <p>${invoice.agencyContact || ''}</p>
-                            <p>${(invoice.agencyAddress || '').replace(/\n/g, '<br>')}</p>
-                        </div>
-                    </div>
-                    <div class="invoice-details-preview">
-                        <h1>INVOICE</h1>
-                        <p><strong>${invoice.invoiceNumber}</strong></p>
-                        <p>Date: ${formatDate(invoice.invoiceDate)}</p>
-                        <p>Due: ${formatDate(invoice.dueDate)}</p>
-                    </div>
-                </div>
-                
-                <div class="invoice-parties-preview">
-                    <div class="invoice-party-preview">
-                        <h4>Bill To</h4>
-                        <p><strong>${invoice.clientName || '-'}</strong></p>
-                        <p>${(invoice.clientAddress || '').replace(/\n/g, '<br>')}</p>
-                    </div>
-                </div>
-                
-                <div class="invoice-items-preview">
-                    <table class="invoice-items-table-preview">
-                        <thead>
+        document.getElementById('paymentInvoiceId').value = invoice.id;
+        document.getElementById('invoicePaymentSummary').innerHTML = `
+            <strong>${invoice.invoiceNumber}</strong> • ${invoice.clientName}<br>
+            Total ${currency}${invoice.grandTotal.toFixed(2)} • Paid ${currency}${invoice.amountPaid.toFixed(2)} •
+            <strong>Outstanding ${currency}${invoice.balanceDue.toFixed(2)}</strong>
+        `;
+
+        const amountInput = document.getElementById('paymentAmount');
+        amountInput.value = invoice.balanceDue.toFixed(2);
+        amountInput.max = invoice.balanceDue.toFixed(2);
+        document.getElementById('paymentDate').value = new Date().toISOString().split('T')[0];
+
+        document.getElementById('invoicePaymentModal').classList.add('active');
+    }
+
+    /**
+     * Close the record payment modal
+     */
+    closePaymentModal() {
+        document.getElementById('invoicePaymentModal').classList.remove('active');
+    }
+
+    /**
+     * Save a payment against the selected invoice
+     */
+    async recordPayment() {
+        const invoiceId = parseInt(document.getElementById('paymentInvoiceId').value);
+        const payment = {
+            amount: parseFloat(document.getElementById('paymentAmount').value),
+            paymentDate: document.getElementById('paymentDate').value,
+            paymentMode: document.getElementById('paymentMode').value,
+            reference: document.getElementById('paymentReference').value.trim()
+        };
+
+        if (!payment.amount || payment.amount <= 0) {
+            showToast('Please enter a valid payment amount', 'error');
+            return;
+        }
+
+        const role = await dataLayer.getCurrentUserRole();
+        const userName = await dataLayer.getCurrentUserName();
+        payment.created_by_name = `${role === 'admin' ? 'Admin' : 'Employee'} - ${userName}`;
+
+        try {
+            await dataLayer.addInvoicePayment(invoiceId, payment);
+            showToast('Payment recorded', 'success');
+            this.closePaymentModal();
+            await this.renderInvoiceHistory();
+
+            if (typeof chartsManager !== 'undefined') {
+                chartsManager.updateAllCharts();
+            }
+        } catch (error) {
+            console.error('Error recording payment:', error);
+            showToast(`Failed to record payment: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Remove a recorded payment (admin only)
+     */
+    async deletePayment(paymentId, invoiceId) {
+        if (!(await app.showConfirmationModal('Delete Payment', 'Remove this payment and its income entry?'))) return;
+
+        try {
+            await dataLayer.deleteInvoicePayment(paymentId);
+            showToast('Payment removed', 'success');
+            await this.renderInvoiceHistory();
+            await this.viewInvoice(invoiceId);
+        } catch (error) {
+            console.error('Error deleting payment:', error);
+            showToast('Failed to remove payment', 'error');
+        }
+    }
+
+    /**
+     * Render the credit notes issued against a saved invoice
+     */
+    renderCreditNotes(invoice) {
+        if (!invoice.creditNotes || invoice.creditNotes.length === 0) return '';
+        const currency = getCurrencySymbol(invoice.currency);
+
+        return `
+            <div class="invoice-payments-preview">
+                <h4>Credit Notes</h4>
+                <table class="invoice-items-table-preview">
+                    <thead>
+                        <tr>
+                            <th>Number</th>
+                            <th>Date</th>
+                            <th>Lines</th>
+                            <th>Reason</th>
+                            <th>Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${invoice.creditNotes.map(cn => `
                             <tr>
-                                <th>Service</th>
-                                <th>Qty</th>
-                                <th>Rate</th>
-                                <th>Amount</th>
+                                <td>${cn.creditNoteNumber}</td>
+                                <td>${formatDate(cn.creditDate)}</td>
+                                <td>${cn.items.map(i => `${i.name} × ${i.quantity}`).join('<br>')}</td>
+                                <td>${cn.reason || '-'}</td>
+                                <td>-${currency}${cn.total.toFixed(2)}</td>
                             </tr>
-                        </thead>
-                        <tbody>
-                            ${invoice.services.map(s => `
-                                <tr>
-                                    <td>${s.name}</td>
-                                    <td>${s.quantity}</td>
-                                    <td>${currency}${s.rate.toFixed(2)}</td>
-                                    <td>${currency}${s.amount.toFixed(2)}</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-                
-                <div class="invoice-totals-preview">
-                    <table class="invoice-totals-table-preview">
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the email send history of a saved invoice
+     */
+    renderEmailLog(emails) {
+        if (!emails || emails.length === 0) return '';
+
+        const formatSentAt = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+        return `
+            <div class="invoice-payments-preview">
+                <h4>Email History</h4>
+                <table class="invoice-items-table-preview">
+                    <thead>
                         <tr>
-                            <td>Subtotal</td>
-                            <td>${currency}${invoice.subtotal.toFixed(2)}</td>
+                            <th>Sent</th>
+                            <th>To</th>
+                            <th>Subject</th>
+                            <th>Status</th>
                         </tr>
-                        ${invoice.taxPercent > 0 ? `
+                    </thead>
+                    <tbody>
+                        ${emails.map(e => `
                             <tr>
-                                <td>Tax (${invoice.taxPercent}%)</td>
-                                <td>${currency}${invoice.taxAmount.toFixed(2)}</td>
+                                <td>${formatSentAt(e.sentAt)}</td>
+                                <td>
+                                    ${e.recipient}
+                                    ${e.cc ? `<div class="text-muted" style="font-size: 0.75rem;">CC: ${e.cc}</div>` : ''}
+                                    ${e.bcc ? `<div class="text-muted" style="font-size: 0.75rem;">BCC: ${e.bcc}</div>` : ''}
+                                </td>
+                                <td>${e.subject || '-'}</td>
+                                <td>
+                                    <span class="badge badge-email-${e.status}">${formatStatus(e.status)}</span>
+                                    ${e.error ? `<div class="text-muted" style="font-size: 0.75rem;">${e.error}</div>` : ''}
+                                </td>
                             </tr>
-                        ` : ''}
-                        ${invoice.discountPercent > 0 ? `
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the payment reminders sent for a saved invoice
+     */
+    renderReminderLog(reminders) {
+        if (!reminders || reminders.length === 0) return '';
+
+        return `
+            <div class="invoice-payments-preview">
+                <h4>Payment Reminders</h4>
+                <table class="invoice-items-table-preview">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Subject</th>
+                            <th>To</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${reminders.map(r => `
                             <tr>
-                                <td>Discount (${invoice.discountPercent}%)</td>
-                                <td>-${currency}${invoice.discountAmount.toFixed(2)}</td>
+                                <td>${formatDate(r.sentAt)}</td>
+                                <td>${r.subject || '-'}</td>
+                                <td>${r.recipient || '-'}</td>
+                                <td>
+                                    <span class="badge badge-reminder-${r.status}">${formatStatus(r.status)}</span>
+                                    ${r.error ? `<div class="text-muted" style="font-size: 0.75rem;">${r.error}</div>` : ''}
+                                </td>
                             </tr>
-                        ` : ''}
-                        <tr class="grand-total">
-                            <td>Grand Total</td>
-                            <td>${currency}${invoice.grandTotal.toFixed(2)}</td>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the edit history of a saved invoice, newest first
+     */
+    renderRevisionLog(revisions) {
+        if (!revisions || revisions.length === 0) return '';
+
+        const formatEditedAt = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+        return `
+            <div class="invoice-payments-preview">
+                <h4>Revisions</h4>
+                <table class="invoice-items-table-preview">
+                    <thead>
+                        <tr>
+                            <th>Revision</th>
+                            <th>Edited</th>
+                            <th>By</th>
+                            <th>Changes</th>
                         </tr>
-                    </table>
+                    </thead>
+                    <tbody>
+                        ${revisions.map(r => `
+                            <tr>
+                                <td>#${r.revisionNumber}</td>
+                                <td>${formatEditedAt(r.createdAt)}</td>
+                                <td>${r.editedByName || '-'}</td>
+                                <td>
+                                    ${r.changes.map(c => `
+                                        <div class="revision-change">
+                                            <strong>${c.label}:</strong>
+                                            ${c.from ? `<del class="revision-from">${c.from}</del>` : ''}
+                                            ${c.from && c.to ? '→' : ''}
+                                            ${c.to ? `<ins class="revision-to">${c.to}</ins>` : '<em>removed</em>'}
+                                        </div>
+                                    `).join('')}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the payments ledger for a saved invoice
+     */
+    renderPaymentsLedger(invoice, isAdmin) {
+        const currency = getCurrencySymbol(invoice.currency);
+        if (!invoice.payments || invoice.payments.length === 0) {
+            return `
+                <div class="invoice-payments-preview">
+                    <h4>Payments</h4>
+                    <p class="text-muted">No payments recorded yet. Outstanding: ${currency}${invoice.balanceDue.toFixed(2)}</p>
                 </div>
+            `;
+        }
+
+        return `
+            <div class="invoice-payments-preview">
+                <h4>Payments</h4>
+                <table class="invoice-items-table-preview">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Mode</th>
+                            <th>Reference</th>
+                            <th>Amount</th>
+                            ${isAdmin ? '<th></th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${invoice.payments.map(p => `
+                            <tr>
+                                <td>${formatDate(p.paymentDate)}</td>
+                                <td>${formatPaymentMode(p.paymentMode)}</td>
+                                <td>${p.reference || '-'}</td>
+                                <td>${currency}${p.amount.toFixed(2)}</td>
+                                ${isAdmin ? `<td><button type="button" class="btn-icon delete-payment" data-id="${p.id}" aria-label="Remove payment">×</button></td>` : ''}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <table class="invoice-totals-table-preview">
+                    <tr>
+                        <td>Amount Paid</td>
+                        <td>${currency}${invoice.amountPaid.toFixed(2)}</td>
+                    </tr>
+                    <tr class="grand-total">
+                        <td>Balance Due</td>
+                        <td>${currency}${invoice.balanceDue.toFixed(2)}</td>
+                    </tr>
+                </table>
             </div>
         `;
+    }
+
+    /**
+     * View a saved invoice
+     */
+    async viewInvoice(id) {
+        const invoice = await dataLayer.getInvoice(id);
+        if (!invoice) return;
+
+        this.currentInvoice = invoice;
+
+        const isAdmin = await dataLayer.isAdmin();
+
+        let reminders = [];
+        let emails = [];
+        try {
+            [reminders, emails] = await Promise.all([
+                dataLayer.getInvoiceReminders(invoice.id),
+                dataLayer.getInvoiceEmails(invoice.id)
+            ]);
+        } catch (error) {
+            console.warn('Could not load email history', error);
+        }
 
-        document.getElementById('invoicePreviewContent').innerHTML = previewHTML;
+        let revisions = [];
+        try {
+            revisions = await dataLayer.getInvoiceRevisions(invoice.id);
+        } catch (error) {
+            console.warn('Could not load revision history', error);
+        }
+
+        const previewHTML = this.renderInvoiceHTML(invoice,
+            this.renderPaymentsLedger(invoice, isAdmin) + this.renderCreditNotes(invoice) +
+            this.renderRevisionLog(revisions) + this.renderEmailLog(emails) + this.renderReminderLog(reminders));
+
+        const previewContent = document.getElementById('invoicePreviewContent');
+        previewContent.innerHTML = previewHTML;
+        previewContent.querySelectorAll('.delete-payment').forEach(btn => {
+            btn.addEventListener('click', () => this.deletePayment(parseInt(btn.dataset.id), invoice.id));
+        });
+        document.getElementById('emailFromPreviewBtn').style.display = '';
         document.getElementById('invoicePreviewModal').classList.add('active');
     }
 
@@ -965,40 +1742,19 @@ class InvoiceManager {
             await this.renderInvoiceHistory();
         } catch (error) {
             console.error('Error deleting invoice:', error);
-            showToast('Failed to delete invoice', 'error');
+            showToast(`Failed to delete invoice: ${error.message || 'Unknown error'}`, 'error');
         }
     }
 
     /**
-     * Handle importing invoices from JSON
+     * Open the import preview for the chosen CSV or JSON file
      */
     async handleImportInvoices(e) {
         const file = e.target.files[0];
         if (!file) return;
 
         try {
-            const text = await file.text();
-            let data;
-
-            try {
-                data = JSON.parse(text);
-            } catch (err) {
-                throw new Error('Invalid JSON file format');
-            }
-
-            // Allow importing a single object or an array
-            const invoices = Array.isArray(data) ? data : [data];
-
-            showToast('Importing invoices...', 'info');
-            const result = await dataLayer.importInvoices(invoices);
-
-            if (result.success) {
-                showToast(result.message, 'success');
-                await this.renderInvoiceHistory(); // Refresh list
-                await this.generateNewInvoiceNumber(); // Update next ID
-            } else {
-                throw new Error(result.error?.message || 'Import failed');
-            }
+            await invoiceImportManager.open(file);
         } catch (error) {
             console.error('Import error:', error);
             showToast(`Import Failed: ${error.message}`, 'error');
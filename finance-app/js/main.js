@@ -49,7 +49,8 @@ function formatPaymentMode(mode) {
  */
 function formatStatus(status) {
     if (!status) return '-';
-    return status.charAt(0).toUpperCase() + status.slice(1);
+    const label = status.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
 }
 
 /**
@@ -0,0 +1,190 @@
+/**
+ * FinanceFlow - Document Numbering
+ * Per-organization number formats for invoices, estimates and credit notes
+ * (Settings). Numbers themselves are allocated by the database.
+ */
+
+const NUMBERING_TOKENS = ['PREFIX', 'FY', 'YYYY', 'MM', 'CLIENT', 'SEQ'];
+
+// Used until an admin saves a scheme; matches the database defaults
+const DEFAULT_NUMBERING_PREFIXES = {
+    invoice: 'INV',
+    estimate: 'EST',
+    credit_note: 'CN'
+};
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Format a document number the same way the database does
+ * @param {Object} scheme - prefix, pattern, padding, fyStartMonth
+ * @param {number} seq - sequence value
+ * @param {string} date - document date (YYYY-MM-DD)
+ * @param {string} clientCode - short client code for {CLIENT}
+ */
+function formatDocumentNumber(scheme, seq, date, clientCode) {
+    const [year, month] = date.split('-').map(Number);
+    const fyStartMonth = parseInt(scheme.fyStartMonth) || 4;
+    const fyStartYear = month < fyStartMonth ? year - 1 : year;
+    const fyLabel = fyStartMonth === 1
+        ? String(fyStartYear)
+        : `${fyStartYear}-${String((fyStartYear + 1) % 100).padStart(2, '0')}`;
+
+    return scheme.pattern
+        .split('{PREFIX}').join(scheme.prefix || '')
+        .split('{FY}').join(fyLabel)
+        .split('{YYYY}').join(String(year))
+        .split('{MM}').join(String(month).padStart(2, '0'))
+        .split('{CLIENT}').join(clientCode || 'NONE')
+        .split('{SEQ}').join(String(seq).padStart(parseInt(scheme.padding) || 1, '0'));
+}
+
+/**
+ * Problems with a scheme, or null if it can be saved
+ */
+function validateNumberingScheme(scheme) {
+    const unknown = (scheme.pattern.match(/\{[^}]*\}/g) || [])
+        .filter(token => !NUMBERING_TOKENS.includes(token.slice(1, -1)));
+
+    if (unknown.length > 0) return `Unknown token: ${unknown[0]}`;
+    if (!scheme.pattern.includes('{SEQ}')) return 'The pattern must include {SEQ}';
+    if (scheme.resetYearly && !scheme.pattern.includes('{FY}')) {
+        return 'Add {FY} to the pattern to restart numbering every financial year';
+    }
+    if (scheme.perClient && !scheme.pattern.includes('{CLIENT}')) {
+        return 'Add {CLIENT} to the pattern to number each client separately';
+    }
+    return null;
+}
+
+class NumberingManager {
+    constructor() {
+        this.schemes = [];
+    }
+
+    /**
+     * Initialize numbering settings (admins only)
+     */
+    async init() {
+        document.getElementById('numberingTokenHelp').textContent =
+            `Tokens: ${NUMBERING_TOKENS.map(t => `{${t}}`).join(', ')}. {FY} is the financial year (e.g. 2026-27), {CLIENT} a code from the client's name (e.g. ACMETR for Acme Traders).`;
+        document.getElementById('numberingFyStartMonth').innerHTML =
+            MONTH_NAMES.map((name, i) => `<option value="${i + 1}">${name}</option>`).join('');
+
+        this.bindEvents();
+        await this.render();
+    }
+
+    bindEvents() {
+        const form = document.getElementById('numberingForm');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => this.handleSave(e));
+        document.getElementById('numberingDocumentType').addEventListener('change', () => this.fillForm());
+
+        ['numberingPrefix', 'numberingPattern', 'numberingPadding', 'numberingFyStartMonth',
+            'numberingResetYearly', 'numberingPerClient'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateExample());
+            document.getElementById(id).addEventListener('change', () => this.updateExample());
+        });
+    }
+
+    /**
+     * Reload the saved schemes and show the selected one
+     */
+    async render() {
+        try {
+            this.schemes = await dataLayer.getNumberingSchemes();
+        } catch (error) {
+            console.error('Error loading numbering schemes:', error);
+            return;
+        }
+
+        this.fillForm();
+    }
+
+    fillForm() {
+        const documentType = document.getElementById('numberingDocumentType').value;
+        const scheme = this.schemes.find(s => s.documentType === documentType) || {
+            prefix: DEFAULT_NUMBERING_PREFIXES[documentType],
+            pattern: '{PREFIX}-{SEQ}',
+            padding: 4,
+            resetYearly: false,
+            perClient: false,
+            fyStartMonth: 4
+        };
+
+        document.getElementById('numberingPrefix').value = scheme.prefix;
+        document.getElementById('numberingPattern').value = scheme.pattern;
+        document.getElementById('numberingPadding').value = scheme.padding;
+        document.getElementById('numberingResetYearly').checked = scheme.resetYearly;
+        document.getElementById('numberingPerClient').checked = scheme.perClient;
+        document.getElementById('numberingFyStartMonth').value = scheme.fyStartMonth;
+
+        this.updateExample();
+        this.showNextNumber(documentType);
+    }
+
+    getFormScheme() {
+        return {
+            documentType: document.getElementById('numberingDocumentType').value,
+            prefix: document.getElementById('numberingPrefix').value.trim(),
+            pattern: document.getElementById('numberingPattern').value.trim(),
+            padding: document.getElementById('numberingPadding').value,
+            resetYearly: document.getElementById('numberingResetYearly').checked,
+            perClient: document.getElementById('numberingPerClient').checked,
+            fyStartMonth: document.getElementById('numberingFyStartMonth').value
+        };
+    }
+
+    /**
+     * Example number for today as the form is edited
+     */
+    updateExample() {
+        const scheme = this.getFormScheme();
+        const problem = scheme.pattern ? validateNumberingScheme(scheme) : 'Enter a pattern';
+        const today = new Date().toISOString().split('T')[0];
+
+        document.getElementById('numberingExample').textContent =
+            problem || formatDocumentNumber(scheme, 1, today, 'ACMETR');
+    }
+
+    /**
+     * Next number of the saved scheme (for today, without a client)
+     */
+    async showNextNumber(documentType) {
+        const target = document.getElementById('numberingNext');
+        target.textContent = '';
+
+        try {
+            const next = await dataLayer.previewDocumentNumber(documentType);
+            target.textContent = next ? `• next: ${next}` : '';
+        } catch (error) {
+            console.error('Error previewing document number:', error);
+        }
+    }
+
+    async handleSave(e) {
+        e.preventDefault();
+
+        const scheme = this.getFormScheme();
+        const problem = validateNumberingScheme(scheme);
+        if (problem) {
+            showToast(problem, 'error');
+            return;
+        }
+
+        try {
+            await dataLayer.saveNumberingScheme(scheme);
+            showToast('Numbering saved', 'success');
+        } catch (error) {
+            console.error('Error saving numbering scheme:', error);
+            showToast(`Failed to save numbering: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+}
+
+window.numberingManager = new NumberingManager();
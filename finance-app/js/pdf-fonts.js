@@ -0,0 +1,125 @@
+/**
+ * FinanceFlow - PDF Fonts
+ * Unicode TrueType fonts embedded in generated PDFs. jsPDF's built-in fonts
+ * only cover Latin-1, so '₹' and Tamil or Hindi text came out garbled.
+ */
+
+// Noto fonts served with the app from fonts/noto (SIL Open Font License, see
+// fonts/noto/OFL.txt), as <Family>-Regular.ttf and <Family>-Bold.ttf.
+// Each family is downloaded the first time a PDF needs it and cached for the session.
+const PDF_FONT_BASE_URL = 'fonts/noto';
+
+const PDF_FONT_FAMILIES = ['NotoSans', 'NotoSerif', 'NotoSansMono', 'NotoSansTamil', 'NotoSansDevanagari'];
+
+// A PDF font has no per-glyph fallback, so text in these scripts switches family.
+// jsPDF draws the glyphs but doesn't apply OpenType shaping, so some
+// conjuncts are shown in their unjoined form.
+const PDF_SCRIPT_FONTS = [
+    { pattern: /[\u0B80-\u0BFF]/, family: 'NotoSansTamil' },
+    { pattern: /[\u0900-\u097F]/, family: 'NotoSansDevanagari' }
+];
+
+const PDF_FONT_STYLES = { normal: 'Regular', bold: 'Bold' };
+
+// Family -> Promise of its downloaded styles
+const pdfFontCache = new Map();
+
+// Document -> script families registered for it; pdfFontFor only switches to these
+const pdfScriptFamilies = new WeakMap();
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked - String.fromCharCode can't take a whole font as arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Download the styles of one family once
+ * @returns {Promise<Array<{file, family, style, data}>>}
+ */
+function loadPdfFontFamily(family) {
+    if (!pdfFontCache.has(family)) {
+        const files = Object.entries(PDF_FONT_STYLES).map(([style, suffix]) => ({
+            family,
+            style,
+            file: `${family}-${suffix}.ttf`,
+            url: `${PDF_FONT_BASE_URL}/${family}-${suffix}.ttf`
+        }));
+
+        pdfFontCache.set(family, Promise.all(files.map(async (f) => {
+            const response = await fetch(f.url);
+            if (!response.ok) throw new Error(`Failed to load ${f.file} (${response.status})`);
+            return { ...f, data: arrayBufferToBase64(await response.arrayBuffer()) };
+        })).catch((error) => {
+            // Let the next export try again
+            pdfFontCache.delete(family);
+            throw error;
+        }));
+    }
+    return pdfFontCache.get(family);
+}
+
+/**
+ * Embed the Unicode fonts a document needs: its Latin family, plus the Tamil
+ * or Devanagari family only when the content contains that script. If the
+ * Latin family can't be downloaded the document keeps jsPDF's built-in
+ * fonts, so callers must check the result.
+ * @param {jsPDF} doc
+ * @param {Object} options - family: Latin family; content: text or data the document will show
+ * @returns {Promise<boolean>} Whether the Unicode fonts are available
+ */
+async function registerPdfFonts(doc, { family = 'NotoSans', content = '' } = {}) {
+    const addFonts = (fonts) => fonts.forEach(f => {
+        doc.addFileToVFS(f.file, f.data);
+        doc.addFont(f.file, f.family, f.style);
+    });
+
+    const scriptFamilies = new Set();
+    pdfScriptFamilies.set(doc, scriptFamilies);
+    try {
+        addFonts(await loadPdfFontFamily(family));
+    } catch (error) {
+        console.warn('Unicode PDF fonts unavailable, using built-in fonts:', error);
+        showToast('PDF fonts could not be loaded: ₹ is printed as "Rs." and Tamil or Hindi text may not display', 'warning');
+        return false;
+    }
+
+    const text = typeof content === 'string' ? content : JSON.stringify(content ?? '');
+    for (const script of PDF_SCRIPT_FONTS.filter(s => s.pattern.test(text))) {
+        try {
+            addFonts(await loadPdfFontFamily(script.family));
+            scriptFamilies.add(script.family);
+        } catch (error) {
+            console.warn(`${script.family} unavailable, that text uses ${family}:`, error);
+            showToast(`PDF font ${script.family} could not be loaded: that text may not display`, 'warning');
+        }
+    }
+
+    doc.setFont(family, 'normal');
+    return true;
+}
+
+/**
+ * Font family to draw a piece of text with: the script's Noto font when it
+ * contains Tamil or Devanagari (and that font was registered), otherwise
+ * the given family
+ * @param {jsPDF} doc - Document the fonts were registered on
+ * @param {string|string[]} text
+ * @param {string} family - Family used for Latin text
+ */
+function pdfFontFor(doc, text, family) {
+    const value = Array.isArray(text) ? text.join(' ') : String(text ?? '');
+    const match = PDF_SCRIPT_FONTS.find(s => s.pattern.test(value));
+    return match && PDF_FONT_FAMILIES.includes(family) && pdfScriptFamilies.get(doc)?.has(match.family) ? match.family : family;
+}
+
+/**
+ * Built-in fonts have no rupee glyph; spell it out instead
+ */
+function pdfSafeText(text, hasUnicodeFonts) {
+    return hasUnicodeFonts ? text : String(text ?? '').replace(/₹\s?/g, 'Rs. ');
+}
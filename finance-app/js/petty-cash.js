@@ -113,6 +113,7 @@ const pettyCashManager = {
             this.dom.expenseForm.reset();
             const dateInput = document.getElementById('pcExpenseDate');
             if (dateInput) dateInput.value = new Date().toISOString().split('T')[0];
+            window.attachmentManager?.resetField('pettyCashAttachmentField', 'petty_cash');
             this.dom.expenseModal.classList.add('active');
         }
     },
@@ -257,6 +258,9 @@ const pettyCashManager = {
 
         const isAdmin = await dataLayer.isAdmin();
         const currentUserId = await dataLayer.getCurrentUserId();
+        const { byRecord, urls } = window.attachmentManager
+            ? await attachmentManager.loadForRecords('petty_cash', entries.map(e => e.id))
+            : { byRecord: new Map(), urls: new Map() };
 
         // Update Table
         if (this.dom.tableBody) {
@@ -299,8 +303,20 @@ const pettyCashManager = {
                         `;
                     }
 
-                    // Delete button: Admins can delete anything. Employees can only delete their own PENDING entries.
                     const isOwnEntry = entry.user_id === currentUserId;
+                    const thumbnails = window.attachmentManager ? attachmentManager.renderThumbnails(entry.id, byRecord, urls) : '';
+                    const needsReceipt = !isFund && status === 'pending' && entry.user_id !== entry.admin_id && !thumbnails;
+
+                    // Receipts: admins on anything, employees on their own entries
+                    if (window.attachmentManager && (isAdmin || isOwnEntry)) {
+                        actionsHtml += `
+                            <button class="btn-icon" onclick="pettyCashManager.openAttachments('${entry.id}')" title="Attachments">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/></svg>
+                            </button>
+                        `;
+                    }
+
+                    // Delete button: Admins can delete anything. Employees can only delete their own PENDING entries.
                     const canDelete = isAdmin || (status === 'pending' && isOwnEntry);
 
                     if (canDelete) {
@@ -315,7 +331,11 @@ const pettyCashManager = {
                         <td>${formatDate(entry.date)}</td>
                         <td><span class="badge ${isFund ? 'badge-primary' : 'badge-secondary'}" style="margin-bottom: 4px; display: inline-block;">${isFund ? 'Fund IN' : 'Expense OUT'}</span></td>
                         <td><span style="font-weight: 500;">${addedBy}</span></td>
-                        <td>${entry.description}</td>
+                        <td>
+                            ${entry.description}
+                            ${thumbnails}
+                            ${needsReceipt ? '<div class="text-danger" style="font-size: 0.75rem;">Receipt required for approval</div>' : ''}
+                        </td>
                         <td>${entry.category || '-'}</td>
                         <td class="${amountClass}" style="font-weight: 600;">
                             ${amountPrefix}${formatCurrency(entry.amount, window.appCurrency || '₹')}
@@ -329,6 +349,8 @@ const pettyCashManager = {
                     `;
                     this.dom.tableBody.appendChild(row);
                 });
+
+                window.attachmentManager?.bindThumbnails(this.dom.tableBody, byRecord, urls);
             }
         }
     },
@@ -378,7 +400,7 @@ const pettyCashManager = {
             }
         }
 
-        await this.addTransaction({
+        const saved = await this.addTransaction({
             amount,
             description,
             date,
@@ -387,6 +409,14 @@ const pettyCashManager = {
             employee_id: employeeId,
             employee_name: employeeName
         });
+        if (!saved) return;
+
+        if (window.attachmentManager) {
+            const { failed } = await attachmentManager.uploadPending('pettyCashAttachmentField', saved.id);
+            if (failed.length > 0) {
+                showToast(`Expense saved, but ${failed.map(name => attachmentManager.escapeHtml(name)).join(', ')} failed to upload. Use the attachments button to retry.`, 'warning');
+            }
+        }
 
         this.closeModal('expense');
     },
@@ -416,22 +446,46 @@ const pettyCashManager = {
                 created_at: new Date().toISOString()
             };
 
-            const { error } = await supabaseClient
+            const { data: saved, error } = await supabaseClient
                 .from('petty_cash_entries')
-                .insert(entry);
+                .insert(entry)
+                .select()
+                .single();
 
             if (error) throw error;
 
             showToast(status === 'pending' ? 'Expense submitted for approval' : 'Transaction added successfully', 'success');
             await this.loadData();
+            return saved;
 
         } catch (error) {
             console.error('Error adding transaction:', error);
             showToast('Failed to add transaction', 'error');
+            return null;
         }
     },
 
+    openAttachments(id) {
+        const entry = this.entries.find(e => e.id == id);
+        if (!entry) return;
+
+        attachmentManager.openRecordModal('petty_cash', entry.id, `Attachments - ${entry.description}`);
+    },
+
     async updateStatus(id, newStatus) {
+        const entry = this.entries.find(e => e.id == id);
+        const needsReceipt = newStatus === 'approved' && entry?.transaction_type === 'expense' && entry.user_id !== entry.admin_id;
+        try {
+            if (needsReceipt && !(await dataLayer.hasAttachments('petty_cash', id))) {
+                showToast('Attach a receipt before approving this expense', 'error');
+                return;
+            }
+        } catch (error) {
+            console.error('Error checking attachments:', error);
+            showToast('Failed to check attachments', 'error');
+            return;
+        }
+
         if (!(await app.showConfirmationModal('Update Status', `Are you sure you want to ${newStatus === 'approved' ? 'approve' : 'decline'} this entry?`))) return;
 
         try {
@@ -471,12 +525,14 @@ const pettyCashManager = {
         if (!(await app.showConfirmationModal('Delete Entry', 'Are you sure you want to delete this entry?'))) return;
 
         try {
+            const attachments = await dataLayer.getAttachments('petty_cash', [id]);
             const { error } = await supabaseClient
                 .from('petty_cash_entries')
                 .delete()
                 .eq('id', parseInt(id));
 
             if (error) throw error;
+            await dataLayer.removeAttachmentFiles(attachments);
 
             showToast('Entry deleted', 'success');
 
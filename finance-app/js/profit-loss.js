@@ -0,0 +1,323 @@
+/**
+ * FinanceFlow - Profit and Loss
+ * Profit and loss statement for any period, grouped by category, with the
+ * previous period and the same period last year alongside. Accrual basis
+ * (invoices) or cash basis (received entries); exports to PDF and CSV.
+ * Admins only.
+ */
+
+const PNL_COLUMN_LABELS = {
+    current: 'This Period',
+    previous: 'Previous Period',
+    lastYear: 'Same Period Last Year'
+};
+
+const PNL_BASIS_NOTES = {
+    accrual: 'Accrual basis: invoices count when issued, net of tax and less credit notes. Other entries count whether received or pending.',
+    cash: 'Cash basis: only entries marked received, as recorded (including any tax collected on invoices).'
+};
+
+/**
+ * Date range of a period preset. Quarters are calendar quarters; the
+ * financial year starts in the month set for invoice numbering.
+ * @returns {{fromDate: string, toDate: string}}
+ */
+const getPnlPresetRange = (preset, fyStartMonth = 4, today = new Date()) => {
+    const year = today.getFullYear();
+    const month = today.getMonth() + 1;
+    // Month overflow and day 0 roll over, as in getPnlComparisonPeriods
+    const isoDate = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().split('T')[0];
+    const months = (startYear, startMonth, count) => ({
+        fromDate: isoDate(startYear, startMonth, 1),
+        toDate: isoDate(startYear, startMonth + count, 0)
+    });
+    const quarterStart = month - ((month - 1) % 3);
+    const fyStartYear = month < fyStartMonth ? year - 1 : year;
+
+    switch (preset) {
+        case 'lastMonth': return months(year, month - 1, 1);
+        case 'thisQuarter': return months(year, quarterStart, 3);
+        case 'lastQuarter': return months(year, quarterStart - 3, 3);
+        case 'thisFinancialYear': return months(fyStartYear, fyStartMonth, 12);
+        case 'lastFinancialYear': return months(fyStartYear - 1, fyStartMonth, 12);
+        case 'thisYear': return months(year, 1, 12);
+        default: return months(year, month, 1);
+    }
+};
+
+class ProfitLossManager {
+    constructor() {
+        this.report = null;
+    }
+
+    /**
+     * Initialize profit and loss manager
+     */
+    init() {
+        this.bindEvents();
+        this.applyPreset();
+    }
+
+    bindEvents() {
+        document.getElementById('pnlPeriodPreset')?.addEventListener('change', () => {
+            this.applyPreset();
+            this.load();
+        });
+        ['pnlFromDate', 'pnlToDate'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                document.getElementById('pnlPeriodPreset').value = 'custom';
+                this.load();
+            });
+        });
+        document.getElementById('pnlBasis')?.addEventListener('change', () => this.load());
+        document.getElementById('downloadPnlCsv')?.addEventListener('click', () => this.downloadCSV());
+        document.getElementById('downloadPnlPdf')?.addEventListener('click', () => this.downloadPDF());
+
+        // Keep the page current while it's open
+        const refresh = () => {
+            if (app.currentPage === 'profitLoss') this.load();
+        };
+        [DATA_STORES.ENTRIES, DATA_STORES.INVOICES, DATA_STORES.INVOICE_PAYMENTS, DATA_STORES.CREDIT_NOTES, DATA_STORES.ENTRY_CATEGORIES]
+            .forEach(store => dataLayer.subscribe(store, refresh));
+    }
+
+    /**
+     * Fill the dates from the chosen preset (custom leaves them as they are)
+     */
+    applyPreset() {
+        const preset = document.getElementById('pnlPeriodPreset').value;
+        if (preset === 'custom') return;
+
+        const fyStartMonth = window.numberingManager?.schemes?.find(s => s.documentType === 'invoice')?.fyStartMonth;
+        const { fromDate, toDate } = getPnlPresetRange(preset, parseInt(fyStartMonth) || 4);
+        document.getElementById('pnlFromDate').value = fromDate;
+        document.getElementById('pnlToDate').value = toDate;
+    }
+
+    async load() {
+        const fromDate = document.getElementById('pnlFromDate').value;
+        const toDate = document.getElementById('pnlToDate').value;
+        const basis = document.getElementById('pnlBasis').value;
+
+        if (!fromDate || !toDate) return;
+        if (fromDate > toDate) {
+            showToast('The start date must be before the end date', 'error');
+            return;
+        }
+
+        try {
+            this.report = await dataLayer.getProfitAndLoss({ fromDate, toDate, basis });
+            this.render();
+        } catch (error) {
+            console.error('Error loading profit and loss:', error);
+            showToast(`Failed to load profit and loss: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Accounting style: losses and credit notes in brackets
+     */
+    formatAmount(value) {
+        const currency = this.report.baseCurrency;
+        return value < -0.005 ? `(${formatMoney(-value, currency)})` : formatMoney(value, currency);
+    }
+
+    getPeriodLabel(period) {
+        return `${formatDate(period.fromDate)} - ${formatDate(period.toDate)}`;
+    }
+
+    render() {
+        const { basis, periods, income, expense, netProfit, missingRates, baseCurrency } = this.report;
+        const money = (value) => this.formatAmount(value);
+        const amountCells = (amounts) => amounts.map(value => `<td class="pnl-amount">${money(value)}</td>`).join('');
+
+        document.getElementById('pnlIncomeValue').textContent = money(income.totals[0]);
+        document.getElementById('pnlExpenseValue').textContent = money(expense.totals[0]);
+        document.getElementById('pnlNetValue').textContent = money(netProfit[0]);
+        document.getElementById('pnlNetLabel').textContent = netProfit[0] < 0 ? 'Net Loss' : 'Net Profit';
+        document.getElementById('pnlMarginValue').textContent = income.totals[0] > 0
+            ? `${((netProfit[0] / income.totals[0]) * 100).toFixed(1)}%`
+            : '-';
+
+        document.getElementById('pnlBasisNote').textContent = [
+            PNL_BASIS_NOTES[basis],
+            `Amounts in ${baseCurrency}.`,
+            missingRates.length > 0 ? `Missing exchange rates for ${missingRates.join(', ')}; those amounts are not converted.` : ''
+        ].filter(Boolean).join(' ');
+
+        const section = (title, { groups, totals }, emptyText) => `
+            <tr class="pnl-section-row"><td colspan="${periods.length + 1}">${title}</td></tr>
+            ${groups.map(group => `
+                <tr class="pnl-group-row">
+                    <td>${group.name}</td>
+                    ${amountCells(group.amounts)}
+                </tr>
+                ${group.lines.map(line => `
+                    <tr class="pnl-line-row">
+                        <td>${line.name}</td>
+                        ${amountCells(line.amounts)}
+                    </tr>
+                `).join('')}
+            `).join('')}
+            ${groups.length === 0 ? `<tr><td colspan="${periods.length + 1}" class="text-muted">${emptyText}</td></tr>` : ''}
+            <tr class="pnl-total-row">
+                <td>Total ${title.toLowerCase()}</td>
+                ${amountCells(totals)}
+            </tr>
+        `;
+
+        document.getElementById('pnlContent').innerHTML = `
+            <table class="services-table pnl-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${periods.map(period => `
+                            <th class="pnl-amount">${PNL_COLUMN_LABELS[period.key]}<small>${this.getPeriodLabel(period)}</small></th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${section('Income', income, 'No income in these periods.')}
+                    ${section('Expenses', expense, 'No expenses in these periods.')}
+                </tbody>
+                <tfoot>
+                    <tr class="pnl-net-row">
+                        <td>Net profit / (loss)</td>
+                        ${amountCells(netProfit)}
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    getFilename(extension) {
+        const { basis, periods } = this.report;
+        return `profit-and-loss-${basis}-${periods[0].fromDate}-to-${periods[0].toDate}.${extension}`;
+    }
+
+    /**
+     * One row per group and line, so the file can be pivoted or summed
+     */
+    getExportRows() {
+        const { income, expense, netProfit } = this.report;
+        const rows = [];
+
+        [['Income', income], ['Expenses', expense]].forEach(([title, { groups, totals }]) => {
+            groups.forEach(group => {
+                rows.push({ section: title, category: group.name, line: '', amounts: group.amounts, level: 'group' });
+                group.lines.forEach(line => {
+                    rows.push({ section: title, category: group.name, line: line.name, amounts: line.amounts, level: 'line' });
+                });
+            });
+            rows.push({ section: title, category: `Total ${title.toLowerCase()}`, line: '', amounts: totals, level: 'total' });
+        });
+        rows.push({ section: '', category: 'Net profit / (loss)', line: '', amounts: netProfit, level: 'net' });
+
+        return rows;
+    }
+
+    downloadCSV() {
+        if (!this.report) return;
+
+        const { periods, baseCurrency } = this.report;
+        const row = (cells) => cells.map(toCsvCell).join(',');
+
+        const rows = [
+            row(['Section', 'Category', 'Line', ...periods.map(period =>
+                `${PNL_COLUMN_LABELS[period.key]} ${period.fromDate} to ${period.toDate} (${baseCurrency})`)]),
+            ...this.getExportRows().map(r => row([r.section, r.category, r.line, ...r.amounts.map(value => value.toFixed(2))]))
+        ];
+
+        const blob = new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' });
+        app.downloadBlob(blob, this.getFilename('csv'));
+    }
+
+    async downloadPDF() {
+        if (!this.report) return;
+
+        try {
+            const { basis, periods, baseCurrency } = this.report;
+            const settings = invoiceManager.agencySettings || {};
+
+            const { jsPDF } = window.jspdf;
+            const doc = new jsPDF();
+            const hasUnicodeFonts = await registerPdfFonts(doc, { content: [this.report, settings] });
+            const font = hasUnicodeFonts ? 'NotoSans' : 'helvetica';
+            const safe = (text) => pdfSafeText(text, hasUnicodeFonts);
+            const money = (value) => safe(this.formatAmount(value));
+            const write = (text, x, y, options) => {
+                const { fontStyle } = doc.getFont();
+                doc.setFont(pdfFontFor(doc, text, font), fontStyle);
+                doc.text(safe(text), x, y, options);
+                doc.setFont(font, fontStyle);
+            };
+
+            const right = doc.internal.pageSize.getWidth() - 14;
+
+            // Agency (left) and title (right)
+            doc.setFont(font, 'bold');
+            doc.setFontSize(14);
+            write(settings.agencyName || 'FinanceFlow', 14, 20);
+            doc.setFont(font, 'normal');
+            doc.setFontSize(9);
+            doc.setTextColor(100);
+            const agencyLines = [
+                ...(settings.agencyAddress || '').split('\n'),
+                settings.agencyGstin ? `GSTIN: ${settings.agencyGstin}` : ''
+            ].filter(Boolean);
+            agencyLines.forEach((line, i) => write(line, 14, 26 + i * 4.5));
+
+            doc.setTextColor(0);
+            doc.setFont(font, 'bold');
+            doc.setFontSize(16);
+            doc.text('Profit and Loss Statement', right, 20, { align: 'right' });
+            doc.setFont(font, 'normal');
+            doc.setFontSize(9);
+            doc.text(this.getPeriodLabel(periods[0]), right, 26, { align: 'right' });
+            doc.text(`${basis === 'cash' ? 'Cash' : 'Accrual'} basis - ${baseCurrency}`, right, 30.5, { align: 'right' });
+
+            const rowStyles = {
+                group: { fontStyle: 'bold' },
+                line: {},
+                total: { fontStyle: 'bold', fillColor: [245, 247, 250] },
+                net: { fontStyle: 'bold', fillColor: [230, 232, 250] }
+            };
+            const body = [];
+            let section = null;
+            this.getExportRows().forEach(r => {
+                if (r.section && r.section !== section) {
+                    section = r.section;
+                    body.push([{ content: section, colSpan: periods.length + 1, styles: { fontStyle: 'bold', textColor: [99, 102, 241] } }]);
+                }
+                const label = r.level === 'line' ? `    ${r.line}` : r.category;
+                body.push([safe(label), ...r.amounts.map(money)].map(content => ({ content, styles: rowStyles[r.level] })));
+            });
+
+            doc.autoTable({
+                startY: Math.max(26 + agencyLines.length * 4.5, 36) + 6,
+                head: [['', ...periods.map(period => `${PNL_COLUMN_LABELS[period.key]}\n${this.getPeriodLabel(period)}`)]],
+                body,
+                theme: 'grid',
+                styles: { font, fontSize: 8 },
+                headStyles: { fillColor: [99, 102, 241] },
+                columnStyles: Object.fromEntries(periods.map((_, i) => [i + 1, { halign: 'right' }])),
+                didParseCell: (cell) => {
+                    cell.cell.styles.font = pdfFontFor(doc, cell.cell.text, font);
+                    if (cell.section === 'head' && cell.column.index > 0) cell.cell.styles.halign = 'right';
+                }
+            });
+
+            const noteY = doc.lastAutoTable.finalY + 6;
+            doc.setFontSize(8);
+            doc.setTextColor(100);
+            doc.text(doc.splitTextToSize(PNL_BASIS_NOTES[basis], right - 14), 14, noteY);
+
+            doc.save(this.getFilename('pdf'));
+        } catch (error) {
+            console.error('Error generating profit and loss PDF:', error);
+            showToast(`Failed to generate PDF: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+}
+
+window.profitLossManager = new ProfitLossManager();
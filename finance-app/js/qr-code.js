@@ -0,0 +1,324 @@
+/**
+ * FinanceFlow - QR Codes
+ * Minimal QR code encoder (byte mode, error correction level M) used for the
+ * UPI payment code on invoices. Codes are generated in the browser so
+ * payment details never go to a third-party service.
+ */
+
+// Level M block structure per version: [EC codewords per block, [blocks, data codewords], ...]
+const QR_BLOCKS_M = [
+    null,
+    [10, [1, 16]], [16, [1, 28]], [26, [1, 44]], [18, [2, 32]], [24, [2, 43]],
+    [16, [4, 27]], [18, [4, 31]], [22, [2, 38], [2, 39]], [22, [3, 36], [2, 37]], [26, [4, 43], [1, 44]],
+    [30, [1, 50], [4, 51]], [22, [6, 36], [2, 37]], [22, [8, 37], [1, 38]], [24, [4, 40], [5, 41]], [24, [5, 41], [5, 42]]
+];
+
+const QR_ALIGNMENT_POSITIONS = [
+    null,
+    [], [6, 18], [6, 22], [6, 26], [6, 30],
+    [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+    [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70]
+];
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Multiply in GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+ */
+function qrGfMultiply(x, y) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+        result = (result << 1) ^ ((result >>> 7) * 0x11D);
+        result ^= ((y >>> i) & 1) * x;
+    }
+    return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block
+ */
+function qrErrorCorrection(data, degree) {
+    // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), leading term dropped
+    const generator = new Array(degree).fill(0);
+    generator[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            generator[j] = qrGfMultiply(generator[j], root);
+            if (j + 1 < degree) generator[j] ^= generator[j + 1];
+        }
+        root = qrGfMultiply(root, 0x02);
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        generator.forEach((coef, i) => {
+            remainder[i] ^= qrGfMultiply(coef, factor);
+        });
+    });
+    return remainder;
+}
+
+/**
+ * Data + error correction codewords, interleaved across blocks
+ */
+function qrCodewords(bytes, version) {
+    const [ecPerBlock, ...groups] = QR_BLOCKS_M[version];
+    const dataCapacity = groups.reduce((sum, [count, size]) => sum + count * size, 0);
+    const countBits = version < 10 ? 8 : 16;
+
+    // Byte mode segment, terminator and padding
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, countBits);
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, dataCapacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; data.length < dataCapacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const blockData = data.slice(offset, offset + size);
+            blocks.push({ data: blockData, ec: qrErrorCorrection(blockData, ecPerBlock) });
+            offset += size;
+        }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(b => b.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(b => {
+            if (i < b.data.length) result.push(b.data[i]);
+        });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        blocks.forEach(b => result.push(b.ec[i]));
+    }
+    return result;
+}
+
+/**
+ * Penalty score of a masked symbol (lower reads more reliably)
+ */
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    const finderLike = (line, i) => [1, 0, 1, 1, 1, 0, 1].every((v, k) => line[i + k] === !!v);
+    const lightRun = (line, from, to) => {
+        for (let k = from; k < to; k++) {
+            if (k >= 0 && k < line.length && line[k]) return false;
+        }
+        return true;
+    };
+
+    for (let pass = 0; pass < 2; pass++) {
+        for (let a = 0; a < size; a++) {
+            const line = [];
+            for (let b = 0; b < size; b++) line.push(pass === 0 ? modules[a][b] : modules[b][a]);
+
+            // Runs of five or more modules of one colour
+            let run = 1;
+            for (let b = 1; b <= size; b++) {
+                if (b < size && line[b] === line[b - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Patterns that look like a finder (1:1:3:1:1 with four light modules beside)
+            for (let b = 0; b + 7 <= size; b++) {
+                if (finderLike(line, b) && (lightRun(line, b - 4, b) || lightRun(line, b + 7, b + 11))) penalty += 40;
+            }
+        }
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            // 2x2 blocks of one colour
+            if (x < size - 1 && y < size - 1) {
+                const c = modules[y][x];
+                if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Content (encoded as UTF-8)
+ * @param {number} [mask] - Force a mask pattern (0-7); the best one is chosen by default
+ * @returns {boolean[][]} Modules by row, true = dark
+ */
+function createQrMatrix(text, mask = null) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    const fits = (v) => {
+        const [, ...groups] = QR_BLOCKS_M[v];
+        const capacity = groups.reduce((sum, [count, size]) => sum + count * size, 0) * 8;
+        return 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= capacity;
+    };
+    while (version < QR_BLOCKS_M.length && !fits(version)) version++;
+    if (version >= QR_BLOCKS_M.length) throw new Error('Text is too long for a QR code');
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns (not on top of the finders)
+    const positions = QR_ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Format information (level M = 00, 5 data bits, BCH(15,5), masked with 0x5412)
+    const drawFormat = (maskPattern) => {
+        const data = maskPattern;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true); // Always-dark module
+    };
+    drawFormat(0);
+
+    // Version information (versions 7 and up, BCH(18,6))
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Data in two-module columns, zigzagging up and down from the bottom right
+    const codewords = qrCodewords(bytes, version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing pattern
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    const applyMask = (maskPattern) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && QR_MASKS[maskPattern](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+        drawFormat(maskPattern);
+    };
+
+    let chosen = mask;
+    if (chosen === null) {
+        let best = Infinity;
+        for (let m = 0; m < QR_MASKS.length; m++) {
+            applyMask(m);
+            const penalty = qrPenalty(modules);
+            if (penalty < best) {
+                best = penalty;
+                chosen = m;
+            }
+            applyMask(m); // XOR again to undo
+        }
+    }
+    applyMask(chosen);
+
+    return modules;
+}
+
+/**
+ * SVG markup for a QR matrix (with the standard four-module quiet zone)
+ * @param {boolean[][]} modules
+ * @param {number} pixelSize - Rendered width and height
+ */
+function qrMatrixToSvg(modules, pixelSize = 120) {
+    const size = modules.length + 8;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+    }));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${pixelSize}" height="${pixelSize}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
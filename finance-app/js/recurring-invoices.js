@@ -0,0 +1,260 @@
+/**
+ * FinanceFlow - Recurring Invoice Manager
+ * Handles recurring invoice templates and generation of due invoices
+ */
+
+class RecurringInvoiceManager {
+    constructor() {
+        this.templates = [];
+    }
+
+    /**
+     * Initialize recurring invoice manager
+     */
+    async init() {
+        this.bindEvents();
+        await this.renderTemplates();
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('recurringInvoiceModal');
+        const form = document.getElementById('recurringInvoiceForm');
+
+        document.getElementById('saveRecurringBtn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('generateDueInvoicesBtn')?.addEventListener('click', () => this.generateDueInvoices());
+        document.getElementById('closeRecurringInvoiceModal')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelRecurringInvoice')?.addEventListener('click', () => this.closeModal());
+
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeModal();
+            });
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveTemplate();
+            });
+        }
+    }
+
+    /**
+     * Open the template modal, prefilled from the invoice currently in the form
+     */
+    openModal() {
+        const data = invoiceManager.getInvoiceData();
+
+        if (!data.clientName) {
+            showToast('Please enter client name', 'error');
+            return;
+        }
+
+        if (data.services.length === 0 || !data.services[0].name) {
+            showToast('Please add at least one service', 'error');
+            return;
+        }
+
+        const form = document.getElementById('recurringInvoiceForm');
+        form.reset();
+
+        const startDate = data.invoiceDate || new Date().toISOString().split('T')[0];
+        let dueDays = 15;
+        if (data.invoiceDate && data.dueDate) {
+            dueDays = Math.max(0, Math.round((new Date(data.dueDate) - new Date(data.invoiceDate)) / 86400000));
+        }
+
+        document.getElementById('recurringTemplateName').value = `${data.clientName} - Retainer`;
+        document.getElementById('recurringFrequency').value = 'monthly';
+        document.getElementById('recurringStartDate').value = startDate;
+        document.getElementById('recurringDueDays').value = dueDays;
+
+        const currency = getCurrencySymbol(data.currency);
+        document.getElementById('recurringInvoiceSummary').innerHTML = `
+            <strong>${data.clientName}</strong> • ${data.services.length} service(s) •
+            ${currency}${data.grandTotal.toFixed(2)} per invoice
+        `;
+
+        document.getElementById('recurringInvoiceModal').classList.add('active');
+    }
+
+    closeModal() {
+        document.getElementById('recurringInvoiceModal').classList.remove('active');
+    }
+
+    /**
+     * Save the current invoice form as a recurring template
+     */
+    async saveTemplate() {
+        const data = invoiceManager.getInvoiceData();
+        const startDate = document.getElementById('recurringStartDate').value;
+        const endDate = document.getElementById('recurringEndDate').value;
+
+        if (endDate && endDate < startDate) {
+            showToast('End date must be after the start date', 'error');
+            return;
+        }
+
+        const template = {
+            templateName: document.getElementById('recurringTemplateName').value.trim(),
+            clientId: data.clientId,
+            clientName: data.clientName,
+            clientEmail: data.clientEmail,
+            clientAddress: data.clientAddress,
+            clientGstin: data.clientGstin,
+            clientState: data.clientState,
+            currency: data.currency,
+            services: data.services,
+            taxPercent: data.taxPercent,
+            discountPercent: data.discountPercent,
+            frequency: document.getElementById('recurringFrequency').value,
+            startDate,
+            endDate,
+            nextRunDate: startDate,
+            dueDays: document.getElementById('recurringDueDays').value,
+            created_by_name: data.created_by_name
+        };
+
+        try {
+            await dataLayer.addRecurringInvoice(template);
+            showToast('Recurring invoice template saved', 'success');
+            this.closeModal();
+            await this.renderTemplates();
+        } catch (error) {
+            console.error('Error saving recurring invoice:', error);
+            showToast(`Failed to save template: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Create invoices for all templates whose next run date has arrived
+     */
+    async generateDueInvoices() {
+        const btn = document.getElementById('generateDueInvoicesBtn');
+        if (btn) btn.disabled = true;
+
+        try {
+            const { created, failed } = await dataLayer.generateDueRecurringInvoices();
+
+            if (failed.length > 0) {
+                const failures = failed.map(f => `${f.template.templateName} (${f.error})`).join(', ');
+                showToast(created.length > 0
+                    ? `Generated ${created.length} invoice(s): ${created.map(i => i.invoiceNumber).join(', ')}; failed for ${failures}`
+                    : `Failed to generate invoices for ${failures}`, created.length > 0 ? 'warning' : 'error');
+            } else if (created.length === 0) {
+                showToast('No recurring invoices are due', 'info');
+            } else {
+                showToast(`Generated ${created.length} invoice(s): ${created.map(i => i.invoiceNumber).join(', ')}`, 'success');
+            }
+            if (created.length > 0) await invoiceManager.generateNewInvoiceNumber();
+
+            await this.renderTemplates();
+            await invoiceManager.renderInvoiceHistory();
+        } catch (error) {
+            console.error('Error generating recurring invoices:', error);
+            showToast(`Failed to generate invoices: ${error.message || 'Unknown error'}`, 'error');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    async toggleTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template) return;
+
+        try {
+            await dataLayer.setRecurringInvoiceActive(id, !template.isActive);
+            showToast(template.isActive ? 'Template paused' : 'Template resumed', 'success');
+            await this.renderTemplates();
+        } catch (error) {
+            console.error('Error updating recurring invoice:', error);
+            showToast('Failed to update template', 'error');
+        }
+    }
+
+    async deleteTemplate(id) {
+        if (!(await app.showConfirmationModal('Delete Template', 'Stop this recurring invoice? Invoices already generated are kept.'))) return;
+
+        try {
+            await dataLayer.deleteRecurringInvoice(id);
+            showToast('Template deleted', 'success');
+            await this.renderTemplates();
+        } catch (error) {
+            console.error('Error deleting recurring invoice:', error);
+            showToast('Failed to delete template', 'error');
+        }
+    }
+
+    /**
+     * Render the list of recurring templates
+     */
+    async renderTemplates() {
+        const container = document.getElementById('recurringInvoiceList');
+        const emptyState = document.getElementById('recurringEmptyState');
+        if (!container) return;
+
+        try {
+            this.templates = await dataLayer.getAllRecurringInvoices();
+        } catch (error) {
+            console.error('Error loading recurring invoices:', error);
+            this.templates = [];
+        }
+
+        const isAdmin = await dataLayer.isAdmin();
+        const today = new Date().toISOString().split('T')[0];
+
+        if (this.templates.length === 0) {
+            container.innerHTML = '';
+            if (emptyState) emptyState.style.display = 'block';
+            return;
+        }
+
+        if (emptyState) emptyState.style.display = 'none';
+        container.innerHTML = this.templates.map(t => {
+            const perRun = calculateGstBreakdown(
+                t.services.map(s => ({ ...s, taxRate: s.taxRate ?? t.taxPercent })),
+                { discountPercent: t.discountPercent }
+            ).grandTotal;
+            const isDue = t.isActive && t.nextRunDate <= today;
+
+            return `
+                <div class="invoice-history-item recurring-item ${t.isActive ? '' : 'paused'}" data-id="${t.id}">
+                    <div class="invoice-history-item-header">
+                        <strong>${t.templateName}</strong>
+                        <span class="badge ${t.isActive ? (isDue ? 'badge-pending' : 'badge-received') : 'badge-expense'}">
+                            ${t.isActive ? (isDue ? 'Due' : 'Active') : 'Paused'}
+                        </span>
+                    </div>
+                    <div class="invoice-history-item-body">
+                        <div style="font-weight: 500;">${t.clientName}</div>
+                        <div>${formatStatus(t.frequency)} • ${formatMoney(perRun, t.currency)}</div>
+                        <div style="font-size: 0.8rem; color: var(--color-text-muted);">
+                            Next: ${formatDate(t.nextRunDate)}${t.endDate ? ` • Ends ${formatDate(t.endDate)}` : ''}
+                        </div>
+                    </div>
+                    <div class="invoice-history-actions">
+                        <button class="btn btn-sm btn-secondary toggle-recurring" data-id="${t.id}">${t.isActive ? 'Pause' : 'Resume'}</button>
+                        ${isAdmin ? `<button class="btn btn-sm btn-danger delete-recurring" data-id="${t.id}">Delete</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.toggle-recurring').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleTemplate(parseInt(btn.dataset.id)));
+        });
+
+        container.querySelectorAll('.delete-recurring').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteTemplate(parseInt(btn.dataset.id)));
+        });
+    }
+
+    /**
+     * Template name for a generated invoice (used in invoice history)
+     */
+    getTemplateName(id) {
+        return this.templates.find(t => t.id === id)?.templateName || null;
+    }
+}
+
+window.recurringInvoiceManager = new RecurringInvoiceManager();
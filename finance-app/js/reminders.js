@@ -0,0 +1,359 @@
+/**
+ * FinanceFlow - Payment Reminders
+ * Reminder schedules and templates (Settings) and manual runs of the
+ * send-reminders edge function
+ */
+
+const REMINDER_PLACEHOLDERS = [
+    'client_name', 'invoice_number', 'invoice_date', 'due_date',
+    'total', 'amount_due', 'days_overdue', 'agency_name', 'agency_contact'
+];
+
+const DEFAULT_REMINDER_TEMPLATES = [
+    {
+        offsetDays: -3,
+        name: 'Upcoming due date',
+        subject: 'Invoice {{invoice_number}} is due on {{due_date}}',
+        body: 'Hi {{client_name}},\n\nA friendly reminder that invoice {{invoice_number}} for {{amount_due}} is due on {{due_date}}.\n\nThank you,\n{{agency_name}}'
+    },
+    {
+        offsetDays: 0,
+        name: 'Due today',
+        subject: 'Invoice {{invoice_number}} is due today',
+        body: 'Hi {{client_name}},\n\nInvoice {{invoice_number}} for {{amount_due}} is due today. Please arrange payment at your earliest convenience.\n\nThank you,\n{{agency_name}}'
+    },
+    {
+        offsetDays: 7,
+        name: 'Overdue',
+        subject: 'Overdue: invoice {{invoice_number}}',
+        body: 'Hi {{client_name}},\n\nInvoice {{invoice_number}} was due on {{due_date}} and is now {{days_overdue}} days overdue. The outstanding amount is {{amount_due}}.\n\nIf you have already paid, please ignore this message.\n\nRegards,\n{{agency_name}}\n{{agency_contact}}'
+    }
+];
+
+/**
+ * Human readable description of a schedule offset
+ */
+function describeReminderOffset(offsetDays) {
+    const days = Math.abs(offsetDays);
+    const unit = days === 1 ? 'day' : 'days';
+    if (offsetDays < 0) return `${days} ${unit} before due date`;
+    if (offsetDays > 0) return `${days} ${unit} after due date`;
+    return 'On the due date';
+}
+
+class ReminderManager {
+    constructor() {
+        this.templates = [];
+        this.schedules = [];
+    }
+
+    /**
+     * Initialize reminder manager (admins only)
+     */
+    async init() {
+        this.bindEvents();
+        document.getElementById('reminderPlaceholderHelp').textContent =
+            `Placeholders: ${REMINDER_PLACEHOLDERS.map(p => `{{${p}}}`).join(', ')}`;
+        await this.render();
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('reminderTemplateModal');
+
+        document.getElementById('reminderScheduleForm')?.addEventListener('submit', (e) => this.handleAddSchedule(e));
+        document.getElementById('reminderOffsetDirection')?.addEventListener('change', (e) => {
+            document.getElementById('reminderOffsetDays').disabled = e.target.value === 'on';
+        });
+        document.getElementById('newReminderTemplateBtn')?.addEventListener('click', () => this.openTemplateModal());
+        document.getElementById('defaultRemindersBtn')?.addEventListener('click', () => this.createDefaults());
+        document.getElementById('previewRemindersBtn')?.addEventListener('click', () => this.run(true));
+        document.getElementById('sendRemindersBtn')?.addEventListener('click', () => this.run(false));
+
+        document.getElementById('reminderTemplateForm')?.addEventListener('submit', (e) => this.handleSaveTemplate(e));
+        document.getElementById('closeReminderTemplateModal')?.addEventListener('click', () => this.closeTemplateModal());
+        document.getElementById('cancelReminderTemplate')?.addEventListener('click', () => this.closeTemplateModal());
+
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeTemplateModal();
+            });
+        }
+    }
+
+    /**
+     * Reload templates and schedules and redraw both lists
+     */
+    async render() {
+        try {
+            [this.templates, this.schedules] = await Promise.all([
+                dataLayer.getReminderTemplates(),
+                dataLayer.getReminderSchedules()
+            ]);
+        } catch (error) {
+            console.error('Error loading reminders:', error);
+            return;
+        }
+
+        this.renderTemplateSelect();
+        this.renderSchedules();
+        this.renderTemplates();
+    }
+
+    renderTemplateSelect() {
+        const select = document.getElementById('reminderScheduleTemplate');
+        if (!select) return;
+
+        select.innerHTML = this.templates.length === 0
+            ? '<option value="">Create a template first</option>'
+            : this.templates.map(t => `<option value="${t.id}">${t.name}</option>`).join('');
+    }
+
+    renderSchedules() {
+        const container = document.getElementById('reminderScheduleList');
+        if (!container) return;
+
+        if (this.schedules.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No reminders scheduled.</p>';
+            return;
+        }
+
+        const templateName = (id) => this.templates.find(t => t.id === id)?.name || '-';
+
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>When</th><th>Template</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.schedules.map(s => `
+                        <tr class="${s.isActive ? '' : 'reminder-paused'}">
+                            <td>${describeReminderOffset(s.offsetDays)}</td>
+                            <td>${templateName(s.templateId)}</td>
+                            <td><span class="badge badge-reminder-${s.isActive ? 'active' : 'paused'}">${s.isActive ? 'Active' : 'Paused'}</span></td>
+                            <td class="reminder-row-actions">
+                                <button class="btn btn-sm btn-secondary toggle-reminder-schedule" data-id="${s.id}" data-active="${s.isActive}">${s.isActive ? 'Pause' : 'Resume'}</button>
+                                <button class="btn btn-sm btn-danger delete-reminder-schedule" data-id="${s.id}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.toggle-reminder-schedule').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await dataLayer.setReminderScheduleActive(parseInt(btn.dataset.id), btn.dataset.active !== 'true');
+                } catch (error) {
+                    showToast(`Failed to update reminder: ${error.message || 'Unknown error'}`, 'error');
+                }
+            });
+        });
+
+        container.querySelectorAll('.delete-reminder-schedule').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await dataLayer.deleteReminderSchedule(parseInt(btn.dataset.id));
+                    showToast('Reminder removed', 'success');
+                } catch (error) {
+                    showToast(`Failed to delete reminder: ${error.message || 'Unknown error'}`, 'error');
+                }
+            });
+        });
+    }
+
+    renderTemplates() {
+        const container = document.getElementById('reminderTemplateList');
+        if (!container) return;
+
+        if (this.templates.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No templates yet. Add the defaults to get started.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Name</th><th>Subject</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.templates.map(t => `
+                        <tr>
+                            <td>${t.name}</td>
+                            <td class="text-muted">${t.subject}</td>
+                            <td class="reminder-row-actions">
+                                <button class="btn btn-sm btn-secondary edit-reminder-template" data-id="${t.id}">Edit</button>
+                                <button class="btn btn-sm btn-danger delete-reminder-template" data-id="${t.id}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.edit-reminder-template').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openTemplateModal(this.templates.find(t => t.id === parseInt(btn.dataset.id)));
+            });
+        });
+
+        container.querySelectorAll('.delete-reminder-template').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await dataLayer.deleteReminderTemplate(parseInt(btn.dataset.id));
+                    showToast('Template deleted', 'success');
+                } catch (error) {
+                    showToast(`Failed to delete template: ${error.message || 'Unknown error'}`, 'error');
+                }
+            });
+        });
+    }
+
+    async handleAddSchedule(e) {
+        e.preventDefault();
+
+        const direction = document.getElementById('reminderOffsetDirection').value;
+        const days = Math.abs(parseInt(document.getElementById('reminderOffsetDays').value) || 0);
+        const templateId = parseInt(document.getElementById('reminderScheduleTemplate').value);
+
+        if (!templateId) {
+            showToast('Create a reminder template first', 'error');
+            return;
+        }
+
+        const offsetDays = direction === 'before' ? -days : direction === 'after' ? days : 0;
+
+        try {
+            await dataLayer.addReminderSchedule({ offsetDays, templateId });
+            showToast(`Reminder added: ${describeReminderOffset(offsetDays).toLowerCase()}`, 'success');
+        } catch (error) {
+            showToast(error.message || 'Failed to add reminder', 'error');
+        }
+    }
+
+    /**
+     * Save the three default templates and their schedules, skipping any
+     * offset that already has a schedule
+     */
+    async createDefaults() {
+        const existing = new Set(this.schedules.map(s => s.offsetDays));
+        const missing = DEFAULT_REMINDER_TEMPLATES.filter(d => !existing.has(d.offsetDays));
+
+        if (missing.length === 0) {
+            showToast('Default reminders are already set up', 'info');
+            return;
+        }
+
+        try {
+            for (const def of missing) {
+                const template = await dataLayer.saveReminderTemplate(def);
+                await dataLayer.addReminderSchedule({ offsetDays: def.offsetDays, templateId: template.id });
+            }
+            showToast(`Added ${missing.length} default reminder(s)`, 'success');
+        } catch (error) {
+            showToast(`Failed to add default reminders: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    openTemplateModal(template = null) {
+        document.getElementById('reminderTemplateModalTitle').textContent = template ? 'Edit Reminder Template' : 'New Reminder Template';
+        document.getElementById('reminderTemplateId').value = template?.id || '';
+        document.getElementById('reminderTemplateName').value = template?.name || '';
+        document.getElementById('reminderTemplateSubject').value = template?.subject || '';
+        document.getElementById('reminderTemplateBody').value = template?.body || '';
+        document.getElementById('reminderTemplateModal').classList.add('active');
+    }
+
+    closeTemplateModal() {
+        document.getElementById('reminderTemplateModal').classList.remove('active');
+        document.getElementById('reminderTemplateForm').reset();
+    }
+
+    async handleSaveTemplate(e) {
+        e.preventDefault();
+
+        const template = {
+            id: parseInt(document.getElementById('reminderTemplateId').value) || null,
+            name: document.getElementById('reminderTemplateName').value.trim(),
+            subject: document.getElementById('reminderTemplateSubject').value.trim(),
+            body: document.getElementById('reminderTemplateBody').value
+        };
+
+        // Catch typos like {{amount}} before they end up in a client's inbox
+        const unknown = [...`${template.subject} ${template.body}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(m => m[1])
+            .filter(key => !REMINDER_PLACEHOLDERS.includes(key));
+        if (unknown.length > 0) {
+            showToast(`Unknown placeholder: {{${unknown[0]}}}`, 'error');
+            return;
+        }
+
+        try {
+            await dataLayer.saveReminderTemplate(template);
+            showToast('Template saved', 'success');
+            this.closeTemplateModal();
+        } catch (error) {
+            showToast(`Failed to save template: ${error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    /**
+     * Run the reminder job now. dryRun lists what would be sent without sending.
+     */
+    async run(dryRun) {
+        const container = document.getElementById('reminderRunResult');
+        const button = document.getElementById(dryRun ? 'previewRemindersBtn' : 'sendRemindersBtn');
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = dryRun ? 'Checking...' : 'Sending...';
+
+        try {
+            const result = await dataLayer.runReminders({ dryRun });
+            this.renderRunResult(result);
+
+            if (!dryRun) {
+                const type = result.failed > 0 ? 'warning' : 'success';
+                showToast(`Reminders sent: ${result.sent}, failed: ${result.failed}`, type);
+            }
+        } catch (error) {
+            container.innerHTML = '';
+            showToast(`Failed to run reminders: ${error.message || 'Unknown error'}`, 'error');
+        } finally {
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    }
+
+    renderRunResult(result) {
+        const container = document.getElementById('reminderRunResult');
+        const reminders = result.reminders || [];
+
+        if (reminders.length === 0) {
+            container.innerHTML = '<p class="recurring-empty">No reminders are due today.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="exchange-rate-table">
+                <thead>
+                    <tr><th>Invoice</th><th>When</th><th>To</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${reminders.map(r => `
+                        <tr>
+                            <td>${r.invoiceNumber}</td>
+                            <td>${describeReminderOffset(r.offsetDays)}</td>
+                            <td>${r.recipient}</td>
+                            <td>
+                                <span class="badge badge-reminder-${r.status}">${formatStatus(r.status)}</span>
+                                ${r.error ? `<div class="text-muted">${r.error}</div>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
+
+window.reminderManager = new ReminderManager();
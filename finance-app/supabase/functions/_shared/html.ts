@@ -0,0 +1,13 @@
+// HTML helpers for email bodies.
+
+export function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+export function textToHtml(text: string): string {
+    return `<div style="font-family: sans-serif; max-width: 600px; margin: 0 auto; white-space: pre-line;">${escapeHtml(text)}</div>`
+}
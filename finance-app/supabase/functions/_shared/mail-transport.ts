@@ -0,0 +1,82 @@
+// Mail transports shared by the email edge functions.
+// MAIL_TRANSPORT=mock keeps every message in memory instead of sending it,
+// so functions can be run locally (`supabase functions serve`) without a
+// Resend key. Anything else uses Resend with RESEND_API_KEY.
+
+import { Resend } from "npm:resend@2.0.0"
+
+export interface MailAttachment {
+    filename: string
+    content: string // base64
+}
+
+export interface MailMessage {
+    from: string
+    to: string[]
+    cc?: string[]
+    bcc?: string[]
+    reply_to?: string
+    subject: string
+    html: string
+    text?: string
+    attachments?: MailAttachment[]
+}
+
+export interface MailResult {
+    id: string | null
+}
+
+export interface MailTransport {
+    name: string
+    send(message: MailMessage): Promise<MailResult>
+}
+
+export class ResendTransport implements MailTransport {
+    name = 'resend'
+    private resend: Resend
+
+    constructor(apiKey: string) {
+        this.resend = new Resend(apiKey)
+    }
+
+    async send(message: MailMessage): Promise<MailResult> {
+        const { data, error } = await this.resend.emails.send(message)
+        if (error) throw new Error(error.message)
+        return { id: data?.id ?? null }
+    }
+}
+
+export class MockTransport implements MailTransport {
+    name = 'mock'
+    sent: MailMessage[] = []
+
+    // Addresses listed in MOCK_MAIL_FAIL (comma separated) fail, to exercise error handling
+    private failFor: string[]
+
+    constructor(failFor: string[] = []) {
+        this.failFor = failFor.map(e => e.trim().toLowerCase()).filter(Boolean)
+    }
+
+    async send(message: MailMessage): Promise<MailResult> {
+        const recipients = [...message.to, ...(message.cc || []), ...(message.bcc || [])]
+        if (recipients.some(to => this.failFor.includes(to.toLowerCase()))) {
+            throw new Error(`Mock transport rejected ${recipients.join(', ')}`)
+        }
+        this.sent.push(message)
+        const files = (message.attachments || []).map(a => a.filename).join(', ')
+        console.log(`[mock mail] to=${recipients.join(', ')} subject="${message.subject}"${files ? ` attachments=${files}` : ''}`)
+        return { id: `mock-${this.sent.length}` }
+    }
+}
+
+export function createTransport(): MailTransport {
+    if (Deno.env.get('MAIL_TRANSPORT') === 'mock') {
+        return new MockTransport((Deno.env.get('MOCK_MAIL_FAIL') || '').split(','))
+    }
+
+    const apiKey = Deno.env.get('RESEND_API_KEY')
+    if (!apiKey) throw new Error('RESEND_API_KEY is not set (or use MAIL_TRANSPORT=mock)')
+    return new ResendTransport(apiKey)
+}
+
+export const DEFAULT_FROM = Deno.env.get('MAIL_FROM') || 'FinanceFlow <onboarding@resend.dev>'
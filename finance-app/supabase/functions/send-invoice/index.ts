@@ -1,43 +1,67 @@
-// Follow this setup guide to integrate with Supabase Edge Functions
-// 1. Run `supabase functions new send-invoice`
-// 2. Overwrite the content of `supabase/functions/send-invoice/index.ts` with this code.
-// 3. Set your Resend API Key: `supabase secrets set RESEND_API_KEY=re_123456789`
-// 4. Deploy: `supabase functions deploy send-invoice`
+// Email a saved invoice with its PDF attached.
+// 1. Run supabase_migration_v63_invoice_emails.sql
+// 2. Set your Resend API Key: `supabase secrets set RESEND_API_KEY=re_123456789`
+//    (optionally MAIL_FROM="Your Agency <billing@your-domain.com>")
+// 3. Deploy: `supabase functions deploy send-invoice`
+//
+// Local test against the mock mail transport (nothing is sent):
+//   MAIL_TRANSPORT=mock supabase functions serve send-invoice
+// The response then includes the captured message under `outbox`.
+//
+// Request body:
+//   invoiceId  - saved invoice to send (the caller must be able to read it)
+//   to         - recipient addresses
+//   cc, bcc    - optional extra addresses
+//   subject    - optional, defaults to "Invoice #... from ..."
+//   message    - optional note shown above the invoice summary
+//   pdfBase64  - the PDF generated by the web app
+//   filename   - attachment name, defaults to "<invoice number>.pdf"
+// Every attempt is written to invoice_emails.
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
-import { Resend } from "npm:resend@2.0.0"
-
-const resend = new Resend(Deno.env.get('RESEND_API_KEY'))
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2"
+import { createTransport, MockTransport, DEFAULT_FROM } from "../_shared/mail-transport.ts"
+import { escapeHtml } from "../_shared/html.ts"
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-serve(async (req) => {
-    // Handle CORS preflight requests
-    if (req.method === 'OPTIONS') {
-        return new Response('ok', { headers: corsHeaders })
-    }
+const jsonResponse = (body: unknown, status = 200) =>
+    new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    })
 
-    try {
-        const { invoiceData, clientEmail } = await req.json()
+const CURRENCY_SYMBOLS: Record<string, string> = {
+    INR: '₹', USD: '$', EUR: '€', GBP: '£', AUD: 'A$', SGD: 'S$', AED: 'AED '
+}
 
-        if (!clientEmail) {
-            throw new Error('Client email is required')
-        }
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 
-        // Generate HTML for the email
-        const htmlKeyInfo = `
+// Accepts an array or a comma/semicolon separated string
+const parseAddresses = (value: unknown): string[] => {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,;]/)
+    return list.map(a => String(a).trim()).filter(Boolean)
+}
+
+const buildHtml = (invoice: Record<string, any>, message: string) => {
+    const symbol = CURRENCY_SYMBOLS[invoice.currency || 'INR'] ?? ''
+    const money = (value: number) => `${symbol}${(Number(value) || 0).toFixed(2)}`
+    const services = (invoice.invoice_services || []) as { name: string, quantity: number, amount: number }[]
+
+    return `
       <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Invoice #${invoiceData.invoiceNumber} from ${invoiceData.agencyName}</h2>
-        <p>Dear ${invoiceData.clientName},</p>
-        <p>Please find attached your invoice details below.</p>
-        
+        <h2>Invoice #${escapeHtml(invoice.invoice_number)} from ${escapeHtml(invoice.agency_name || '')}</h2>
+        <p>Dear ${escapeHtml(invoice.client_name || '')},</p>
+        ${message
+            ? `<p style="white-space: pre-line;">${escapeHtml(message)}</p>`
+            : '<p>Please find your invoice attached.</p>'}
+
         <div style="background: #f4f4f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <p><strong>Amount Due:</strong> ${invoiceData.grandTotal.toFixed(2)}</p>
-          <p><strong>Due Date:</strong> ${invoiceData.dueDate}</p>
-          <p><strong>Status:</strong> ${invoiceData.paymentStatus.toUpperCase()}</p>
+          <p><strong>Amount:</strong> ${money(invoice.grand_total)}</p>
+          <p><strong>Due Date:</strong> ${escapeHtml(invoice.due_date || '-')}</p>
         </div>
 
         <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
@@ -48,43 +72,127 @@ serve(async (req) => {
             </tr>
           </thead>
           <tbody>
-            ${invoiceData.services.map((s: any) => `
+            ${services.map(s => `
               <tr>
-                <td style="padding: 10px; border-bottom: 1px solid #e4e4e7;">${s.name} (x${s.quantity})</td>
-                <td style="padding: 10px; border-bottom: 1px solid #e4e4e7; text-align: right;">${s.amount.toFixed(2)}</td>
+                <td style="padding: 10px; border-bottom: 1px solid #e4e4e7;">${escapeHtml(s.name)} (x${s.quantity})</td>
+                <td style="padding: 10px; border-bottom: 1px solid #e4e4e7; text-align: right;">${money(s.amount)}</td>
               </tr>
             `).join('')}
           </tbody>
         </table>
 
          <div style="text-align: right; margin-top: 20px;">
-            <h3>Total: ${invoiceData.grandTotal.toFixed(2)}</h3>
+            <h3>Total: ${money(invoice.grand_total)}</h3>
          </div>
 
          <hr style="border: none; border-top: 1px solid #e4e4e7; margin: 20px 0;" />
          <p style="color: #71717a; font-size: 12px;">
-            ${invoiceData.agencyName} • ${invoiceData.agencyContact || ''}
+            ${escapeHtml(invoice.agency_name || '')} • ${escapeHtml(invoice.agency_contact || '')}
          </p>
       </div>
-    `;
+    `
+}
+
+serve(async (req) => {
+    // Handle CORS preflight requests
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders })
+    }
+
+    try {
+        const authHeader = req.headers.get('Authorization') || ''
+
+        // Reads go through the caller's session so RLS decides which invoices they can send
+        const userClient = createClient(
+            Deno.env.get('SUPABASE_URL')!,
+            Deno.env.get('SUPABASE_ANON_KEY')!,
+            { global: { headers: { Authorization: authHeader } } }
+        )
+        // The email log is written with the service role
+        const adminClient = createClient(
+            Deno.env.get('SUPABASE_URL')!,
+            Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+        )
+
+        const { data: { user } } = await userClient.auth.getUser(authHeader.replace('Bearer ', ''))
+        if (!user) return jsonResponse({ error: 'Unauthorized' }, 401)
+
+        const { invoiceId, to, cc, bcc, subject, message, pdfBase64, filename } = await req.json()
+
+        const recipients = parseAddresses(to)
+        const ccList = parseAddresses(cc)
+        const bccList = parseAddresses(bcc)
+
+        if (recipients.length === 0) {
+            throw new Error('Client email is required')
+        }
+        const invalid = [...recipients, ...ccList, ...bccList].find(a => !EMAIL_PATTERN.test(a))
+        if (invalid) throw new Error(`Invalid email address: ${invalid}`)
+        if (!pdfBase64) throw new Error('Invoice PDF is missing')
+
+        const { data: invoice, error: invoiceError } = await userClient
+            .from('invoices')
+            .select('*, invoice_services(name, quantity, amount)')
+            .eq('id', invoiceId)
+            .single()
+        if (invoiceError || !invoice) throw new Error('Invoice not found')
+
+        const emailSubject = subject || `Invoice #${invoice.invoice_number} from ${invoice.agency_name}`
+        const transport = createTransport()
+
+        const logRow: Record<string, unknown> = {
+            user_id: user.id,
+            admin_id: invoice.admin_id,
+            invoice_id: invoice.id,
+            recipient: recipients.join(', '),
+            cc: ccList.join(', ') || null,
+            bcc: bccList.join(', ') || null,
+            subject: emailSubject,
+            message: message || null
+        }
 
-        // Send Email
         // Note: 'onboarding@resend.dev' only works if you are sending TO the email you registered with Resend.
-        // For production, you must verify your domain.
-        const data = await resend.emails.send({
-            from: 'FinanceFlow <onboarding@resend.dev>',
-            to: [clientEmail],
-            subject: `Invoice #${invoiceData.invoiceNumber} from ${invoiceData.agencyName}`,
-            html: htmlKeyInfo,
-        })
+        // For production, verify your domain and set MAIL_FROM.
+        try {
+            const { id } = await transport.send({
+                from: DEFAULT_FROM,
+                to: recipients,
+                cc: ccList.length > 0 ? ccList : undefined,
+                bcc: bccList.length > 0 ? bccList : undefined,
+                subject: emailSubject,
+                html: buildHtml(invoice, message || ''),
+                attachments: [{ filename: filename || `${invoice.invoice_number}.pdf`, content: pdfBase64 }]
+            })
+            logRow.status = 'sent'
+            logRow.provider_message_id = id
+        } catch (error) {
+            logRow.status = 'failed'
+            logRow.error = error.message
+        }
+
+        const { data: logged, error: logError } = await adminClient
+            .from('invoice_emails')
+            .insert(logRow)
+            .select()
+            .single()
+        if (logError) console.error('Failed to log invoice email:', logError)
 
-        return new Response(JSON.stringify(data), {
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        // The mock transport returns its outbox (without attachment bodies) so local runs can be inspected
+        const outbox = transport instanceof MockTransport
+            ? transport.sent.map(m => ({
+                ...m,
+                attachments: m.attachments?.map(a => ({ filename: a.filename, size: a.content.length }))
+            }))
+            : undefined
+
+        return jsonResponse({
+            id: logged?.id ?? null,
+            status: logRow.status,
+            error: logRow.error,
+            transport: transport.name,
+            outbox
         })
     } catch (error) {
-        return new Response(JSON.stringify({ error: error.message }), {
-            status: 400,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        })
+        return jsonResponse({ error: error.message }, 400)
     }
 })
@@ -0,0 +1,188 @@
+// Payment reminder emails for unpaid invoices.
+// 1. Run supabase_migration_v62_payment_reminders.sql
+// 2. Set secrets: `supabase secrets set RESEND_API_KEY=re_123456789 REMINDER_CRON_SECRET=<random string>`
+// 3. Deploy: `supabase functions deploy send-reminders --no-verify-jwt`
+//    (the function checks the cron secret or the caller's JWT itself)
+// 4. Run it daily with the pg_cron snippet at the end of the migration.
+//
+// Local test against the mock mail transport (nothing is sent):
+//   MAIL_TRANSPORT=mock supabase functions serve send-reminders --no-verify-jwt
+//   curl -X POST http://localhost:54321/functions/v1/send-reminders \
+//     -H "x-cron-secret: <secret>" -d '{"today": "2025-06-10", "dryRun": true}'
+//
+// Request body (all optional):
+//   today     - run as if it were this date (YYYY-MM-DD)
+//   dryRun    - plan and render reminders but don't send or log them
+//   invoiceId - only consider this invoice
+// Called with an admin's JWT instead of the cron secret (the "Run now" button),
+// it only processes that admin's organization.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2"
+import { createTransport, MockTransport, DEFAULT_FROM } from "../_shared/mail-transport.ts"
+import { textToHtml } from "../_shared/html.ts"
+import {
+    planReminders,
+    renderTemplate,
+    getTemplateVars,
+    type ReminderInvoice,
+    type ReminderSchedule,
+    type ReminderTemplate,
+    type ReminderLogRow
+} from "./reminders.ts"
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-cron-secret',
+}
+
+const jsonResponse = (body: unknown, status = 200) =>
+    new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    })
+
+serve(async (req) => {
+    // Handle CORS preflight requests
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders })
+    }
+
+    try {
+        const supabase = createClient(
+            Deno.env.get('SUPABASE_URL')!,
+            Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+        )
+
+        // Who is calling: the scheduler (all organizations) or an admin (own organization)
+        let adminId: string | null = null
+        const cronSecret = Deno.env.get('REMINDER_CRON_SECRET')
+        const isCron = !!cronSecret && req.headers.get('x-cron-secret') === cronSecret
+
+        if (!isCron) {
+            const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+            const { data: { user } } = await supabase.auth.getUser(token)
+            if (!user) return jsonResponse({ error: 'Unauthorized' }, 401)
+
+            const { data: profile } = await supabase.from('users').select('role').eq('id', user.id).single()
+            if (profile?.role !== 'admin') return jsonResponse({ error: 'Only admins can run reminders' }, 403)
+            adminId = user.id
+        }
+
+        const options = await req.json().catch(() => ({}))
+        const today: string = options.today || new Date().toISOString().split('T')[0]
+        const dryRun = !!options.dryRun
+
+        // Load schedules and templates
+        let schedulesQuery = supabase.from('reminder_schedules').select('*').eq('is_active', true)
+        if (adminId) schedulesQuery = schedulesQuery.eq('admin_id', adminId)
+        const { data: schedules, error: schedulesError } = await schedulesQuery
+        if (schedulesError) throw schedulesError
+
+        if (!schedules || schedules.length === 0) {
+            return jsonResponse({ today, dryRun, sent: 0, failed: 0, skipped: 0, reminders: [] })
+        }
+
+        const { data: templates, error: templatesError } = await supabase
+            .from('reminder_templates')
+            .select('*')
+            .in('id', [...new Set(schedules.map((s: ReminderSchedule) => s.template_id))])
+        if (templatesError) throw templatesError
+        const templateById = new Map((templates as ReminderTemplate[]).map(t => [t.id, t]))
+
+        // Unpaid invoices of the organizations that have schedules
+        let invoicesQuery = supabase
+            .from('invoices')
+            .select('id, admin_id, invoice_number, invoice_date, due_date, client_name, client_email, agency_name, agency_contact, grand_total, credited_amount, payment_status, currency, invoice_payments(amount)')
+            .in('admin_id', [...new Set(schedules.map((s: ReminderSchedule) => s.admin_id))])
+            .not('payment_status', 'in', '("paid","cancelled")')
+        if (options.invoiceId) invoicesQuery = invoicesQuery.eq('id', options.invoiceId)
+        const { data: invoices, error: invoicesError } = await invoicesQuery
+        if (invoicesError) throw invoicesError
+
+        const invoiceIds = (invoices || []).map((i: ReminderInvoice) => i.id)
+        const { data: log, error: logError } = invoiceIds.length > 0
+            ? await supabase.from('invoice_reminders').select('invoice_id, schedule_id, status').in('invoice_id', invoiceIds)
+            : { data: [], error: null }
+        if (logError) throw logError
+
+        const planned = planReminders(
+            (invoices || []) as ReminderInvoice[],
+            schedules as ReminderSchedule[],
+            (log || []) as ReminderLogRow[],
+            today
+        )
+
+        const transport = createTransport()
+        const results = []
+        let sent = 0, failed = 0, skipped = 0
+
+        for (const reminder of planned) {
+            const template = templateById.get(reminder.schedule.template_id)
+            if (!template) continue
+
+            const vars = getTemplateVars(reminder)
+            const subject = renderTemplate(template.subject, vars)
+            const body = renderTemplate(template.body, vars)
+            const recipient = reminder.invoice.client_email!
+
+            const result: Record<string, unknown> = {
+                invoiceId: reminder.invoice.id,
+                invoiceNumber: reminder.invoice.invoice_number,
+                scheduleId: reminder.schedule.id,
+                offsetDays: reminder.schedule.offset_days,
+                recipient,
+                subject,
+                body
+            }
+
+            if (dryRun) {
+                results.push({ ...result, status: 'planned' })
+                continue
+            }
+
+            const baseRow = {
+                admin_id: reminder.invoice.admin_id,
+                invoice_id: reminder.invoice.id,
+                recipient
+            }
+            const logRows: Record<string, unknown>[] = reminder.skipped.map(s => ({
+                ...baseRow,
+                schedule_id: s.id,
+                status: 'skipped',
+                error: `Superseded by the ${reminder.schedule.offset_days}-day reminder`
+            }))
+            skipped += reminder.skipped.length
+
+            try {
+                const { id } = await transport.send({
+                    from: DEFAULT_FROM,
+                    to: [recipient],
+                    subject,
+                    html: textToHtml(body),
+                    text: body
+                })
+                logRows.push({ ...baseRow, schedule_id: reminder.schedule.id, subject, body, status: 'sent', provider_message_id: id })
+                result.status = 'sent'
+                sent++
+            } catch (error) {
+                logRows.push({ ...baseRow, schedule_id: reminder.schedule.id, subject, body, status: 'failed', error: error.message })
+                result.status = 'failed'
+                result.error = error.message
+                failed++
+            }
+
+            const { error: insertError } = await supabase.from('invoice_reminders').insert(logRows)
+            if (insertError) console.error('Failed to log reminder:', insertError)
+
+            results.push(result)
+        }
+
+        // The mock transport returns its outbox so local runs can be inspected
+        const outbox = transport instanceof MockTransport ? transport.sent : undefined
+
+        return jsonResponse({ today, dryRun, transport: transport.name, sent, failed, skipped, reminders: results, outbox })
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 400)
+    }
+})
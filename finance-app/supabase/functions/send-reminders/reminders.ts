@@ -0,0 +1,135 @@
+// Pure reminder logic (no database or network), shared by the handler.
+
+export interface ReminderInvoice {
+    id: number
+    admin_id: string
+    invoice_number: string
+    invoice_date: string
+    due_date: string
+    client_name: string
+    client_email: string | null
+    agency_name: string | null
+    agency_contact: string | null
+    grand_total: number
+    credited_amount: number | null
+    payment_status: string
+    currency: string | null
+    invoice_payments: { amount: number }[]
+}
+
+export interface ReminderSchedule {
+    id: number
+    admin_id: string
+    offset_days: number
+    template_id: number
+    is_active: boolean
+}
+
+export interface ReminderTemplate {
+    id: number
+    subject: string
+    body: string
+}
+
+export interface ReminderLogRow {
+    invoice_id: number
+    schedule_id: number | null
+    status: string
+}
+
+export interface PlannedReminder {
+    invoice: ReminderInvoice
+    schedule: ReminderSchedule
+    balanceDue: number
+    daysOverdue: number
+    // Earlier schedules that were missed and are now superseded by this one
+    skipped: ReminderSchedule[]
+}
+
+export const CURRENCY_SYMBOLS: Record<string, string> = {
+    INR: '₹', USD: '$', EUR: '€', GBP: '£', AUD: 'A$', SGD: 'S$', AED: 'AED '
+}
+
+export function daysBetween(from: string, to: string): number {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000)
+}
+
+/**
+ * Outstanding balance, matching fromDbInvoice in the web app
+ */
+export function getBalanceDue(invoice: ReminderInvoice): number {
+    const total = Number(invoice.grand_total) || 0
+    const credited = Number(invoice.credited_amount) || 0
+    const payments = invoice.invoice_payments || []
+    // Legacy invoices were marked paid without a payments ledger
+    if (payments.length === 0 && invoice.payment_status === 'paid') return 0
+    const paid = payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0)
+    return Math.max(total - credited - paid, 0)
+}
+
+/**
+ * Work out which reminder (if any) each invoice gets today.
+ * A schedule is due once today >= due_date + offset_days. If the job missed
+ * a day and several schedules are due at once, only the latest one is sent
+ * and the earlier ones are logged as skipped, so clients never get a burst.
+ */
+export function planReminders(
+    invoices: ReminderInvoice[],
+    schedules: ReminderSchedule[],
+    log: ReminderLogRow[],
+    today: string
+): PlannedReminder[] {
+    const done = new Set(
+        log.filter(l => l.status === 'sent' || l.status === 'skipped')
+            .map(l => `${l.invoice_id}:${l.schedule_id}`)
+    )
+
+    const planned: PlannedReminder[] = []
+
+    for (const invoice of invoices) {
+        const balanceDue = getBalanceDue(invoice)
+        if (balanceDue <= 0.005 || !invoice.client_email || !invoice.due_date) continue
+
+        const daysFromDue = daysBetween(invoice.due_date, today)
+        const due = schedules
+            .filter(s => s.is_active && s.admin_id === invoice.admin_id)
+            .filter(s => daysFromDue >= s.offset_days)
+            .filter(s => !done.has(`${invoice.id}:${s.id}`))
+            .sort((a, b) => a.offset_days - b.offset_days)
+
+        if (due.length === 0) continue
+
+        planned.push({
+            invoice,
+            schedule: due[due.length - 1],
+            balanceDue,
+            daysOverdue: Math.max(daysFromDue, 0),
+            skipped: due.slice(0, -1)
+        })
+    }
+
+    return planned
+}
+
+/**
+ * Replace {{placeholders}} in a template string. Unknown placeholders are left as-is.
+ */
+export function renderTemplate(text: string, vars: Record<string, string>): string {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in vars ? vars[key] : match))
+}
+
+export function getTemplateVars(reminder: PlannedReminder): Record<string, string> {
+    const { invoice } = reminder
+    const symbol = CURRENCY_SYMBOLS[invoice.currency || 'INR'] ?? ''
+    return {
+        client_name: invoice.client_name || '',
+        invoice_number: invoice.invoice_number || '',
+        invoice_date: invoice.invoice_date || '',
+        due_date: invoice.due_date || '',
+        total: `${symbol}${(Number(invoice.grand_total) || 0).toFixed(2)}`,
+        amount_due: `${symbol}${reminder.balanceDue.toFixed(2)}`,
+        days_overdue: String(reminder.daysOverdue),
+        agency_name: invoice.agency_name || '',
+        agency_contact: invoice.agency_contact || ''
+    }
+}
@@ -0,0 +1,62 @@
+-- ============================================================
+-- Migration V57: Invoice Payments Ledger (Partial Payments)
+-- ============================================================
+-- Each invoice can now receive several payments (e.g. 40% advance, rest later).
+-- Every payment is mirrored as a 'received' income entry in finance_entries,
+-- and the invoice payment_status is derived from the sum of its payments:
+--   pending -> partially_paid -> paid
+
+-- 1. Payments table
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    invoice_id BIGINT NOT NULL REFERENCES public.invoices(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id),
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    payment_mode TEXT DEFAULT 'bank_transfer',
+    reference TEXT, -- UTR / cheque number / transaction id
+    entry_id BIGINT REFERENCES public.finance_entries(id) ON DELETE SET NULL, -- Linked income entry
+    created_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice_id ON invoice_payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_admin_id ON invoice_payments(admin_id);
+
+-- 2. Enable RLS
+ALTER TABLE invoice_payments ENABLE ROW LEVEL SECURITY;
+
+-- 3. Policies (mirror invoice visibility: own invoices or my org as admin)
+DROP POLICY IF EXISTS "invoice_payments_select" ON invoice_payments;
+CREATE POLICY "invoice_payments_select" ON invoice_payments FOR SELECT TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+    );
+
+DROP POLICY IF EXISTS "invoice_payments_insert" ON invoice_payments;
+CREATE POLICY "invoice_payments_insert" ON invoice_payments FOR INSERT TO authenticated
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM invoices
+            WHERE id = invoice_payments.invoice_id
+            AND (
+                user_id = (SELECT auth.uid()) OR
+                admin_id = (SELECT auth.uid())
+            )
+        )
+    );
+
+-- Only admins can remove a recorded payment
+DROP POLICY IF EXISTS "invoice_payments_delete" ON invoice_payments;
+CREATE POLICY "invoice_payments_delete" ON invoice_payments FOR DELETE TO authenticated
+    USING (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON invoice_payments TO authenticated;
+GRANT ALL ON invoice_payments TO service_role;
+
+-- Post-migration notice:
+-- Existing invoices keep their single "Invoice XXX" entry. New invoices only
+-- create income entries when a payment is recorded against them.
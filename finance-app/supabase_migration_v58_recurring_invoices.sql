@@ -0,0 +1,73 @@
+-- ============================================================
+-- Migration V58: Recurring Invoice Templates
+-- ============================================================
+-- Retainer clients get the same invoice every month/quarter/year.
+-- A template stores the client, services and tax/discount once; the
+-- "Generate due invoices" action creates a real invoice for every
+-- template whose next_run_date has arrived and moves the date forward.
+
+-- 1. Templates table
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id),
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    template_name TEXT NOT NULL,
+    client_id BIGINT REFERENCES public.clients(id) ON DELETE SET NULL,
+    client_name TEXT NOT NULL,
+    client_email TEXT,
+    client_address TEXT,
+    client_phone TEXT,
+    services JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ name, quantity, rate, amount }]
+    tax_percent NUMERIC DEFAULT 0,
+    discount_percent NUMERIC DEFAULT 0,
+    frequency TEXT NOT NULL DEFAULT 'monthly' CHECK (frequency IN ('monthly', 'quarterly', 'yearly')),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_run_date DATE NOT NULL,
+    due_days INTEGER DEFAULT 15, -- Due date = invoice date + due_days
+    is_active BOOLEAN DEFAULT TRUE,
+    last_generated_at TIMESTAMPTZ,
+    created_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_invoices_admin_id ON recurring_invoices(admin_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_invoices_next_run ON recurring_invoices(next_run_date) WHERE is_active;
+
+-- 2. Link generated invoices back to their template
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS recurring_invoice_id BIGINT
+    REFERENCES public.recurring_invoices(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_recurring_invoice_id ON invoices(recurring_invoice_id);
+
+-- 3. Enable RLS
+ALTER TABLE recurring_invoices ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies (same visibility as invoices)
+DROP POLICY IF EXISTS "recurring_invoices_select" ON recurring_invoices;
+CREATE POLICY "recurring_invoices_select" ON recurring_invoices FOR SELECT TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+    );
+
+DROP POLICY IF EXISTS "recurring_invoices_insert" ON recurring_invoices;
+CREATE POLICY "recurring_invoices_insert" ON recurring_invoices FOR INSERT TO authenticated
+    WITH CHECK (user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "recurring_invoices_update" ON recurring_invoices;
+CREATE POLICY "recurring_invoices_update" ON recurring_invoices FOR UPDATE TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+    );
+
+-- Only admins can remove a template
+DROP POLICY IF EXISTS "recurring_invoices_delete" ON recurring_invoices;
+CREATE POLICY "recurring_invoices_delete" ON recurring_invoices FOR DELETE TO authenticated
+    USING (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON recurring_invoices TO authenticated;
+GRANT ALL ON recurring_invoices TO service_role;
@@ -0,0 +1,138 @@
+-- ============================================================
+-- Migration V59: Credit Notes & Invoice Cancellation
+-- ============================================================
+-- Invoices are no longer voided by deleting them. Instead a credit note
+-- (own CN-0001 series) is issued against the original invoice and its lines.
+-- The invoice keeps a running credited_amount and moves to
+-- 'partially_credited' or 'cancelled'. A reversing finance entry is posted
+-- so dashboard totals stay correct.
+
+-- 1. Credit notes
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id),
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    credit_note_number TEXT NOT NULL,
+    invoice_id BIGINT NOT NULL REFERENCES public.invoices(id) ON DELETE RESTRICT,
+    credit_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    reason TEXT,
+    subtotal NUMERIC DEFAULT 0,
+    tax_amount NUMERIC DEFAULT 0,
+    discount_amount NUMERIC DEFAULT 0,
+    total NUMERIC NOT NULL CHECK (total > 0),
+    entry_id BIGINT REFERENCES public.finance_entries(id) ON DELETE SET NULL, -- Reversing entry (refunds only)
+    created_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (admin_id, credit_note_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice_id ON credit_notes(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_admin_id ON credit_notes(admin_id);
+
+-- 2. Credited lines (reference the original invoice line)
+CREATE TABLE IF NOT EXISTS credit_note_items (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    credit_note_id BIGINT NOT NULL REFERENCES public.credit_notes(id) ON DELETE CASCADE,
+    invoice_service_id BIGINT REFERENCES public.invoice_services(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    quantity NUMERIC NOT NULL DEFAULT 1,
+    rate NUMERIC NOT NULL DEFAULT 0,
+    amount NUMERIC NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_credit_note_id ON credit_note_items(credit_note_id);
+
+-- 3. Running credited total on the invoice
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credited_amount NUMERIC DEFAULT 0;
+
+-- 4. Enable RLS
+ALTER TABLE credit_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credit_note_items ENABLE ROW LEVEL SECURITY;
+
+-- 5. Policies - credit notes are issued by admins, visible to the organization
+DROP POLICY IF EXISTS "credit_notes_select" ON credit_notes;
+CREATE POLICY "credit_notes_select" ON credit_notes FOR SELECT TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "credit_notes_insert" ON credit_notes;
+CREATE POLICY "credit_notes_insert" ON credit_notes FOR INSERT TO authenticated
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "credit_note_items_select" ON credit_note_items;
+CREATE POLICY "credit_note_items_select" ON credit_note_items FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM credit_notes
+            WHERE id = credit_note_items.credit_note_id
+            AND (
+                user_id = (SELECT auth.uid()) OR
+                admin_id = (SELECT auth.uid()) OR
+                admin_id = (SELECT public.get_active_org_id())
+            )
+        )
+    );
+
+DROP POLICY IF EXISTS "credit_note_items_insert" ON credit_note_items;
+CREATE POLICY "credit_note_items_insert" ON credit_note_items FOR INSERT TO authenticated
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM credit_notes
+            WHERE id = credit_note_items.credit_note_id
+            AND admin_id = (SELECT auth.uid())
+        )
+    );
+
+-- No UPDATE/DELETE policies: issued credit notes are part of the audit trail
+
+GRANT SELECT, INSERT ON credit_notes TO authenticated;
+GRANT SELECT, INSERT ON credit_note_items TO authenticated;
+GRANT ALL ON credit_notes TO service_role;
+GRANT ALL ON credit_note_items TO service_role;
+
+-- 6. Separate numbering series (CN-0001, CN-0002, ...)
+CREATE OR REPLACE FUNCTION get_next_credit_note_number(org_admin_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+BEGIN
+    RETURN (
+        SELECT COALESCE(MAX(CAST(SUBSTRING(credit_note_number FROM '[0-9]+') AS INTEGER)), 0) + 1
+        FROM credit_notes
+        WHERE admin_id = org_admin_id
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_next_credit_note_number(UUID) TO authenticated;
+
+-- 7. Backfill the payments ledger for invoices marked paid before V57,
+-- so a credit note on them is treated as a refund of money received.
+INSERT INTO invoice_payments (invoice_id, user_id, admin_id, amount, payment_date, payment_mode, reference, entry_id, created_by_name)
+SELECT
+    i.id,
+    i.user_id,
+    i.admin_id,
+    i.grand_total,
+    i.invoice_date,
+    'bank_transfer',
+    'Legacy',
+    (
+        SELECT fe.id FROM finance_entries fe
+        WHERE fe.admin_id = i.admin_id
+        AND fe.type = 'income'
+        AND fe.description = 'Invoice ' || i.invoice_number
+        LIMIT 1
+    ),
+    i.created_by_name
+FROM invoices i
+WHERE i.payment_status = 'paid'
+AND i.grand_total > 0
+AND NOT EXISTS (SELECT 1 FROM invoice_payments p WHERE p.invoice_id = i.id);
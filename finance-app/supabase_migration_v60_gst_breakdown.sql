@@ -0,0 +1,38 @@
+-- ============================================================
+-- Migration V60: GST Tax Breakdown (CGST / SGST / IGST)
+-- ============================================================
+-- Invoices move from a single tax_percent on the subtotal to per-line
+-- HSN/SAC codes and GST rates. Intra-state supplies are split into
+-- CGST + SGST, inter-state supplies charge IGST. The state comes from
+-- the agency settings (agencyState / agencyGstin keys) and the client record.
+-- tax_percent / tax_amount are still filled (effective rate, total GST)
+-- so older reports keep working.
+
+-- 1. Per-line HSN/SAC and GST rate
+ALTER TABLE invoice_services ADD COLUMN IF NOT EXISTS hsn_sac TEXT;
+ALTER TABLE invoice_services ADD COLUMN IF NOT EXISTS tax_rate NUMERIC DEFAULT 0;
+ALTER TABLE invoice_services ADD COLUMN IF NOT EXISTS tax_amount NUMERIC DEFAULT 0;
+
+-- 2. GST snapshot on the invoice (agency/client details as at invoice date)
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS agency_gstin TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS agency_state TEXT; -- 2-digit GST state code
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS client_gstin TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS client_state TEXT; -- Place of supply
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS gst_type TEXT CHECK (gst_type IN ('intra', 'inter')); -- NULL = legacy single-rate invoice
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS cgst_amount NUMERIC DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sgst_amount NUMERIC DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS igst_amount NUMERIC DEFAULT 0;
+
+-- 3. Client GSTIN and state
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS gstin TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS state TEXT;
+
+-- 4. Recurring templates carry the client's GST details too
+ALTER TABLE recurring_invoices ADD COLUMN IF NOT EXISTS client_gstin TEXT;
+ALTER TABLE recurring_invoices ADD COLUMN IF NOT EXISTS client_state TEXT;
+
+-- 5. Credit notes reverse the same tax heads as the invoice
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS cgst_amount NUMERIC DEFAULT 0;
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS sgst_amount NUMERIC DEFAULT 0;
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS igst_amount NUMERIC DEFAULT 0;
+ALTER TABLE credit_note_items ADD COLUMN IF NOT EXISTS tax_rate NUMERIC DEFAULT 0;
@@ -0,0 +1,57 @@
+-- ============================================================
+-- Migration V61: Multi-Currency Invoices and Entries
+-- ============================================================
+-- Invoices and finance entries carry their own currency code (ISO 4217).
+-- NULL means the organization's base currency (the 'currency' setting),
+-- so every existing row keeps its current meaning.
+-- Reports convert to the base currency using the dated rates below:
+-- an amount uses the latest rate on or before its own date.
+
+-- 1. Currency per record
+ALTER TABLE finance_entries ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE recurring_invoices ADD COLUMN IF NOT EXISTS currency TEXT;
+
+-- 2. Exchange rates (1 unit of currency = rate units of base_currency)
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id),
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    currency TEXT NOT NULL,
+    base_currency TEXT NOT NULL,
+    rate_date DATE NOT NULL,
+    rate NUMERIC NOT NULL CHECK (rate > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (admin_id, currency, base_currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_admin_id ON exchange_rates(admin_id);
+
+-- 3. Enable RLS
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies: the whole organization reads rates, only the admin maintains them
+DROP POLICY IF EXISTS "exchange_rates_select" ON exchange_rates;
+CREATE POLICY "exchange_rates_select" ON exchange_rates FOR SELECT TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "exchange_rates_insert" ON exchange_rates;
+CREATE POLICY "exchange_rates_insert" ON exchange_rates FOR INSERT TO authenticated
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "exchange_rates_update" ON exchange_rates;
+CREATE POLICY "exchange_rates_update" ON exchange_rates FOR UPDATE TO authenticated
+    USING (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "exchange_rates_delete" ON exchange_rates;
+CREATE POLICY "exchange_rates_delete" ON exchange_rates FOR DELETE TO authenticated
+    USING (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON exchange_rates TO authenticated;
+GRANT ALL ON exchange_rates TO service_role;
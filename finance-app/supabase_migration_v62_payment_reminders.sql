@@ -0,0 +1,116 @@
+-- ============================================================
+-- Migration V62: Payment Reminders
+-- ============================================================
+-- Reminder emails for unpaid invoices, sent by the `send-reminders`
+-- edge function. A schedule says when (offset_days relative to the due
+-- date: -3 = three days before, 0 = on the due date, 7 = a week late)
+-- and which template to use. Templates hold subject/body text with
+-- {{placeholders}}. Every attempt is written to invoice_reminders so an
+-- invoice is never reminded twice for the same schedule.
+
+-- 1. Templates
+CREATE TABLE IF NOT EXISTS reminder_templates (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id),
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    name TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_templates_admin_id ON reminder_templates(admin_id);
+
+-- 2. Schedules
+CREATE TABLE IF NOT EXISTS reminder_schedules (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id),
+    admin_id UUID REFERENCES auth.users(id),
+    offset_days INTEGER NOT NULL, -- Days relative to due_date (negative = before)
+    template_id BIGINT NOT NULL REFERENCES public.reminder_templates(id) ON DELETE RESTRICT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (admin_id, offset_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_schedules_admin_id ON reminder_schedules(admin_id);
+
+-- 3. Reminder log
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID REFERENCES auth.users(id),
+    invoice_id BIGINT NOT NULL REFERENCES public.invoices(id) ON DELETE CASCADE,
+    schedule_id BIGINT REFERENCES public.reminder_schedules(id) ON DELETE SET NULL,
+    recipient TEXT,
+    subject TEXT,
+    body TEXT,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+    error TEXT,
+    provider_message_id TEXT,
+    sent_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_reminders_invoice_id ON invoice_reminders(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_reminders_admin_id ON invoice_reminders(admin_id);
+
+-- A schedule fires at most once per invoice (failed attempts are retried)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_reminders_once
+    ON invoice_reminders(invoice_id, schedule_id)
+    WHERE status IN ('sent', 'skipped');
+
+-- 4. Enable RLS
+ALTER TABLE reminder_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_reminders ENABLE ROW LEVEL SECURITY;
+
+-- 5. Policies - admins configure reminders, the organization can read the log
+DROP POLICY IF EXISTS "reminder_templates_select" ON reminder_templates;
+CREATE POLICY "reminder_templates_select" ON reminder_templates FOR SELECT TO authenticated
+    USING (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "reminder_templates_write" ON reminder_templates;
+CREATE POLICY "reminder_templates_write" ON reminder_templates FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "reminder_schedules_select" ON reminder_schedules;
+CREATE POLICY "reminder_schedules_select" ON reminder_schedules FOR SELECT TO authenticated
+    USING (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "reminder_schedules_write" ON reminder_schedules;
+CREATE POLICY "reminder_schedules_write" ON reminder_schedules FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "invoice_reminders_select" ON invoice_reminders;
+CREATE POLICY "invoice_reminders_select" ON invoice_reminders FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+-- Log rows are written by the edge function (service role) only
+
+GRANT ALL ON reminder_templates TO authenticated;
+GRANT ALL ON reminder_schedules TO authenticated;
+GRANT SELECT ON invoice_reminders TO authenticated;
+GRANT ALL ON reminder_templates TO service_role;
+GRANT ALL ON reminder_schedules TO service_role;
+GRANT ALL ON invoice_reminders TO service_role;
+
+-- 6. Daily run (optional) - needs the pg_cron and pg_net extensions.
+-- Replace <project-ref> and <cron-secret> (same value as the REMINDER_CRON_SECRET
+-- function secret) before running:
+--
+-- SELECT cron.schedule(
+--     'send-invoice-reminders',
+--     '30 3 * * *', -- 09:00 IST
+--     $$
+--     SELECT net.http_post(
+--         url := 'https://<project-ref>.supabase.co/functions/v1/send-reminders',
+--         headers := '{"Content-Type": "application/json", "x-cron-secret": "<cron-secret>"}'::jsonb,
+--         body := '{}'::jsonb
+--     );
+--     $$
+-- );
@@ -0,0 +1,43 @@
+-- ============================================================
+-- Migration V63: Invoice Email Log
+-- ============================================================
+-- Every invoice email sent through the `send-invoice` edge function
+-- (with the PDF attached) is recorded here, successful or not, so the
+-- invoice view can show when it was sent and to whom.
+
+-- 1. Email log
+CREATE TABLE IF NOT EXISTS invoice_emails (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id), -- Who sent it
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    invoice_id BIGINT NOT NULL REFERENCES public.invoices(id) ON DELETE CASCADE,
+    recipient TEXT NOT NULL,
+    cc TEXT,
+    bcc TEXT,
+    subject TEXT,
+    message TEXT,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    error TEXT,
+    provider_message_id TEXT,
+    sent_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_emails_invoice_id ON invoice_emails(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_emails_admin_id ON invoice_emails(admin_id);
+
+-- 2. Enable RLS
+ALTER TABLE invoice_emails ENABLE ROW LEVEL SECURITY;
+
+-- 3. Policies - the organization can read the log
+DROP POLICY IF EXISTS "invoice_emails_select" ON invoice_emails;
+CREATE POLICY "invoice_emails_select" ON invoice_emails FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+-- Log rows are written by the edge function (service role) only
+
+GRANT SELECT ON invoice_emails TO authenticated;
+GRANT ALL ON invoice_emails TO service_role;
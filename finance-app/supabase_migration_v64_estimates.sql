@@ -0,0 +1,151 @@
+-- ============================================================
+-- Migration V64: Estimates / Quotations
+-- ============================================================
+-- Quotes sent before an invoice. An estimate has the same client,
+-- service lines and GST totals as an invoice, its own EST-0001 number
+-- series and a valid_until date. Status is pending, accepted or
+-- rejected; "expired" is derived on read (pending and past valid_until).
+-- "Convert to invoice" creates a normal invoice from the lines and links
+-- the two records both ways.
+
+-- 1. Estimates
+CREATE TABLE IF NOT EXISTS estimates (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id),
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    estimate_number TEXT NOT NULL,
+    estimate_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    valid_until DATE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+    client_id BIGINT REFERENCES public.clients(id) ON DELETE SET NULL,
+    client_name TEXT NOT NULL,
+    client_email TEXT,
+    client_address TEXT,
+    client_phone TEXT,
+    client_gstin TEXT,
+    client_state TEXT,
+    agency_name TEXT,
+    agency_contact TEXT,
+    agency_address TEXT,
+    agency_logo TEXT,
+    agency_gstin TEXT,
+    agency_state TEXT,
+    currency TEXT,
+    subtotal NUMERIC DEFAULT 0,
+    tax_percent NUMERIC DEFAULT 0,
+    tax_amount NUMERIC DEFAULT 0,
+    discount_percent NUMERIC DEFAULT 0,
+    discount_amount NUMERIC DEFAULT 0,
+    gst_type TEXT CHECK (gst_type IN ('intra', 'inter')),
+    cgst_amount NUMERIC DEFAULT 0,
+    sgst_amount NUMERIC DEFAULT 0,
+    igst_amount NUMERIC DEFAULT 0,
+    grand_total NUMERIC DEFAULT 0,
+    notes TEXT,
+    invoice_id BIGINT REFERENCES public.invoices(id) ON DELETE SET NULL, -- Invoice it was converted into
+    created_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (admin_id, estimate_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimates_admin_id ON estimates(admin_id);
+
+-- 2. Estimate lines (same shape as invoice_services)
+CREATE TABLE IF NOT EXISTS estimate_items (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    estimate_id BIGINT NOT NULL REFERENCES public.estimates(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    hsn_sac TEXT,
+    quantity NUMERIC NOT NULL DEFAULT 1,
+    rate NUMERIC NOT NULL DEFAULT 0,
+    tax_rate NUMERIC DEFAULT 0,
+    tax_amount NUMERIC DEFAULT 0,
+    amount NUMERIC NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_items_estimate_id ON estimate_items(estimate_id);
+
+-- 3. Link invoices back to the estimate they came from
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS estimate_id BIGINT
+    REFERENCES public.estimates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_estimate_id ON invoices(estimate_id);
+
+-- 4. Enable RLS
+ALTER TABLE estimates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE estimate_items ENABLE ROW LEVEL SECURITY;
+
+-- 5. Policies (same visibility as recurring invoices)
+DROP POLICY IF EXISTS "estimates_select" ON estimates;
+CREATE POLICY "estimates_select" ON estimates FOR SELECT TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "estimates_insert" ON estimates;
+CREATE POLICY "estimates_insert" ON estimates FOR INSERT TO authenticated
+    WITH CHECK (user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "estimates_update" ON estimates;
+CREATE POLICY "estimates_update" ON estimates FOR UPDATE TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+    );
+
+-- Only admins can remove an estimate
+DROP POLICY IF EXISTS "estimates_delete" ON estimates;
+CREATE POLICY "estimates_delete" ON estimates FOR DELETE TO authenticated
+    USING (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "estimate_items_select" ON estimate_items;
+CREATE POLICY "estimate_items_select" ON estimate_items FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM estimates
+            WHERE id = estimate_items.estimate_id
+            AND (
+                user_id = (SELECT auth.uid()) OR
+                admin_id = (SELECT auth.uid()) OR
+                admin_id = (SELECT public.get_active_org_id())
+            )
+        )
+    );
+
+DROP POLICY IF EXISTS "estimate_items_insert" ON estimate_items;
+CREATE POLICY "estimate_items_insert" ON estimate_items FOR INSERT TO authenticated
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM estimates
+            WHERE id = estimate_items.estimate_id
+            AND user_id = (SELECT auth.uid())
+        )
+    );
+
+GRANT ALL ON estimates TO authenticated;
+GRANT SELECT, INSERT ON estimate_items TO authenticated;
+GRANT ALL ON estimates TO service_role;
+GRANT ALL ON estimate_items TO service_role;
+
+-- 6. Separate numbering series (EST-0001, EST-0002, ...)
+CREATE OR REPLACE FUNCTION get_next_estimate_number(org_admin_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+BEGIN
+    RETURN (
+        SELECT COALESCE(MAX(CAST(SUBSTRING(estimate_number FROM '[0-9]+') AS INTEGER)), 0) + 1
+        FROM estimates
+        WHERE admin_id = org_admin_id
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_next_estimate_number(UUID) TO authenticated;
@@ -0,0 +1,245 @@
+-- ============================================================
+-- Migration V65: Configurable Document Numbering
+-- ============================================================
+-- Invoice, estimate and credit note numbers used to be MAX(number) + 1,
+-- computed in the browser before saving - two people saving at the same
+-- time got the same number. Numbers are now allocated inside the database
+-- from a counter row (number_sequences) that is incremented atomically,
+-- and formatted with a per-organization scheme:
+--
+--   pattern  - tokens {PREFIX} {FY} {YYYY} {MM} {CLIENT} {SEQ}
+--              e.g. '{PREFIX}/{FY}/{SEQ}' -> INV/2026-27/0042
+--   padding  - zero padding for {SEQ}
+--   reset_yearly     - restart {SEQ} every financial year (needs {FY})
+--   per_client       - separate {SEQ} per client (needs {CLIENT}, the client id)
+--   fy_start_month   - 4 = April-March
+--
+-- Organizations without a scheme keep the old INV-0001 / EST-0001 / CN-0001
+-- formats, continuing from their current highest number.
+
+-- 1. Schemes (one per organization and document type)
+CREATE TABLE IF NOT EXISTS numbering_schemes (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES auth.users(id), -- Organization owner (for RLS)
+    document_type TEXT NOT NULL CHECK (document_type IN ('invoice', 'estimate', 'credit_note')),
+    prefix TEXT NOT NULL DEFAULT '',
+    pattern TEXT NOT NULL DEFAULT '{PREFIX}-{SEQ}',
+    padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 10),
+    reset_yearly BOOLEAN NOT NULL DEFAULT FALSE,
+    per_client BOOLEAN NOT NULL DEFAULT FALSE,
+    fy_start_month INTEGER NOT NULL DEFAULT 4 CHECK (fy_start_month BETWEEN 1 AND 12),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (admin_id, document_type),
+    -- A number must stay unique once the counter restarts or splits
+    CHECK (pattern LIKE '%{SEQ}%'),
+    CHECK (NOT reset_yearly OR pattern LIKE '%{FY}%'),
+    CHECK (NOT per_client OR pattern LIKE '%{CLIENT}%')
+);
+
+-- 2. Counters. series_key = document type [+ financial year] [+ client]
+CREATE TABLE IF NOT EXISTS number_sequences (
+    admin_id UUID NOT NULL REFERENCES auth.users(id),
+    series_key TEXT NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (admin_id, series_key)
+);
+
+-- 3. Enable RLS
+ALTER TABLE numbering_schemes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE number_sequences ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies - the organization reads schemes, admins change them.
+-- Counters are only touched by the SECURITY DEFINER functions below.
+DROP POLICY IF EXISTS "numbering_schemes_select" ON numbering_schemes;
+CREATE POLICY "numbering_schemes_select" ON numbering_schemes FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "numbering_schemes_write" ON numbering_schemes;
+CREATE POLICY "numbering_schemes_write" ON numbering_schemes FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON numbering_schemes TO authenticated;
+GRANT ALL ON numbering_schemes TO service_role;
+GRANT ALL ON number_sequences TO service_role;
+
+-- 5. Seed the legacy counters from the numbers already issued
+INSERT INTO number_sequences (admin_id, series_key, last_value)
+SELECT admin_id, 'invoice', MAX(CAST(SUBSTRING(invoice_number FROM '[0-9]+') AS INTEGER))
+FROM invoices
+WHERE admin_id IS NOT NULL AND invoice_number ~ '[0-9]'
+GROUP BY admin_id
+ON CONFLICT (admin_id, series_key) DO NOTHING;
+
+INSERT INTO number_sequences (admin_id, series_key, last_value)
+SELECT admin_id, 'estimate', MAX(CAST(SUBSTRING(estimate_number FROM '[0-9]+') AS INTEGER))
+FROM estimates
+WHERE admin_id IS NOT NULL AND estimate_number ~ '[0-9]'
+GROUP BY admin_id
+ON CONFLICT (admin_id, series_key) DO NOTHING;
+
+INSERT INTO number_sequences (admin_id, series_key, last_value)
+SELECT admin_id, 'credit_note', MAX(CAST(SUBSTRING(credit_note_number FROM '[0-9]+') AS INTEGER))
+FROM credit_notes
+WHERE admin_id IS NOT NULL AND credit_note_number ~ '[0-9]'
+GROUP BY admin_id
+ON CONFLICT (admin_id, series_key) DO NOTHING;
+
+-- 6. Scheme lookup + formatting shared by preview and allocation.
+-- Returns the series key and the number with {SEQ} still in place.
+CREATE OR REPLACE FUNCTION resolve_document_number(
+    org_admin_id UUID,
+    doc_type TEXT,
+    doc_date DATE,
+    doc_client_id BIGINT,
+    OUT series_key TEXT,
+    OUT number_template TEXT,
+    OUT seq_padding INTEGER
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    scheme numbering_schemes%ROWTYPE;
+    fy_start_year INTEGER;
+    fy_label TEXT;
+BEGIN
+    SELECT * INTO scheme FROM numbering_schemes
+    WHERE admin_id = org_admin_id AND document_type = doc_type;
+
+    IF NOT FOUND THEN
+        scheme.prefix := CASE doc_type WHEN 'estimate' THEN 'EST' WHEN 'credit_note' THEN 'CN' ELSE 'INV' END;
+        scheme.pattern := '{PREFIX}-{SEQ}';
+        scheme.padding := 4;
+        scheme.reset_yearly := FALSE;
+        scheme.per_client := FALSE;
+        scheme.fy_start_month := 4;
+    END IF;
+
+    doc_date := COALESCE(doc_date, CURRENT_DATE);
+    fy_start_year := EXTRACT(YEAR FROM doc_date)::INTEGER
+        - CASE WHEN EXTRACT(MONTH FROM doc_date) < scheme.fy_start_month THEN 1 ELSE 0 END;
+    fy_label := CASE
+        WHEN scheme.fy_start_month = 1 THEN fy_start_year::TEXT
+        ELSE fy_start_year || '-' || LPAD(((fy_start_year + 1) % 100)::TEXT, 2, '0')
+    END;
+
+    series_key := doc_type
+        || CASE WHEN scheme.reset_yearly THEN '|' || fy_label ELSE '' END
+        || CASE WHEN scheme.per_client THEN '|client:' || COALESCE(doc_client_id::TEXT, 'none') ELSE '' END;
+
+    number_template := replace(replace(replace(replace(replace(scheme.pattern,
+        '{PREFIX}', scheme.prefix),
+        '{FY}', fy_label),
+        '{YYYY}', EXTRACT(YEAR FROM doc_date)::TEXT),
+        '{MM}', LPAD(EXTRACT(MONTH FROM doc_date)::TEXT, 2, '0')),
+        '{CLIENT}', COALESCE(doc_client_id::TEXT, '0'));
+    seq_padding := scheme.padding;
+END;
+$$;
+
+-- Internal helper: only the functions below call it
+REVOKE EXECUTE ON FUNCTION resolve_document_number(UUID, TEXT, DATE, BIGINT) FROM PUBLIC;
+
+-- Only members of the organization may use its series
+CREATE OR REPLACE FUNCTION is_org_member(org_admin_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public, pg_temp
+AS $$
+    SELECT org_admin_id = (SELECT auth.uid())
+        OR org_admin_id = (SELECT public.get_active_org_id());
+$$;
+
+-- 7. Next number without using it (shown in the form before saving)
+CREATE OR REPLACE FUNCTION preview_document_number(
+    org_admin_id UUID,
+    doc_type TEXT,
+    doc_date DATE DEFAULT CURRENT_DATE,
+    doc_client_id BIGINT DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    resolved RECORD;
+    next_value INTEGER;
+BEGIN
+    IF NOT is_org_member(org_admin_id) THEN
+        RAISE EXCEPTION 'Not allowed to read numbers for this organization';
+    END IF;
+
+    SELECT * INTO resolved FROM resolve_document_number(org_admin_id, doc_type, doc_date, doc_client_id);
+
+    SELECT COALESCE(last_value, 0) + 1 INTO next_value
+    FROM number_sequences
+    WHERE admin_id = org_admin_id AND series_key = resolved.series_key;
+
+    next_value := COALESCE(next_value, 1);
+    RETURN replace(resolved.number_template, '{SEQ}',
+        LPAD(next_value::TEXT, GREATEST(resolved.seq_padding, length(next_value::TEXT)), '0'));
+END;
+$$;
+
+-- 8. Allocate the next number. The upsert takes a row lock on the counter,
+-- so concurrent callers are serialized and never get the same value.
+CREATE OR REPLACE FUNCTION allocate_document_number(
+    org_admin_id UUID,
+    doc_type TEXT,
+    doc_date DATE DEFAULT CURRENT_DATE,
+    doc_client_id BIGINT DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    resolved RECORD;
+    next_value INTEGER;
+BEGIN
+    IF NOT is_org_member(org_admin_id) THEN
+        RAISE EXCEPTION 'Not allowed to allocate numbers for this organization';
+    END IF;
+
+    SELECT * INTO resolved FROM resolve_document_number(org_admin_id, doc_type, doc_date, doc_client_id);
+
+    INSERT INTO number_sequences (admin_id, series_key, last_value)
+    VALUES (org_admin_id, resolved.series_key, 1)
+    ON CONFLICT (admin_id, series_key)
+    DO UPDATE SET last_value = number_sequences.last_value + 1
+    RETURNING last_value INTO next_value;
+
+    -- GREATEST: LPAD would cut 10000 down to 1000 with padding 4
+    RETURN replace(resolved.number_template, '{SEQ}',
+        LPAD(next_value::TEXT, GREATEST(resolved.seq_padding, length(next_value::TEXT)), '0'));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION preview_document_number(UUID, TEXT, DATE, BIGINT) TO authenticated;
+GRANT EXECUTE ON FUNCTION allocate_document_number(UUID, TEXT, DATE, BIGINT) TO authenticated;
+
+-- 9. Last line of defence against duplicates. Skipped (with a notice) if
+-- the table already contains duplicates that need cleaning up first.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM invoices WHERE admin_id IS NOT NULL
+        GROUP BY admin_id, invoice_number HAVING COUNT(*) > 1
+    ) THEN
+        RAISE NOTICE 'Duplicate invoice numbers exist - unique index idx_invoices_admin_number not created';
+    ELSE
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_admin_number ON invoices(admin_id, invoice_number);
+    END IF;
+END;
+$$;
@@ -0,0 +1,50 @@
+-- ============================================================
+-- Migration V66: Invoice Revision History
+-- ============================================================
+-- Unpaid invoices can now be edited. Each save keeps the invoice as it
+-- was before the edit (snapshot, including its service lines) and a list
+-- of what changed ([{ label, from, to }]), so the invoice view can show
+-- every revision with who made it and when. Revisions are never changed
+-- or removed on their own; they go when the invoice is deleted.
+
+-- 1. Revisions
+CREATE TABLE IF NOT EXISTS invoice_revisions (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id), -- Who edited
+    admin_id UUID REFERENCES auth.users(id), -- Organization owner (for RLS)
+    invoice_id BIGINT NOT NULL REFERENCES public.invoices(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    edited_by_name TEXT,
+    snapshot JSONB NOT NULL,
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (invoice_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_revisions_admin_id ON invoice_revisions(admin_id);
+
+-- 2. Enable RLS
+ALTER TABLE invoice_revisions ENABLE ROW LEVEL SECURITY;
+
+-- 3. Policies - the organization reads the history, whoever edits adds to it
+DROP POLICY IF EXISTS "invoice_revisions_select" ON invoice_revisions;
+CREATE POLICY "invoice_revisions_select" ON invoice_revisions FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "invoice_revisions_insert" ON invoice_revisions;
+CREATE POLICY "invoice_revisions_insert" ON invoice_revisions FOR INSERT TO authenticated
+    WITH CHECK (
+        user_id = (SELECT auth.uid())
+        AND (
+            admin_id = (SELECT auth.uid())
+            OR
+            admin_id = (SELECT public.get_active_org_id())
+        )
+    );
+
+GRANT SELECT, INSERT ON invoice_revisions TO authenticated;
+GRANT ALL ON invoice_revisions TO service_role;
@@ -0,0 +1,52 @@
+-- ============================================================
+-- Migration V67: Service Catalogue
+-- ============================================================
+-- Services and products the organization sells, with a default rate,
+-- unit, GST rate and SAC/HSN code. Invoice and estimate lines picked from
+-- the catalogue keep a link to the item (catalog_item_id), which the
+-- analytics page uses to report revenue per item. The line still stores
+-- its own name, rate and tax, so changing or removing an item never
+-- alters an issued invoice.
+
+-- 1. Catalogue items
+CREATE TABLE IF NOT EXISTS catalog_items (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES auth.users(id), -- Organization owner (for RLS)
+    name TEXT NOT NULL,
+    description TEXT,
+    default_rate NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (default_rate >= 0),
+    unit TEXT,
+    tax_rate NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0),
+    hsn_sac TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Autocomplete matches on the name, so it must be unique per organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_catalog_items_admin_name ON catalog_items(admin_id, lower(name));
+
+-- 2. Link invoice and estimate lines to the item they were picked from
+ALTER TABLE invoice_services ADD COLUMN IF NOT EXISTS catalog_item_id BIGINT REFERENCES catalog_items(id) ON DELETE SET NULL;
+ALTER TABLE estimate_items ADD COLUMN IF NOT EXISTS catalog_item_id BIGINT REFERENCES catalog_items(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoice_services_catalog_item_id ON invoice_services(catalog_item_id);
+
+-- 3. Enable RLS
+ALTER TABLE catalog_items ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies - the organization reads the catalogue, admins maintain it
+DROP POLICY IF EXISTS "catalog_items_select" ON catalog_items;
+CREATE POLICY "catalog_items_select" ON catalog_items FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "catalog_items_write" ON catalog_items;
+CREATE POLICY "catalog_items_write" ON catalog_items FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON catalog_items TO authenticated;
+GRANT ALL ON catalog_items TO service_role;
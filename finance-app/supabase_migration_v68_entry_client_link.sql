@@ -0,0 +1,29 @@
+-- ============================================================
+-- Migration V68: Link Finance Entries to Clients
+-- ============================================================
+-- Entries only stored the client's name as free text, so renaming a client
+-- split their history across two names. Entries now keep a client_id as
+-- well; client_name stays as the display name and follows renames.
+--
+-- Existing entries whose name matches exactly one client of the same
+-- organization (ignoring case and surrounding spaces) are linked here.
+-- The rest are left for Settings > Link Entries to Clients, where an admin
+-- reviews suggested matches before linking.
+
+-- 1. Client reference
+ALTER TABLE finance_entries ADD COLUMN IF NOT EXISTS client_id BIGINT REFERENCES public.clients(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_finance_entries_client_id ON finance_entries(client_id);
+
+-- 2. Link exact name matches
+UPDATE finance_entries fe
+SET client_id = c.id
+FROM clients c
+WHERE fe.client_id IS NULL
+  AND c.admin_id = fe.admin_id
+  AND lower(trim(c.name)) = lower(trim(fe.client_name))
+  AND (
+      SELECT COUNT(*) FROM clients c2
+      WHERE c2.admin_id = fe.admin_id
+        AND lower(trim(c2.name)) = lower(trim(fe.client_name))
+  ) = 1;
@@ -0,0 +1,43 @@
+-- ============================================================
+-- Migration V69: Client Merges
+-- ============================================================
+-- Admins can merge a duplicate client into the record that stays. The
+-- duplicate's invoices, entries, recurring invoices and estimates move to
+-- the surviving client and the duplicate is deleted. Each merge leaves an
+-- audit row with the removed client as it was and what was moved, shown
+-- on the surviving client's activity timeline.
+
+-- 1. Merge audit trail
+CREATE TABLE IF NOT EXISTS client_merges (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id), -- Who merged
+    admin_id UUID NOT NULL REFERENCES auth.users(id), -- Organization owner (for RLS)
+    surviving_client_id BIGINT REFERENCES public.clients(id) ON DELETE SET NULL,
+    merged_client_id BIGINT, -- Deleted by the merge, so no foreign key
+    merged_client_name TEXT NOT NULL,
+    merged_client JSONB NOT NULL, -- The removed client record
+    moved JSONB NOT NULL DEFAULT '{}'::jsonb, -- { invoices, entries, recurringInvoices, estimates }
+    merged_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_merges_surviving_client_id ON client_merges(surviving_client_id);
+
+-- 2. Enable RLS
+ALTER TABLE client_merges ENABLE ROW LEVEL SECURITY;
+
+-- 3. Policies - the organization can read the trail, only admins merge
+DROP POLICY IF EXISTS "client_merges_select" ON client_merges;
+CREATE POLICY "client_merges_select" ON client_merges FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "client_merges_insert" ON client_merges;
+CREATE POLICY "client_merges_insert" ON client_merges FOR INSERT TO authenticated
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+GRANT SELECT, INSERT ON client_merges TO authenticated;
+GRANT ALL ON client_merges TO service_role;
@@ -0,0 +1,49 @@
+-- ============================================================
+-- Migration V70: Entry Categories
+-- ============================================================
+-- Income and expense categories for finance entries (rent, software,
+-- salaries, travel...), two levels deep: a category and optional
+-- subcategories under it. Admins maintain the list in Settings and can add
+-- a default set in one go; everyone in the organization picks from it when
+-- saving an entry. Analytics rolls subcategories up into their parent.
+
+-- 1. Categories
+CREATE TABLE IF NOT EXISTS entry_categories (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES auth.users(id), -- Organization owner (for RLS)
+    parent_id BIGINT REFERENCES entry_categories(id), -- NULL for a top-level category
+    type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A name is used once per level, so "Travel > Meals" and "Office > Meals" can coexist
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entry_categories_admin_name
+    ON entry_categories(admin_id, type, COALESCE(parent_id, 0), lower(name));
+CREATE INDEX IF NOT EXISTS idx_entry_categories_parent_id ON entry_categories(parent_id);
+
+-- 2. Category on each entry; removing a category leaves its entries uncategorised
+ALTER TABLE finance_entries ADD COLUMN IF NOT EXISTS category_id BIGINT REFERENCES entry_categories(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_finance_entries_category_id ON finance_entries(category_id);
+
+-- 3. Enable RLS
+ALTER TABLE entry_categories ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies - the organization reads the categories, admins maintain them
+DROP POLICY IF EXISTS "entry_categories_select" ON entry_categories;
+CREATE POLICY "entry_categories_select" ON entry_categories FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "entry_categories_write" ON entry_categories;
+CREATE POLICY "entry_categories_write" ON entry_categories FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON entry_categories TO authenticated;
+GRANT ALL ON entry_categories TO service_role;
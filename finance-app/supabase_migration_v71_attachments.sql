@@ -0,0 +1,161 @@
+-- ============================================================
+-- Migration V71: Receipt and Document Attachments
+-- ============================================================
+-- Images and PDFs attached to finance entries, petty cash expenses and
+-- investments. Files live in a private 'attachments' bucket under
+-- <admin_id>/<record type>/<record id>/, so the organization can read them
+-- through short-lived signed URLs and nobody outside it can. Each file has
+-- a row in attachments that points at exactly one record and is removed
+-- with it.
+--
+-- An expense an employee submitted can't be approved until it has at least
+-- one attachment. The app checks this first; the triggers below make sure
+-- of it.
+
+-- 1. Private bucket, images and PDFs up to 10 MB
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'attachments', 'attachments', false, 10485760,
+    ARRAY['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf']
+)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Attachments Org View" ON storage.objects;
+DROP POLICY IF EXISTS "Attachments Org Upload" ON storage.objects;
+DROP POLICY IF EXISTS "Attachments Delete" ON storage.objects;
+
+-- The first folder of the path is the organization owner's id
+CREATE POLICY "Attachments Org View"
+ON storage.objects FOR SELECT
+TO authenticated
+USING (
+    bucket_id = 'attachments' AND (
+        (storage.foldername(name))[1] = (SELECT auth.uid())::text
+        OR
+        (storage.foldername(name))[1] = (SELECT public.get_active_org_id())::text
+    )
+);
+
+CREATE POLICY "Attachments Org Upload"
+ON storage.objects FOR INSERT
+TO authenticated
+WITH CHECK (
+    bucket_id = 'attachments' AND (
+        (storage.foldername(name))[1] = (SELECT auth.uid())::text
+        OR
+        (storage.foldername(name))[1] = (SELECT public.get_active_org_id())::text
+    )
+);
+
+-- The uploader or the organization owner can remove a file
+CREATE POLICY "Attachments Delete"
+ON storage.objects FOR DELETE
+TO authenticated
+USING (
+    bucket_id = 'attachments' AND (
+        owner = (SELECT auth.uid())
+        OR
+        (storage.foldername(name))[1] = (SELECT auth.uid())::text
+    )
+);
+
+-- 2. Attachment records
+CREATE TABLE IF NOT EXISTS attachments (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES auth.users(id), -- Organization owner (for RLS)
+    user_id UUID REFERENCES auth.users(id), -- Who uploaded
+    entry_id BIGINT REFERENCES finance_entries(id) ON DELETE CASCADE,
+    petty_cash_entry_id BIGINT REFERENCES petty_cash_entries(id) ON DELETE CASCADE,
+    investment_id BIGINT REFERENCES investments(id) ON DELETE CASCADE,
+    file_path TEXT NOT NULL UNIQUE, -- Object name in the attachments bucket
+    file_name TEXT NOT NULL, -- Original name, for display and download
+    mime_type TEXT NOT NULL,
+    size_bytes BIGINT NOT NULL DEFAULT 0,
+    uploaded_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT attachments_one_record CHECK (num_nonnulls(entry_id, petty_cash_entry_id, investment_id) = 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_entry_id ON attachments(entry_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_petty_cash_entry_id ON attachments(petty_cash_entry_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_investment_id ON attachments(investment_id);
+
+-- 3. Enable RLS
+ALTER TABLE attachments ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies - the organization reads and adds attachments; the uploader
+--    or the admin removes them
+DROP POLICY IF EXISTS "attachments_select" ON attachments;
+CREATE POLICY "attachments_select" ON attachments FOR SELECT TO authenticated
+    USING (
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+DROP POLICY IF EXISTS "attachments_insert" ON attachments;
+CREATE POLICY "attachments_insert" ON attachments FOR INSERT TO authenticated
+    WITH CHECK (
+        user_id = (SELECT auth.uid())
+        AND (
+            admin_id = (SELECT auth.uid())
+            OR
+            admin_id = (SELECT public.get_active_org_id())
+        )
+    );
+
+DROP POLICY IF EXISTS "attachments_delete" ON attachments;
+CREATE POLICY "attachments_delete" ON attachments FOR DELETE TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+    );
+
+GRANT SELECT, INSERT, DELETE ON attachments TO authenticated;
+GRANT ALL ON attachments TO service_role;
+
+-- 5. Employee expenses need a receipt before approval
+CREATE OR REPLACE FUNCTION public.require_entry_attachment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.approval_status = 'approved'
+       AND OLD.approval_status IS DISTINCT FROM 'approved'
+       AND NEW.type = 'expense'
+       AND NEW.user_id IS DISTINCT FROM NEW.admin_id
+       AND NOT EXISTS (SELECT 1 FROM attachments WHERE entry_id = NEW.id) THEN
+        RAISE EXCEPTION 'Attach a receipt before approving this expense';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS finance_entries_require_attachment ON finance_entries;
+CREATE TRIGGER finance_entries_require_attachment
+    BEFORE UPDATE OF approval_status ON finance_entries
+    FOR EACH ROW EXECUTE FUNCTION public.require_entry_attachment();
+
+CREATE OR REPLACE FUNCTION public.require_petty_cash_attachment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.status = 'approved'
+       AND OLD.status IS DISTINCT FROM 'approved'
+       AND NEW.transaction_type = 'expense'
+       AND NEW.user_id IS DISTINCT FROM NEW.admin_id
+       AND NOT EXISTS (SELECT 1 FROM attachments WHERE petty_cash_entry_id = NEW.id) THEN
+        RAISE EXCEPTION 'Attach a receipt before approving this expense';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS petty_cash_entries_require_attachment ON petty_cash_entries;
+CREATE TRIGGER petty_cash_entries_require_attachment
+    BEFORE UPDATE OF status ON petty_cash_entries
+    FOR EACH ROW EXECUTE FUNCTION public.require_petty_cash_attachment();
@@ -0,0 +1,55 @@
+-- ============================================================
+-- Migration V72: Bank Statement Reconciliation
+-- ============================================================
+-- Admins import bank statements (CSV or OFX) on the Reconciliation page.
+-- Each statement line is matched to the finance entry it records, either
+-- automatically (same amount and direction, close date, similar text) or
+-- by hand, and lines with no entry can be turned into one. A matched entry
+-- is flagged as reconciled.
+--
+-- Lines are keyed by the bank's transaction id (OFX FITID) or, for CSV,
+-- by their date, amount, text and position, so importing an overlapping
+-- statement again skips the lines already there.
+
+-- 1. Statement lines
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES auth.users(id), -- Organization owner (for RLS)
+    user_id UUID REFERENCES auth.users(id), -- Who imported
+    account_name TEXT NOT NULL, -- Bank account the statement belongs to
+    fit_id TEXT NOT NULL, -- Bank transaction id, or a key built from the CSV row
+    date DATE NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    reference TEXT,
+    amount NUMERIC(14, 2) NOT NULL, -- Deposits positive, withdrawals negative
+    balance NUMERIC(14, 2), -- Running balance after the line, when the bank gives one
+    currency TEXT NOT NULL,
+    entry_id BIGINT REFERENCES finance_entries(id) ON DELETE SET NULL, -- Matched entry
+    matched_by TEXT CHECK (matched_by IN ('auto', 'manual')),
+    matched_at TIMESTAMPTZ,
+    ignored BOOLEAN NOT NULL DEFAULT false, -- Bank charges, transfers etc. with no entry
+    source_file TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT bank_statement_lines_unique_line UNIQUE (admin_id, account_name, fit_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_admin_date ON bank_statement_lines(admin_id, date);
+-- An entry is matched to at most one statement line
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_statement_lines_entry_id ON bank_statement_lines(entry_id) WHERE entry_id IS NOT NULL;
+
+-- 2. Reconciled flag on entries
+ALTER TABLE finance_entries ADD COLUMN IF NOT EXISTS reconciled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE finance_entries ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;
+ALTER TABLE finance_entries ADD COLUMN IF NOT EXISTS reconciled_by UUID REFERENCES auth.users(id);
+
+-- 3. Enable RLS
+ALTER TABLE bank_statement_lines ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies - bank statements are for admins only
+DROP POLICY IF EXISTS "bank_statement_lines_admin" ON bank_statement_lines;
+CREATE POLICY "bank_statement_lines_admin" ON bank_statement_lines FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON bank_statement_lines TO authenticated;
+GRANT ALL ON bank_statement_lines TO service_role;
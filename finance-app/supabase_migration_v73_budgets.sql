@@ -0,0 +1,62 @@
+-- ============================================================
+-- Migration V73: Budgets
+-- ============================================================
+-- Planned spend per expense category or per client, as a monthly amount
+-- (the same for every month of the year) or an annual total, in the base
+-- currency. Analytics compares each budget with the approved expenses
+-- filed under it; a category budget includes its subcategories.
+--
+-- When spend reaches 80% and again at 100% of a budget the admin gets a
+-- notification, once per budget, period and threshold. budget_alerts
+-- records what was sent so a second open tab doesn't send it again.
+
+-- 1. Budgets
+CREATE TABLE IF NOT EXISTS budgets (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES auth.users(id), -- Organization owner (for RLS)
+    category_id BIGINT REFERENCES entry_categories(id) ON DELETE CASCADE,
+    client_id BIGINT REFERENCES public.clients(id) ON DELETE CASCADE,
+    period TEXT NOT NULL CHECK (period IN ('monthly', 'annual')),
+    year INTEGER NOT NULL,
+    amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0), -- Per month or per year, base currency
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT budgets_one_target CHECK (num_nonnulls(category_id, client_id) = 1)
+);
+
+-- One budget per category or client, period and year
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_admin_target
+    ON budgets(admin_id, year, period, COALESCE(category_id, 0), COALESCE(client_id, 0));
+CREATE INDEX IF NOT EXISTS idx_budgets_category_id ON budgets(category_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_client_id ON budgets(client_id);
+
+-- 2. Threshold alerts already sent
+CREATE TABLE IF NOT EXISTS budget_alerts (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES auth.users(id),
+    budget_id BIGINT NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+    period_key TEXT NOT NULL, -- 'YYYY-MM' for monthly budgets, 'YYYY' for annual
+    threshold INTEGER NOT NULL CHECK (threshold IN (80, 100)),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT budget_alerts_once UNIQUE (budget_id, period_key, threshold)
+);
+
+-- 3. Enable RLS
+ALTER TABLE budgets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_alerts ENABLE ROW LEVEL SECURITY;
+
+-- 4. Policies - budgets are for admins only
+DROP POLICY IF EXISTS "budgets_admin" ON budgets;
+CREATE POLICY "budgets_admin" ON budgets FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "budget_alerts_admin" ON budget_alerts;
+CREATE POLICY "budget_alerts_admin" ON budget_alerts FOR ALL TO authenticated
+    USING (admin_id = (SELECT auth.uid()))
+    WITH CHECK (admin_id = (SELECT auth.uid()));
+
+GRANT ALL ON budgets TO authenticated;
+GRANT ALL ON budgets TO service_role;
+GRANT ALL ON budget_alerts TO authenticated;
+GRANT ALL ON budget_alerts TO service_role;
@@ -0,0 +1,33 @@
+-- ============================================================
+-- Migration V74: Invoice Payments - Organization Visibility
+-- ============================================================
+-- V57 only let the person who recorded a payment and the org owner see it.
+-- Employees can see every invoice of their organization, so they saw those
+-- invoices without the payments made by colleagues and their balance due
+-- was wrong. Payments now follow invoice visibility like credit notes (V59).
+
+-- 1. Anyone in the organization can see its payments
+DROP POLICY IF EXISTS "invoice_payments_select" ON invoice_payments;
+CREATE POLICY "invoice_payments_select" ON invoice_payments FOR SELECT TO authenticated
+    USING (
+        user_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT auth.uid())
+        OR
+        admin_id = (SELECT public.get_active_org_id())
+    );
+
+-- 2. ...and record a payment against any of its invoices
+DROP POLICY IF EXISTS "invoice_payments_insert" ON invoice_payments;
+CREATE POLICY "invoice_payments_insert" ON invoice_payments FOR INSERT TO authenticated
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM invoices
+            WHERE id = invoice_payments.invoice_id
+            AND (
+                user_id = (SELECT auth.uid()) OR
+                admin_id = (SELECT auth.uid()) OR
+                admin_id = (SELECT public.get_active_org_id())
+            )
+        )
+    );
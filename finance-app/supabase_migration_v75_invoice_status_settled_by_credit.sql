@@ -0,0 +1,46 @@
+-- ============================================================
+-- Migration V75: Paid + Credited Invoices Count As Paid
+-- ============================================================
+-- An invoice paid in part and credited for the rest was left
+-- 'partially_credited' - still shown as open and chased by reminders,
+-- although nothing is owed. The status rule is now:
+--   credited covers the total         -> cancelled
+--   paid + credited covers the total  -> paid
+--   credited, balance still open      -> partially_credited
+--   paid, balance still open          -> partially_paid
+--   nothing received                  -> pending
+
+-- 1. The rule in SQL, for the invoice functions that follow
+CREATE OR REPLACE FUNCTION derive_invoice_payment_status(
+    grand_total NUMERIC,
+    amount_paid NUMERIC,
+    credited_amount NUMERIC
+)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, pg_temp
+AS $$
+    -- Compared in paise so 99.999 of 100 still counts as paid
+    SELECT CASE
+        WHEN COALESCE(credited_amount, 0) > 0
+            AND ROUND(COALESCE(credited_amount, 0) * 100) >= ROUND(COALESCE(grand_total, 0) * 100) THEN 'cancelled'
+        WHEN COALESCE(amount_paid, 0) > 0
+            AND ROUND((COALESCE(amount_paid, 0) + COALESCE(credited_amount, 0)) * 100) >= ROUND(COALESCE(grand_total, 0) * 100) THEN 'paid'
+        WHEN COALESCE(credited_amount, 0) > 0 THEN 'partially_credited'
+        WHEN COALESCE(amount_paid, 0) > 0 THEN 'partially_paid'
+        ELSE 'pending'
+    END;
+$$;
+
+-- 2. Settle the invoices left open by the old rule
+UPDATE invoices i
+SET payment_status = 'paid'
+FROM (
+    SELECT invoice_id, SUM(amount) AS amount_paid
+    FROM invoice_payments
+    GROUP BY invoice_id
+) p
+WHERE p.invoice_id = i.id
+AND i.payment_status = 'partially_credited'
+AND derive_invoice_payment_status(i.grand_total, p.amount_paid, i.credited_amount) = 'paid';
@@ -0,0 +1,179 @@
+-- ============================================================
+-- Migration V76: Record Invoice Payments Atomically
+-- ============================================================
+-- Recording a payment took four separate requests from the browser:
+-- shrink the legacy "Invoice XXX" entry, add the income entry, add the
+-- payment row, update the invoice status. A failure half way left income
+-- counted without a payment (or the other way round), and two people
+-- recording at the same time could both pass the balance check.
+-- record_invoice_payment() now does all of it in one transaction, with
+-- the invoice row locked while the balance is checked.
+
+-- 1. Shrink (or remove) the pending legacy "Invoice XXX" entry of an
+-- invoice saved before V57. Returns the part of the amount it absorbed.
+CREATE OR REPLACE FUNCTION reduce_legacy_invoice_entry(
+    org_admin_id UUID,
+    p_invoice_number TEXT,
+    p_amount NUMERIC
+)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    legacy finance_entries%ROWTYPE;
+BEGIN
+    SELECT * INTO legacy FROM finance_entries
+    WHERE admin_id = org_admin_id
+    AND type = 'income'
+    AND description = 'Invoice ' || p_invoice_number
+    LIMIT 1
+    FOR UPDATE;
+
+    IF NOT FOUND OR legacy.status <> 'pending' THEN
+        RETURN 0;
+    END IF;
+
+    IF COALESCE(legacy.amount, 0) - p_amount > 0.005 THEN
+        UPDATE finance_entries SET amount = amount - p_amount WHERE id = legacy.id;
+        RETURN p_amount;
+    END IF;
+
+    DELETE FROM finance_entries WHERE id = legacy.id;
+    RETURN COALESCE(legacy.amount, 0);
+END;
+$$;
+
+-- 2. Recompute and store payment_status from the payments ledger and
+-- credited_amount. Invoices marked paid before V57 have no ledger and
+-- count as fully paid.
+CREATE OR REPLACE FUNCTION sync_invoice_payment_status(p_invoice_id BIGINT)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    inv invoices%ROWTYPE;
+    paid NUMERIC;
+    new_status TEXT;
+BEGIN
+    SELECT * INTO inv FROM invoices WHERE id = p_invoice_id;
+
+    SELECT SUM(amount) INTO paid FROM invoice_payments WHERE invoice_id = p_invoice_id;
+    IF paid IS NULL THEN
+        paid := CASE WHEN inv.payment_status = 'paid' THEN inv.grand_total ELSE 0 END;
+    END IF;
+
+    new_status := derive_invoice_payment_status(inv.grand_total, paid, inv.credited_amount);
+    IF new_status IS DISTINCT FROM inv.payment_status THEN
+        UPDATE invoices SET payment_status = new_status WHERE id = p_invoice_id;
+    END IF;
+
+    RETURN new_status;
+END;
+$$;
+
+-- Internal helpers: only the functions below call them
+REVOKE EXECUTE ON FUNCTION reduce_legacy_invoice_entry(UUID, TEXT, NUMERIC) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION sync_invoice_payment_status(BIGINT) FROM PUBLIC;
+
+-- 3. Record a payment: legacy entry, 'received' income entry, payment row
+-- and invoice status in one go. Anyone who can see the invoice may record one;
+-- the income entry needs approval when an employee records it, as in the app.
+CREATE OR REPLACE FUNCTION record_invoice_payment(
+    p_invoice_id BIGINT,
+    p_amount NUMERIC,
+    p_payment_date DATE DEFAULT CURRENT_DATE,
+    p_payment_mode TEXT DEFAULT 'bank_transfer',
+    p_reference TEXT DEFAULT NULL,
+    p_created_by_name TEXT DEFAULT NULL
+)
+RETURNS invoice_payments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    inv invoices%ROWTYPE;
+    paid NUMERIC;
+    balance NUMERIC;
+    caller_role TEXT;
+    new_entry_id BIGINT;
+    payment invoice_payments%ROWTYPE;
+BEGIN
+    -- Lock the invoice so concurrent payments are checked one after the other
+    SELECT * INTO inv FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found';
+    END IF;
+    IF NOT (inv.user_id = (SELECT auth.uid()) OR is_org_member(inv.admin_id)) THEN
+        RAISE EXCEPTION 'Not allowed to record payments for this invoice';
+    END IF;
+    IF COALESCE(p_amount, 0) <= 0 THEN
+        RAISE EXCEPTION 'Payment amount must be greater than zero';
+    END IF;
+
+    SELECT SUM(amount) INTO paid FROM invoice_payments WHERE invoice_id = p_invoice_id;
+    IF paid IS NULL THEN
+        paid := CASE WHEN inv.payment_status = 'paid' THEN inv.grand_total ELSE 0 END;
+    END IF;
+
+    balance := GREATEST(COALESCE(inv.grand_total, 0) - COALESCE(inv.credited_amount, 0) - paid, 0);
+    IF p_amount - balance > 0.005 THEN
+        RAISE EXCEPTION 'Payment exceeds outstanding balance of %', to_char(balance, 'FM999999999990.00');
+    END IF;
+
+    -- Older invoices carry one lump pending entry - shrink it so income isn't counted twice
+    PERFORM reduce_legacy_invoice_entry(inv.admin_id, inv.invoice_number, p_amount);
+
+    SELECT role INTO caller_role FROM users WHERE id = (SELECT auth.uid());
+
+    -- Mirror the payment in the finance ledger so dashboard totals pick it up
+    INSERT INTO finance_entries (
+        user_id, admin_id, date, client_id, client_name, description, amount,
+        type, status, payment_mode, currency, approval_status, created_by_name
+    )
+    VALUES (
+        (SELECT auth.uid()),
+        inv.admin_id,
+        COALESCE(p_payment_date, CURRENT_DATE),
+        inv.client_id,
+        inv.client_name,
+        'Payment for Invoice ' || inv.invoice_number
+            || CASE WHEN COALESCE(p_reference, '') <> '' THEN ' (Ref: ' || p_reference || ')' ELSE '' END,
+        p_amount,
+        'income',
+        'received',
+        COALESCE(p_payment_mode, 'bank_transfer'),
+        inv.currency,
+        CASE WHEN caller_role = 'admin' THEN 'approved' ELSE 'pending' END,
+        COALESCE(p_created_by_name, 'Unknown')
+    )
+    RETURNING id INTO new_entry_id;
+
+    INSERT INTO invoice_payments (
+        invoice_id, user_id, admin_id, amount, payment_date, payment_mode,
+        reference, entry_id, created_by_name
+    )
+    VALUES (
+        p_invoice_id,
+        (SELECT auth.uid()),
+        inv.admin_id,
+        p_amount,
+        COALESCE(p_payment_date, CURRENT_DATE),
+        COALESCE(p_payment_mode, 'bank_transfer'),
+        NULLIF(p_reference, ''),
+        new_entry_id,
+        p_created_by_name
+    )
+    RETURNING * INTO payment;
+
+    PERFORM sync_invoice_payment_status(p_invoice_id);
+    RETURN payment;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_invoice_payment(BIGINT, NUMERIC, DATE, TEXT, TEXT, TEXT) TO authenticated;
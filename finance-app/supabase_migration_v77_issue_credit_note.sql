@@ -0,0 +1,168 @@
+-- ============================================================
+-- Migration V77: Issue Credit Notes Atomically
+-- ============================================================
+-- A credit note was saved with several requests from the browser, and the
+-- invoice's credited_amount was written back as "what I read + this note".
+-- Two notes issued at once lost one of the amounts, and a failure half way
+-- left a number, entry or note without the rest. issue_credit_note() now
+-- locks the invoice, re-checks the lines still open, and saves the note,
+-- its lines, the refund entry and the invoice totals in one transaction.
+-- Amounts are still worked out in the app (the invoice's tax and GST rules
+-- live there) and are passed in.
+
+CREATE OR REPLACE FUNCTION issue_credit_note(
+    p_invoice_id BIGINT,
+    p_items JSONB, -- [{ "invoice_service_id": 1, "quantity": 2 }]
+    p_subtotal NUMERIC,
+    p_tax_amount NUMERIC,
+    p_discount_amount NUMERIC,
+    p_total NUMERIC,
+    p_cgst_amount NUMERIC DEFAULT 0,
+    p_sgst_amount NUMERIC DEFAULT 0,
+    p_igst_amount NUMERIC DEFAULT 0,
+    p_credit_date DATE DEFAULT CURRENT_DATE,
+    p_reason TEXT DEFAULT NULL,
+    p_payment_mode TEXT DEFAULT 'bank_transfer',
+    p_created_by_name TEXT DEFAULT NULL
+)
+RETURNS credit_notes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    inv invoices%ROWTYPE;
+    item RECORD;
+    paid NUMERIC;
+    credit_total NUMERIC;
+    outstanding NUMERIC;
+    unpaid_part NUMERIC;
+    refund_part NUMERIC;
+    note_number TEXT;
+    refund_entry_id BIGINT;
+    note credit_notes%ROWTYPE;
+BEGIN
+    -- Lock the invoice so concurrent credit notes are applied one after the other
+    SELECT * INTO inv FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found';
+    END IF;
+    -- Credit notes are issued by the organization's admin
+    IF inv.admin_id IS DISTINCT FROM (SELECT auth.uid()) THEN
+        RAISE EXCEPTION 'Only admins can issue credit notes';
+    END IF;
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Select at least one line to credit';
+    END IF;
+
+    -- Each line can only be credited up to the quantity not credited yet
+    FOR item IN
+        SELECT s.id, s.name, s.quantity, (i->>'quantity')::NUMERIC AS credit_quantity,
+            COALESCE((
+                SELECT SUM(ci.quantity) FROM credit_note_items ci
+                JOIN credit_notes cn ON cn.id = ci.credit_note_id
+                WHERE ci.invoice_service_id = s.id AND cn.invoice_id = p_invoice_id
+            ), 0) AS credited_quantity
+        FROM jsonb_array_elements(p_items) i
+        LEFT JOIN invoice_services s
+            ON s.id = (i->>'invoice_service_id')::BIGINT AND s.invoice_id = p_invoice_id
+    LOOP
+        IF item.id IS NULL THEN
+            RAISE EXCEPTION 'A credited line is not on this invoice';
+        END IF;
+        IF item.credit_quantity <= 0 OR item.credit_quantity - (COALESCE(item.quantity, 0) - item.credited_quantity) > 0.0001 THEN
+            RAISE EXCEPTION 'Line "%" has already been credited - reload the invoice and try again', item.name;
+        END IF;
+    END LOOP;
+
+    credit_total := LEAST(COALESCE(p_total, 0), COALESCE(inv.grand_total, 0) - COALESCE(inv.credited_amount, 0));
+    IF credit_total <= 0 THEN
+        RAISE EXCEPTION 'Nothing left to credit on this invoice';
+    END IF;
+
+    note_number := allocate_document_number(inv.admin_id, 'credit_note', COALESCE(p_credit_date, CURRENT_DATE), inv.client_id);
+
+    -- Split the credit into the receivable part and the refund part
+    SELECT SUM(amount) INTO paid FROM invoice_payments WHERE invoice_id = p_invoice_id;
+    IF paid IS NULL THEN
+        paid := CASE WHEN inv.payment_status = 'paid' THEN inv.grand_total ELSE 0 END;
+    END IF;
+    outstanding := GREATEST(COALESCE(inv.grand_total, 0) - COALESCE(inv.credited_amount, 0) - paid, 0);
+    unpaid_part := LEAST(credit_total, outstanding);
+    refund_part := credit_total - unpaid_part;
+
+    IF unpaid_part > 0 THEN
+        PERFORM reduce_legacy_invoice_entry(inv.admin_id, inv.invoice_number, unpaid_part);
+    END IF;
+
+    IF refund_part > 0.005 THEN
+        INSERT INTO finance_entries (
+            user_id, admin_id, date, client_id, client_name, description, amount,
+            type, status, payment_mode, currency, approval_status, created_by_name
+        )
+        VALUES (
+            (SELECT auth.uid()),
+            inv.admin_id,
+            COALESCE(p_credit_date, CURRENT_DATE),
+            inv.client_id,
+            inv.client_name,
+            'Credit Note ' || note_number || ' for Invoice ' || inv.invoice_number,
+            refund_part,
+            'expense',
+            'received',
+            COALESCE(p_payment_mode, 'bank_transfer'),
+            inv.currency,
+            'approved',
+            COALESCE(p_created_by_name, 'Unknown')
+        )
+        RETURNING id INTO refund_entry_id;
+    END IF;
+
+    INSERT INTO credit_notes (
+        user_id, admin_id, credit_note_number, invoice_id, credit_date, reason,
+        subtotal, tax_amount, discount_amount, total,
+        cgst_amount, sgst_amount, igst_amount, entry_id, created_by_name
+    )
+    VALUES (
+        (SELECT auth.uid()),
+        inv.admin_id,
+        note_number,
+        p_invoice_id,
+        COALESCE(p_credit_date, CURRENT_DATE),
+        NULLIF(p_reason, ''),
+        COALESCE(p_subtotal, 0),
+        COALESCE(p_tax_amount, 0),
+        COALESCE(p_discount_amount, 0),
+        credit_total,
+        COALESCE(p_cgst_amount, 0),
+        COALESCE(p_sgst_amount, 0),
+        COALESCE(p_igst_amount, 0),
+        refund_entry_id,
+        p_created_by_name
+    )
+    RETURNING * INTO note;
+
+    -- Name, rate and tax rate come from the invoice line itself
+    INSERT INTO credit_note_items (credit_note_id, invoice_service_id, name, quantity, rate, tax_rate, amount)
+    SELECT
+        note.id,
+        s.id,
+        s.name,
+        (i->>'quantity')::NUMERIC,
+        COALESCE(s.rate, 0),
+        COALESCE(s.tax_rate, 0),
+        (i->>'quantity')::NUMERIC * COALESCE(s.rate, 0)
+    FROM jsonb_array_elements(p_items) i
+    JOIN invoice_services s ON s.id = (i->>'invoice_service_id')::BIGINT;
+
+    UPDATE invoices
+    SET credited_amount = COALESCE(credited_amount, 0) + credit_total
+    WHERE id = p_invoice_id;
+
+    PERFORM sync_invoice_payment_status(p_invoice_id);
+    RETURN note;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION issue_credit_note(BIGINT, JSONB, NUMERIC, NUMERIC, NUMERIC, NUMERIC, NUMERIC, NUMERIC, NUMERIC, DATE, TEXT, TEXT, TEXT) TO authenticated;
@@ -0,0 +1,25 @@
+-- ============================================================
+-- Migration V78: One Invoice Per Estimate
+-- ============================================================
+-- Converting an estimate checked "not converted yet" in the browser and
+-- linked the invoice afterwards, so two clicks (or two people) at the same
+-- time each created an invoice. An estimate can now be the source of one
+-- invoice only; the second insert fails and the app reports the estimate
+-- as already converted.
+
+-- 1. Replace the plain lookup index with a unique one. Skipped (with a
+-- notice) if duplicates exist - cancel the extra invoices, then re-run.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM invoices WHERE estimate_id IS NOT NULL
+        GROUP BY estimate_id HAVING COUNT(*) > 1
+    ) THEN
+        RAISE NOTICE 'Estimates converted more than once exist - unique index idx_invoices_estimate_id_unique not created';
+    ELSE
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_estimate_id_unique ON invoices(estimate_id)
+            WHERE estimate_id IS NOT NULL;
+        DROP INDEX IF EXISTS idx_invoices_estimate_id;
+    END IF;
+END;
+$$;
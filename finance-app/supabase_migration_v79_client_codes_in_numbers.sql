@@ -0,0 +1,127 @@
+-- ============================================================
+-- Migration V79: Client Codes In Numbers, Allocated On Insert
+-- ============================================================
+-- {CLIENT} printed the internal client id (INV/17/0003), which means
+-- nothing to the client and tells them how many clients we have. It now
+-- prints a short code from the client's name: "Acme Traders" -> ACMETR.
+-- Per-client series are keyed by that code, so two clients that share a
+-- code share a counter and can never get the same number. Existing
+-- per-client counters (keyed by id) are left alone; they only matter for
+-- numbers already issued.
+--
+-- Invoice and estimate numbers were also allocated in a separate request
+-- before the insert, so a failed insert left a gap in the series. They are
+-- now allocated by a trigger when the row is inserted without a number;
+-- a failed insert rolls the counter back with it.
+
+-- 1. Short code for {CLIENT}: the first 6 letters and digits of the name
+CREATE OR REPLACE FUNCTION client_number_code(doc_client_id BIGINT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+    SELECT COALESCE(
+        NULLIF(UPPER(LEFT(regexp_replace(
+            (SELECT name FROM clients WHERE id = doc_client_id), '[^A-Za-z0-9]', '', 'g'), 6)), ''),
+        'NONE'
+    );
+$$;
+
+REVOKE EXECUTE ON FUNCTION client_number_code(BIGINT) FROM PUBLIC;
+
+-- 2. Same scheme lookup as V65, with the client code in place of the id
+CREATE OR REPLACE FUNCTION resolve_document_number(
+    org_admin_id UUID,
+    doc_type TEXT,
+    doc_date DATE,
+    doc_client_id BIGINT,
+    OUT series_key TEXT,
+    OUT number_template TEXT,
+    OUT seq_padding INTEGER
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    scheme numbering_schemes%ROWTYPE;
+    fy_start_year INTEGER;
+    fy_label TEXT;
+    client_code TEXT;
+BEGIN
+    SELECT * INTO scheme FROM numbering_schemes
+    WHERE admin_id = org_admin_id AND document_type = doc_type;
+
+    IF NOT FOUND THEN
+        scheme.prefix := CASE doc_type WHEN 'estimate' THEN 'EST' WHEN 'credit_note' THEN 'CN' ELSE 'INV' END;
+        scheme.pattern := '{PREFIX}-{SEQ}';
+        scheme.padding := 4;
+        scheme.reset_yearly := FALSE;
+        scheme.per_client := FALSE;
+        scheme.fy_start_month := 4;
+    END IF;
+
+    doc_date := COALESCE(doc_date, CURRENT_DATE);
+    fy_start_year := EXTRACT(YEAR FROM doc_date)::INTEGER
+        - CASE WHEN EXTRACT(MONTH FROM doc_date) < scheme.fy_start_month THEN 1 ELSE 0 END;
+    fy_label := CASE
+        WHEN scheme.fy_start_month = 1 THEN fy_start_year::TEXT
+        ELSE fy_start_year || '-' || LPAD(((fy_start_year + 1) % 100)::TEXT, 2, '0')
+    END;
+    client_code := client_number_code(doc_client_id);
+
+    series_key := doc_type
+        || CASE WHEN scheme.reset_yearly THEN '|' || fy_label ELSE '' END
+        || CASE WHEN scheme.per_client THEN '|code:' || client_code ELSE '' END;
+
+    number_template := replace(replace(replace(replace(replace(scheme.pattern,
+        '{PREFIX}', scheme.prefix),
+        '{FY}', fy_label),
+        '{YYYY}', EXTRACT(YEAR FROM doc_date)::TEXT),
+        '{MM}', LPAD(EXTRACT(MONTH FROM doc_date)::TEXT, 2, '0')),
+        '{CLIENT}', client_code);
+    seq_padding := scheme.padding;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION resolve_document_number(UUID, TEXT, DATE, BIGINT) FROM PUBLIC;
+
+-- 3. Allocate invoice and estimate numbers as part of the insert
+CREATE OR REPLACE FUNCTION public.assign_invoice_number()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.invoice_number IS NULL THEN
+        NEW.invoice_number := allocate_document_number(NEW.admin_id, 'invoice', NEW.invoice_date, NEW.client_id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS invoices_assign_number ON invoices;
+CREATE TRIGGER invoices_assign_number
+    BEFORE INSERT ON invoices
+    FOR EACH ROW EXECUTE FUNCTION public.assign_invoice_number();
+
+CREATE OR REPLACE FUNCTION public.assign_estimate_number()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.estimate_number IS NULL THEN
+        NEW.estimate_number := allocate_document_number(NEW.admin_id, 'estimate', NEW.estimate_date, NEW.client_id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS estimates_assign_number ON estimates;
+CREATE TRIGGER estimates_assign_number
+    BEFORE INSERT ON estimates
+    FOR EACH ROW EXECUTE FUNCTION public.assign_estimate_number();
@@ -0,0 +1,162 @@
+-- ============================================================
+-- Migration V80: Save Invoice Edits Atomically
+-- ============================================================
+-- An invoice edit was saved in steps from the browser: update the invoice,
+-- replace its lines, then add the revision. A failure after the update left
+-- the invoice changed with no record of what it was before. The edit, the
+-- lines, the revision, the legacy "Invoice XXX" entry and the status are
+-- now saved by update_invoice_with_revision() in one transaction, with the
+-- invoice locked so the edit checks can't be raced by a payment or credit.
+
+-- 1. Move the pending legacy "Invoice XXX" entry by the change in total,
+-- removing it once nothing is left to collect
+CREATE OR REPLACE FUNCTION adjust_legacy_invoice_entry(
+    org_admin_id UUID,
+    p_invoice_number TEXT,
+    p_delta NUMERIC,
+    p_client_id BIGINT,
+    p_client_name TEXT,
+    p_currency TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    legacy finance_entries%ROWTYPE;
+BEGIN
+    SELECT * INTO legacy FROM finance_entries
+    WHERE admin_id = org_admin_id
+    AND type = 'income'
+    AND description = 'Invoice ' || p_invoice_number
+    LIMIT 1
+    FOR UPDATE;
+
+    IF NOT FOUND OR legacy.status <> 'pending' THEN
+        RETURN;
+    END IF;
+
+    IF COALESCE(legacy.amount, 0) + p_delta <= 0.005 THEN
+        DELETE FROM finance_entries WHERE id = legacy.id;
+        RETURN;
+    END IF;
+
+    UPDATE finance_entries
+    SET amount = COALESCE(amount, 0) + p_delta,
+        client_id = COALESCE(p_client_id, client_id),
+        client_name = COALESCE(NULLIF(p_client_name, ''), client_name),
+        currency = COALESCE(p_currency, currency)
+    WHERE id = legacy.id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION adjust_legacy_invoice_entry(UUID, TEXT, NUMERIC, BIGINT, TEXT, TEXT) FROM PUBLIC;
+
+-- 2. Save an edit. p_invoice holds the invoice columns as the app writes
+-- them; the number, status and links are never changed by an edit.
+-- p_snapshot and p_changes are the revision history entry.
+CREATE OR REPLACE FUNCTION update_invoice_with_revision(
+    p_invoice_id BIGINT,
+    p_invoice JSONB,
+    p_services JSONB,
+    p_snapshot JSONB,
+    p_changes JSONB,
+    p_edited_by_name TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    inv invoices%ROWTYPE;
+    edited invoices%ROWTYPE;
+    paid NUMERIC;
+BEGIN
+    SELECT * INTO inv FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found';
+    END IF;
+    IF NOT (inv.user_id = (SELECT auth.uid()) OR is_org_member(inv.admin_id)) THEN
+        RAISE EXCEPTION 'Not allowed to edit this invoice';
+    END IF;
+
+    -- Same rules as getInvoiceEditBlocker, checked again under the lock
+    IF EXISTS (SELECT 1 FROM credit_notes WHERE invoice_id = p_invoice_id) THEN
+        RAISE EXCEPTION 'Invoices with credit notes can''t be edited';
+    END IF;
+    IF inv.payment_status = 'paid' THEN
+        RAISE EXCEPTION 'Paid invoices can''t be edited';
+    END IF;
+
+    edited := jsonb_populate_record(inv, p_invoice);
+
+    SELECT COALESCE(SUM(amount), 0) INTO paid FROM invoice_payments WHERE invoice_id = p_invoice_id;
+    IF paid - COALESCE(edited.grand_total, 0) > 0.005 THEN
+        RAISE EXCEPTION 'The new total is less than the % already received', to_char(paid, 'FM999999999990.00');
+    END IF;
+
+    -- The invoice as it was, before anything changes
+    INSERT INTO invoice_revisions (invoice_id, user_id, admin_id, revision_number, edited_by_name, snapshot, changes)
+    VALUES (
+        p_invoice_id,
+        (SELECT auth.uid()),
+        inv.admin_id,
+        COALESCE((SELECT MAX(revision_number) FROM invoice_revisions WHERE invoice_id = p_invoice_id), 0) + 1,
+        p_edited_by_name,
+        p_snapshot,
+        COALESCE(p_changes, '[]'::jsonb)
+    );
+
+    UPDATE invoices SET
+        invoice_date = edited.invoice_date,
+        due_date = edited.due_date,
+        client_id = edited.client_id,
+        client_name = edited.client_name,
+        client_email = edited.client_email,
+        client_address = edited.client_address,
+        client_phone = edited.client_phone,
+        client_gstin = edited.client_gstin,
+        client_state = edited.client_state,
+        agency_name = edited.agency_name,
+        agency_contact = edited.agency_contact,
+        agency_address = edited.agency_address,
+        agency_logo = edited.agency_logo,
+        agency_gstin = edited.agency_gstin,
+        agency_state = edited.agency_state,
+        subtotal = edited.subtotal,
+        tax_percent = edited.tax_percent,
+        tax_amount = edited.tax_amount,
+        discount_percent = edited.discount_percent,
+        discount_amount = edited.discount_amount,
+        grand_total = edited.grand_total,
+        gst_type = edited.gst_type,
+        cgst_amount = edited.cgst_amount,
+        sgst_amount = edited.sgst_amount,
+        igst_amount = edited.igst_amount,
+        currency = edited.currency
+    WHERE id = p_invoice_id;
+
+    IF p_services IS NOT NULL THEN
+        DELETE FROM invoice_services WHERE invoice_id = p_invoice_id;
+
+        INSERT INTO invoice_services (invoice_id, name, quantity, rate, amount, hsn_sac, tax_rate, tax_amount, catalog_item_id)
+        SELECT p_invoice_id, s.name, s.quantity, s.rate, s.amount, s.hsn_sac, COALESCE(s.tax_rate, 0), COALESCE(s.tax_amount, 0), s.catalog_item_id
+        FROM jsonb_populate_recordset(NULL::invoice_services, p_services) s;
+    END IF;
+
+    -- Keep an older invoice's lump receivable in step with the new total
+    PERFORM adjust_legacy_invoice_entry(
+        inv.admin_id, inv.invoice_number,
+        COALESCE(edited.grand_total, 0) - COALESCE(inv.grand_total, 0),
+        edited.client_id, edited.client_name, edited.currency
+    );
+
+    -- A lower total can settle an invoice that was partly paid
+    PERFORM sync_invoice_payment_status(p_invoice_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_invoice_with_revision(BIGINT, JSONB, JSONB, JSONB, JSONB, TEXT) TO authenticated;
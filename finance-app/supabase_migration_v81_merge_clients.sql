@@ -0,0 +1,114 @@
+-- ============================================================
+-- Migration V81: Merge Clients In One Transaction
+-- ============================================================
+-- A client merge (V69) ran as a dozen requests from the browser: move each
+-- kind of record, fill the gaps on the surviving client, write the audit
+-- row, delete the duplicate. A failure half way left records split across
+-- both clients, and the admin check only ran in the browser.
+-- merge_clients() now does all of it in one transaction, checking on the
+-- server that the caller is the admin of both clients.
+
+CREATE OR REPLACE FUNCTION merge_clients(
+    p_surviving_id BIGINT,
+    p_duplicate_id BIGINT,
+    p_merged_by_name TEXT DEFAULT NULL
+)
+RETURNS client_merges
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    caller UUID := (SELECT auth.uid());
+    survivor clients%ROWTYPE;
+    duplicate clients%ROWTYPE;
+    moved JSONB := '{}'::jsonb;
+    filled TEXT[] := ARRAY[]::TEXT[];
+    row_count INTEGER;
+    merge client_merges%ROWTYPE;
+BEGIN
+    IF (SELECT role FROM users WHERE id = caller) IS DISTINCT FROM 'admin' THEN
+        RAISE EXCEPTION 'Only admins can merge clients';
+    END IF;
+    IF p_surviving_id = p_duplicate_id THEN
+        RAISE EXCEPTION 'Choose two different clients to merge';
+    END IF;
+
+    -- Lock both so they can't be edited or merged elsewhere meanwhile
+    SELECT * INTO survivor FROM clients WHERE id = p_surviving_id FOR UPDATE;
+    SELECT * INTO duplicate FROM clients WHERE id = p_duplicate_id FOR UPDATE;
+
+    IF survivor.id IS NULL OR duplicate.id IS NULL THEN
+        RAISE EXCEPTION 'Client not found';
+    END IF;
+    -- Clients saved before V10 have no organization yet
+    IF COALESCE(survivor.admin_id, caller) <> caller OR COALESCE(duplicate.admin_id, caller) <> caller THEN
+        RAISE EXCEPTION 'Only the admin of both clients can merge them';
+    END IF;
+
+    -- Rows linked by id, plus older ones that only carry the duplicate's name
+    UPDATE invoices SET client_id = survivor.id
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('invoices', row_count);
+
+    UPDATE finance_entries SET client_id = survivor.id, client_name = survivor.name
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('entries', row_count);
+
+    UPDATE recurring_invoices SET client_id = survivor.id, client_name = survivor.name
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('recurringInvoices', row_count);
+
+    UPDATE estimates SET client_id = survivor.id
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('estimates', row_count);
+
+    -- Contact details the surviving client is missing
+    IF COALESCE(survivor.phone, '') = '' AND COALESCE(duplicate.phone, '') <> '' THEN filled := filled || 'phone'::TEXT; END IF;
+    IF COALESCE(survivor.email, '') = '' AND COALESCE(duplicate.email, '') <> '' THEN filled := filled || 'email'::TEXT; END IF;
+    IF COALESCE(survivor.address, '') = '' AND COALESCE(duplicate.address, '') <> '' THEN filled := filled || 'address'::TEXT; END IF;
+    IF COALESCE(survivor.gstin, '') = '' AND COALESCE(duplicate.gstin, '') <> '' THEN filled := filled || 'gstin'::TEXT; END IF;
+    IF COALESCE(survivor.state, '') = '' AND COALESCE(duplicate.state, '') <> '' THEN filled := filled || 'state'::TEXT; END IF;
+
+    IF array_length(filled, 1) > 0 THEN
+        UPDATE clients SET
+            phone = CASE WHEN 'phone' = ANY(filled) THEN duplicate.phone ELSE phone END,
+            email = CASE WHEN 'email' = ANY(filled) THEN duplicate.email ELSE email END,
+            address = CASE WHEN 'address' = ANY(filled) THEN duplicate.address ELSE address END,
+            gstin = CASE WHEN 'gstin' = ANY(filled) THEN duplicate.gstin ELSE gstin END,
+            state = CASE WHEN 'state' = ANY(filled) THEN duplicate.state ELSE state END,
+            updated_at = NOW()
+        WHERE id = survivor.id;
+    END IF;
+
+    INSERT INTO client_merges (
+        user_id, admin_id, surviving_client_id, merged_client_id,
+        merged_client_name, merged_client, moved, merged_by_name
+    )
+    VALUES (
+        caller,
+        caller,
+        survivor.id,
+        duplicate.id,
+        duplicate.name,
+        to_jsonb(duplicate),
+        moved || jsonb_build_object('filledFields', to_jsonb(filled)),
+        p_merged_by_name
+    )
+    RETURNING * INTO merge;
+
+    DELETE FROM clients WHERE id = duplicate.id;
+
+    RETURN merge;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION merge_clients(BIGINT, BIGINT, TEXT) TO authenticated;
@@ -0,0 +1,140 @@
+-- ============================================================
+-- Migration V82: Keep Client Budgets
+-- ============================================================
+-- Budgets reference their client with ON DELETE CASCADE (V73), so merging
+-- a duplicate client - or deleting a client - silently removed its budgets
+-- and their alert history.
+--   - merge_clients() now moves the duplicate's budgets to the surviving
+--     client, adding the amounts together where both had one for the same
+--     year and period (one budget per client, period and year).
+--   - Deleting a client that still has budgets is refused; remove or
+--     reassign the budgets first.
+
+-- 1. Protect budgets from client deletes
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_client_id_fkey;
+ALTER TABLE budgets ADD CONSTRAINT budgets_client_id_fkey
+    FOREIGN KEY (client_id) REFERENCES public.clients(id) ON DELETE RESTRICT;
+
+-- 2. merge_clients() from V81, now moving budgets before the duplicate is deleted
+CREATE OR REPLACE FUNCTION merge_clients(
+    p_surviving_id BIGINT,
+    p_duplicate_id BIGINT,
+    p_merged_by_name TEXT DEFAULT NULL
+)
+RETURNS client_merges
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    caller UUID := (SELECT auth.uid());
+    survivor clients%ROWTYPE;
+    duplicate clients%ROWTYPE;
+    moved JSONB := '{}'::jsonb;
+    filled TEXT[] := ARRAY[]::TEXT[];
+    row_count INTEGER;
+    budget RECORD;
+    merge client_merges%ROWTYPE;
+BEGIN
+    IF (SELECT role FROM users WHERE id = caller) IS DISTINCT FROM 'admin' THEN
+        RAISE EXCEPTION 'Only admins can merge clients';
+    END IF;
+    IF p_surviving_id = p_duplicate_id THEN
+        RAISE EXCEPTION 'Choose two different clients to merge';
+    END IF;
+
+    -- Lock both so they can't be edited or merged elsewhere meanwhile
+    SELECT * INTO survivor FROM clients WHERE id = p_surviving_id FOR UPDATE;
+    SELECT * INTO duplicate FROM clients WHERE id = p_duplicate_id FOR UPDATE;
+
+    IF survivor.id IS NULL OR duplicate.id IS NULL THEN
+        RAISE EXCEPTION 'Client not found';
+    END IF;
+    -- Clients saved before V10 have no organization yet
+    IF COALESCE(survivor.admin_id, caller) <> caller OR COALESCE(duplicate.admin_id, caller) <> caller THEN
+        RAISE EXCEPTION 'Only the admin of both clients can merge them';
+    END IF;
+
+    -- Rows linked by id, plus older ones that only carry the duplicate's name
+    UPDATE invoices SET client_id = survivor.id
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('invoices', row_count);
+
+    UPDATE finance_entries SET client_id = survivor.id, client_name = survivor.name
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('entries', row_count);
+
+    UPDATE recurring_invoices SET client_id = survivor.id, client_name = survivor.name
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('recurringInvoices', row_count);
+
+    UPDATE estimates SET client_id = survivor.id
+    WHERE client_id = duplicate.id
+    OR (admin_id = caller AND client_id IS NULL AND client_name = duplicate.name);
+    GET DIAGNOSTICS row_count = ROW_COUNT;
+    moved := moved || jsonb_build_object('estimates', row_count);
+
+    -- Budgets follow the spend they track. Where the surviving client already
+    -- has one for the same year and period, the two amounts are combined.
+    row_count := 0;
+    FOR budget IN SELECT * FROM budgets WHERE client_id = duplicate.id FOR UPDATE LOOP
+        UPDATE budgets SET amount = amount + budget.amount, updated_at = NOW()
+        WHERE client_id = survivor.id AND admin_id = budget.admin_id
+        AND year = budget.year AND period = budget.period;
+
+        IF FOUND THEN
+            DELETE FROM budgets WHERE id = budget.id;
+        ELSE
+            UPDATE budgets SET client_id = survivor.id, updated_at = NOW() WHERE id = budget.id;
+        END IF;
+        row_count := row_count + 1;
+    END LOOP;
+    moved := moved || jsonb_build_object('budgets', row_count);
+
+    -- Contact details the surviving client is missing
+    IF COALESCE(survivor.phone, '') = '' AND COALESCE(duplicate.phone, '') <> '' THEN filled := filled || 'phone'::TEXT; END IF;
+    IF COALESCE(survivor.email, '') = '' AND COALESCE(duplicate.email, '') <> '' THEN filled := filled || 'email'::TEXT; END IF;
+    IF COALESCE(survivor.address, '') = '' AND COALESCE(duplicate.address, '') <> '' THEN filled := filled || 'address'::TEXT; END IF;
+    IF COALESCE(survivor.gstin, '') = '' AND COALESCE(duplicate.gstin, '') <> '' THEN filled := filled || 'gstin'::TEXT; END IF;
+    IF COALESCE(survivor.state, '') = '' AND COALESCE(duplicate.state, '') <> '' THEN filled := filled || 'state'::TEXT; END IF;
+
+    IF array_length(filled, 1) > 0 THEN
+        UPDATE clients SET
+            phone = CASE WHEN 'phone' = ANY(filled) THEN duplicate.phone ELSE phone END,
+            email = CASE WHEN 'email' = ANY(filled) THEN duplicate.email ELSE email END,
+            address = CASE WHEN 'address' = ANY(filled) THEN duplicate.address ELSE address END,
+            gstin = CASE WHEN 'gstin' = ANY(filled) THEN duplicate.gstin ELSE gstin END,
+            state = CASE WHEN 'state' = ANY(filled) THEN duplicate.state ELSE state END,
+            updated_at = NOW()
+        WHERE id = survivor.id;
+    END IF;
+
+    INSERT INTO client_merges (
+        user_id, admin_id, surviving_client_id, merged_client_id,
+        merged_client_name, merged_client, moved, merged_by_name
+    )
+    VALUES (
+        caller,
+        caller,
+        survivor.id,
+        duplicate.id,
+        duplicate.name,
+        to_jsonb(duplicate),
+        moved || jsonb_build_object('filledFields', to_jsonb(filled)),
+        p_merged_by_name
+    )
+    RETURNING * INTO merge;
+
+    DELETE FROM clients WHERE id = duplicate.id;
+
+    RETURN merge;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION merge_clients(BIGINT, BIGINT, TEXT) TO authenticated;
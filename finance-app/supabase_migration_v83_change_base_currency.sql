@@ -0,0 +1,83 @@
+-- ============================================================
+-- Migration V83: Change Base Currency
+-- ============================================================
+-- A NULL currency on invoices, estimates, recurring invoices and finance
+-- entries means "the base currency" (V61), so changing the base currency
+-- in Settings silently re-labelled every older amount - 50,000 INR became
+-- 50,000 USD in the reports - and the saved rates, stored against the old
+-- base, dropped out of the rate lookup.
+--   - change_base_currency() writes the old base currency onto every record
+--     of the organization that has none, so each keeps its meaning.
+--   - Rates against the old base stay as they are (they apply again if the
+--     base is switched back), and are carried over to the new base where
+--     they can be: the old base itself from the inverse of the new base's
+--     rates, other currencies through the new base's rate on the same date.
+--     Rates already entered against the new base are left untouched.
+-- The app saves the 'currency' setting once this has run.
+
+-- 1. Stamp the old base currency and carry the rates over
+CREATE OR REPLACE FUNCTION change_base_currency(
+    p_from_currency TEXT,
+    p_to_currency TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    caller UUID := (SELECT auth.uid());
+BEGIN
+    IF (SELECT role FROM users WHERE id = caller) IS DISTINCT FROM 'admin' THEN
+        RAISE EXCEPTION 'Only admins can change the base currency';
+    END IF;
+    IF p_from_currency IS NULL OR p_to_currency IS NULL THEN
+        RAISE EXCEPTION 'Both currencies are required';
+    END IF;
+    IF p_from_currency = p_to_currency THEN
+        RETURN;
+    END IF;
+
+    -- Records saved before V10 have no organization yet
+    UPDATE finance_entries SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    UPDATE invoices SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    UPDATE recurring_invoices SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    UPDATE estimates SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    -- 1 old base = 1 / (rate of the new base in the old base)
+    INSERT INTO exchange_rates (user_id, admin_id, currency, base_currency, rate_date, rate)
+    SELECT caller, caller, p_from_currency, p_to_currency, r.rate_date, 1 / r.rate
+    FROM exchange_rates r
+    WHERE r.admin_id = caller
+      AND r.base_currency = p_from_currency
+      AND r.currency = p_to_currency
+    ON CONFLICT (admin_id, currency, base_currency, rate_date) DO NOTHING;
+
+    -- Cross rates, where the new base has a rate on the same date
+    INSERT INTO exchange_rates (user_id, admin_id, currency, base_currency, rate_date, rate)
+    SELECT caller, caller, r.currency, p_to_currency, r.rate_date, r.rate / t.rate
+    FROM exchange_rates r
+    JOIN exchange_rates t
+      ON t.admin_id = r.admin_id
+     AND t.base_currency = r.base_currency
+     AND t.rate_date = r.rate_date
+     AND t.currency = p_to_currency
+    WHERE r.admin_id = caller
+      AND r.base_currency = p_from_currency
+      AND r.currency <> p_to_currency
+    ON CONFLICT (admin_id, currency, base_currency, rate_date) DO NOTHING;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION change_base_currency(TEXT, TEXT) TO authenticated;
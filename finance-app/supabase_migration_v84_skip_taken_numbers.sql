@@ -0,0 +1,125 @@
+-- ============================================================
+-- Migration V84: Skip Numbers Already In Use
+-- ============================================================
+-- Imported invoices keep their own numbers and never touch the counters in
+-- number_sequences. Once a counter reached an imported number (INV-0050),
+-- the insert that drew it failed on idx_invoices_admin_number, the counter
+-- increment rolled back with it, and every later invoice drew the same
+-- number and failed too.
+-- Allocation now steps past any number the organization already has for
+-- that document type, and the preview shows the number it would get.
+
+-- 1. Is this number already used by a document of the organization?
+CREATE OR REPLACE FUNCTION document_number_taken(
+    org_admin_id UUID,
+    doc_type TEXT,
+    doc_number TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+BEGIN
+    RETURN CASE doc_type
+        WHEN 'invoice' THEN EXISTS (
+            SELECT 1 FROM invoices WHERE admin_id = org_admin_id AND invoice_number = doc_number)
+        WHEN 'estimate' THEN EXISTS (
+            SELECT 1 FROM estimates WHERE admin_id = org_admin_id AND estimate_number = doc_number)
+        WHEN 'credit_note' THEN EXISTS (
+            SELECT 1 FROM credit_notes WHERE admin_id = org_admin_id AND credit_note_number = doc_number)
+        ELSE FALSE
+    END;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION document_number_taken(UUID, TEXT, TEXT) FROM PUBLIC;
+
+-- 2. Preview (V65), skipping numbers in use
+CREATE OR REPLACE FUNCTION preview_document_number(
+    org_admin_id UUID,
+    doc_type TEXT,
+    doc_date DATE DEFAULT CURRENT_DATE,
+    doc_client_id BIGINT DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    resolved RECORD;
+    next_value INTEGER;
+    doc_number TEXT;
+BEGIN
+    IF NOT is_org_member(org_admin_id) THEN
+        RAISE EXCEPTION 'Not allowed to read numbers for this organization';
+    END IF;
+
+    SELECT * INTO resolved FROM resolve_document_number(org_admin_id, doc_type, doc_date, doc_client_id);
+
+    SELECT COALESCE(last_value, 0) INTO next_value
+    FROM number_sequences
+    WHERE admin_id = org_admin_id AND series_key = resolved.series_key;
+
+    next_value := COALESCE(next_value, 0);
+    LOOP
+        next_value := next_value + 1;
+        doc_number := replace(resolved.number_template, '{SEQ}',
+            LPAD(next_value::TEXT, GREATEST(resolved.seq_padding, length(next_value::TEXT)), '0'));
+        EXIT WHEN NOT document_number_taken(org_admin_id, doc_type, doc_number);
+    END LOOP;
+
+    RETURN doc_number;
+END;
+$$;
+
+-- 3. Allocate (V65), moving the counter past numbers in use. The upsert
+-- locks the counter row, so concurrent callers still never share a value.
+CREATE OR REPLACE FUNCTION allocate_document_number(
+    org_admin_id UUID,
+    doc_type TEXT,
+    doc_date DATE DEFAULT CURRENT_DATE,
+    doc_client_id BIGINT DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    resolved RECORD;
+    next_value INTEGER;
+    doc_number TEXT;
+BEGIN
+    IF NOT is_org_member(org_admin_id) THEN
+        RAISE EXCEPTION 'Not allowed to allocate numbers for this organization';
+    END IF;
+
+    SELECT * INTO resolved FROM resolve_document_number(org_admin_id, doc_type, doc_date, doc_client_id);
+
+    INSERT INTO number_sequences (admin_id, series_key, last_value)
+    VALUES (org_admin_id, resolved.series_key, 1)
+    ON CONFLICT (admin_id, series_key)
+    DO UPDATE SET last_value = number_sequences.last_value + 1
+    RETURNING last_value INTO next_value;
+
+    LOOP
+        -- GREATEST: LPAD would cut 10000 down to 1000 with padding 4
+        doc_number := replace(resolved.number_template, '{SEQ}',
+            LPAD(next_value::TEXT, GREATEST(resolved.seq_padding, length(next_value::TEXT)), '0'));
+        EXIT WHEN NOT document_number_taken(org_admin_id, doc_type, doc_number);
+
+        UPDATE number_sequences SET last_value = last_value + 1
+        WHERE admin_id = org_admin_id AND series_key = resolved.series_key
+        RETURNING last_value INTO next_value;
+    END LOOP;
+
+    RETURN doc_number;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION preview_document_number(UUID, TEXT, DATE, BIGINT) TO authenticated;
+GRANT EXECUTE ON FUNCTION allocate_document_number(UUID, TEXT, DATE, BIGINT) TO authenticated;
@@ -0,0 +1,115 @@
+-- ============================================================
+-- Migration V85: Convert Base-Currency Amounts On A Base Change
+-- ============================================================
+-- V83 wrote the old base currency onto records that carry a currency, but
+-- budgets (V73), petty cash, investments and catalogue prices (V67) have
+-- no currency of their own: they are always in the base currency. After a
+-- change from INR to USD a 50,000 budget was compared with spend as
+-- $50,000.
+--   - change_base_currency() now converts those amounts into the new base
+--     at the latest rate between the two currencies, after carrying the
+--     saved rates over as in V83.
+--   - With amounts to convert and no rate to convert them at, the change is
+--     refused; add a rate for the new currency first.
+
+-- 1. change_base_currency() from V83, converting base-currency amounts
+CREATE OR REPLACE FUNCTION change_base_currency(
+    p_from_currency TEXT,
+    p_to_currency TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    caller UUID := (SELECT auth.uid());
+    conversion_rate NUMERIC;
+BEGIN
+    IF (SELECT role FROM users WHERE id = caller) IS DISTINCT FROM 'admin' THEN
+        RAISE EXCEPTION 'Only admins can change the base currency';
+    END IF;
+    IF p_from_currency IS NULL OR p_to_currency IS NULL THEN
+        RAISE EXCEPTION 'Both currencies are required';
+    END IF;
+    IF p_from_currency = p_to_currency THEN
+        RETURN;
+    END IF;
+
+    -- Records saved before V10 have no organization yet
+    UPDATE finance_entries SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    UPDATE invoices SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    UPDATE recurring_invoices SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    UPDATE estimates SET currency = p_from_currency
+    WHERE currency IS NULL
+      AND (admin_id = caller OR (admin_id IS NULL AND user_id = caller));
+
+    -- 1 old base = 1 / (rate of the new base in the old base)
+    INSERT INTO exchange_rates (user_id, admin_id, currency, base_currency, rate_date, rate)
+    SELECT caller, caller, p_from_currency, p_to_currency, r.rate_date, 1 / r.rate
+    FROM exchange_rates r
+    WHERE r.admin_id = caller
+      AND r.base_currency = p_from_currency
+      AND r.currency = p_to_currency
+    ON CONFLICT (admin_id, currency, base_currency, rate_date) DO NOTHING;
+
+    -- Cross rates, where the new base has a rate on the same date
+    INSERT INTO exchange_rates (user_id, admin_id, currency, base_currency, rate_date, rate)
+    SELECT caller, caller, r.currency, p_to_currency, r.rate_date, r.rate / t.rate
+    FROM exchange_rates r
+    JOIN exchange_rates t
+      ON t.admin_id = r.admin_id
+     AND t.base_currency = r.base_currency
+     AND t.rate_date = r.rate_date
+     AND t.currency = p_to_currency
+    WHERE r.admin_id = caller
+      AND r.base_currency = p_from_currency
+      AND r.currency <> p_to_currency
+    ON CONFLICT (admin_id, currency, base_currency, rate_date) DO NOTHING;
+
+    -- Amounts that are always in the base currency, at the latest rate
+    SELECT r.rate INTO conversion_rate
+    FROM exchange_rates r
+    WHERE r.admin_id = caller
+      AND r.currency = p_from_currency
+      AND r.base_currency = p_to_currency
+    ORDER BY r.rate_date DESC
+    LIMIT 1;
+
+    IF conversion_rate IS NULL AND (
+        EXISTS (SELECT 1 FROM budgets WHERE admin_id = caller)
+        OR EXISTS (SELECT 1 FROM petty_cash_entries WHERE admin_id = caller OR (admin_id IS NULL AND user_id = caller))
+        OR EXISTS (SELECT 1 FROM investments WHERE admin_id = caller OR (admin_id IS NULL AND created_by = caller))
+        OR EXISTS (SELECT 1 FROM catalog_items WHERE admin_id = caller AND default_rate > 0)
+    ) THEN
+        RAISE EXCEPTION 'Add a % exchange rate first: budgets, petty cash, investments and catalogue prices are converted to % at the latest rate',
+            p_to_currency, p_to_currency;
+    END IF;
+
+    IF conversion_rate IS NOT NULL THEN
+        -- Budgets must stay above zero
+        UPDATE budgets SET amount = GREATEST(ROUND(amount * conversion_rate, 2), 0.01), updated_at = NOW()
+        WHERE admin_id = caller;
+
+        UPDATE petty_cash_entries SET amount = ROUND(amount * conversion_rate, 2)
+        WHERE admin_id = caller OR (admin_id IS NULL AND user_id = caller);
+
+        UPDATE investments SET amount = ROUND(amount * conversion_rate, 2)
+        WHERE admin_id = caller OR (admin_id IS NULL AND created_by = caller);
+
+        UPDATE catalog_items SET default_rate = ROUND(default_rate * conversion_rate, 2)
+        WHERE admin_id = caller;
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION change_base_currency(TEXT, TEXT) TO authenticated;
@@ -0,0 +1,43 @@
+-- ============================================================
+-- Migration V86: Delete Invoice Payments Atomically
+-- ============================================================
+-- Recording a payment is one transaction since V76, but deleting one still
+-- took three requests from the browser: delete the payment row, delete its
+-- income entry, recompute the invoice status. A failure in between left
+-- the invoice marked paid without the payment (or the income counted
+-- without it). delete_invoice_payment() now does all of it in one
+-- transaction, with the invoice row locked as when recording.
+
+-- 1. Remove a payment, its income entry, and re-derive the invoice status
+CREATE OR REPLACE FUNCTION delete_invoice_payment(p_payment_id BIGINT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+    payment invoice_payments%ROWTYPE;
+BEGIN
+    SELECT * INTO payment FROM invoice_payments WHERE id = p_payment_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment not found';
+    END IF;
+    -- Same rule as the invoice_payments_delete policy (V57)
+    IF payment.admin_id IS DISTINCT FROM (SELECT auth.uid()) THEN
+        RAISE EXCEPTION 'Only admins can delete payments';
+    END IF;
+
+    -- Serialize with record_invoice_payment() on the same invoice
+    PERFORM 1 FROM invoices WHERE id = payment.invoice_id FOR UPDATE;
+
+    DELETE FROM invoice_payments WHERE id = payment.id;
+    IF payment.entry_id IS NOT NULL THEN
+        DELETE FROM finance_entries WHERE id = payment.entry_id;
+    END IF;
+
+    PERFORM sync_invoice_payment_status(payment.invoice_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION delete_invoice_payment(BIGINT) TO authenticated;